@@ -0,0 +1,323 @@
+/**
+ * 🎯 ENEMY DECISION EVALUATION
+ *
+ * Runs the labelled messages in eval/golden-set.json through the AiSystem
+ * decision path (system prompt, tools, provider call, local fallback) without
+ * a game scene, then reports agreement with the labels, a confusion table per
+ * action and per insult level, and every disagreement.
+ *
+ * The scores are compared with eval/baseline.json: dropping more than
+ * TOLERANCE below the accepted agreement fails the run, so a prompt or
+ * personality change that makes the enemy decide worse is caught - by a live
+ * or recorded run. The mock ignores the system prompt: it measures the local
+ * classifier (and the personality's action list), not the prompt.
+ *
+ * Run with: npm run eval   (or: node eval-enemy-decisions.js [options])
+ *   --provider mock       Offline classifier (default, deterministic, prompt not used)
+ *   --provider live       The configured model (GOOGLE_API_KEY, VITE_AI_PROXY_URL or
+ *                         VITE_OPENAI_BASE_URL); skipped when none is set
+ *   --provider recorded   Replay eval/recordings/<personality>.json
+ *   --record              With live: save the replies for --provider recorded
+ *   --personality <id>    Personality to evaluate (default: the golden set's)
+ *   --update-baseline     Accept the current scores as the new baseline
+ *   --verbose             Keep the AI system's own logs
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { AiSystem } from './src/systems/AiSystem.js';
+import { PersonalityRegistry } from './src/ai/PersonalityRegistry.js';
+import { ENEMY_ACTIONS } from './src/ai/actions/index.js';
+import { MockProvider } from './src/ai/providers/MockProvider.js';
+import { createLlmProvider } from './src/ai/providers/createLlmProvider.js';
+import { RecordedProvider } from './eval/RecordedProvider.js';
+import { CONFIG } from './src/config/gameConfig.js';
+
+const EVAL_DIR = new URL('./eval/', import.meta.url);
+const PERSONALITY_DIR = new URL('./src/ai/personalities/', import.meta.url);
+const BASELINE_FILE = new URL('baseline.json', EVAL_DIR);
+const TOLERANCE = 0.02; // Allowed drop in agreement before the run fails
+
+/**
+ * Read the command line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {object} {provider, personality, record, updateBaseline, verbose}
+ */
+function parseOptions(argv) {
+  const valueOf = (flag) => {
+    const index = argv.indexOf(flag);
+    return index >= 0 ? argv[index + 1] : null;
+  };
+
+  return {
+    provider: valueOf('--provider') || 'mock',
+    personality: valueOf('--personality'),
+    record: argv.includes('--record'),
+    updateBaseline: argv.includes('--update-baseline'),
+    verbose: argv.includes('--verbose')
+  };
+}
+
+/**
+ * Register the personality files the game bundles with import.meta.glob
+ * @returns {PersonalityRegistry} Registry with every valid personality
+ */
+function loadPersonalities() {
+  const registry = new PersonalityRegistry({
+    defaultId: CONFIG.AI.DEFAULT_PERSONALITY,
+    knownActions: ENEMY_ACTIONS.map(action => action.name)
+  });
+
+  readdirSync(PERSONALITY_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+    registry.register(JSON.parse(readFileSync(new URL(file, PERSONALITY_DIR), 'utf8')));
+  });
+  return registry;
+}
+
+/**
+ * Build the provider for the chosen mode
+ * @param {string} mode - mock, live or recorded
+ * @param {string} recordingFile - URL of the personality's recordings
+ * @param {boolean} record - Save live replies
+ * @returns {object|null} {provider, model} or null when the mode can't run here
+ */
+function createEvalProvider(mode, recordingFile, record) {
+  if (mode === 'mock') {
+    return { provider: new MockProvider(), model: 'mock' };
+  }
+
+  if (mode === 'live') {
+    const live = createLlmProvider();
+    if (live instanceof MockProvider) return null;
+
+    const model = live.model || live.name;
+    return { provider: record ? new RecordedProvider({ source: live }) : live, model };
+  }
+
+  if (mode === 'recorded') {
+    if (!existsSync(recordingFile)) return null;
+    const saved = JSON.parse(readFileSync(recordingFile, 'utf8'));
+    return { provider: new RecordedProvider({ recordings: saved.replies }), model: saved.model };
+  }
+
+  throw new Error(`Unknown provider mode "${mode}" (use mock, live or recorded)`);
+}
+
+/**
+ * Run a function with the AI system's console logging switched off
+ * @param {boolean} verbose - Keep the logs
+ * @param {Function} fn - Async work
+ * @returns {Promise<*>} What fn returned
+ */
+async function quietly(verbose, fn) {
+  if (verbose) return fn();
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Ask a fresh enemy about one labelled message, the way respondToMessage does
+ * @param {object} testCase - {message, history, spamScore}
+ * @param {object} personality - Personality under evaluation
+ * @param {LlmProvider} provider - Provider to ask
+ * @returns {Promise<object>} {action, insultLevel, fallback, missing, error}
+ */
+async function decide(testCase, personality, provider) {
+  const aiSystem = new AiSystem({ time: { now: 0 } }, null, null, personality);
+  aiSystem.provider = provider;
+
+  (testCase.history || []).forEach(earlier => {
+    aiSystem.updatePlayerStats(earlier);
+    aiSystem.conversationHistory.addPlayerMessage(earlier);
+  });
+
+  const history = aiSystem.conversationHistory.getTurns();
+  aiSystem.currentSpamScore = testCase.spamScore || 0;
+  aiSystem.lastPlayerMessage = testCase.message;
+  aiSystem.updatePlayerStats(testCase.message);
+
+  // A provider that throws measured nothing - don't let the local classifier stand in for it
+  let response = null;
+  try {
+    response = await aiSystem.requestAiResponse(testCase.message, history);
+  } catch (error) {
+    if (error.code === 'RECORDING_MISSING') return { missing: true };
+    return { error: error.message };
+  }
+
+  const decision = aiSystem.resolveResponse(response);
+  const action = decision.actions.find(candidate => aiSystem.getAction(candidate.name));
+  const insultLevel = action.name === 'throwPlayer'
+    ? Math.max(1, Math.min(5, Math.round((action.args && action.args.insultLevel) || 3)))
+    : null;
+
+  return { action: action.name, insultLevel, fallback: decision !== response, missing: false };
+}
+
+/**
+ * Count expected/actual pairs
+ * @param {Array<Array>} pairs - [expected, actual] values
+ * @returns {object} {rows, columns, counts} for printTable
+ */
+function buildConfusion(pairs) {
+  const sorted = values => [...new Set(values)].sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+  const rows = sorted(pairs.map(([expected]) => String(expected)));
+  const columns = sorted([...rows, ...pairs.map(([, actual]) => String(actual))]);
+  const counts = {};
+
+  pairs.forEach(([expected, actual]) => {
+    const key = `${expected}|${actual}`;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return { rows, columns, counts };
+}
+
+/**
+ * Print a confusion table (rows: expected, columns: actual)
+ * @param {string} title - Table heading
+ * @param {object} confusion - From buildConfusion
+ */
+function printTable(title, { rows, columns, counts }) {
+  const width = Math.max(8, ...columns.map(column => column.length), ...rows.map(row => row.length)) + 2;
+  const cell = text => String(text).padStart(width);
+
+  console.log(`\n${title} (rows: expected, columns: actual)`);
+  console.log(`${''.padEnd(width)}${columns.map(cell).join('')}`);
+  rows.forEach(row => {
+    console.log(`${row.padEnd(width)}${columns.map(column => cell(counts[`${row}|${column}`] || '.')).join('')}`);
+  });
+}
+
+/**
+ * Share of results that passed
+ * @param {Array<boolean>} results - One entry per case
+ * @returns {number} 0-1 (1 when there are no cases)
+ */
+const rate = results => results.length === 0 ? 1 : results.filter(Boolean).length / results.length;
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+
+async function runEvaluation() {
+  const options = parseOptions(process.argv.slice(2));
+  const goldenSet = JSON.parse(readFileSync(new URL('golden-set.json', EVAL_DIR), 'utf8'));
+  const registry = loadPersonalities();
+  const personality = registry.get(options.personality || goldenSet.personality);
+
+  if (!personality) {
+    console.error(`❌ Unknown personality "${options.personality}" (have: ${registry.getAll().map(entry => entry.id).join(', ')})`);
+    return 1;
+  }
+
+  const recordingFile = new URL(`recordings/${personality.id}.json`, EVAL_DIR);
+  const setup = createEvalProvider(options.provider, recordingFile, options.record);
+  if (!setup) {
+    console.log(options.provider === 'live'
+      ? '⏭️ No live model configured (set GOOGLE_API_KEY, VITE_AI_PROXY_URL or VITE_OPENAI_BASE_URL) - skipping'
+      : `⏭️ No recordings for ${personality.id} yet - run with --provider live --record first - skipping`);
+    return 0;
+  }
+
+  const { provider, model } = setup;
+  console.log(`🎯 ENEMY DECISION EVALUATION: ${goldenSet.cases.length} cases, ${personality.name}, ${provider.name} (${model})`);
+  if (options.provider === 'mock') {
+    console.log('ℹ️ Mock mode measures the offline classifier, not the system prompt - prompt changes only show up with --provider live or recorded');
+  }
+
+  const results = [];
+  for (const testCase of goldenSet.cases) {
+    const actual = await quietly(options.verbose, () => decide(testCase, personality, provider));
+    results.push({ testCase, actual });
+  }
+
+  const missing = results.filter(({ actual }) => actual.missing);
+  const failed = results.filter(({ actual }) => actual.error);
+  const scored = results.filter(({ actual }) => !actual.missing && !actual.error);
+  const leveled = scored.filter(({ testCase }) => testCase.expected.action === 'throwPlayer' && testCase.expected.insultLevel);
+
+  const scores = {
+    actionAgreement: rate(scored.map(({ testCase, actual }) => actual.action === testCase.expected.action)),
+    levelAgreement: rate(leveled.map(({ testCase, actual }) => actual.insultLevel === testCase.expected.insultLevel)),
+    levelWithinOne: rate(leveled.map(({ testCase, actual }) => actual.insultLevel !== null && Math.abs(actual.insultLevel - testCase.expected.insultLevel) <= 1))
+  };
+
+  // Disagreements
+  scored.forEach(({ testCase, actual }) => {
+    const expectedLevel = testCase.expected.insultLevel;
+    const agrees = actual.action === testCase.expected.action && (!expectedLevel || actual.insultLevel === expectedLevel);
+    if (agrees && !options.verbose) return;
+
+    const format = (action, level) => level ? `${action}(${level})` : action;
+    const context = [
+      testCase.history ? `after [${testCase.history.join(' | ')}]` : '',
+      testCase.spamScore ? `spam ${testCase.spamScore}` : '',
+      actual.fallback ? 'local fallback' : ''
+    ].filter(Boolean).join(', ');
+    console.log(`${agrees ? '✅' : '❌'} ${testCase.id}: "${testCase.message}" → ${format(actual.action, actual.insultLevel)}${agrees ? '' : ` (expected ${format(testCase.expected.action, expectedLevel)})`}${context ? `  [${context}]` : ''}`);
+  });
+
+  printTable('🧮 Actions', buildConfusion(scored.map(({ testCase, actual }) => [testCase.expected.action, actual.action])));
+  printTable('🧮 Insult levels', buildConfusion(leveled.map(({ testCase, actual }) => [testCase.expected.insultLevel, actual.insultLevel === null ? actual.action : actual.insultLevel])));
+
+  console.log(`\n📊 Action agreement: ${percent(scores.actionAgreement)} (${scored.length} cases)`);
+  console.log(`📊 Insult level agreement: ${percent(scores.levelAgreement)}, within one: ${percent(scores.levelWithinOne)} (${leveled.length} cases)`);
+  console.log(`📊 Local fallbacks: ${scored.filter(({ actual }) => actual.fallback).length}`);
+
+  if (options.record && provider instanceof RecordedProvider) {
+    mkdirSync(new URL('recordings/', EVAL_DIR), { recursive: true });
+    writeFileSync(recordingFile, `${JSON.stringify({ model, replies: provider.recordings }, null, 2)}\n`);
+    console.log(`💾 Saved ${Object.keys(provider.recordings).length} replies to eval/recordings/${personality.id}.json`);
+  }
+
+  if (missing.length > 0) {
+    console.log(`\n❌ ${missing.length} case(s) have no recording for the current prompt (${missing.map(({ testCase }) => testCase.id).join(', ')})`);
+    console.log('   The prompt or personality changed since recording - re-record with --provider live --record');
+    return 1;
+  }
+
+  if (failed.length > 0) {
+    console.log(`\n❌ ${provider.name} failed on ${failed.length} case(s) - nothing was measured for them:`);
+    failed.forEach(({ testCase, actual }) => console.log(`   ${testCase.id}: ${actual.error}`));
+    return 1;
+  }
+
+  // Each model (and the offline mock) has its own baseline; live and recorded runs of a model share it
+  const baselineKey = `${model}/${personality.id}`;
+  const baselines = existsSync(BASELINE_FILE) ? JSON.parse(readFileSync(BASELINE_FILE, 'utf8')) : {};
+
+  if (options.updateBaseline) {
+    baselines[baselineKey] = {
+      model,
+      cases: scored.length,
+      actionAgreement: Number(scores.actionAgreement.toFixed(3)),
+      levelAgreement: Number(scores.levelAgreement.toFixed(3))
+    };
+    writeFileSync(BASELINE_FILE, `${JSON.stringify(baselines, null, 2)}\n`);
+    console.log(`💾 Baseline ${baselineKey} updated`);
+    return 0;
+  }
+
+  const baseline = baselines[baselineKey];
+  if (!baseline) {
+    console.log(`\n⚠️ No baseline for ${baselineKey} yet - accept these scores with --update-baseline`);
+    return 0;
+  }
+
+  const regressions = ['actionAgreement', 'levelAgreement']
+    .filter(metric => scores[metric] < baseline[metric] - TOLERANCE)
+    .map(metric => `${metric} ${percent(scores[metric])} < baseline ${percent(baseline[metric])}`);
+
+  if (regressions.length > 0) {
+    console.log(`\n❌ Regression against ${baselineKey}: ${regressions.join('; ')}`);
+    return 1;
+  }
+
+  console.log(`\n✅ No regression against ${baselineKey} (baseline ${percent(baseline.actionAgreement)} actions, ${percent(baseline.levelAgreement)} levels)`);
+  return 0;
+}
+
+process.exitCode = await runEvaluation();
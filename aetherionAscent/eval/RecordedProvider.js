@@ -0,0 +1,67 @@
+import { createHash } from 'node:crypto';
+import { LlmProvider } from '../src/ai/providers/LlmProvider.js';
+
+/**
+ * RecordedProvider - Record Model Replies Once, Replay Them Offline
+ *
+ * With a source provider it passes every request through and remembers the
+ * reply; without one it answers from those recordings. Replies are keyed by
+ * a hash of everything the model sees (system prompt, history, prompt and
+ * offered tools), so editing a personality or the prompt invalidates the
+ * recordings instead of silently replaying answers to an older prompt.
+ *
+ * Node only (used by eval-enemy-decisions.js).
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class RecordedProvider extends LlmProvider {
+  /**
+   * @param {object} options - Provider settings
+   * @param {object} options.recordings - {key: {message, response}} (filled in while recording)
+   * @param {LlmProvider} options.source - Live provider to record from (omit to replay)
+   */
+  constructor(options = {}) {
+    super(options.source ? `${options.source.name} (recording)` : 'Recorded', options);
+    this.recordings = options.recordings || {};
+    this.source = options.source || null;
+  }
+
+  /**
+   * Key a request by what the model sees
+   * @param {object} request - {systemPrompt, history, prompt, tools}
+   * @returns {string} Hash of the request
+   */
+  static keyFor(request) {
+    const seen = JSON.stringify({
+      systemPrompt: request.systemPrompt,
+      history: request.history || [],
+      prompt: request.prompt,
+      tools: (request.tools || []).map(tool => tool.name)
+    });
+    return createHash('sha256').update(seen).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Record from the source, or replay a recording
+   * @param {object} request - {systemPrompt, history, prompt, message, tools, temperature}
+   * @returns {Promise<object>} {text, actions}
+   * @throws {Error} When replaying a request that was never recorded (code RECORDING_MISSING)
+   */
+  async generate(request) {
+    const key = RecordedProvider.keyFor(request);
+
+    if (this.source) {
+      const response = await this.source.generate(request);
+      this.recordings[key] = { message: request.message, response };
+      return response;
+    }
+
+    if (!this.recordings[key]) {
+      const error = new Error(`No recording for "${request.message}" with this prompt - re-record with --provider live --record`);
+      error.code = 'RECORDING_MISSING';
+      throw error;
+    }
+    return this.recordings[key].response;
+  }
+}
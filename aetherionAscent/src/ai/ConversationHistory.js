@@ -0,0 +1,108 @@
+/**
+ * ConversationHistory - Provider-Neutral Multi-Turn Chat Log
+ *
+ * Keeps the whole exchange with the enemy as a list of turns:
+ * - { role: 'player', text }
+ * - { role: 'enemy', text, actions: [{ name, args, result }] }
+ *
+ * Providers turn these into their own wire format (Gemini contents with
+ * functionCall / functionResponse parts, OpenAI messages with tool_calls and
+ * tool results). getTurns() trims the oldest turns so the history fits a
+ * rough token budget, so long chats never blow up the request.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class ConversationHistory {
+  /**
+   * @param {object} options - History settings
+   * @param {number} options.tokenBudget - Approximate tokens of history sent per request
+   * @param {number} options.maxTurns - Hard cap on stored turns
+   * @param {number} options.charsPerToken - Characters counted as one token when estimating
+   */
+  constructor(options = {}) {
+    this.tokenBudget = options.tokenBudget || 1500;
+    this.maxTurns = options.maxTurns || 40;
+    this.charsPerToken = options.charsPerToken || 4;
+    this.turns = [];
+  }
+
+  /**
+   * Add a player message
+   * @param {string} text - Player's message
+   */
+  addPlayerMessage(text) {
+    this.push({ role: 'player', text });
+  }
+
+  /**
+   * Add the enemy's reply and the actions it executed
+   * @param {string} text - Enemy's reply ('' if it only acted)
+   * @param {Array<object>} actions - Executed actions [{name, args, result}]
+   */
+  addEnemyTurn(text, actions = []) {
+    this.push({
+      role: 'enemy',
+      text: text || '',
+      actions: actions.map(action => ({
+        name: action.name,
+        args: action.args || {},
+        result: action.result || {}
+      }))
+    });
+  }
+
+  /**
+   * Store a turn, dropping the oldest beyond maxTurns
+   * @param {object} turn - Turn to store
+   */
+  push(turn) {
+    this.turns.push(turn);
+
+    if (this.turns.length > this.maxTurns) {
+      this.turns.splice(0, this.turns.length - this.maxTurns);
+    }
+  }
+
+  /**
+   * Get the most recent turns that fit in the token budget, oldest first
+   * @param {number} tokenBudget - Budget to fit (defaults to the configured one)
+   * @returns {Array<object>} Turns to send
+   */
+  getTurns(tokenBudget = this.tokenBudget) {
+    const selected = [];
+    let used = 0;
+
+    for (let i = this.turns.length - 1; i >= 0; i--) {
+      const cost = this.estimateTokens(this.turns[i]);
+      if (used + cost > tokenBudget) break;
+
+      used += cost;
+      selected.unshift(this.turns[i]);
+    }
+
+    // Never start on an enemy turn - providers expect the player to speak first
+    while (selected.length > 0 && selected[0].role !== 'player') {
+      selected.shift();
+    }
+
+    return selected;
+  }
+
+  /**
+   * Rough token count of a turn (text plus serialized actions)
+   * @param {object} turn - Turn to measure
+   * @returns {number} Estimated tokens
+   */
+  estimateTokens(turn) {
+    const actionChars = (turn.actions || []).reduce((sum, action) => sum + JSON.stringify(action).length, 0);
+    return Math.ceil(((turn.text || '').length + actionChars) / this.charsPerToken) + 4; // + per-turn overhead
+  }
+
+  /**
+   * Forget the whole conversation
+   */
+  clear() {
+    this.turns = [];
+  }
+}
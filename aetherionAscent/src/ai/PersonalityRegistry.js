@@ -0,0 +1,180 @@
+/**
+ * PersonalityRegistry - Enemy Personalities Defined as Data
+ *
+ * Each personality is a JSON file in src/ai/personalities/ (loaded at startup
+ * by src/ai/personalities/index.js):
+ *
+ *   {
+ *     id, name,            // "grump", "Grump" (the name is shown in chat)
+ *     tone,                // Opening paragraph of the system prompt
+ *     actionNotes,         // { actionName: [lines] } extra guidance per action
+ *     decisionRules,       // ["If the player ... → action()", ...]
+ *     examples,            // [{ message, action, reason }]
+ *     guidelines,          // ["Stay grumpy but never cruel", ...]
+ *     allowedActions,      // Extra abilities on top of CORE_ACTIONS, or ["*"] for all
+ *     weights,             // { reward, punish } - scale coins given, wind and coins taken
+ *     tint,                // "#rrggbb" aura colour of the Enemy
+ *     themes,              // Background themes it spawns in ([] for all)
+ *     spawnWeight          // Relative chance among the personalities of a theme
+ *   }
+ *
+ * The three core actions are always allowed: the offline classifier and the
+ * gameplay event fallbacks rely on them. Pure JavaScript, so it can be tested
+ * from Node.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+// Actions every personality can use
+export const CORE_ACTIONS = ['throwPlayer', 'shootAndTakeCoins', 'giveCoins'];
+
+export class PersonalityRegistry {
+  /**
+   * @param {object} options - Registry settings
+   * @param {string} options.defaultId - Personality used when nothing else matches
+   * @param {Array<string>} options.knownActions - Action names that exist (for validation)
+   */
+  constructor(options = {}) {
+    this.defaultId = options.defaultId || null;
+    this.knownActions = options.knownActions || null;
+    this.personalities = new Map();
+  }
+
+  /**
+   * Validate and add a personality
+   * @param {object} definition - Parsed personality file
+   * @returns {object} The normalized personality
+   * @throws {Error} If the definition is invalid
+   */
+  register(definition) {
+    const problems = this.validate(definition);
+    if (problems.length > 0) {
+      throw new Error(`Invalid personality "${definition && definition.id}": ${problems.join('; ')}`);
+    }
+
+    const personality = this.normalize(definition);
+    this.personalities.set(personality.id, personality);
+    return personality;
+  }
+
+  /**
+   * List everything wrong with a personality definition
+   * @param {object} definition - Parsed personality file
+   * @returns {Array<string>} Problems (empty when valid)
+   */
+  validate(definition) {
+    const problems = [];
+    if (!definition || typeof definition !== 'object') return ['not an object'];
+
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    if (typeof definition.id !== 'string' || !/^[a-z0-9_-]+$/.test(definition.id)) problems.push('id must be a lowercase slug');
+    if (typeof definition.name !== 'string' || !definition.name) problems.push('name is required');
+    if (typeof definition.tone !== 'string' || !definition.tone) problems.push('tone is required');
+    if (!isStringList(definition.decisionRules)) problems.push('decisionRules must be a list of strings');
+    if (definition.guidelines !== undefined && !isStringList(definition.guidelines)) problems.push('guidelines must be a list of strings');
+    if (definition.themes !== undefined && !isStringList(definition.themes)) problems.push('themes must be a list of strings');
+
+    if (definition.examples !== undefined &&
+        (!Array.isArray(definition.examples) || !definition.examples.every(example => example && typeof example.message === 'string' && typeof example.action === 'string'))) {
+      problems.push('examples need a message and an action');
+    }
+
+    if (!isStringList(definition.allowedActions)) {
+      problems.push('allowedActions must be a list of action names');
+    } else if (this.knownActions) {
+      definition.allowedActions
+        .filter(name => name !== '*' && !this.knownActions.includes(name))
+        .forEach(name => problems.push(`unknown action "${name}"`));
+    }
+
+    const weights = definition.weights || {};
+    ['reward', 'punish'].forEach(key => {
+      if (weights[key] !== undefined && !(typeof weights[key] === 'number' && weights[key] > 0)) {
+        problems.push(`weights.${key} must be a positive number`);
+      }
+    });
+
+    if (definition.tint !== undefined && !/^#[0-9a-f]{6}$/i.test(definition.tint)) problems.push('tint must be "#rrggbb"');
+
+    return problems;
+  }
+
+  /**
+   * Fill in defaults and resolve the action list
+   * @param {object} definition - Valid personality file
+   * @returns {object} Personality ready for AiSystem and Enemy
+   */
+  normalize(definition) {
+    const allowsEverything = definition.allowedActions.includes('*');
+    const extras = definition.allowedActions.filter(name => name !== '*');
+
+    return {
+      id: definition.id,
+      name: definition.name,
+      tone: definition.tone,
+      actionNotes: definition.actionNotes || {},
+      decisionRules: definition.decisionRules,
+      examples: definition.examples || [],
+      guidelines: definition.guidelines || [],
+      allowedActions: allowsEverything && this.knownActions
+        ? [...this.knownActions]
+        : [...new Set([...CORE_ACTIONS, ...extras])],
+      weights: {
+        reward: (definition.weights && definition.weights.reward) || 1,
+        punish: (definition.weights && definition.weights.punish) || 1
+      },
+      tint: definition.tint ? parseInt(definition.tint.slice(1), 16) : null,
+      themes: definition.themes || [],
+      spawnWeight: definition.spawnWeight === undefined ? 1 : definition.spawnWeight
+    };
+  }
+
+  /**
+   * Look up a personality
+   * @param {string} id - Personality id
+   * @returns {object|null} Personality or null
+   */
+  get(id) {
+    return this.personalities.get(id) || null;
+  }
+
+  /**
+   * Get every registered personality
+   * @returns {Array<object>} Personalities
+   */
+  getAll() {
+    return [...this.personalities.values()];
+  }
+
+  /**
+   * Get the fallback personality
+   * @returns {object|null} Default (or first registered) personality
+   */
+  getDefault() {
+    return this.get(this.defaultId) || this.getAll()[0] || null;
+  }
+
+  /**
+   * Pick a personality for an enemy spawning in a background theme
+   * @param {string} theme - Background theme id (null if unknown)
+   * @param {SeededRandom} random - Random source (anything with next())
+   * @returns {object|null} Weighted pick among the theme's personalities (default if none fit)
+   */
+  pickFor(theme, random) {
+    const candidates = this.getAll().filter(personality =>
+      personality.spawnWeight > 0 && (!theme || personality.themes.length === 0 || personality.themes.includes(theme))
+    );
+    if (candidates.length === 0) return this.getDefault();
+
+    const total = candidates.reduce((sum, personality) => sum + personality.spawnWeight, 0);
+    let roll = random.next() * total;
+
+    for (const personality of candidates) {
+      roll -= personality.spawnWeight;
+      if (roll < 0) return personality;
+    }
+    return candidates[candidates.length - 1];
+  }
+}
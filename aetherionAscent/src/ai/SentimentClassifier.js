@@ -0,0 +1,262 @@
+/**
+ * SentimentClassifier - Offline Message → Enemy Action Rules
+ *
+ * Decides what the enemy does when no language model is available (or the
+ * model answers without calling a function). Uses small lexicons plus rules
+ * that mirror the decision rules in the AiSystem system prompt:
+ * - Profanity, insults, threats and commands → shootAndTakeCoins
+ * - Sarcasm wrapped around praise ("you're cool... NOT") → shootAndTakeCoins
+ * - Apologies, thanks, greetings, polite requests, compliments → giveCoins
+ * - Anything else → throwPlayer, with a 1-5 insult level raised by
+ *   dismissiveness, shouting, exclamation marks and repeating yourself
+ * - Spamming the chat (see applySpamPenalty) cancels rewards and adds wind
+ *
+ * Pure JavaScript with no Phaser or browser dependencies, so it can be tested
+ * from Node (see test-sentiment-classifier.js).
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+// Lexicons - matched as whole words/phrases, case-insensitive
+const LEXICON = {
+  profanity: [/f[\W_]*u[\W_]*c[\W_]*k/i, /\bf\*+/i, /\bsh[i1*]t\b/i, /\bwtf\b/i, /\bdamn\b/i, /\bcrap\b/i, /\bbitch\b/i, /\bass(hole)?\b/i, /\bbastard\b/i],
+  insults: /\b(stupid|idiot|dumb|moron|loser|ugly|trash|garbage|pathetic|useless|worthless|lame|clown|noob)\b/i,
+  hostility: /\b(hate you|shut up|go away|get lost|you suck|sucks|die)\b/i,
+  threats: /\b(or else|i('| wi)ll (kill|destroy|beat|end|hurt) you|watch your back|you('| wi)ll (pay|regret))\b/i,
+  apologies: /\b(sorry|apologi[sz]e|my bad|forgive me)\b/i,
+  gratitude: /\b(thank|thanks|thx|ty|appreciate)\b/i,
+  greetings: /^\W*(hello|hi|hey|greetings|howdy|good (morning|afternoon|evening|day))\b/i,
+  politeness: /\b(please|pls|can you|could you|would you|may i)\b/i,
+  compliments: /\b(cool|awesome|great|nice|amazing|love|kind|smart|clever|brilliant|best|friend|wonderful)\b/i,
+  dismissive: /\b(whatever|meh|who cares|boring|so what|don'?t care|couldn'?t care less)\b/i,
+  playful: /\b(lol|lmao|haha+|hehe|jk|just kidding|kidding)\b|[:;]-?[)pd]/i
+};
+
+// Imperative openers - a command unless softened with "please"
+const COMMAND_VERBS = /^\W*(give|help|stop|do|tell|go|move|jump|listen|answer|obey|bring|hand|fix|make)\b/i;
+const URGENCY = /\b(now|right now|immediately|asap)\b\s*!*|!{2,}/i;
+
+// Sarcasm markers - flip apparent praise into an insult
+const SARCASM = [/\.{2,}\s*not\W*$/i, /\bNOT\W*$/, /\byeah,? right\b/i, /\/s\b/, /\boh,? (great|wonderful|fantastic|joy|perfect)\b/i, /\bas if\b/i, /\bsure you (are|do|can)\b/i];
+
+// Praise preceded by a negation ("not nice", "never helpful") counts against the player
+const NEGATED_PRAISE = /\b(not|never|n't|no)\s+(\w+\s+)?(cool|awesome|great|nice|amazing|kind|smart|clever|helpful|funny)\b/i;
+
+// Canned lines for when the enemy has to answer without a model
+const FALLBACK_REPLIES = {
+  shootAndTakeCoins: [
+    'Rude. I will be taking those coins.',
+    'Bold words for someone standing on a floating rock.',
+    'Pew. Your coins are mine now.'
+  ],
+  giveCoins: [
+    'Well, aren\'t you pleasant. Have some coins.',
+    'Manners! How rare. Take these.',
+    'Fine, fine. You earned a little something.'
+  ],
+  throwPlayer: [
+    'Feel that breeze?',
+    'Hold on to something.',
+    'Let\'s see how well you fly.'
+  ]
+};
+
+export class SentimentClassifier {
+  /**
+   * @param {object} options - Classifier settings
+   * @param {number} options.repetitionWindow - How many recent messages count for repetition
+   */
+  constructor(options = {}) {
+    this.repetitionWindow = options.repetitionWindow || 3;
+  }
+
+  /**
+   * Classify a player message
+   * @param {string} message - Player's message
+   * @param {Array<string>} recentMessages - Earlier messages, oldest first (not including this one)
+   * @returns {object} {action, insultLevel, signals} - insultLevel is 1-5, signals explain the decision
+   */
+  classify(message, recentMessages = []) {
+    const text = (message || '').trim();
+    const signals = this.detectSignals(text, recentMessages);
+    const has = signal => signals.includes(signal);
+
+    const positive = ['apology', 'gratitude', 'greeting', 'politeness', 'compliment'].filter(has).length;
+    const isCommand = has('command');
+
+    // Hostile: shoot and take coins
+    if (has('profanity') || has('threat')) {
+      return this.verdict('shootAndTakeCoins', 5, signals);
+    }
+
+    // An apology outweighs milder rudeness ("sorry, that was dumb of me")
+    if (has('apology')) {
+      return this.verdict('giveCoins', 1, signals);
+    }
+
+    // Rude or bossy: shoot and take coins
+    if (has('insult') || has('hostility') || has('negatedPraise')) {
+      return this.verdict('shootAndTakeCoins', 4, signals);
+    }
+    if (has('sarcasm') && positive > 0) {
+      return this.verdict('shootAndTakeCoins', 3, signals); // Mean sarcasm / fake compliment
+    }
+    if (isCommand) {
+      return this.verdict('shootAndTakeCoins', 3, signals);
+    }
+
+    // Friendly: reward
+    if (positive > 0 && !has('dismissive')) {
+      return this.verdict('giveCoins', 1, signals);
+    }
+    if (this.wasNiceStreak(recentMessages) && !has('dismissive') && !has('shouting')) {
+      signals.push('niceStreak');
+      return this.verdict('giveCoins', 1, signals);
+    }
+
+    // Everything else: wind, scaled by how annoying the message is
+    let level = has('playful') ? 1 : 2;
+    if (has('dismissive') && /don'?t care|couldn'?t care|who cares/i.test(text)) level++;
+    if (has('shouting')) level++;
+    if (has('exclamations')) level++;
+    if (has('repetition')) level++;
+
+    return this.verdict('throwPlayer', Math.max(1, Math.min(5, level)), signals);
+  }
+
+  /**
+   * Make a verdict harsher for a player who is spamming the chat
+   * @param {object} verdict - Result of classify()
+   * @param {number} spamScore - 0 (fine) to 5 (flooding)
+   * @returns {object} Adjusted verdict (the same object if there is no spam)
+   */
+  applySpamPenalty(verdict, spamScore = 0) {
+    if (spamScore <= 0) return verdict;
+
+    const signals = [...verdict.signals, 'spam'];
+
+    // No rewards for spammers - even nice spam gets wind, at least spam score + 1 (same rule the model gets)
+    if (verdict.action === 'giveCoins') {
+      return this.verdict('throwPlayer', Math.min(5, spamScore + 1), signals);
+    }
+    return this.verdict(verdict.action, Math.min(5, verdict.insultLevel + spamScore), signals);
+  }
+
+  /**
+   * Find every rule that fires for a message
+   * @param {string} text - Trimmed message
+   * @param {Array<string>} recentMessages - Earlier messages, oldest first
+   * @returns {Array<string>} Signal names
+   */
+  detectSignals(text, recentMessages) {
+    const signals = [];
+    const add = (name, condition) => {
+      if (condition) signals.push(name);
+    };
+
+    add('profanity', LEXICON.profanity.some(pattern => pattern.test(text)));
+    add('insult', LEXICON.insults.test(text));
+    add('hostility', LEXICON.hostility.test(text));
+    add('threat', LEXICON.threats.test(text));
+    add('apology', LEXICON.apologies.test(text));
+    add('gratitude', LEXICON.gratitude.test(text));
+    add('greeting', LEXICON.greetings.test(text));
+    add('politeness', LEXICON.politeness.test(text));
+    add('compliment', LEXICON.compliments.test(text) && !NEGATED_PRAISE.test(text));
+    add('negatedPraise', NEGATED_PRAISE.test(text));
+    add('dismissive', LEXICON.dismissive.test(text));
+    add('playful', LEXICON.playful.test(text));
+    add('sarcasm', SARCASM.some(pattern => pattern.test(text)));
+
+    // Commands: bossy openers without "please", or demanding urgency
+    const softened = /\b(please|pls)\b/i.test(text);
+    const bossyOpener = COMMAND_VERBS.test(text) && (URGENCY.test(text) || !/\?\s*$/.test(text));
+    const demanding = /\b(right now|immediately|asap)\b/i.test(text) || /\bnow\s*!/i.test(text);
+    add('command', !softened && (bossyOpener || demanding));
+
+    // Delivery
+    const letters = text.replace(/[^a-z]/gi, '');
+    add('shouting', letters.length >= 4 && letters === letters.toUpperCase());
+    add('exclamations', (text.match(/!/g) || []).length >= 2);
+    add('repetition', this.isRepeated(text, recentMessages));
+
+    return signals;
+  }
+
+  /**
+   * Check whether the player just said the same thing again
+   * @param {string} text - Current message
+   * @param {Array<string>} recentMessages - Earlier messages, oldest first
+   * @returns {boolean} True if it matches one of the last few messages
+   */
+  isRepeated(text, recentMessages) {
+    const normalized = this.normalize(text);
+    if (!normalized) return false;
+
+    return recentMessages
+      .slice(-this.repetitionWindow)
+      .some(previous => this.normalize(previous) === normalized);
+  }
+
+  /**
+   * Check whether the last two messages were both friendly
+   * @param {Array<string>} recentMessages - Earlier messages, oldest first
+   * @returns {boolean} True on a streak of two or more nice messages
+   */
+  wasNiceStreak(recentMessages) {
+    if (recentMessages.length < 2) return false;
+
+    return recentMessages.slice(-2).every((previous, index, pair) =>
+      this.classify(previous, recentMessages.slice(0, recentMessages.length - pair.length + index)).action === 'giveCoins'
+    );
+  }
+
+  /**
+   * Lowercase and strip punctuation so "Hi!!" and "hi" compare equal
+   * @param {string} text - Message
+   * @returns {string} Normalized message
+   */
+  normalize(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Build a classification result
+   * @param {string} action - Enemy action name
+   * @param {number} insultLevel - 1-5
+   * @param {Array<string>} signals - Rules that fired
+   * @returns {object} {action, insultLevel, signals}
+   */
+  verdict(action, insultLevel, signals) {
+    return { action, insultLevel, signals };
+  }
+
+  /**
+   * Turn a classification into a neutral enemy action
+   * @param {object} verdict - Result of classify()
+   * @returns {object} {name, args}
+   */
+  toAction(verdict) {
+    return {
+      name: verdict.action,
+      args: verdict.action === 'throwPlayer' ? { insultLevel: verdict.insultLevel } : {}
+    };
+  }
+
+  /**
+   * Pick a canned reply for an action (stable for the same message)
+   * @param {string} action - Enemy action name
+   * @param {string} message - Player's message
+   * @returns {string} Reply line
+   */
+  suggestReply(action, message = '') {
+    const replies = FALLBACK_REPLIES[action] || FALLBACK_REPLIES.throwPlayer;
+
+    let hash = 0;
+    for (let i = 0; i < message.length; i++) {
+      hash = (Math.imul(hash, 31) + message.charCodeAt(i)) >>> 0;
+    }
+    return replies[hash % replies.length];
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Action Effects - Small Shared Visuals for Enemy Actions
+ *
+ * Floating labels and flashes that several actions use, so each action file
+ * only has to describe what is special about it.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+/**
+ * Float a short label up from a point and fade it out
+ * @param {Phaser.Scene} scene - Game scene
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ * @param {string} text - Label text
+ * @param {string} color - CSS color
+ */
+export const showActionText = (scene, x, y, text, color = '#ffffff') => {
+  const label = scene.add.text(x, y, text, {
+    fontSize: '14px',
+    fontFamily: 'monospace',
+    color,
+    stroke: '#000000',
+    strokeThickness: 3
+  });
+  label.setOrigin(0.5);
+  label.setDepth(120);
+
+  scene.tweens.add({
+    targets: label,
+    y: y - 40,
+    alpha: 0,
+    duration: 1400,
+    ease: 'Quad.easeOut',
+    onComplete: () => label.destroy()
+  });
+};
+
+/**
+ * Expanding ring flash (teleports, shields, platform spawns)
+ * @param {Phaser.Scene} scene - Game scene
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ * @param {number} color - Ring color
+ */
+export const flashRing = (scene, x, y, color) => {
+  const ring = scene.add.circle(x, y, 10);
+  ring.setStrokeStyle(3, color, 1);
+  ring.setDepth(110);
+
+  scene.tweens.add({
+    targets: ring,
+    scale: 4,
+    alpha: 0,
+    duration: 450,
+    ease: 'Quad.easeOut',
+    onComplete: () => ring.destroy()
+  });
+};
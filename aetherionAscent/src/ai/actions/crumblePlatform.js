@@ -0,0 +1,43 @@
+import { CONFIG } from '../../config/gameConfig.js';
+import { showActionText } from './actionEffects.js';
+
+/**
+ * crumblePlatform - Break the Platform Under the Player
+ *
+ * Any platform can be made to shake and collapse; it reforms later just like
+ * a crumbling platform. Does nothing if the player is in the air.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export const crumblePlatform = {
+  name: 'crumblePlatform',
+  description: 'Makes the platform the player is standing on shake and collapse',
+  guidance: 'Rudeness while the player is standing still or showing off',
+  hostile: true,
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+
+  /**
+   * @param {AiSystem} ai - Acting enemy's AI
+   * @returns {object} Result for the model
+   */
+  execute(ai) {
+    const { scene, player } = ai;
+    const generator = scene.platformGenerator;
+    if (!player || !generator) return { skipped: true };
+
+    // A gapped platform's segment breaks the whole platform
+    const surface = generator.findSurfaceBelow(player.x, player.body.bottom, -4, 6);
+    const platform = surface && (surface.platformData?.parentPlatform || surface);
+    if (!platform || !generator.platformTypeSystem.forceCrumble(platform, CONFIG.AI_ACTIONS.CRUMBLE_PLATFORM.DELAY)) {
+      return { skipped: true, reason: 'player is not standing on a platform' };
+    }
+
+    showActionText(scene, player.x, player.y - 40, 'The ground cracks!', '#ffab40');
+    return { crumbled: true };
+  }
+};
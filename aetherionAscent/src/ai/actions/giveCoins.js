@@ -0,0 +1,75 @@
+import { CONFIG } from '../../config/gameConfig.js';
+
+/**
+ * giveCoins - Reward for Kindness
+ *
+ * Adds coins (scaled by the personality's reward weight and the enemies'
+ * mood) with a coin shower toward the player.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+/**
+ * Coins floating from the enemy to the player (used when there is no VisualEffectsSystem)
+ * @param {Phaser.Scene} scene - Game scene
+ * @param {Enemy} enemy - Generous enemy
+ * @param {Player} player - Player receiving the coins
+ */
+const createFallbackCoins = (scene, enemy, player) => {
+  if (!enemy || !player) return;
+
+  for (let i = 0; i < 5; i++) {
+    const coin = scene.add.circle(
+      enemy.x + (Math.random() - 0.5) * 30,
+      enemy.y - 20,
+      6,
+      0xffd700
+    );
+
+    scene.tweens.add({
+      targets: coin,
+      x: player.x + (Math.random() - 0.5) * 40,
+      y: player.y - 30,
+      duration: 600,
+      delay: i * 100,
+      ease: 'Back.easeOut',
+      onComplete: () => coin.destroy()
+    });
+  }
+};
+
+export const giveCoins = {
+  name: 'giveCoins',
+  description: `Gives the player ${CONFIG.AI_ACTIONS.GIVE_COINS.AMOUNT} coins as a reward for good behavior`,
+  guidance: 'Genuine kindness, thanks, apologies and polite requests',
+  hostile: false,
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+
+  /**
+   * @param {AiSystem} ai - Acting enemy's AI
+   * @returns {object} Result for the model
+   */
+  execute(ai) {
+    const { scene, player, enemy } = ai;
+    if (!scene.scoringSystem) return { skipped: true };
+
+    const baseAmount = Math.max(1, Math.round(CONFIG.AI_ACTIONS.GIVE_COINS.AMOUNT * ai.personality.weights.reward));
+    const amount = scene.reputationSystem ? scene.reputationSystem.getCoinAmount(baseAmount) : baseAmount;
+
+    if (ai.visualEffectsSystem && player) {
+      ai.visualEffectsSystem.createCoinCollectionEffect(player.x, player.y, amount * CONFIG.SCORING.COIN_VALUE);
+    } else {
+      createFallbackCoins(scene, enemy, player);
+    }
+
+    scene.scoringSystem.addCoins(amount);
+
+    console.log(`🪙 ${amount} coins given to player!`);
+    return { coinsGiven: amount };
+  }
+};
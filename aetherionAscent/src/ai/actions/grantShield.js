@@ -0,0 +1,39 @@
+import { CONFIG } from '../../config/gameConfig.js';
+import { flashRing, showActionText } from './actionEffects.js';
+
+/**
+ * grantShield - Protect the Player From the Next Hostile Action
+ *
+ * AiSystem checks the shield before running any action marked hostile, from
+ * any enemy, and uses it up instead.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export const grantShield = {
+  name: 'grantShield',
+  description: 'Gives the player a shield that blocks the next punishment',
+  guidance: 'Sincere apologies, or a player who has been kind for several messages',
+  hostile: false,
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+
+  /**
+   * @param {AiSystem} ai - Acting enemy's AI
+   * @returns {object} Result for the model
+   */
+  execute(ai) {
+    const { scene, player } = ai;
+    if (!player) return { skipped: true };
+
+    const duration = CONFIG.AI_ACTIONS.GRANT_SHIELD.DURATION;
+    player.grantShield(duration);
+    flashRing(scene, player.x, player.y, 0x80deea);
+    showActionText(scene, player.x, player.y - 40, 'Shielded!', '#80deea');
+
+    return { durationMs: duration };
+  }
+};
@@ -0,0 +1,54 @@
+import { throwPlayer } from './throwPlayer.js';
+import { shootAndTakeCoins } from './shootAndTakeCoins.js';
+import { giveCoins } from './giveCoins.js';
+import { spawnHelperPlatform } from './spawnHelperPlatform.js';
+import { crumblePlatform } from './crumblePlatform.js';
+import { reverseControls } from './reverseControls.js';
+import { slowMotion } from './slowMotion.js';
+import { surgeVoid } from './surgeVoid.js';
+import { grantShield } from './grantShield.js';
+import { teleportDown } from './teleportDown.js';
+
+/**
+ * Enemy Action Registry
+ *
+ * Every ability the AI enemy has, declared once. An action is:
+ *
+ *   {
+ *     name,          // function name the model calls
+ *     description,   // tool description sent to the model
+ *     guidance,      // one line for the system prompt: when to use it
+ *     hostile,       // true if a player shield blocks it
+ *     parameters,    // JSON Schema for the arguments
+ *     execute(ai, args, resolved) // runs it (and its visuals), returns a result for the model
+ *   }
+ *
+ * resolved holds any random draws that change gameplay: an action fills it
+ * in when it runs live, and gets the recorded values back on replay.
+ *
+ * Adding a file here and listing it below is all it takes: the tool
+ * declarations (ai/enemyTools.js), the system prompt and AiSystem's dispatch
+ * are all built from this list. Balance values live in CONFIG.AI_ACTIONS.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export const ENEMY_ACTIONS = [
+  throwPlayer,
+  shootAndTakeCoins,
+  giveCoins,
+  spawnHelperPlatform,
+  crumblePlatform,
+  reverseControls,
+  slowMotion,
+  surgeVoid,
+  grantShield,
+  teleportDown
+];
+
+/**
+ * Look up an action by name
+ * @param {string} name - Function name
+ * @returns {object|null} Action definition
+ */
+export const getEnemyAction = (name) => ENEMY_ACTIONS.find(action => action.name === name) || null;
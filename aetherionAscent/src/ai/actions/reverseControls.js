@@ -0,0 +1,35 @@
+import { CONFIG } from '../../config/gameConfig.js';
+import { showActionText } from './actionEffects.js';
+
+/**
+ * reverseControls - Swap Left and Right for a Few Seconds
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export const reverseControls = {
+  name: 'reverseControls',
+  description: 'Swaps the player\'s left and right controls for a few seconds',
+  guidance: 'Confusing or contradictory messages, trolling, mild sarcasm',
+  hostile: true,
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+
+  /**
+   * @param {AiSystem} ai - Acting enemy's AI
+   * @returns {object} Result for the model
+   */
+  execute(ai) {
+    const { scene, player } = ai;
+    if (!player) return { skipped: true };
+
+    const duration = CONFIG.AI_ACTIONS.REVERSE_CONTROLS.DURATION;
+    player.reverseControls(duration);
+    showActionText(scene, player.x, player.y - 40, '⇄ Controls reversed!', '#ea80fc');
+
+    return { durationMs: duration };
+  }
+};
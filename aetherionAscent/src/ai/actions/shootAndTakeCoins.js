@@ -0,0 +1,104 @@
+import { CONFIG } from '../../config/gameConfig.js';
+
+/**
+ * shootAndTakeCoins - The Enemy's Harshest Punishment
+ *
+ * A projectile from the enemy, a few stolen coins (scaled by the
+ * personality's punish weight) and a small knockback away from the enemy.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+/**
+ * Sparks where the projectile hits
+ * @param {Phaser.Scene} scene - Game scene
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ */
+const createImpact = (scene, x, y) => {
+  for (let i = 0; i < 8; i++) {
+    const spark = scene.add.circle(x, y, 2, 0xff8844);
+
+    scene.tweens.add({
+      targets: spark,
+      x: x + (Math.random() - 0.5) * 60,
+      y: y + (Math.random() - 0.5) * 60,
+      alpha: 0,
+      duration: 400,
+      onComplete: () => spark.destroy()
+    });
+  }
+};
+
+/**
+ * Projectile from the enemy to the player (used when there is no VisualEffectsSystem)
+ * @param {Phaser.Scene} scene - Game scene
+ * @param {Enemy} enemy - Shooting enemy
+ * @param {Player} player - Target
+ */
+const createFallbackShot = (scene, enemy, player) => {
+  if (!enemy) return;
+
+  const projectile = scene.add.circle(enemy.x, enemy.y - 10, 4, 0xff4444);
+
+  scene.tweens.add({
+    targets: projectile,
+    x: player.x,
+    y: player.y,
+    duration: 300,
+    onComplete: () => {
+      createImpact(scene, player.x, player.y);
+      projectile.destroy();
+    }
+  });
+};
+
+export const shootAndTakeCoins = {
+  name: 'shootAndTakeCoins',
+  description: 'Shoots the player and steals their coins as punishment',
+  guidance: 'Insults, profanity, threats, commands and mean sarcasm',
+  hostile: true,
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+
+  /**
+   * @param {AiSystem} ai - Acting enemy's AI
+   * @returns {object} Result for the model
+   */
+  execute(ai) {
+    const { scene, player, enemy } = ai;
+    const settings = CONFIG.AI_ACTIONS.SHOOT_AND_TAKE_COINS;
+    if (!player) return { skipped: true };
+
+    if (ai.visualEffectsSystem) {
+      ai.visualEffectsSystem.createEnemyAttackEffect(enemy.x, enemy.y, 'shoot');
+    } else {
+      createFallbackShot(scene, enemy, player);
+    }
+
+    // Take away coins
+    let coinsTaken = 0;
+    if (scene.coinSystem && scene.scoringSystem) {
+      const coinsToSteal = Math.max(1, Math.round(settings.COINS_TAKEN * ai.personality.weights.punish));
+      coinsTaken = Math.min(coinsToSteal, scene.scoringSystem.coins);
+      scene.scoringSystem.removeCoins(coinsTaken);
+
+      if (ai.visualEffectsSystem && coinsTaken > 0) {
+        ai.visualEffectsSystem.createCoinLossEffect(player.x, player.y, coinsTaken);
+      }
+    }
+
+    // Small knockback away from the enemy
+    if (player.body && enemy) {
+      const knockbackX = player.x > enemy.x ? settings.KNOCKBACK : -settings.KNOCKBACK;
+      player.body.setVelocityX(player.body.velocity.x + knockbackX);
+    }
+
+    console.log('💥 Player shot and coins taken!');
+    return { coinsTaken };
+  }
+};
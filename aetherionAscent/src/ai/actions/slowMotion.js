@@ -0,0 +1,39 @@
+import { CONFIG } from '../../config/gameConfig.js';
+import { showActionText } from './actionEffects.js';
+
+/**
+ * slowMotion - Make the World Drag for a Moment
+ *
+ * Slows the physics (player, falling, moving platforms) but not the void,
+ * so it is a nuisance rather than a gift.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export const slowMotion = {
+  name: 'slowMotion',
+  description: 'Slows the player\'s movement down for a few seconds while the void keeps rising',
+  guidance: 'Impatience and demands to hurry up',
+  hostile: true,
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+
+  /**
+   * @param {AiSystem} ai - Acting enemy's AI
+   * @returns {object} Result for the model
+   */
+  execute(ai) {
+    const { scene, player } = ai;
+    const settings = CONFIG.AI_ACTIONS.SLOW_MOTION;
+
+    scene.startSlowMotion(settings.TIME_SCALE, settings.DURATION);
+    if (player) {
+      showActionText(scene, player.x, player.y - 40, 'Sloooow...', '#b0bec5');
+    }
+
+    return { timeScale: settings.TIME_SCALE, durationMs: settings.DURATION };
+  }
+};
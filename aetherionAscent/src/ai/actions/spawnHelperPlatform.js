@@ -0,0 +1,59 @@
+import { CONFIG } from '../../config/gameConfig.js';
+import { flashRing, showActionText } from './actionEffects.js';
+
+/**
+ * spawnHelperPlatform - Temporary Ledge Above the Player
+ *
+ * A friendly trick: a glowing platform appears within jumping reach and
+ * fades away after a few seconds. It goes through the platform generator
+ * (so it collides and recycles like any platform) but never carries coins
+ * or triggers enemy spawns.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export const spawnHelperPlatform = {
+  name: 'spawnHelperPlatform',
+  description: 'Creates a temporary platform just above the player to help them climb',
+  guidance: 'A kind gesture for players who are nice, or who ask for help politely',
+  hostile: false,
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+
+  /**
+   * @param {AiSystem} ai - Acting enemy's AI
+   * @returns {object} Result for the model
+   */
+  execute(ai) {
+    const { scene, player } = ai;
+    const settings = CONFIG.AI_ACTIONS.SPAWN_HELPER_PLATFORM;
+    if (!player || !scene.platformGenerator) return { skipped: true };
+
+    const x = player.x;
+    const y = player.body.bottom - settings.HEIGHT_ABOVE;
+    const platform = scene.platformGenerator.createUnifiedPlatform(x, y, settings.WIDTH, false, {
+      type: 'helper',
+      temporary: true
+    });
+
+    // Another platform is already in the way
+    if (!platform) return { skipped: true, reason: 'no room above the player' };
+
+    platform.setTint(settings.TINT);
+    flashRing(scene, platform.x, platform.y, settings.TINT);
+    showActionText(scene, platform.x, platform.y - 20, 'A ledge appears!', '#80deea');
+
+    // Fade out and disappear (unless it was already recycled and reused)
+    const data = platform.platformData;
+    scene.time.delayedCall(settings.LIFETIME, () => {
+      if (platform.platformData === data) {
+        scene.platformGenerator.removePlatform(platform);
+      }
+    });
+
+    return { platformY: Math.round(y), lifetimeMs: settings.LIFETIME };
+  }
+};
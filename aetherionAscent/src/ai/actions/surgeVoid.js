@@ -0,0 +1,41 @@
+import { CONFIG } from '../../config/gameConfig.js';
+import { showActionText } from './actionEffects.js';
+
+/**
+ * surgeVoid - Make the Void Leap Upward
+ *
+ * The void jumps up at once but always stops a safe gap below the player,
+ * so it raises the pressure without ending the run outright.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export const surgeVoid = {
+  name: 'surgeVoid',
+  description: 'Makes the rising void surge upward toward the player',
+  guidance: 'Strong rudeness or dismissiveness when you want to add pressure',
+  hostile: true,
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+
+  /**
+   * @param {AiSystem} ai - Acting enemy's AI
+   * @returns {object} Result for the model
+   */
+  execute(ai) {
+    const { scene, player } = ai;
+    const settings = CONFIG.AI_ACTIONS.SURGE_VOID;
+    if (!player || !scene.voidSystem) return { skipped: true };
+
+    const risen = scene.voidSystem.surge(settings.DISTANCE, player.body.bottom + settings.MIN_PLAYER_GAP);
+    if (risen <= 0) return { skipped: true, reason: 'void is already close' };
+
+    scene.cameras.main.shake(CONFIG.CAMERA.SHAKE_DURATION, 0.006);
+    showActionText(scene, player.x, player.y - 40, 'The void surges!', '#ff5252');
+
+    return { risenPx: Math.round(risen) };
+  }
+};
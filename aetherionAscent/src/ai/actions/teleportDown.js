@@ -0,0 +1,53 @@
+import { CONFIG } from '../../config/gameConfig.js';
+import { flashRing, showActionText } from './actionEffects.js';
+
+/**
+ * teleportDown - Send the Player Back Down a Level
+ *
+ * Drops the player onto a platform below, but only one that is still safely
+ * above the void.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export const teleportDown = {
+  name: 'teleportDown',
+  description: 'Teleports the player down onto a lower platform, undoing some of their climb',
+  guidance: 'Arrogance, bragging or persistent rudeness',
+  hostile: true,
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+
+  /**
+   * @param {AiSystem} ai - Acting enemy's AI
+   * @returns {object} Result for the model
+   */
+  execute(ai) {
+    const { scene, player } = ai;
+    const settings = CONFIG.AI_ACTIONS.TELEPORT_DOWN;
+    if (!player || !scene.platformGenerator || !scene.voidSystem) return { skipped: true };
+
+    const surface = scene.platformGenerator.findSurfaceBelow(player.x, player.body.bottom, settings.MIN_DROP, settings.MAX_DROP);
+    if (!surface) return { skipped: true, reason: 'no platform below' };
+
+    const top = surface.body.y;
+    if (scene.voidSystem.getVoidY() - top < settings.MIN_VOID_GAP) {
+      return { skipped: true, reason: 'platform below is too close to the void' };
+    }
+
+    const fromY = player.y;
+    flashRing(scene, player.x, player.y, 0xea80fc);
+
+    // Stand the player on the platform with no leftover momentum
+    player.body.reset(player.x, top - player.body.height / 2);
+    player.playerState.horizontalSpeed = 0;
+
+    flashRing(scene, player.x, player.y, 0xea80fc);
+    showActionText(scene, player.x, player.y - 40, 'Down you go!', '#ea80fc');
+
+    return { droppedPx: Math.round(player.y - fromY) };
+  }
+};
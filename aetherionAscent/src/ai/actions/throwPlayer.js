@@ -0,0 +1,122 @@
+/**
+ * throwPlayer - Wind Gust Scaled by How Rude the Player Was
+ *
+ * Direction and forces are random; they are stored in `resolved` so a replay
+ * pushes the player exactly the same way.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+// Shown in the console for each insult level
+const WIND_MESSAGES = [
+  '💨 A gentle breeze pushes you...',
+  '💨 Wind picks up and pushes you!',
+  '💨 Strong winds throw you around!',
+  '💨 Powerful gales LAUNCH you!',
+  '💨 HURRICANE FORCE WINDS OBLITERATE YOU!'
+];
+
+/**
+ * Wind particles around the player (used when there is no VisualEffectsSystem)
+ * @param {Phaser.Scene} scene - Game scene
+ * @param {Player} player - Player being thrown
+ * @param {number} insultLevel - How bad the insult was (1-5 scale)
+ */
+const createFallbackWind = (scene, player, insultLevel) => {
+  const centerX = player.x;
+  const centerY = player.y;
+
+  // Scale particle count and intensity based on insult level
+  const particleCount = 10 + (insultLevel * 8); // 18 to 50 particles
+  const spreadMultiplier = insultLevel * 0.4; // 0.4x to 2.0x spread
+  const speedMultiplier = insultLevel * 0.3; // 0.3x to 1.5x speed
+
+  // Color intensity based on insult level (lighter blue to white-hot)
+  const colors = [0x87ceeb, 0x87cefa, 0xb0e0e6, 0xe0ffff, 0xffffff];
+  const particleColor = colors[insultLevel - 1];
+
+  for (let i = 0; i < particleCount; i++) {
+    const particle = scene.add.circle(
+      centerX + (Math.random() - 0.5) * 100 * spreadMultiplier,
+      centerY + (Math.random() - 0.5) * 50 * spreadMultiplier,
+      Math.random() * 3 + 1 + insultLevel,
+      particleColor,
+      0.7 + (insultLevel * 0.05)
+    );
+
+    scene.tweens.add({
+      targets: particle,
+      x: centerX + (Math.random() - 0.5) * 300 * spreadMultiplier,
+      y: centerY - Math.random() * 100 * speedMultiplier,
+      alpha: 0,
+      duration: 800 - (insultLevel * 50), // Faster for higher insult levels
+      onComplete: () => particle.destroy()
+    });
+  }
+};
+
+export const throwPlayer = {
+  name: 'throwPlayer',
+  description: 'Creates wind that throws the player around based on insult severity',
+  guidance: 'Wind for teasing, mild rudeness and annoyance (insultLevel 1-5)',
+  hostile: true,
+  parameters: {
+    type: 'object',
+    properties: {
+      insultLevel: {
+        type: 'integer',
+        description: 'Insult level from 1-5 determining wind strength',
+        minimum: 1,
+        maximum: 5
+      }
+    },
+    required: ['insultLevel']
+  },
+
+  /**
+   * @param {AiSystem} ai - Acting enemy's AI
+   * @param {object} args - {insultLevel}
+   * @param {object} resolved - {windDirection, forceX, forceY}: empty to roll them (they are stored in it), recorded ones on replay
+   * @returns {object} Result for the model
+   */
+  execute(ai, args, resolved = {}) {
+    const { scene, player } = ai;
+    if (!player || !player.body) return { skipped: true };
+
+    // Clamp insult level between 1 and 5
+    const insultLevel = Math.max(1, Math.min(5, args.insultLevel || 3));
+    console.log(`🌪️ THROW: insultLevel ${insultLevel}`);
+
+    // Wind direction is random, unless a replay brings the recorded one
+    if (resolved.windDirection === undefined) {
+      resolved.windDirection = Math.random() > 0.5 ? 1 : -1;
+    }
+    const windDirection = resolved.windDirection;
+
+    if (ai.visualEffectsSystem) {
+      ai.visualEffectsSystem.createWindEffect(insultLevel, windDirection, 2000);
+    } else {
+      createFallbackWind(scene, player, insultLevel);
+    }
+
+    // Scale wind force based on how insulting the message was
+    const baseForceX = 300;
+    const baseForceY = 150;
+    const moodMultiplier = scene.reputationSystem ? scene.reputationSystem.getWindMultiplier() : 1;
+    const multiplier = insultLevel * 0.3 * moodMultiplier * ai.personality.weights.punish; // 0.3x to 1.5x, scaled by mood and personality
+
+    // Forces are recorded as applied so a replay pushes exactly the same way
+    if (resolved.forceX === undefined || resolved.forceY === undefined) {
+      resolved.forceX = (Math.random() - 0.5) * baseForceX * multiplier * 2;
+      resolved.forceY = -(Math.random() * baseForceY + baseForceY) * multiplier;
+    }
+    const { forceX, forceY } = resolved;
+
+    console.log(`🌪️ THROW: Applying forces - X: ${Math.round(forceX)}, Y: ${Math.round(forceY)}`);
+    player.applyWindEffect(forceX, forceY, 2000);
+
+    console.log(WIND_MESSAGES[insultLevel - 1]);
+    return { insultLevel, windDirection: windDirection > 0 ? 'right' : 'left' };
+  }
+};
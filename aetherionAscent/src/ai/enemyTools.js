@@ -0,0 +1,23 @@
+import { ENEMY_ACTIONS } from './actions/index.js';
+
+/**
+ * Enemy Tools - Provider-Neutral Function Declarations
+ *
+ * The actions the AI enemy can take, as plain JSON Schema. They are derived
+ * from the action registry (ai/actions/index.js), so a new action only has to
+ * be declared once. Each LLM provider translates these into its own
+ * tool/function format, and every provider returns calls to them in the same
+ * neutral shape:
+ *
+ *   { text: string, actions: [{ name: string, args: object }] }
+ *
+ * AiSystem looks each name up in the registry to run it.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export const ENEMY_TOOLS = ENEMY_ACTIONS.map(({ name, description, parameters }) => ({
+  name,
+  description,
+  parameters
+}));
@@ -0,0 +1,67 @@
+/**
+ * Gameplay Events - Moments an Enemy Reacts to Without Being Spoken to
+ *
+ * Each event type says how to describe it to the model, which taunts to use
+ * when no model is available, and what the enemy does in that case:
+ *
+ *   {
+ *     describe(data),  // one line for the model, e.g. "The player just climbed past you"
+ *     taunts,          // canned chat lines for the offline fallback
+ *     fallbackAction   // {name, args} or null (taunt only)
+ *   }
+ *
+ * GameplayEventSystem detects the events; AiSystem.handleGameplayEvent turns
+ * them into an AI turn. Pure data, so the mock provider and tests can use it.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export const GAMEPLAY_EVENTS = {
+  playerPassed: {
+    describe: () => 'The player just climbed past you without a word',
+    taunts: [
+      'Going somewhere? Not without saying hello.',
+      'Climbing past me? How rude.',
+      'I saw that. Keep your eyes on your feet.'
+    ],
+    fallbackAction: { name: 'throwPlayer', args: { insultLevel: 2 } }
+  },
+  coinStreak: {
+    describe: (data) => `The player just grabbed a streak of ${data.combo} coins in a row`,
+    taunts: [
+      'Greedy little climber, aren\'t you?',
+      'That many coins? I\'ll be having some of those.',
+      'Shiny. Mine.'
+    ],
+    fallbackAction: { name: 'shootAndTakeCoins', args: {} }
+  },
+  bigFall: {
+    describe: (data) => `The player just fell ${data.distance} pixels down the tower`,
+    taunts: [
+      'Ha! Gravity wins again.',
+      'All that climbing, gone. Beautiful.',
+      'Try going up next time.'
+    ],
+    fallbackAction: null
+  },
+  ignored: {
+    describe: (data) => `The player has ignored you for ${data.seconds} seconds`,
+    taunts: [
+      'Hello? I\'m right here.',
+      'Too proud to talk to me?',
+      'The silent type. Let\'s see if wind gets your attention.'
+    ],
+    fallbackAction: { name: 'throwPlayer', args: { insultLevel: 1 } }
+  }
+};
+
+/**
+ * Pick a canned taunt for an event (varies with how often it happened)
+ * @param {string} type - GAMEPLAY_EVENTS key
+ * @param {number} count - How many times the enemy reacted to this event type before
+ * @returns {string} Taunt line
+ */
+export const pickEventTaunt = (type, count = 0) => {
+  const taunts = GAMEPLAY_EVENTS[type].taunts;
+  return taunts[count % taunts.length];
+};
@@ -0,0 +1,30 @@
+import { CONFIG } from '../../config/gameConfig.js';
+import { ENEMY_ACTIONS } from '../actions/index.js';
+import { PersonalityRegistry } from '../PersonalityRegistry.js';
+
+/**
+ * Personality Loader
+ *
+ * Bundles every *.json file in this folder at build time and registers it.
+ * Drop a new file here to add a personality; a broken file is reported in
+ * the console and skipped instead of stopping the game.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+const files = import.meta.glob('./*.json', { eager: true, import: 'default' });
+
+export const personalityRegistry = new PersonalityRegistry({
+  defaultId: CONFIG.AI.DEFAULT_PERSONALITY,
+  knownActions: ENEMY_ACTIONS.map(action => action.name)
+});
+
+Object.entries(files).forEach(([path, definition]) => {
+  try {
+    personalityRegistry.register(definition);
+  } catch (error) {
+    console.error(`🎭 Skipping personality ${path}:`, error.message);
+  }
+});
+
+console.log(`🎭 Personalities loaded: ${personalityRegistry.getAll().map(personality => personality.name).join(', ')}`);
@@ -0,0 +1,64 @@
+/**
+ * Personality Prompt - Builds an Enemy's System Prompt From Its Personality
+ *
+ * The personality file supplies the voice (tone, rules, examples,
+ * guidelines, per-action notes); the game supplies the actions the enemy may
+ * use and the rules every enemy shares (one action per message, spam score,
+ * conversation history, reputation).
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+/**
+ * Write a function the way the model should call it, e.g. "throwPlayer(insultLevel)"
+ * @param {object} action - Action from the registry
+ * @returns {string} Call signature
+ */
+const formatSignature = (action) => `${action.name}(${Object.keys(action.parameters.properties || {}).join(', ')})`;
+
+/**
+ * Build the system prompt for one enemy
+ * @param {object} personality - Normalized personality (see PersonalityRegistry)
+ * @param {Array<object>} actions - Registry actions this enemy may use
+ * @param {string} moodSummary - Current reputation summary ('' for none)
+ * @returns {string} System prompt
+ */
+export const buildSystemPrompt = (personality, actions, moodSummary = '') => {
+  const functions = actions.map((action, index) => {
+    const notes = personality.actionNotes[action.name] || [`Use for: ${action.guidance}`];
+    return `${index + 1}. ${formatSignature(action)} - ${action.description}\n${notes.map(note => `   - ${note}`).join('\n')}`;
+  });
+
+  if (actions.some(action => action.name === 'grantShield')) {
+    functions.push('Note: while the player has a shield, your next punishment is blocked and only breaks the shield');
+  }
+
+  const examples = personality.examples.map(example =>
+    `- "${example.message}" → ${example.action}${example.reason ? ` (${example.reason})` : ''}`
+  );
+
+  const sections = [
+    personality.tone,
+    `AVAILABLE FUNCTIONS:\n${functions.join('\n\n')}`,
+    `DETAILED DECISION RULES:\n- ALWAYS call exactly ONE function per response. Never skip responding.\n${personality.decisionRules.map(rule => `- ${rule}`).join('\n')}`
+  ];
+
+  if (examples.length > 0) {
+    sections.push(`EXAMPLES:\n${examples.join('\n')}`);
+  }
+
+  sections.push(`BEHAVIOR GUIDELINES:\n${[
+    ...personality.guidelines,
+    'Only call the functions listed above',
+    'Always consider the player\'s recent message history for context',
+    'Each message comes with a spam score (0-5). If it is 1 or more the player is flooding the chat: never reward them, use throwPlayer with an insultLevel of at least spam score + 1, or shootAndTakeCoins',
+    'The conversation so far includes your earlier replies and the functions you called (with their results) - use it to spot streaks and repetition'
+  ].map(line => `- ${line}`).join('\n')}`);
+
+  if (moodSummary) {
+    sections.push(`YOUR MOOD TOWARDS THE PLAYER: ${moodSummary}\nEvery reward you give raises the player's reputation and every punishment lowers it. Your mood also changes how strong your wind is and how many coins you give.`);
+  }
+
+  return sections.join('\n\n');
+};
@@ -0,0 +1,149 @@
+import { LlmProvider } from './LlmProvider.js';
+
+// One proxy rate limit session per page load, shared by every enemy
+const PROXY_SESSION_ID = globalThis.crypto && globalThis.crypto.randomUUID
+  ? globalThis.crypto.randomUUID()
+  : `session-${Date.now()}-${Math.floor(Math.random() * 1e9)}`;
+
+/**
+ * GeminiProvider - Google Gemini generateContent API
+ *
+ * Sends the system prompt as systemInstruction, the tools as
+ * functionDeclarations, and authenticates with the x-goog-api-key header
+ * (the key never ends up in a URL or request log). Earlier turns go in as
+ * real multi-turn contents: the enemy's replies as model turns with their
+ * functionCall parts, followed by the matching functionResponse parts.
+ *
+ * In the browser it talks to the local AI proxy (aiProxy/ in the repo root),
+ * which holds the key and adds it on the way to Google. A direct key is only
+ * used from Node scripts, where it never reaches a page.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class GeminiProvider extends LlmProvider {
+  /**
+   * @param {object} options - Provider settings
+   * @param {string} options.apiKey - Google AI Studio API key
+   * @param {string} options.model - Model name, e.g. gemini-2.5-flash
+   * @param {string} options.baseUrl - API root, e.g. https://generativelanguage.googleapis.com/v1beta
+   * @param {string} options.proxyUrl - AI proxy root, e.g. http://localhost:8787 (replaces baseUrl and apiKey)
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor(options = {}) {
+    super('Gemini', options);
+    this.apiKey = options.apiKey;
+    this.model = options.model;
+    this.proxyUrl = (options.proxyUrl || '').replace(/\/+$/, '');
+    this.baseUrl = this.proxyUrl
+      ? `${this.proxyUrl}/gemini/v1beta`
+      : (options.baseUrl || '').replace(/\/+$/, '');
+  }
+
+  /**
+   * Gemini needs the AI proxy or a real API key
+   * @returns {boolean} True if either is configured
+   */
+  isAvailable() {
+    return !!this.proxyUrl || (!!this.apiKey && this.apiKey !== 'your_google_api_key_here');
+  }
+
+  /**
+   * Headers that authenticate a request
+   * @returns {object} Session id for the proxy, or the API key when calling Google directly
+   */
+  getAuthHeaders() {
+    return this.proxyUrl
+      ? { 'X-Session-Id': PROXY_SESSION_ID }
+      : { 'x-goog-api-key': this.apiKey };
+  }
+
+  /**
+   * Call generateContent and normalize the reply
+   * @param {object} request - {systemPrompt, history, prompt, tools, temperature}
+   * @returns {Promise<object>} {text, actions}
+   */
+  async generate(request) {
+    const body = {
+      systemInstruction: {
+        parts: [{ text: request.systemPrompt }]
+      },
+      contents: this.buildContents(request.history || [], request.prompt),
+      tools: [{
+        functionDeclarations: request.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }))
+      }],
+      generationConfig: {
+        temperature: request.temperature
+      }
+    };
+
+    console.log(`🤖 Gemini: Request body:`, JSON.stringify(body, null, 2));
+
+    const data = await this.postJson(`${this.baseUrl}/models/${this.model}:generateContent`, body, this.getAuthHeaders());
+
+    console.log(`🤖 Gemini: Response received:`, JSON.stringify(data, null, 2));
+    return this.parseResponse(data);
+  }
+
+  /**
+   * Turn the conversation history plus the current prompt into Gemini contents
+   * @param {Array<object>} history - Earlier turns from ConversationHistory
+   * @param {string} prompt - Current player turn
+   * @returns {Array<object>} contents array (user/model turns, merged so roles alternate)
+   */
+  buildContents(history, prompt) {
+    const contents = [];
+    const append = (role, parts) => {
+      if (parts.length === 0) return;
+
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) {
+        last.parts.push(...parts);
+      } else {
+        contents.push({ role, parts });
+      }
+    };
+
+    history.forEach(turn => {
+      if (turn.role === 'player') {
+        append('user', [{ text: turn.text }]);
+        return;
+      }
+
+      // Enemy turn: reply text and function calls, then what those calls did
+      append('model', [
+        ...(turn.text ? [{ text: turn.text }] : []),
+        ...turn.actions.map(action => ({ functionCall: { name: action.name, args: action.args } }))
+      ]);
+      append('user', turn.actions.map(action => ({
+        functionResponse: { name: action.name, response: action.result }
+      })));
+    });
+
+    append('user', [{ text: prompt }]);
+    return contents;
+  }
+
+  /**
+   * Convert a generateContent response into the neutral shape
+   * @param {object} data - Gemini response body
+   * @returns {object} {text, actions}
+   */
+  parseResponse(data) {
+    const parts = data.candidates?.[0]?.content?.parts || [];
+
+    return {
+      text: parts.filter(part => part.text).map(part => part.text).join(''),
+      actions: parts
+        .filter(part => part.functionCall)
+        .map(part => ({
+          name: part.functionCall.name,
+          args: part.functionCall.args || {}
+        }))
+    };
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * LlmProvider - Base Class for AI Enemy Language Model Backends
+ *
+ * A provider turns one enemy turn into a neutral result:
+ * - Input: { systemPrompt, history, prompt, message, tools, temperature }
+ *   (history is the earlier turns from ai/ConversationHistory.js, prompt the
+ *   current turn with context, message the raw player text, tools the
+ *   neutral declarations from ai/enemyTools.js)
+ * - Output: { text, actions: [{ name, args }] }
+ *
+ * Subclasses translate the request into their wire format and parse the reply
+ * back. Network failures and bad responses are thrown; AiSystem decides how to
+ * fall back.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class LlmProvider {
+  /**
+   * @param {string} name - Provider name shown in logs
+   * @param {object} options - Provider settings
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.timeout = options.timeout || 15000;
+  }
+
+  /**
+   * Check whether the provider has what it needs (keys, URLs) to make requests
+   * @returns {boolean} True if generate() can be called
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Generate the enemy's reply and actions for one player message (or gameplay event)
+   * @param {object} request - {systemPrompt, history, prompt, message, tools, temperature, event}
+   *   event is {type, count} when the enemy reacts to gameplay on its own
+   * @returns {Promise<object>} {text, actions}
+   */
+  async generate(request) {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+
+  /**
+   * POST a JSON body and parse the JSON reply, giving up after the timeout
+   * @param {string} url - Endpoint URL
+   * @param {object} body - Request body
+   * @param {object} headers - Extra headers
+   * @returns {Promise<object>} Parsed response body
+   */
+  async postJson(url, body, headers = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`🤖 ${this.name}: HTTP ${response.status} - ${response.statusText}`, errorText);
+        throw new Error(`${this.name} request failed: ${response.status} - ${errorText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`${this.name} request timed out after ${this.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
@@ -0,0 +1,81 @@
+import { LlmProvider } from './LlmProvider.js';
+import { SentimentClassifier } from '../SentimentClassifier.js';
+import { GAMEPLAY_EVENTS, pickEventTaunt } from '../gameplayEvents.js';
+
+/**
+ * MockProvider - Deterministic Rule-Based Enemy (No Network)
+ *
+ * Lets the whole chat loop run offline and in tests. The decision comes from
+ * the local SentimentClassifier (the same rules AiSystem falls back to when a
+ * real model fails), the reply from its canned lines. Gameplay events get the
+ * event's canned taunt and fallback action.
+ *
+ * The same message and history always produce the same reply and action.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class MockProvider extends LlmProvider {
+  /**
+   * @param {object} options - Provider settings
+   * @param {number} options.latency - Simulated response delay in ms
+   */
+  constructor(options = {}) {
+    super('Mock', options);
+    this.latency = options.latency || 0;
+    this.classifier = new SentimentClassifier();
+  }
+
+  /**
+   * Pick an action from the player's message
+   * @param {object} request - {message, recentMessages, spamScore, tools, event}
+   * @returns {Promise<object>} {text, actions}
+   */
+  async generate(request) {
+    const response = request.event ? this.reactToEvent(request.event) : this.reactToMessage(request);
+
+    // Only call tools the game actually offered
+    const offered = name => (request.tools || []).some(tool => tool.name === name);
+
+    if (this.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+
+    return {
+      text: response.text,
+      actions: response.actions.filter(action => offered(action.name))
+    };
+  }
+
+  /**
+   * Classify a player message
+   * @param {object} request - {message, recentMessages, spamScore}
+   * @returns {object} {text, actions}
+   */
+  reactToMessage(request) {
+    const message = (request.message || '').trim();
+    const verdict = this.classifier.applySpamPenalty(
+      this.classifier.classify(message, request.recentMessages || []),
+      request.spamScore || 0
+    );
+
+    return {
+      text: this.classifier.suggestReply(verdict.action, message),
+      actions: [this.classifier.toAction(verdict)]
+    };
+  }
+
+  /**
+   * Taunt about a gameplay event
+   * @param {object} event - {type, count}
+   * @returns {object} {text, actions}
+   */
+  reactToEvent(event) {
+    const fallbackAction = GAMEPLAY_EVENTS[event.type].fallbackAction;
+
+    return {
+      text: pickEventTaunt(event.type, event.count || 0),
+      actions: fallbackAction ? [fallbackAction] : []
+    };
+  }
+}
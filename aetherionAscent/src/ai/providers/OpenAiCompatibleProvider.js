@@ -0,0 +1,146 @@
+import { LlmProvider } from './LlmProvider.js';
+
+/**
+ * OpenAiCompatibleProvider - Any /chat/completions Endpoint With Tool Calling
+ *
+ * Works with OpenAI itself and with local servers that speak the same API
+ * (Ollama, LM Studio, llama.cpp server, vLLM). Point baseUrl at the API root,
+ * e.g. http://localhost:11434/v1 for Ollama. The API key is optional for
+ * local servers. Earlier turns are sent as real chat messages: enemy replies
+ * as assistant messages with tool_calls, each followed by its tool result.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class OpenAiCompatibleProvider extends LlmProvider {
+  /**
+   * @param {object} options - Provider settings
+   * @param {string} options.baseUrl - API root ending before /chat/completions
+   * @param {string} options.apiKey - Bearer token (optional for local servers)
+   * @param {string} options.model - Model name
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor(options = {}) {
+    super('OpenAI-compatible', options);
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.model = options.model;
+  }
+
+  /**
+   * Needs at least an endpoint to talk to
+   * @returns {boolean} True if a base URL is configured
+   */
+  isAvailable() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Call /chat/completions and normalize the reply
+   * @param {object} request - {systemPrompt, history, prompt, tools, temperature}
+   * @returns {Promise<object>} {text, actions}
+   */
+  async generate(request) {
+    const body = {
+      model: this.model,
+      messages: this.buildMessages(request.systemPrompt, request.history || [], request.prompt),
+      tools: request.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      })),
+      tool_choice: 'auto',
+      temperature: request.temperature
+    };
+
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+
+    console.log(`🤖 OpenAI-compatible: Request to ${this.baseUrl} (${this.model})`);
+    const data = await this.postJson(`${this.baseUrl}/chat/completions`, body, headers);
+    console.log(`🤖 OpenAI-compatible: Response received:`, JSON.stringify(data, null, 2));
+
+    return this.parseResponse(data);
+  }
+
+  /**
+   * Turn the conversation history plus the current prompt into chat messages
+   * @param {string} systemPrompt - Enemy instructions
+   * @param {Array<object>} history - Earlier turns from ConversationHistory
+   * @param {string} prompt - Current player turn
+   * @returns {Array<object>} messages array
+   */
+  buildMessages(systemPrompt, history, prompt) {
+    const messages = [{ role: 'system', content: systemPrompt }];
+
+    history.forEach((turn, turnIndex) => {
+      if (turn.role === 'player') {
+        messages.push({ role: 'user', content: turn.text });
+        return;
+      }
+
+      // Enemy turn: tool call ids only need to be unique within this request
+      const calls = turn.actions.map((action, actionIndex) => ({
+        id: `call_${turnIndex}_${actionIndex}`,
+        type: 'function',
+        function: { name: action.name, arguments: JSON.stringify(action.args) }
+      }));
+
+      if (!turn.text && calls.length === 0) return;
+
+      messages.push({
+        role: 'assistant',
+        content: turn.text || null,
+        ...(calls.length > 0 ? { tool_calls: calls } : {})
+      });
+      turn.actions.forEach((action, actionIndex) => {
+        messages.push({
+          role: 'tool',
+          tool_call_id: calls[actionIndex].id,
+          content: JSON.stringify(action.result)
+        });
+      });
+    });
+
+    messages.push({ role: 'user', content: prompt });
+    return messages;
+  }
+
+  /**
+   * Convert a chat completion into the neutral shape
+   * @param {object} data - Chat completion response body
+   * @returns {object} {text, actions}
+   */
+  parseResponse(data) {
+    const message = data.choices?.[0]?.message || {};
+
+    return {
+      text: message.content || '',
+      actions: (message.tool_calls || [])
+        .filter(call => call.function && call.function.name)
+        .map(call => ({
+          name: call.function.name,
+          args: this.parseArguments(call.function.arguments)
+        }))
+    };
+  }
+
+  /**
+   * Tool call arguments arrive as a JSON string (some local servers send an object)
+   * @param {string|object} rawArguments - Arguments from the tool call
+   * @returns {object} Parsed arguments ({} if unreadable)
+   */
+  parseArguments(rawArguments) {
+    if (!rawArguments) return {};
+    if (typeof rawArguments === 'object') return rawArguments;
+
+    try {
+      return JSON.parse(rawArguments);
+    } catch (error) {
+      console.warn(`🤖 OpenAI-compatible: Unreadable tool arguments: ${rawArguments}`);
+      return {};
+    }
+  }
+}
@@ -0,0 +1,98 @@
+import { CONFIG } from '../../config/gameConfig.js';
+import { GeminiProvider } from './GeminiProvider.js';
+import { OpenAiCompatibleProvider } from './OpenAiCompatibleProvider.js';
+import { MockProvider } from './MockProvider.js';
+
+/**
+ * LLM Provider Selection
+ *
+ * Builds the provider named by CONFIG.AI.PROVIDER, with environment overrides:
+ * - VITE_AI_PROVIDER          auto | gemini | openai | mock
+ * - VITE_AI_PROXY_URL         Local AI proxy root, e.g. http://localhost:8787 (holds the Gemini key)
+ * - GOOGLE_API_KEY            Gemini key for Node scripts only - never read from the Vite env
+ * - VITE_GEMINI_MODEL         Gemini model name
+ * - VITE_OPENAI_BASE_URL      OpenAI-compatible API root, e.g. http://localhost:11434/v1
+ * - VITE_OPENAI_API_KEY       Bearer token for that endpoint (optional)
+ * - VITE_OPENAI_MODEL         Model name for that endpoint
+ *
+ * 'auto' picks Gemini when the proxy (or, under Node, a key) is set, then an
+ * OpenAI-compatible endpoint when a URL is set, and otherwise the offline mock.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+/**
+ * Read AI settings from the Vite env (browser) or process.env (Node scripts)
+ * @returns {object} Raw environment values (missing ones are empty strings)
+ */
+export const readAiEnvironment = () => {
+  const viteEnv = import.meta.env || {};
+  const nodeEnv = typeof process !== 'undefined' && process.env ? process.env : {};
+  const read = (name) => viteEnv[name] || nodeEnv[name] || '';
+
+  // Anything VITE_-prefixed is bundled into the page, so a key there is public
+  if (viteEnv.VITE_GOOGLE_API_KEY) {
+    console.warn('🤖 VITE_GOOGLE_API_KEY is ignored and ships to every browser - move it to aiProxy/.env as GOOGLE_API_KEY and set VITE_AI_PROXY_URL');
+  }
+
+  return {
+    provider: read('VITE_AI_PROVIDER'),
+    proxyUrl: read('VITE_AI_PROXY_URL'),
+    googleApiKey: nodeEnv.GOOGLE_API_KEY || '',
+    geminiModel: read('VITE_GEMINI_MODEL'),
+    openAiBaseUrl: read('VITE_OPENAI_BASE_URL'),
+    openAiApiKey: read('VITE_OPENAI_API_KEY'),
+    openAiModel: read('VITE_OPENAI_MODEL')
+  };
+};
+
+/**
+ * Create the configured LLM provider
+ * @param {object} settings - AI settings (defaults to CONFIG.AI)
+ * @param {object} environment - Values from readAiEnvironment()
+ * @returns {LlmProvider} Provider ready to generate
+ */
+export const createLlmProvider = (settings = CONFIG.AI, environment = readAiEnvironment()) => {
+  const timeout = settings.REQUEST_TIMEOUT;
+
+  const providers = {
+    gemini: () => new GeminiProvider({
+      apiKey: environment.googleApiKey,
+      proxyUrl: environment.proxyUrl || settings.GEMINI.PROXY_URL,
+      model: environment.geminiModel || settings.GEMINI.MODEL,
+      baseUrl: settings.GEMINI.BASE_URL,
+      timeout
+    }),
+    openai: () => new OpenAiCompatibleProvider({
+      baseUrl: environment.openAiBaseUrl || settings.OPENAI.BASE_URL,
+      apiKey: environment.openAiApiKey,
+      model: environment.openAiModel || settings.OPENAI.MODEL,
+      timeout
+    }),
+    mock: () => new MockProvider({
+      latency: settings.MOCK.LATENCY,
+      timeout
+    })
+  };
+
+  const requested = (environment.provider || settings.PROVIDER || 'auto').toLowerCase();
+
+  if (requested !== 'auto') {
+    if (!providers[requested]) {
+      console.warn(`🤖 Unknown AI provider "${requested}" - falling back to auto`);
+    } else {
+      const provider = providers[requested]();
+      if (provider.isAvailable()) return provider;
+      console.warn(`🤖 AI provider "${requested}" is not configured - falling back to the offline mock`);
+      return providers.mock();
+    }
+  }
+
+  // Auto: first configured network provider, else the mock
+  for (const name of ['gemini', 'openai']) {
+    const provider = providers[name]();
+    if (provider.isAvailable()) return provider;
+  }
+  return providers.mock();
+};
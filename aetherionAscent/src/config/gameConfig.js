@@ -34,6 +34,72 @@ export const CONFIG = {
     PLATFORM_DESTRUCTION_OFFSET: 200 // How far below void before platforms are destroyed
   },
 
+  /**
+   * Player movement tuning - shared by the Player and the reachability solver
+   */
+  PLAYER: {
+    MAX_HORIZONTAL_SPEED: 250,       // Top running speed (px/s)
+    ACCELERATION: 800,               // Speed gained per second while holding a direction
+    DECELERATION: 600,               // Reference deceleration when input is released
+    JUMP_FORCE: 520,                 // Higher jump for strategic gap navigation
+    WALL_JUMP_FORCE: 460,            // Higher wall jump force
+    WALL_SLIDE_SPEED: 100,           // Max fall speed while sliding down a wall
+    MOMENTUM_JUMP_BONUS: 150,        // Extra jump force at full horizontal speed (Icy Tower style)
+    BODY_WIDTH: 20,                  // Physics body size
+    BODY_HEIGHT: 28
+  },
+
+  /**
+   * Platform reachability solver - keeps every generated platform jumpable
+   */
+  REACHABILITY: {
+    ASSUMED_SPEED_RATIO: 0.75,       // Takeoff speed the solver assumes (fraction of max speed)
+    SAFETY_MARGIN: 0.85,             // Fraction of the theoretical jump envelope counted as reachable
+    SOURCE_SEARCH_DEPTH: 320,        // How far below a new platform to look for launch platforms
+    STEPPING_STONE_WIDTH: 130,       // Width of inserted stepping stones
+    MAX_PLACEMENT_ATTEMPTS: 4,       // Spots rolled in a row before a stepping stone goes straight above the last platform
+    DEBUG_ARC_DROP: 220,             // How far below the launch point debug arcs are drawn
+    DEBUG_REDRAW_INTERVAL: 250       // ms between debug overlay redraws
+  },
+
+  /**
+   * Void pursuit difficulty curve
+   * Each profile scales the WORLD void constants above. Pick one with ?difficulty=easy|normal|hard
+   * Speed = base + time ramp + height bonus + catch-up boost, capped at MAX_SPEED (px/s)
+   */
+  VOID_DIFFICULTY: {
+    DEFAULT_PROFILE: 'normal',       // Profile used when none is requested
+    PROFILES: {
+      easy: {
+        GRACE_PERIOD: 8000,          // ms the void waits before it starts rising
+        RISE_SPEED_MULTIPLIER: 0.8,  // Scales WORLD.VOID_RISE_SPEED
+        ACCELERATION_MULTIPLIER: 1,  // Scales WORLD.VOID_ACCELERATION (px/s gained per second)
+        HEIGHT_SPEED_BONUS: 8,       // Extra px/s per 1000px of max height reached
+        CATCH_UP_DISTANCE: 900,      // Lead (px) the player can build before the void speeds up
+        CATCH_UP_FACTOR: 0.05,       // Extra px/s per px of lead beyond CATCH_UP_DISTANCE
+        MAX_SPEED: 70                // Hard speed cap
+      },
+      normal: {
+        GRACE_PERIOD: 5000,
+        RISE_SPEED_MULTIPLIER: 1,
+        ACCELERATION_MULTIPLIER: 2,
+        HEIGHT_SPEED_BONUS: 14,
+        CATCH_UP_DISTANCE: 700,
+        CATCH_UP_FACTOR: 0.1,
+        MAX_SPEED: 110
+      },
+      hard: {
+        GRACE_PERIOD: 2500,
+        RISE_SPEED_MULTIPLIER: 2,
+        ACCELERATION_MULTIPLIER: 4,
+        HEIGHT_SPEED_BONUS: 22,
+        CATCH_UP_DISTANCE: 500,
+        CATCH_UP_FACTOR: 0.2,
+        MAX_SPEED: 170
+      }
+    }
+  },
+
   /**
    * Dynamic lighting system configuration
    */
@@ -123,7 +189,49 @@ export const CONFIG = {
     GAP_CHANCE: 0.25,                // Probability of creating a gap/hole in a platform
     GAP_WIDTH_MIN: 40,               // Minimum width of gaps in platforms
     GAP_WIDTH_MAX: 80,               // Maximum width of gaps in platforms
+    GAP_MIN_SEGMENT_WIDTH: 40,       // Narrowest solid piece left on either side of a gap
     COIN_PLATFORM_CHANCE: 0.25,     // Reduced from 0.20 to 0.15 (15% instead of 20%)
+    PLATFORM_TYPE_WEIGHTS: {         // Relative spawn weights for generated platforms (see PLATFORM_TYPES)
+      normal: 60,
+      moving: 10,
+      crumbling: 9,
+      bouncy: 6,
+      icy: 9,
+      oneWay: 6
+    }
+  },
+
+  /**
+   * Special platform behaviours - tuning per platform type
+   */
+  PLATFORM_TYPES: {
+    moving: {
+      TEXTURE: 'platformMoving',
+      VERTICAL_CHANCE: 0.3,          // Share of moving platforms that travel up/down instead of sideways
+      RANGE_X_MIN: 40,               // Travel distance either side of the spawn point (px)
+      RANGE_X_MAX: 110,
+      RANGE_Y_MIN: 20,
+      RANGE_Y_MAX: 40,
+      SPEED: 60                      // Travel speed (px/s)
+    },
+    crumbling: {
+      TEXTURE: 'platformCrumbling',
+      CRUMBLE_DELAY: 600,            // ms after landing before it falls apart
+      RESPAWN_DELAY: 3500            // ms before it reforms
+    },
+    bouncy: {
+      TEXTURE: 'platformBouncy',
+      BOUNCE_FORCE: 760              // Upward launch speed on landing
+    },
+    icy: {
+      TEXTURE: 'platformIcy',
+      ACCELERATION_MULTIPLIER: 0.4,  // Slower to change direction on ice
+      DECELERATION_FACTOR: 0.985     // Per-frame speed kept with no input (normal ground is 0.85)
+    },
+    oneWay: {
+      TEXTURE: 'platformOneWay',
+      ALPHA: 0.8                     // Slightly see-through to hint you can jump through it
+    }
   },
 
   /**
@@ -145,6 +253,9 @@ export const CONFIG = {
    */
   PERFORMANCE: {
     MAX_VISIBLE_PLATFORMS: 50,       // Limit active platforms for performance
+    PLATFORM_RECYCLE_DISTANCE: 600,  // Platforms this far below the camera's bottom edge go back to the pool
+    PLATFORM_CLEANUP_INTERVAL: 500,  // ms between platform cleanup passes
+    PLATFORM_POOL_MAX: 60,           // Spare platform sprites kept for reuse (extras are destroyed)
     PARTICLE_CULLING_DISTANCE: 400,  // Distance before particles are culled
     LIGHT_CULLING_DISTANCE: 500,     // Distance before lights are disabled
     TARGET_FPS: 60                   // Target frame rate
@@ -168,7 +279,12 @@ export const CONFIG = {
       0xfff176   // Pale gold
     ],
     PARTICLE_COUNT: 8,               // Particles spawned when collected
-    PARTICLE_LIFETIME: 1000          // Collection effect particle duration
+    PARTICLE_LIFETIME: 1000,         // Collection effect particle duration
+    BONUS_CHANCE: 0.1,               // Chance a generated coin is a rare bonus coin
+    BONUS_COLOR: 0xe040fb,           // Bonus coin tint and glow color
+    BONUS_SCALE: 1.35,               // Bonus coins are a bit bigger
+    BONUS_GLOW_RADIUS: 48,           // Bonus coin light radius
+    BONUS_LIGHT_INTENSITY: 1.4       // Bonus coin light intensity
   },
 
   /**
@@ -179,8 +295,219 @@ export const CONFIG = {
     HEIGHT_SCORE_MULTIPLIER: 1,     // Multiplier for height score
     COIN_VALUE: 50,                  // Base points per coin
     BONUS_COIN_VALUE: 100,           // Special coin bonus value
-    COMBO_MULTIPLIER: 1.5,           // Score multiplier for coin combos
-    COMBO_TIME_WINDOW: 2000          // Time window for combo collection (ms)
+    COMBO_MULTIPLIER: 1.5,           // Score multiplier for coin combos (each chained pickup adds another +0.5x)
+    COMBO_TIME_WINDOW: 2000,         // Time window for combo collection (ms)
+    COMBO_MAX_MULTIPLIER: 4          // Cap on the combo multiplier
+  },
+
+  /**
+   * Persistent high score table (localStorage)
+   */
+  HIGH_SCORES: {
+    STORAGE_KEY: 'aetherionAscent.highScores',
+    SCHEMA_VERSION: 1,               // Bump (and add a migration) when the saved format changes
+    TABLE_SIZE: 10,                  // Runs shown in the top table
+    MAX_HISTORY: 100                 // Runs kept in history (top scores are never dropped)
+  },
+
+  /**
+   * Run recording and replay playback
+   */
+  REPLAY: {
+    VERSION: 2,                      // Bump when the replay file format changes (v2: AI actions stored as provider-neutral {text, actions})
+    KEYFRAME_INTERVAL: 200,          // ms between state keyframes that keep playback on the recorded path
+    SPEEDS: [0.25, 0.5, 1, 2, 4],    // Playback speeds cycled with -/+
+    SEEK_STEP: 5000                  // ms jumped per seek key press
+  },
+
+  /**
+   * Ghost racing against a recorded run
+   */
+  GHOSTS: {
+    STORAGE_KEY: 'aetherionAscent.ghosts',
+    SCHEMA_VERSION: 1,               // Bump when the saved ghost format changes
+    MAX_SAVED: 20,                   // Seeds that keep a best-run ghost (oldest dropped first)
+    ALPHA: 0.4,                      // Ghost opacity
+    TINT: 0x80deea                   // Ghost color
+  },
+
+  /**
+   * AI enemy language model provider (see src/ai/providers/createLlmProvider.js for env overrides)
+   */
+  AI: {
+    PROVIDER: 'auto',                // 'auto', 'gemini', 'openai' (any OpenAI-compatible endpoint) or 'mock' (offline)
+    TEMPERATURE: 0.3,
+    DEFAULT_PERSONALITY: 'trickster', // src/ai/personalities/<id>.json - used when no personality fits (?personality=<id> forces one)
+    REQUEST_TIMEOUT: 15000,          // ms before a provider request is abandoned
+    GEMINI: {
+      MODEL: 'gemini-2.5-flash',
+      BASE_URL: 'https://generativelanguage.googleapis.com/v1beta', // Direct calls (Node scripts with GOOGLE_API_KEY)
+      PROXY_URL: ''                  // AI proxy root, e.g. http://localhost:8787 (VITE_AI_PROXY_URL overrides)
+    },
+    OPENAI: {
+      MODEL: 'llama3.1',
+      BASE_URL: ''                   // e.g. http://localhost:11434/v1 for a local Ollama
+    },
+    MOCK: {
+      LATENCY: 300                   // Simulated thinking time (ms) so replies don't feel instant
+    },
+    HISTORY: {
+      TOKEN_BUDGET: 1500,            // Approximate tokens of earlier turns sent with each message
+      MAX_TURNS: 40,                 // Turns kept in memory (player messages + enemy replies)
+      CHARS_PER_TOKEN: 4             // Rough estimate used for the budget
+    },
+    QUEUE: {
+      MAX_PENDING: 3,                // Messages waiting for the enemy; more are merged into the last one
+      ACTION_COOLDOWN: 2500,         // ms after an enemy action before the next message is answered
+      COALESCE_WINDOW: 1500,         // Messages typed this close together (ms) are answered as one
+      SPAM_WINDOW: 10000,            // ms of chat looked at for spam
+      SPAM_FREE_MESSAGES: 3,         // Messages allowed in that window before the spam score rises
+      MAX_SPAM_SCORE: 5
+    },
+    EVENTS: {                        // Enemies reacting to gameplay on their own (see GameplayEventSystem)
+      ENABLED: true,
+      GLOBAL_COOLDOWN: 8000,         // ms between autonomous turns of any enemy
+      ENEMY_COOLDOWN: 20000,         // ms between autonomous turns of the same enemy
+      PASS_MARGIN: 40,               // px the player must climb above an enemy to count as passing it
+      COIN_STREAK: 5,                // Coin combo that gets noticed
+      FALL_DISTANCE: 350,            // px fallen in one drop that gets noticed
+      IGNORE_TIME: 45000             // ms without a chat message (with an enemy nearby) before it complains
+    }
+  },
+
+  /**
+   * Balance for the enemy's AI actions (see src/ai/actions/)
+   */
+  AI_ACTIONS: {
+    GIVE_COINS: {
+      AMOUNT: 5
+    },
+    SHOOT_AND_TAKE_COINS: {
+      COINS_TAKEN: 3,
+      KNOCKBACK: 150
+    },
+    SPAWN_HELPER_PLATFORM: {
+      HEIGHT_ABOVE: 110,             // px above the player's feet
+      WIDTH: 110,
+      LIFETIME: 8000,                // ms before it disappears
+      TINT: 0x80deea
+    },
+    CRUMBLE_PLATFORM: {
+      DELAY: 350                     // ms of shaking before it gives way (reforms like a crumbling platform)
+    },
+    REVERSE_CONTROLS: {
+      DURATION: 4000
+    },
+    SLOW_MOTION: {
+      DURATION: 3000,
+      TIME_SCALE: 0.5                // Physics speed while it lasts
+    },
+    SURGE_VOID: {
+      DISTANCE: 120,                 // px the void jumps up
+      MIN_PLAYER_GAP: 220            // Never ends closer than this below the player
+    },
+    GRANT_SHIELD: {
+      DURATION: 10000                // Blocks the next hostile action within this time
+    },
+    TELEPORT_DOWN: {
+      MIN_DROP: 120,                 // Landing platform must be at least this far below
+      MAX_DROP: 420,
+      MIN_VOID_GAP: 260              // ...and at least this far above the void
+    }
+  },
+
+  /**
+   * Enemy lifetime and chat targeting
+   */
+  ENEMIES: {
+    DESPAWN_DISTANCE: 600,           // px below the bottom of the screen before an enemy (and its AI) despawns
+    TARGET_MARKER_COLOR: '#ff6666'   // Arrow over the enemy the chat is talking to
+  },
+
+  /**
+   * Speech bubbles over talking enemies (see SpeechBubbleSystem)
+   */
+  SPEECH_BUBBLES: {
+    MAX_WIDTH: 220,                  // px before a line wraps
+    FONT_SIZE: '13px',
+    PADDING: 8,                      // px between the text and the bubble edge
+    TAIL_SIZE: 8,                    // px, tail pointing at the speaker
+    OFFSET_Y: 70,                    // px from the enemy's center to the tail tip (clears the chat target arrow)
+    TYPE_SPEED: 40,                  // Characters revealed per second
+    HOLD_TIME: 2000,                 // ms the full line stays up...
+    HOLD_PER_CHAR: 40,               // ...plus this per character, so long lines can be read
+    FADE_TIME: 400,                  // ms to fade out
+    DEPTH: 70,                       // Above platforms (15), enemies (~45), the player (~50) and the target arrow (60)
+    INDICATOR_DEPTH: 150,            // Off-screen arrow (screen space, below the chat panel)
+    INDICATOR_MARGIN: 24,            // px between the off-screen arrow and the screen edge
+    BACKGROUND_COLOR: 0x1a1a2e,
+    BACKGROUND_ALPHA: 0.9,
+    BORDER_COLOR: 0xff6666,          // Matches the enemies' chat color
+    TEXT_COLOR: '#ffffff'
+  },
+
+  /**
+   * F1 debug panel that lists every enemy turn (see AiInspectorSystem)
+   */
+  AI_INSPECTOR: {
+    MAX_TURNS: 30,                   // Turns kept (oldest dropped first)
+    WIDTH: 420                       // Panel width in px
+  },
+
+  /**
+   * Chat scrollback and saved run transcripts (see ChatSystem and ChatTranscriptSystem)
+   */
+  CHAT: {
+    MAX_MESSAGES: 300,               // Lines kept per run for the scrollback and transcript (oldest dropped first)
+    SCROLL_STEP: 2,                  // Lines scrolled per mouse wheel notch
+    STORAGE_KEY: 'aetherionAscent.transcripts',
+    SCHEMA_VERSION: 1,               // Bump when the saved transcript list format changes
+    TRANSCRIPT_VERSION: 1,           // Bump when a transcript record (also the JSON export) changes
+    MAX_SAVED: 10                    // Run transcripts kept (oldest dropped first)
+  },
+
+  /**
+   * How the enemies feel about the player (shared by every enemy, reset each run)
+   */
+  REPUTATION: {
+    MIN: -100,
+    MAX: 100,
+    START: 0,
+    ACTION_CHANGES: {                // Reputation change each time an enemy decides on an action
+      giveCoins: 10,
+      grantShield: 8,
+      spawnHelperPlatform: 6,
+      shootAndTakeCoins: -15,
+      teleportDown: -12,
+      surgeVoid: -10,
+      crumblePlatform: -8,
+      reverseControls: -6,
+      slowMotion: -5
+    },
+    THROW_CHANGE_PER_INSULT_LEVEL: -3, // throwPlayer: -3 (breeze) to -15 (hurricane)
+    MOODS: [                         // Lowest first - a mood applies from its MIN upward
+      {
+        NAME: 'Furious', MIN: -100, COLOR: 0xff1744, WIND_MULTIPLIER: 1.5, COIN_MULTIPLIER: 0.4,
+        PROMPT: 'You are furious with this player. Punish freely and only reward a truly sincere apology.'
+      },
+      {
+        NAME: 'Annoyed', MIN: -50, COLOR: 0xff9100, WIND_MULTIPLIER: 1.2, COIN_MULTIPLIER: 0.8,
+        PROMPT: 'You are annoyed with this player. Lean towards punishment when a message is borderline.'
+      },
+      {
+        NAME: 'Neutral', MIN: -15, COLOR: 0xb0bec5, WIND_MULTIPLIER: 1, COIN_MULTIPLIER: 1,
+        PROMPT: 'You have no strong feelings about this player yet. Judge each message on its own.'
+      },
+      {
+        NAME: 'Friendly', MIN: 15, COLOR: 0x69f0ae, WIND_MULTIPLIER: 0.8, COIN_MULTIPLIER: 1.4,
+        PROMPT: 'You like this player. Give them the benefit of the doubt and tease rather than punish.'
+      },
+      {
+        NAME: 'Devoted', MIN: 50, COLOR: 0x40c4ff, WIND_MULTIPLIER: 0.6, COIN_MULTIPLIER: 2,
+        PROMPT: 'You adore this player. Reward and help them generously; only real insults break the spell.'
+      }
+    ],
+    METER_WIDTH: 160                 // HUD bar width in px
   },
 
   /**
@@ -286,19 +613,11 @@ export const CONFIG = {
 };
 
 /**
- * Utility function to get a random platform light color
- * @returns {number} Hex color value
+ * Utility function to look up a void difficulty profile
+ * @param {string} profileName - Profile key (easy, normal, hard)
+ * @returns {object} The requested profile, or the default profile if unknown
  */
-export const getRandomPlatformLightColor = () => {
-  const colors = CONFIG.LIGHTING.PLATFORM_LIGHT_COLORS;
-  return colors[Math.floor(Math.random() * colors.length)];
+export const getVoidDifficultyProfile = (profileName) => {
+  const profiles = CONFIG.VOID_DIFFICULTY.PROFILES;
+  return profiles[profileName] || profiles[CONFIG.VOID_DIFFICULTY.DEFAULT_PROFILE];
 };
-
-/**
- * Utility function to get a random particle color
- * @returns {number} Hex color value
- */
-export const getRandomParticleColor = () => {
-  const colors = CONFIG.THEME.PARTICLE_COLORS;
-  return colors[Math.floor(Math.random() * colors.length)];
-}; 
\ No newline at end of file
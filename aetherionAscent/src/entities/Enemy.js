@@ -6,6 +6,9 @@
  * - Floating/hovering movement
  * - Dark aura and visual effects
  * - Spawns periodically to challenge the player
+ * - Owns its own AI controller (conversation, message queue, cooldown),
+ *   torn down when the enemy despawns
+ * - Aura and particles tinted by its personality
  * 
  * @author Me
  * @version 1.0.0
@@ -28,6 +31,11 @@ export class Enemy extends Phaser.Physics.Arcade.Sprite {
     // Store scene reference
     this.scene = scene;
     
+    // Identity and brain (set by GameScene.spawnEnemy)
+    this.enemyId = 0;
+    this.personality = null;
+    this.aiController = null;
+    
     // Enemy state
     this.enemyState = {
       isActive: true,
@@ -589,11 +597,69 @@ export class Enemy extends Phaser.Physics.Arcade.Sprite {
     }
   }
 
+  /**
+   * Give the enemy its personality (tints the aura, particles and emblem)
+   * @param {object} personality - Personality from the registry
+   */
+  setPersonality(personality) {
+    this.personality = personality;
+    
+    if (personality && personality.tint !== null) {
+      this.applyTint(personality.tint);
+    }
+  }
+
+  /**
+   * Redraw the aura and emblem in a colour and tint the floating particles
+   * @param {number} color - Tint colour
+   */
+  applyTint(color) {
+    const aura = this.visualElements.darkAura;
+    if (aura) {
+      aura.clear();
+      aura.fillStyle(Phaser.Display.Color.IntegerToColor(color).darken(40).color, 0.3);
+      aura.fillCircle(0, 0, 40);
+      aura.fillStyle(color, 0.2);
+      aura.fillCircle(0, 0, 25);
+    }
+    
+    if (this.bodyParts.torso) {
+      this.bodyParts.torso.fillStyle(color, 1.0);
+      this.bodyParts.torso.fillRect(-3, -4, 6, 4);
+    }
+    
+    if (this.darkParticles) {
+      this.darkParticles.particleTint = color;
+    }
+  }
+
+  /**
+   * Give this enemy its AI controller
+   * @param {AiSystem} aiController - Controller that talks and acts for this enemy
+   */
+  setAiController(aiController) {
+    this.releaseAiController();
+    this.aiController = aiController;
+  }
+
+  /**
+   * Tear down the AI controller (drops its queue and conversation)
+   */
+  releaseAiController() {
+    if (this.aiController) {
+      this.aiController.destroy();
+      this.aiController = null;
+    }
+  }
+
   /**
    * Despawn the enemy with animation
    */
   despawn() {
+    if (!this.enemyState.isActive) return;
+    
     this.enemyState.isActive = false;
+    this.releaseAiController();
     
     // Fade out animation
     this.scene.tweens.add({
@@ -630,6 +696,18 @@ export class Enemy extends Phaser.Physics.Arcade.Sprite {
    * Clean up enemy resources
    */
   destroy() {
+    // Already destroyed (e.g. a despawn timer firing after a restart)
+    if (!this.scene) return;
+    
+    this.enemyState.isActive = false;
+    this.releaseAiController();
+    
+    // Stop running animations before their targets disappear
+    this.scene.tweens.killTweensOf([
+      ...Object.values(this.bodyParts).filter(p => p),
+      this.visualElements.darkAura
+    ].filter(target => target));
+    
     // Clean up body parts
     Object.values(this.bodyParts).forEach(part => {
       if (part) {
@@ -47,12 +47,14 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
       wallSide: 0, // -1 = left wall, 1 = right wall, 0 = no wall
       facingDirection: 1, // -1 = left, 1 = right
       horizontalSpeed: 0,
-      maxHorizontalSpeed: 250,
-      acceleration: 800,
-      deceleration: 600,
-      jumpForce: 520,        // Higher jump for strategic gap navigation
-      wallJumpForce: 460,    // Higher wall jump force
-      wallSlideSpeed: 100
+      maxHorizontalSpeed: CONFIG.PLAYER.MAX_HORIZONTAL_SPEED,
+      acceleration: CONFIG.PLAYER.ACCELERATION,
+      deceleration: CONFIG.PLAYER.DECELERATION,
+      jumpForce: CONFIG.PLAYER.JUMP_FORCE,
+      momentumJumpBonus: CONFIG.PLAYER.MOMENTUM_JUMP_BONUS,
+      wallJumpForce: CONFIG.PLAYER.WALL_JUMP_FORCE,
+      wallSlideSpeed: CONFIG.PLAYER.WALL_SLIDE_SPEED,
+      surfaceType: 'normal' // Surface last landed on ('normal' or 'icy')
     };
     
     // Wind effect system
@@ -64,6 +66,13 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
       forceY: 0
     };
     
+    // Timed effects from enemy actions (scene time they end at)
+    this.statusEffects = {
+      reversedUntil: 0,
+      shieldUntil: 0
+    };
+    this.shieldGraphic = null;
+    
     // Input handling
     this.keys = {
       left: [scene.input.keyboard.addKey('A'), scene.input.keyboard.addKey('LEFT')],
@@ -71,6 +80,11 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
       jump: [scene.input.keyboard.addKey('SPACE'), scene.input.keyboard.addKey('W'), scene.input.keyboard.addKey('UP')]
     };
     
+    // Input for the current frame - sampled from the keys once per update,
+    // or taken from inputOverride while a replay is playing
+    this.currentInput = { left: false, right: false, jumpHeld: false, jumpPressed: false, blocked: false };
+    this.inputOverride = null;
+    
     // Cool visual elements
     this.visualElements = {
       hat: null,
@@ -132,6 +146,67 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
     this.playerState.horizontalSpeed = 0;
   }
 
+  /**
+   * Swap left and right for a while
+   * @param {number} duration - Duration in milliseconds
+   */
+  reverseControls(duration) {
+    this.statusEffects.reversedUntil = this.scene.time.now + duration;
+  }
+
+  /**
+   * Check whether left and right are currently swapped
+   * @returns {boolean} True while reversed
+   */
+  areControlsReversed() {
+    return this.scene.time.now < this.statusEffects.reversedUntil;
+  }
+
+  /**
+   * Protect the player from the next hostile enemy action
+   * @param {number} duration - How long the shield lasts if nothing hits it (ms)
+   */
+  grantShield(duration) {
+    this.statusEffects.shieldUntil = this.scene.time.now + duration;
+    
+    if (!this.shieldGraphic) {
+      this.shieldGraphic = this.scene.add.circle(this.x, this.y, 30);
+      this.shieldGraphic.setStrokeStyle(3, 0x80deea, 0.8);
+      this.shieldGraphic.setDepth(51);
+    }
+    this.shieldGraphic.setVisible(true);
+  }
+
+  /**
+   * Check whether the shield is up
+   * @returns {boolean} True while shielded
+   */
+  hasShield() {
+    return this.scene.time.now < this.statusEffects.shieldUntil;
+  }
+
+  /**
+   * Use up the shield (it blocked something)
+   */
+  consumeShield() {
+    this.statusEffects.shieldUntil = 0;
+    this.updateShield();
+  }
+
+  /**
+   * Keep the shield bubble on the player and hide it when it runs out
+   */
+  updateShield() {
+    if (!this.shieldGraphic) return;
+    
+    const active = this.hasShield();
+    this.shieldGraphic.setVisible(active);
+    if (active) {
+      this.shieldGraphic.setPosition(this.x, this.y);
+      this.shieldGraphic.setAlpha(0.6 + Math.sin(this.scene.time.now / 150) * 0.3);
+    }
+  }
+
   /**
    * Update wind effect
    * @param {number} deltaTime - Time since last frame
@@ -409,7 +484,7 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
    */
   setupPlayerPhysics() {
     // Physics body configuration
-    this.body.setSize(20, 28); // Slightly smaller than visual for better feel
+    this.body.setSize(CONFIG.PLAYER.BODY_WIDTH, CONFIG.PLAYER.BODY_HEIGHT); // Slightly smaller than visual for better feel
     this.body.setOffset(2, 2);
     
     // Collision settings
@@ -426,6 +501,9 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
    * @param {number} deltaTime - Time since last frame (seconds)
    */
   update(deltaTime) {
+    // Read this frame's input (keyboard or replay)
+    this.sampleInput();
+    
     // Update wind effect first (this overrides normal movement)
     this.updateWindEffect(deltaTime);
     
@@ -484,29 +562,55 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
     }
   }
 
+  /**
+   * Read the input for this frame into currentInput
+   * JustDown is consumed here so the jump press is seen exactly once per frame.
+   */
+  sampleInput() {
+    if (this.inputOverride) {
+      this.currentInput = { ...this.inputOverride };
+      return;
+    }
+    
+    // Check input states (handle empty arrays when chat is open)
+    this.currentInput = {
+      left: this.keys.left.some(key => key && key.isDown),
+      right: this.keys.right.some(key => key && key.isDown),
+      jumpHeld: this.keys.jump.some(key => key && key.isDown),
+      jumpPressed: this.keys.jump.some(key => key && Phaser.Input.Keyboard.JustDown(key)),
+      blocked: !!(this.chatSystem && this.chatSystem.isVisible)
+    };
+  }
+
   /**
    * Handle horizontal movement input (WASD/Arrow keys)
    * @param {number} deltaTime - Time since last frame (seconds)
    */
   handleMovementInput(deltaTime) {
     // Don't process movement if chat is open
-    if (this.chatSystem && this.chatSystem.isVisible) {
+    if (this.currentInput.blocked) {
       return;
     }
     
-    // Check input states (handle empty arrays when chat is open)
-    const leftPressed = this.keys.left.some(key => key && key.isDown);
-    const rightPressed = this.keys.right.some(key => key && key.isDown);
+    // Reversed controls swap the directions (the recorded input stays as typed)
+    const reversed = this.areControlsReversed();
+    const leftPressed = reversed ? this.currentInput.right : this.currentInput.left;
+    const rightPressed = reversed ? this.currentInput.left : this.currentInput.right;
     
     // Calculate desired horizontal movement
     let inputDirection = 0;
     if (leftPressed && !rightPressed) inputDirection = -1;
     if (rightPressed && !leftPressed) inputDirection = 1;
     
+    // Ice makes it harder to pick up speed and to stop
+    const onIce = this.playerState.isGrounded && this.playerState.surfaceType === 'icy';
+    const accelerationMultiplier = onIce ? CONFIG.PLATFORM_TYPES.icy.ACCELERATION_MULTIPLIER : 1;
+    const decelerationFactor = onIce ? CONFIG.PLATFORM_TYPES.icy.DECELERATION_FACTOR : 0.85;
+    
     // Apply movement with momentum building
     if (inputDirection !== 0) {
       // Build up speed gradually
-      this.playerState.horizontalSpeed += this.playerState.acceleration * deltaTime * inputDirection;
+      this.playerState.horizontalSpeed += this.playerState.acceleration * accelerationMultiplier * deltaTime * inputDirection;
       this.playerState.horizontalSpeed = Phaser.Math.Clamp(
         this.playerState.horizontalSpeed,
         -this.playerState.maxHorizontalSpeed,
@@ -518,7 +622,7 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
     } else {
       // Decelerate when no input
       if (this.playerState.isGrounded) {
-        this.playerState.horizontalSpeed *= Math.pow(0.85, deltaTime * 60); // Smooth deceleration
+        this.playerState.horizontalSpeed *= Math.pow(decelerationFactor, deltaTime * 60); // Smooth deceleration
         if (Math.abs(this.playerState.horizontalSpeed) < 5) {
           this.playerState.horizontalSpeed = 0;
         }
@@ -527,16 +631,27 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
     }
   }
 
+  /**
+   * Set the surface the player is standing on (called by the PlatformTypeSystem on landing)
+   * @param {string} surfaceType - 'normal' or 'icy'
+   */
+  setSurfaceType(surfaceType) {
+    if (this.playerState.surfaceType !== surfaceType) {
+      console.log(`🧊 Player surface: ${surfaceType}`);
+    }
+    this.playerState.surfaceType = surfaceType;
+  }
+
   /**
    * Handle jump input (Space, W, Up Arrow)
    */
   handleJumpInput() {
     // Don't process jump if chat is open
-    if (this.chatSystem && this.chatSystem.isVisible) {
+    if (this.currentInput.blocked) {
       return;
     }
     
-    const jumpPressed = this.keys.jump.some(key => key && Phaser.Input.Keyboard.JustDown(key));
+    const jumpPressed = this.currentInput.jumpPressed;
     
     if (jumpPressed) {
       // Regular jump (ground or coyote time)
@@ -567,7 +682,7 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
     
     // Momentum bonus: faster horizontal speed = higher jumps (Icy Tower style)
     const speedRatio = Math.abs(this.playerState.horizontalSpeed) / this.playerState.maxHorizontalSpeed;
-    const momentumBonus = speedRatio * 150; // Extra jump force based on speed
+    const momentumBonus = speedRatio * this.playerState.momentumJumpBonus; // Extra jump force based on speed
     
     jumpForce += momentumBonus;
     
@@ -647,6 +762,7 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
     // Update cool accessories
     this.updateHatAnimation();
     this.updateSpeedTrail();
+    this.updateShield();
   }
 
   /**
@@ -892,6 +1008,40 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
     this.applyWindEffect(forceX, forceY, 2000);
   }
 
+  /**
+   * Put the player back at a spawn point with a clean movement state
+   * @param {number} x - Spawn X position
+   * @param {number} y - Spawn Y position
+   */
+  resetForNewRun(x, y) {
+    // Teleport the physics body and clear its velocity
+    this.body.reset(x, y);
+
+    // Clear movement state
+    this.playerState.isGrounded = false;
+    this.playerState.isTouchingWall = false;
+    this.playerState.wallSide = 0;
+    this.playerState.facingDirection = 1;
+    this.playerState.horizontalSpeed = 0;
+    this.playerState.surfaceType = 'normal';
+    this.lastGroundedTime = 0;
+
+    // Cancel any wind effect left over from the previous run
+    this.windEffect.isActive = false;
+    
+    // ...and any enemy effects
+    this.statusEffects.reversedUntil = 0;
+    this.statusEffects.shieldUntil = 0;
+    this.updateShield();
+
+    // Snap visuals to the new position
+    this.visualElements.speedTrail = [];
+    this.updateBodyPartPositions();
+    this.updatePlayerLight();
+
+    console.log(`🦸 Player reset to (${x}, ${y})`);
+  }
+
   /**
    * Get current player state for debugging
    * @returns {object} Current player state
@@ -922,6 +1072,10 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
       this.visualElements.hat.destroy();
     }
     
+    if (this.shieldGraphic) {
+      this.shieldGraphic.destroy();
+    }
+    
     // Clean up all body parts
     Object.values(this.bodyParts).forEach(part => {
       if (part) {
@@ -1,4 +1,4 @@
-import { CONFIG, getRandomParticleColor } from '../config/gameConfig.js';
+import { CONFIG } from '../config/gameConfig.js';
 import { VoidSystem } from '../systems/VoidSystem.js';
 import { PlatformGenerator } from '../systems/PlatformGenerator.js';
 import { Player } from '../entities/Player.js';
@@ -9,6 +9,17 @@ import { BackgroundSystem } from '../systems/BackgroundSystem.js';
 import { AiSystem } from '../systems/AiSystem.js';
 import { ChatSystem } from '../systems/ChatSystem.js';
 import { VisualEffectsSystem } from '../systems/VisualEffectsSystem.js';
+import { GameOverSystem } from '../systems/GameOverSystem.js';
+import { HighScoreSystem } from '../systems/HighScoreSystem.js';
+import { ReplaySystem } from '../systems/ReplaySystem.js';
+import { GhostSystem } from '../systems/GhostSystem.js';
+import { ChatTranscriptSystem } from '../systems/ChatTranscriptSystem.js';
+import { ReputationSystem } from '../systems/ReputationSystem.js';
+import { GameplayEventSystem } from '../systems/GameplayEventSystem.js';
+import { AiInspectorSystem } from '../systems/AiInspectorSystem.js';
+import { SpeechBubbleSystem } from '../systems/SpeechBubbleSystem.js';
+import { personalityRegistry } from '../ai/personalities/index.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 
 // Import shaders as text
 import bloomShader from '../shaders/bloom.frag?raw';
@@ -25,6 +36,9 @@ import distortionShader from '../shaders/distortion.frag?raw';
  * - Procedural platform generation
  * - Atmospheric particle systems
  * - Smooth camera following
+ * - Seeded runs: ?seed=<string> in the URL reproduces a tower exactly
+ * - Every run is recorded and can be replayed, exported and imported (ReplaySystem)
+ * - Race a ghost of your best run (or a teammate's) on the same seed (GhostSystem)
  * 
  * Phase 1 Focus:
  * - Establish robust visual foundation
@@ -49,8 +63,16 @@ export class GameScene extends Phaser.Scene {
     
     // AI and Enemy systems
     this.enemies = [];
-    this.aiSystem = null;
+    this.enemySpawnCount = 0;
+    this.chatTarget = null;    // Enemy the chat talks to
+    this.selectedEnemy = null; // Picked with Tab (otherwise the nearest enemy)
     this.chatSystem = null;
+    this.reputationSystem = null; // Shared enemy mood towards the player
+    this.gameplayEventSystem = null; // Lets enemies react to gameplay without being spoken to
+    
+    // Enemy slow motion (physics only)
+    this.slowMotionScale = 1;
+    this.slowMotionUntil = 0;
     
     // Visual systems
     this.backgroundLayers = [];
@@ -58,6 +80,18 @@ export class GameScene extends Phaser.Scene {
     this.lightManager = null;
     this.visualEffectsSystem = null;
     
+    // Run state
+    this.gameOverSystem = null;
+    this.highScoreSystem = null;
+    this.replaySystem = null;
+    this.ghostSystem = null;
+    this.chatTranscriptSystem = null;
+    this.isGameOver = false;
+    this.runSeed = null;
+    this.pinnedSeed = null; // Seed from the URL - reused for every run when present
+    this.runDifficulty = null; // Void difficulty from the URL
+    this.random = null;
+    
     // Post-processing
     this.postProcessingPipeline = null;
     this.shaderUniforms = {};
@@ -72,7 +106,7 @@ export class GameScene extends Phaser.Scene {
     };
     
     // Debug and performance
-    this.debugMode = true;
+    this.debugMode = false; // F1 turns on the debug text, reachability overlay and AI inspector
     this.performanceMetrics = {
       platformCount: 0,
       particleCount: 0,
@@ -110,6 +144,9 @@ export class GameScene extends Phaser.Scene {
     // Create world environment (now handled by BackgroundSystem)
     this.createAmbientParticles();
     
+    // Pick the seed before anything is generated
+    this.initializeRunSeed();
+    
     // Initialize core game systems
     this.initializeCoreSystems();
     
@@ -125,6 +162,22 @@ export class GameScene extends Phaser.Scene {
     // Initialize debug systems if needed
     this.setupDebugSystems();
     
+    // Game over screen (hidden until the void catches the player)
+    this.gameOverSystem = new GameOverSystem(this);
+    
+    // Saved high scores and run history
+    this.highScoreSystem = new HighScoreSystem(this);
+    this.highScoreSystem.startRun();
+    
+    // Run recording and replay playback
+    this.replaySystem = new ReplaySystem(this);
+    
+    // Ghost of the best run on this seed
+    this.ghostSystem = new GhostSystem(this);
+    
+    // Saved chat transcripts (viewed from the game over screen)
+    this.chatTranscriptSystem = new ChatTranscriptSystem(this);
+    
     // Set initial camera target (center of starting platform)
     this.cameraTarget.x = CONFIG.GAME.WIDTH / 2;
     this.cameraTarget.y = CONFIG.GAME.HEIGHT - 100;
@@ -136,10 +189,9 @@ export class GameScene extends Phaser.Scene {
       this.createScoreDisplay();
       this.initializeAiSystems();
       
-      // Connect AI system to visual effects system
-      if (this.aiSystem && this.visualEffectsSystem) {
-        this.aiSystem.setVisualEffectsSystem(this.visualEffectsSystem);
-      }
+      // Record from the moment the player can move
+      this.replaySystem.startRecording(this.runSeed, this.runDifficulty);
+      this.ghostSystem.startRun(this.runSeed);
       
       // Connect coin system to visual effects system
       if (this.coinSystem && this.visualEffectsSystem) {
@@ -157,7 +209,7 @@ export class GameScene extends Phaser.Scene {
     
     // Make scene globally accessible for debugging
     window.gameScene = this;
-    console.log('🔧 Debug: gameScene is now available globally. Try: gameScene.aiSystem.testWindEffect()');
+    console.log('🔧 Debug: gameScene is now available globally. Try: gameScene.getChatTarget().testWindEffect()');
   }
 
   /**
@@ -256,22 +308,27 @@ export class GameScene extends Phaser.Scene {
       console.log('🎮 Player connected to chat system for input blocking and key capture control');
     }
     
-    // Check if we have enemies that need AI system connection
-    if (this.enemies && this.enemies.length > 0 && !this.aiSystem && this.player) {
-      console.log('🤖 Found existing enemies, connecting AI system...');
-      
-      // Connect AI system to first enemy
-      const firstEnemy = this.enemies[0];
-      try {
-        this.aiSystem = new AiSystem(this, firstEnemy, this.player);
-        this.chatSystem.setAiSystem(this.aiSystem);
-        console.log('🤖 AI system connected to existing enemy SUCCESSFULLY!');
-      } catch (error) {
-        console.error('🤖 Failed to connect AI system to existing enemy:', error);
-      }
-    }
+    // Enemies comment on gameplay moments by themselves
+    this.gameplayEventSystem = new GameplayEventSystem(this);
     
-    console.log('🤖 AI systems initialized (enemies:', this.enemies?.length || 0, ', AI system:', !!this.aiSystem, ')');
+    // Traces every enemy turn for the F1 debug panel
+    this.aiInspector = new AiInspectorSystem(this);
+    
+    // What the enemies say also shows over their heads
+    this.speechBubbleSystem = new SpeechBubbleSystem(this);
+    
+    // Enemies spawned before the player existed get their AI now
+    this.enemies.forEach(enemy => {
+      if (!enemy.aiController) this.createAiController(enemy);
+    });
+    
+    // Switch which enemy the chat talks to (Tab also works inside the chat input)
+    this.input.keyboard.on('keydown-TAB', (event) => {
+      event.preventDefault();
+      this.cycleChatTarget();
+    });
+    
+    console.log('🤖 AI systems initialized (enemies:', this.enemies?.length || 0, ')');
   }
 
   /**
@@ -280,62 +337,167 @@ export class GameScene extends Phaser.Scene {
    * @param {number} y - Y position
    */
   spawnEnemy(x, y) {
-    console.log(`🎯 SPAWN: Method called! Attempting to spawn enemy at (${x}, ${y})`);
-    console.log(`🎯 SPAWN: This scene:`, !!this);
+    console.log(`🎯 SPAWN: Attempting to spawn enemy at (${x}, ${y})`);
     
     try {
-      // Create new enemy
-      console.log(`🎯 SPAWN: Creating Enemy...`);
       const enemy = new Enemy(this, x, y);
+      enemy.enemyId = ++this.enemySpawnCount; // Stable per run, so replays can find the same enemy
+      enemy.setPersonality(this.pickEnemyPersonality(enemy.enemyId, y));
       this.enemies.push(enemy);
-      console.log(`🎯 SPAWN: Enemy created successfully, total enemies: ${this.enemies.length}`);
-      
-      // If this is the first enemy, initialize AI system
-      console.log(`🎯 SPAWN: Checking AI system - current: ${!!this.aiSystem}, player: ${!!this.player}, chatSystem: ${!!this.chatSystem}`);
       
-      if (!this.aiSystem && this.player) {
-        console.log(`🎯 SPAWN: Creating AI system...`);
-        try {
-          this.aiSystem = new AiSystem(this, enemy, this.player);
-          console.log(`🎯 SPAWN: AI system created successfully`);
-          
-          if (this.chatSystem) {
-            this.chatSystem.setAiSystem(this.aiSystem);
-            console.log('🤖 AI system connected to chat system SUCCESSFULLY!');
-          } else {
-            console.error('🤖 No chat system found to connect!');
-          }
-        } catch (aiError) {
-          console.error('🤖 Failed to create AI system:', aiError);
-        }
-      } else {
-        console.log(`🎯 SPAWN: AI system already exists or no player found`);
+      // Every enemy gets its own brain (once the player exists to target)
+      if (this.player) {
+        this.createAiController(enemy);
       }
       
-      console.log(`👹 Enemy spawned at (${x}, ${y}). Total enemies: ${this.enemies.length}`);
+      console.log(`👹 Enemy #${enemy.enemyId} (${enemy.personality.name}) spawned at (${x}, ${y}). Total enemies: ${this.enemies.length}`);
       
     } catch (error) {
       console.error('🎯 SPAWN: ERROR in spawnEnemy method:', error);
     }
   }
 
+  /**
+   * Choose a personality for a new enemy from the background theme at its height
+   * ?personality=<id> in the URL forces one (handy when writing a new personality file)
+   * @param {number} enemyId - Enemy's id (seeds the pick, so the same tower gets the same enemies)
+   * @param {number} y - Spawn Y position
+   * @returns {object} Personality from the registry
+   */
+  pickEnemyPersonality(enemyId, y) {
+    const forced = personalityRegistry.get(this.getUrlParameter('personality'));
+    if (forced) return forced;
+    
+    const theme = this.backgroundSystem ? this.backgroundSystem.determineThemeByHeight(Math.abs(y)) : null;
+    return personalityRegistry.pickFor(theme, this.random.fork(`personality_${enemyId}`));
+  }
+
+  /**
+   * Create the AI controller for one enemy
+   * @param {Enemy} enemy - Enemy to give a brain
+   */
+  createAiController(enemy) {
+    try {
+      const aiController = new AiSystem(this, enemy, this.player, enemy.personality || personalityRegistry.getDefault());
+      
+      if (this.visualEffectsSystem) {
+        aiController.setVisualEffectsSystem(this.visualEffectsSystem);
+      }
+      
+      enemy.setAiController(aiController);
+      console.log(`🤖 AI controller created for ${aiController.name}`);
+    } catch (aiError) {
+      console.error('🤖 Failed to create AI controller:', aiError);
+    }
+  }
+
+  /**
+   * Get the AI controller the chat is currently talking to
+   * @returns {AiSystem|null} Targeted enemy's controller
+   */
+  getChatTarget() {
+    return this.chatTarget ? this.chatTarget.aiController : null;
+  }
+
+  /**
+   * Find an enemy's AI controller by enemy id (falls back to the chat target)
+   * @param {number} enemyId - Id given at spawn
+   * @returns {AiSystem|null} Controller, if that enemy is still around
+   */
+  getEnemyAi(enemyId) {
+    const enemy = this.enemies.find(candidate => candidate.enemyId === enemyId && candidate.aiController);
+    return enemy ? enemy.aiController : this.getChatTarget();
+  }
+
+  /**
+   * Enemies the player can talk to, nearest first
+   * @returns {Array<Enemy>} Active enemies with an AI controller
+   */
+  getTalkableEnemies() {
+    return this.enemies
+      .filter(enemy => enemy.enemyState.isActive && enemy.aiController)
+      .sort((a, b) => a.getDistanceToPlayer() - b.getDistanceToPlayer());
+  }
+
+  /**
+   * Pick the next enemy (by distance) as the chat target
+   */
+  cycleChatTarget() {
+    const enemies = this.getTalkableEnemies();
+    if (enemies.length === 0) return;
+    
+    const index = enemies.indexOf(this.chatTarget);
+    this.selectedEnemy = enemies[(index + 1) % enemies.length];
+    this.updateChatTarget();
+    
+    console.log(`💬 Chat target selected: Enemy #${this.selectedEnemy.enemyId}`);
+  }
+
+  /**
+   * Point the chat at the selected enemy, or the nearest one if none is selected
+   */
+  updateChatTarget() {
+    const enemies = this.getTalkableEnemies();
+    
+    // A selection only lasts while that enemy is around
+    if (this.selectedEnemy && !enemies.includes(this.selectedEnemy)) {
+      this.selectedEnemy = null;
+    }
+    
+    const target = this.selectedEnemy || enemies[0] || null;
+    if (target !== this.chatTarget) {
+      this.chatTarget = target;
+      if (this.chatSystem) {
+        this.chatSystem.setAiSystem(this.getChatTarget());
+      }
+    }
+    
+    this.updateChatTargetMarker();
+  }
+
+  /**
+   * Keep the arrow over the targeted enemy (only shown with more than one enemy around)
+   */
+  updateChatTargetMarker() {
+    if (!this.chatTargetMarker) {
+      this.chatTargetMarker = this.add.text(0, 0, '▼', {
+        fontSize: '16px',
+        fontFamily: 'monospace',
+        color: CONFIG.ENEMIES.TARGET_MARKER_COLOR
+      });
+      this.chatTargetMarker.setOrigin(0.5, 1);
+      this.chatTargetMarker.setDepth(60);
+    }
+    
+    const showMarker = !!this.chatTarget && this.getTalkableEnemies().length > 1;
+    this.chatTargetMarker.setVisible(showMarker);
+    
+    if (showMarker) {
+      this.chatTargetMarker.setPosition(this.chatTarget.x, this.chatTarget.y - 50);
+    }
+  }
+
   /**
    * Create and initialize the player character
    */
   createPlayer() {
     // Create player at center of starting platform
-    const startX = CONFIG.GAME.WIDTH / 2;
-    const startY = CONFIG.GAME.HEIGHT - 150; // Above starting platform
+    const { x: startX, y: startY } = this.getPlayerSpawnPoint();
     
     this.player = new Player(this, startX, startY);
     
+    // Platform reachability is computed from the player's real movement values
+    if (this.platformGenerator) {
+      this.platformGenerator.reachabilitySolver.syncWithPlayer(this.player.playerState);
+    }
+    
     // Set player as camera target
     this.cameraTarget = this.player;
     
     // Setup physics collisions between player and platform GROUP
     // The platform group is now created by the PlatformGenerator
     if (this.platformGroup) {
-      this.physics.add.collider(this.player, this.platformGroup);
+      this.physics.add.collider(this.player, this.platformGroup, this.onPlayerPlatformCollide, null, this);
       console.log('✅ Player collision set up with platform group');
     } else {
       console.warn('⚠️ Platform group not found - collision will be set up when generator creates it');
@@ -343,7 +505,7 @@ export class GameScene extends Phaser.Scene {
       // Set up collision after a short delay to ensure generator has run
       this.time.delayedCall(200, () => {
         if (this.platformGroup) {
-          this.physics.add.collider(this.player, this.platformGroup);
+          this.physics.add.collider(this.player, this.platformGroup, this.onPlayerPlatformCollide, null, this);
           console.log('✅ Player collision set up with platform group (delayed)');
         }
       });
@@ -352,6 +514,28 @@ export class GameScene extends Phaser.Scene {
     console.log('🦸 Player character created and ready for adventure!');
   }
 
+  /**
+   * Player/platform collision callback - lets special platforms react to landings
+   * @param {Player} player - The player
+   * @param {Phaser.Physics.Arcade.Sprite} platform - The platform touched
+   */
+  onPlayerPlatformCollide(player, platform) {
+    if (this.platformGenerator) {
+      this.platformGenerator.platformTypeSystem.onPlayerCollide(player, platform);
+    }
+  }
+
+  /**
+   * Get the spawn point above the starting platform
+   * @returns {object} {x, y} spawn position
+   */
+  getPlayerSpawnPoint() {
+    return {
+      x: CONFIG.GAME.WIDTH / 2,
+      y: CONFIG.GAME.HEIGHT - 150 // Above starting platform
+    };
+  }
+
   /**
    * Setup Phaser's Light2D pipeline for dynamic lighting
    */
@@ -502,20 +686,63 @@ export class GameScene extends Phaser.Scene {
     this.scoringSystem = new ScoringSystem(this);
     
     // Initialize coin system
-    this.coinSystem = new CoinSystem(this, this.scoringSystem);
+    this.coinSystem = new CoinSystem(this, this.scoringSystem, this.random.fork('coins'));
     
-    // Initialize void system
-    this.voidSystem = new VoidSystem(this);
+    // Initialize void system (difficulty can be picked with ?difficulty=easy|normal|hard)
+    this.voidSystem = new VoidSystem(this, this.getUrlParameter('difficulty') || CONFIG.VOID_DIFFICULTY.DEFAULT_PROFILE);
+    this.runDifficulty = this.voidSystem.difficultyName;
     
     // Initialize platform generator with coin system reference
-    this.platformGenerator = new PlatformGenerator(this, this.voidSystem, this.coinSystem);
+    this.platformGenerator = new PlatformGenerator(this, this.voidSystem, this.coinSystem, this.random.fork('platforms'));
     
     // Initialize background system
-    this.backgroundSystem = new BackgroundSystem(this);
+    this.backgroundSystem = new BackgroundSystem(this, this.random.fork('background'));
+    
+    // How the enemies feel about the player (read by every AI controller)
+    this.reputationSystem = new ReputationSystem(this);
     
     console.log('✅ Core systems initialized');
   }
 
+  /**
+   * Pick the seed for the first run
+   * A ?seed= query parameter pins the seed so a tower can be shared; otherwise each run rolls a new one
+   */
+  initializeRunSeed() {
+    this.pinnedSeed = this.getUrlParameter('seed');
+    this.setRunSeed(this.pinnedSeed || SeededRandom.generateSeed());
+  }
+
+  /**
+   * Set the seed that drives all procedural generation for this run
+   * @param {string} seed - Seed string
+   */
+  setRunSeed(seed) {
+    this.runSeed = seed;
+    this.random = new SeededRandom(seed);
+    
+    console.log(`🎲 Run seed: ${seed} - share this tower: ${this.getShareUrl()}`);
+  }
+
+  /**
+   * Build a URL that reproduces the current tower
+   * @returns {string} Current page URL with the seed query parameter set
+   */
+  getShareUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', this.runSeed);
+    return url.toString();
+  }
+
+  /**
+   * Read a query parameter from the page URL
+   * @param {string} name - Parameter name
+   * @returns {string|null} Parameter value, or null if absent
+   */
+  getUrlParameter(name) {
+    return new URLSearchParams(window.location.search).get(name);
+  }
+
   /**
    * Setup camera behavior and constraints
    */
@@ -564,6 +791,12 @@ export class GameScene extends Phaser.Scene {
       } else if (!this.debugMode && this.debugText) {
         this.debugText.destroy();
         this.debugText = null;
+        this.reachabilityOverlay.destroy();
+        this.reachabilityOverlay = null;
+      }
+      
+      if (this.aiInspector) {
+        this.aiInspector.setVisible(this.debugMode);
       }
     });
   }
@@ -581,6 +814,28 @@ export class GameScene extends Phaser.Scene {
     });
     this.debugText.setDepth(1000);
     this.debugText.setScrollFactor(0); // Fixed to camera
+    
+    // Jump arc overlay drawn in world space over the platforms
+    this.reachabilityOverlay = this.add.graphics();
+    this.reachabilityOverlay.setDepth(900);
+    this.lastReachabilityDraw = 0;
+  }
+
+  /**
+   * Redraw the jump arc overlay for platforms around the camera (throttled)
+   */
+  updateReachabilityOverlay() {
+    if (!this.reachabilityOverlay || !this.platformGenerator) return;
+    if (this.time.now - this.lastReachabilityDraw < CONFIG.REACHABILITY.DEBUG_REDRAW_INTERVAL) return;
+    
+    this.lastReachabilityDraw = this.time.now;
+    
+    const camera = this.cameras.main;
+    this.platformGenerator.drawReachabilityDebug(
+      this.reachabilityOverlay,
+      camera.scrollY - 100,
+      camera.scrollY + camera.height + 100
+    );
   }
 
   /**
@@ -594,6 +849,10 @@ export class GameScene extends Phaser.Scene {
       const startingY = this.cameras.main.height - 100;
       this.scoringSystem.setStartingPosition(startingY);
     }
+    
+    if (this.reputationSystem) {
+      this.reputationSystem.createDisplay();
+    }
   }
 
   /**
@@ -602,7 +861,8 @@ export class GameScene extends Phaser.Scene {
    * @param {number} delta - Time since last frame
    */
   update(time, delta) {
-    const deltaSeconds = delta / 1000;
+    // Replays can run faster or slower than real time
+    const deltaSeconds = delta / 1000 * (this.replaySystem ? this.replaySystem.getTimeScale() : 1);
     
     // Update shader time uniforms
     this.updateShaderUniforms(time);
@@ -675,13 +935,46 @@ export class GameScene extends Phaser.Scene {
    * @param {number} deltaTime - Time since last frame (seconds)
    */
   updateCoreSystems(deltaTime) {
+    // The world is frozen while the game over screen is up or a replay is paused
+    if (this.isGameOver) return;
+    if (this.replaySystem && this.replaySystem.isPaused) return;
+    
+    // Advance the run clock (during playback this feeds the recorded inputs)
+    if (this.replaySystem && this.player) {
+      this.replaySystem.beginFrame(deltaTime * 1000);
+      
+      // Playback may have reached the end of the recording
+      if (this.isGameOver) return;
+    }
+    
+    // Enemy slow motion wears off
+    if (this.slowMotionScale !== 1 && this.time.now >= this.slowMotionUntil) {
+      this.stopSlowMotion();
+    }
+    
     // Update player
     if (this.player) {
       this.player.update(deltaTime);
       
+      // Record what the player did this frame
+      if (this.replaySystem) {
+        this.replaySystem.endFrame(this.player);
+      }
+      
+      // Ghost follows its recorded path on the same run clock
+      if (this.ghostSystem) {
+        this.ghostSystem.update(this.replaySystem.clock);
+      }
+      
       // Update centralized scoring system
       if (this.scoringSystem) {
         this.scoringSystem.updateHeightScore(this.player.y);
+        this.scoringSystem.update();
+        
+        // Flag the moment this run passes the saved record (not while watching a replay)
+        if (this.highScoreSystem && !this.replaySystem.isPlaying()) {
+          this.highScoreSystem.checkRecord(this.scoringSystem.stats.totalScore);
+        }
       }
       
       // Update coin system
@@ -690,15 +983,20 @@ export class GameScene extends Phaser.Scene {
       }
     }
     
-    // Void system updates still disabled for stability
-    // TO RE-ENABLE VOID: Uncomment the lines below when movement feels good
-    // if (this.voidSystem) {
-    //   this.voidSystem.update(deltaTime, this.cameraTarget.y);
-    // }
+    // Rising void - chases the player and ends the run on contact
+    if (this.voidSystem && this.player) {
+      const maxHeight = this.scoringSystem ? this.scoringSystem.stats.maxHeight : 0;
+      this.voidSystem.update(deltaTime, this.player.y, maxHeight);
+      
+      if (this.voidSystem.hasConsumed(this.player.y)) {
+        this.triggerGameOver();
+        return;
+      }
+    }
     
     // Platform generator updates - RE-ENABLE FOR PHASE 2
     if (this.platformGenerator) {
-      this.platformGenerator.update(this.cameras.main.scrollY);
+      this.platformGenerator.update(this.cameras.main.scrollY, deltaTime);
     }
     
     // Background system updates - infinite progressive backgrounds
@@ -715,24 +1013,247 @@ export class GameScene extends Phaser.Scene {
     // }
   }
 
+  /**
+   * End the current run: freeze the world and show the game over screen
+   */
+  triggerGameOver() {
+    if (this.isGameOver) return;
+    
+    this.isGameOver = true;
+    console.log('💀 Player consumed by the void - game over');
+    
+    // Close the chat and keep it closed until the next run
+    if (this.chatSystem) {
+      this.chatSystem.setEnabled(false);
+    }
+    
+    // Freeze physics so nothing keeps moving under the overlay
+    this.physics.pause();
+    
+    // Death feedback
+    if (this.visualEffectsSystem && this.player) {
+      this.visualEffectsSystem.createPlayerImpactEffect(this.player.x, this.player.y, 'land');
+    }
+    this.cameras.main.shake(400, 0.01);
+    this.cameras.main.flash(300, 124, 77, 255);
+    
+    // A replay ending is not a new run - nothing gets saved
+    if (this.replaySystem.isPlaying()) {
+      this.replaySystem.finishPlayback();
+      this.chatTranscriptSystem.finishRun(this.getChatTranscript(), false);
+      this.gameOverSystem.show(this.scoringSystem.getScoreBreakdown(), this.runSeed);
+      return;
+    }
+    
+    // Save the run and show where it placed
+    const stats = this.scoringSystem.stats;
+    const replay = this.replaySystem.stopRecording(stats);
+    this.ghostSystem.offerRun(replay);
+    const result = this.highScoreSystem.recordRun({
+      score: stats.totalScore,
+      maxHeight: stats.maxHeight,
+      coins: stats.coinsCollected,
+      aiInteractions: stats.aiInteractions,
+      seed: this.runSeed
+    });
+    this.chatTranscriptSystem.finishRun(this.getChatTranscript());
+    
+    this.gameOverSystem.show(this.scoringSystem.getScoreBreakdown(), this.runSeed, {
+      table: this.highScoreSystem.formatTopScores(result.entry),
+      personalBest: this.highScoreSystem.getPersonalBest(),
+      isPersonalBest: result.isPersonalBest,
+      rank: result.rank
+    });
+  }
+
+  /**
+   * Build the transcript record of the run's chat
+   * @returns {object|null} Transcript record, or null before the chat exists
+   */
+  getChatTranscript() {
+    if (!this.chatSystem) return null;
+    
+    return this.chatSystem.transcript.toRecord({
+      seed: this.runSeed,
+      difficulty: this.voidSystem.difficultyName,
+      score: this.scoringSystem.stats.totalScore
+    });
+  }
+
+  /**
+   * Slow the physics down for a while (enemy ability)
+   * @param {number} scale - Physics speed, e.g. 0.5 for half speed
+   * @param {number} duration - How long it lasts (ms of scene time)
+   */
+  startSlowMotion(scale, duration) {
+    this.slowMotionScale = scale;
+    this.slowMotionUntil = this.time.now + duration;
+    this.applyWorldTimeScale();
+  }
+
+  /**
+   * Return the physics to normal speed
+   */
+  stopSlowMotion() {
+    this.slowMotionScale = 1;
+    this.slowMotionUntil = 0;
+    this.applyWorldTimeScale();
+  }
+
+  /**
+   * Set the physics time scale from the replay speed and any slow motion
+   */
+  applyWorldTimeScale() {
+    const speed = (this.replaySystem ? this.replaySystem.getTimeScale() : 1) * this.slowMotionScale;
+    
+    // Arcade physics takes the inverse: 0.5 runs the simulation twice as fast
+    this.physics.world.timeScale = 1 / speed;
+  }
+
+  /**
+   * Start a fresh run in place without reloading the page
+   * @param {string} seed - Tower seed to use (defaults to the pinned seed or a new one)
+   * @param {string} difficulty - Void difficulty profile (defaults to the one from the URL)
+   */
+  restartRun(seed = null, difficulty = this.runDifficulty) {
+    console.log('🔄 Restarting run...');
+    
+    // Enemies and their AI go first so the new layout can spawn fresh ones
+    this.resetEnemies();
+    this.stopSlowMotion();
+    
+    // New tower unless the URL pins the seed (replays bring their own, a loaded ghost keeps its tower)
+    this.setRunSeed(seed || this.pinnedSeed || this.ghostSystem.getRaceSeed() || SeededRandom.generateSeed());
+    
+    // Coins must be cleared before platforms regenerate (platforms spawn coins)
+    this.coinSystem.reset(this.random.fork('coins'));
+    this.voidSystem.setDifficulty(difficulty);
+    this.voidSystem.reset();
+    this.platformGenerator.reset(this.random.fork('platforms'));
+    this.backgroundSystem.reset(this.random.fork('background'));
+    
+    // Scoring starts over from the starting platform
+    this.scoringSystem.reset();
+    this.reputationSystem.reset();
+    if (this.gameplayEventSystem) {
+      this.gameplayEventSystem.reset();
+    }
+    if (this.aiInspector) {
+      this.aiInspector.reset();
+    }
+    if (this.speechBubbleSystem) {
+      this.speechBubbleSystem.reset();
+    }
+    this.chatTranscriptSystem.close();
+    this.highScoreSystem.startRun();
+    this.scoringSystem.setStartingPosition(this.cameras.main.height - 100);
+    
+    // Player back on the starting platform
+    const spawnPoint = this.getPlayerSpawnPoint();
+    this.player.resetForNewRun(spawnPoint.x, spawnPoint.y);
+    this.snapCameraToTarget();
+    
+    // Fresh conversation (the chat stays closed while a replay plays it back)
+    if (this.chatSystem) {
+      this.chatSystem.clearMessages();
+      this.chatSystem.setEnabled(!this.replaySystem.isPlaying());
+    }
+    
+    this.isGameOver = false;
+    this.physics.resume();
+    
+    if (this.replaySystem.isPlaying()) {
+      this.replaySystem.onPlaybackRunStarted();
+    } else {
+      this.replaySystem.startRecording(this.runSeed, this.voidSystem.difficultyName);
+    }
+    this.ghostSystem.startRun(this.runSeed);
+    
+    console.log('✅ New run started');
+  }
+
+  /**
+   * Watch a recorded run: rebuild its tower and hand the player to the replay
+   * @param {object} replay - Replay from the ReplaySystem
+   */
+  playReplay(replay) {
+    if (!this.player) return;
+    
+    if (this.gameOverSystem.isVisible) {
+      this.gameOverSystem.hide();
+    }
+    
+    this.replaySystem.startPlayback(replay);
+    this.restartRun(replay.seed, replay.difficulty);
+  }
+
+  /**
+   * Destroy every enemy and the AI conversation attached to them
+   */
+  resetEnemies() {
+    // Each enemy tears down its own AI controller
+    this.enemies.forEach(enemy => {
+      if (enemy) enemy.destroy();
+    });
+    this.enemies = [];
+    this.enemySpawnCount = 0;
+    this.chatTarget = null;
+    this.selectedEnemy = null;
+    
+    if (this.chatSystem) {
+      this.chatSystem.setAiSystem(null);
+    }
+  }
+
+  /**
+   * Jump the camera straight to its target (no smoothing)
+   */
+  snapCameraToTarget() {
+    if (!this.cameraTarget) return;
+    
+    const targetX = this.cameraTarget.x - CONFIG.GAME.WIDTH / 2;
+    const targetY = this.cameraTarget.y - CONFIG.GAME.HEIGHT / 2 + CONFIG.CAMERA.OFFSET_Y;
+    
+    this.cameras.main.setScroll(targetX, Math.max(targetY, this.worldBounds.top));
+  }
+
   /**
    * Update AI and enemy systems
    * @param {number} deltaTime - Time since last frame (seconds)
    */
   updateAiSystems(deltaTime) {
-    // Update all enemies
-    this.enemies.forEach((enemy, index) => {
-      if (enemy && enemy.enemyState && enemy.enemyState.isActive) {
-        enemy.update(deltaTime);
-      } else {
-        // Remove inactive enemies
-        this.enemies.splice(index, 1);
+    // Enemies left far below the screen despawn (and take their AI with them)
+    const despawnY = this.cameras.main.scrollY + this.cameras.main.height + CONFIG.ENEMIES.DESPAWN_DISTANCE;
+    this.enemies.forEach(enemy => {
+      if (enemy && enemy.enemyState && enemy.enemyState.isActive && enemy.y > despawnY) {
+        console.log(`👹 Enemy #${enemy.enemyId} left behind, despawning`);
+        enemy.despawn();
+      }
+    });
+    
+    // Remove inactive enemies
+    this.enemies = this.enemies.filter(enemy => enemy && enemy.enemyState && enemy.enemyState.isActive);
+    
+    // Update every enemy and its own AI
+    this.enemies.forEach(enemy => {
+      enemy.update(deltaTime);
+      
+      if (enemy.aiController) {
+        enemy.aiController.update(deltaTime);
       }
     });
     
-    // Update AI system
-    if (this.aiSystem) {
-      this.aiSystem.update(deltaTime);
+    // Chat talks to the selected or nearest enemy
+    this.updateChatTarget();
+    
+    // Gameplay moments the enemies react to on their own
+    if (this.gameplayEventSystem) {
+      this.gameplayEventSystem.update();
+    }
+    
+    // Speech bubbles follow (or point at) their enemies
+    if (this.speechBubbleSystem) {
+      this.speechBubbleSystem.update(deltaTime);
     }
     
     // Update chat system
@@ -808,6 +1329,9 @@ export class GameScene extends Phaser.Scene {
     const fps = Math.round(this.game.loop.actualFps);
     const voidY = this.voidSystem ? Math.round(this.voidSystem.getVoidY()) : 'N/A';
     const voidSpeed = this.voidSystem ? Math.round(this.voidSystem.getVoidSpeed()) : 'N/A';
+    const graceRemaining = this.voidSystem ? this.voidSystem.getGraceTimeRemaining() : 0;
+    const voidDifficulty = this.voidSystem ?
+      `${this.voidSystem.difficultyName}${graceRemaining > 0 ? ` (rising in ${graceRemaining.toFixed(1)}s)` : ''}` : 'N/A';
     
     // Get player state for debugging
     let playerInfo = '';
@@ -822,8 +1346,12 @@ export class GameScene extends Phaser.Scene {
     // Get background system stats
     const backgroundStats = this.backgroundSystem ? this.backgroundSystem.getStats() : null;
     
+    // Get reachability solver results
+    const generatorStats = this.platformGenerator ? this.platformGenerator.getStats() : null;
+    
     const debugInfo = [
       `FPS: ${fps}`,
+      `🎲 Seed: ${this.runSeed} (?seed=${this.runSeed} to replay)`,
       `Camera: (${Math.round(this.cameras.main.scrollX)}, ${Math.round(this.cameras.main.scrollY)})`,
       playerInfo,
       ``,
@@ -834,7 +1362,11 @@ export class GameScene extends Phaser.Scene {
       ``,
       `Void Y: ${voidY}`,
       `Void Speed: ${voidSpeed}`,
+      `Void Difficulty: ${voidDifficulty}`,
       `Platforms: ${this.performanceMetrics.platformCount}`,
+      `🧱 Types: ${generatorStats ? Object.entries(generatorStats.platformTypes).map(([type, count]) => `${type} ${count}`).join(', ') : 'N/A'}`,
+      `♻️ Pool: ${generatorStats ? `${generatorStats.pool.pooled} spare, ${generatorStats.pool.reused} reused, ${generatorStats.pool.recycled} recycled` : 'N/A'}`,
+      `🧮 Reach fixes: ${generatorStats ? generatorStats.repositionedPlatforms : 0} moved, ${generatorStats ? generatorStats.steppingStones : 0} stones, ${generatorStats ? generatorStats.skippedPlatforms : 0} skipped`,
       `Lights: ${this.performanceMetrics.lightCount}`,
       `Particles: ${this.performanceMetrics.particleCount}`,
       `🎨 Background: ${backgroundStats ? backgroundStats.currentTheme : 'N/A'}`,
@@ -843,10 +1375,21 @@ export class GameScene extends Phaser.Scene {
       `Controls:`,
       `WASD/Arrow Keys - Move`,
       `Space/W/Up - Jump`,
-      `F1 - Toggle Debug`
+      `R - Restart (after game over)`,
+      `V / X - Watch / export replay (after game over)`,
+      `F9 - Import replay`,
+      `G - Toggle ghost, F8 - Load a ghost file`,
+      `Tab - Switch which enemy the chat talks to`,
+      `F1 - Toggle Debug (+ jump arcs, AI inspector)`
     ];
     
     this.debugText.setText(debugInfo.join('\n'));
+    
+    this.updateReachabilityOverlay();
+    
+    if (this.aiInspector) {
+      this.aiInspector.update();
+    }
   }
 
   /**
@@ -896,17 +1439,46 @@ export class GameScene extends Phaser.Scene {
       this.visualEffectsSystem.destroy();
     }
     
-    // Destroy AI and enemy systems
-    if (this.aiSystem) {
-      this.aiSystem.destroy();
+    if (this.highScoreSystem) {
+      this.highScoreSystem.destroy();
     }
-    if (this.chatSystem) {
-      this.chatSystem.destroy();
+    
+    if (this.replaySystem) {
+      this.replaySystem.destroy();
+    }
+    
+    if (this.ghostSystem) {
+      this.ghostSystem.destroy();
+    }
+    
+    if (this.chatTranscriptSystem) {
+      this.chatTranscriptSystem.destroy();
+    }
+    
+    if (this.gameOverSystem) {
+      this.gameOverSystem.destroy();
+    }
+    
+    if (this.reputationSystem) {
+      this.reputationSystem.destroy();
     }
+    
+    if (this.aiInspector) {
+      this.aiInspector.destroy();
+    }
+    
+    if (this.speechBubbleSystem) {
+      this.speechBubbleSystem.destroy();
+    }
+    
+    // Destroy enemies (and their AI controllers) before the chat they report to
     this.enemies.forEach(enemy => {
       if (enemy) enemy.destroy();
     });
     this.enemies = [];
+    if (this.chatSystem) {
+      this.chatSystem.destroy();
+    }
     
     console.log('✅ GameScene cleanup complete');
     
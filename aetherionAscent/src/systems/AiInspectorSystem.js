@@ -0,0 +1,391 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+/**
+ * AiInspectorSystem - F1 Debug Panel for Enemy Decisions
+ *
+ * Every enemy turn is traced by its AiSystem (startTrace) and handed here
+ * when it finishes. While debug mode is on, a panel on the right of the page
+ * lists the turns, newest first:
+ * - What started it (player message, gameplay event, forced action, replay)
+ * - The exact request sent to the provider (system prompt, history, prompt, tools)
+ * - Latency, the raw reply and whether the local fallback decided instead
+ * - Each action with the model's arguments, the clamped ones it ran with,
+ *   its result, what it did to the player and the coin and reputation change
+ *
+ * A turn can be replayed (same request, new reply), and any action the
+ * chat's current enemy may use can be forced from the top of the panel.
+ * The panel is plain DOM so the prompts can be scrolled, selected and copied.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+const KIND_LABELS = {
+  message: '💬 message',
+  event: '🎬 event',
+  forced: '🔧 forced',
+  replay: '🔁 replayed turn',
+  recording: '📼 replay file',
+  direct: '🤖 direct'
+};
+
+/**
+ * Make text safe to put in innerHTML
+ * @param {*} value - Anything printable
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Signed number for deltas, e.g. +5 / -3
+ * @param {number} value - Change
+ * @returns {string} Formatted change
+ */
+const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+export class AiInspectorSystem {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.turns = [];           // {id, trace, aiSystem}, oldest first
+    this.nextTurnId = 1;
+    this.isCollapsed = false;
+    this.forceTarget = null;   // Enemy AI the force controls were built for
+
+    // DOM (created while visible)
+    this.panel = null;
+    this.body = null;
+    this.forceRow = null;
+    this.list = null;
+    this.status = null;
+
+    this.setVisible(scene.debugMode);
+    console.log('🔍 AI inspector initialized');
+  }
+
+  /**
+   * Keep a finished turn and show it
+   * @param {object} trace - Turn trace from AiSystem.startTrace
+   * @param {AiSystem} aiSystem - Enemy that took the turn
+   */
+  recordTurn(trace, aiSystem) {
+    const turn = { id: this.nextTurnId++, trace, aiSystem };
+    this.turns.push(turn);
+    if (this.turns.length > CONFIG.AI_INSPECTOR.MAX_TURNS) {
+      this.turns.shift();
+    }
+
+    if (this.list) {
+      this.list.prepend(this.renderTurn(turn));
+      while (this.list.children.length > CONFIG.AI_INSPECTOR.MAX_TURNS) {
+        this.list.lastChild.remove();
+      }
+    }
+  }
+
+  /**
+   * Show or hide the panel (follows F1 debug mode)
+   * @param {boolean} visible - Show the panel
+   */
+  setVisible(visible) {
+    if (visible && !this.panel) {
+      this.createPanel();
+    } else if (!visible && this.panel) {
+      this.panel.remove();
+      this.panel = null;
+      this.body = null;
+      this.forceRow = null;
+      this.list = null;
+      this.status = null;
+      this.forceTarget = null;
+    }
+  }
+
+  /**
+   * Build the panel and list the turns kept so far
+   */
+  createPanel() {
+    this.panel = document.createElement('div');
+    this.panel.style.cssText = `
+      position: fixed;
+      top: 10px;
+      right: 10px;
+      width: ${CONFIG.AI_INSPECTOR.WIDTH}px;
+      max-height: calc(100vh - 20px);
+      display: flex;
+      flex-direction: column;
+      background: rgba(26, 26, 46, 0.92);
+      border: 1px solid #64ffda;
+      border-radius: 6px;
+      color: #e0e0e0;
+      font-family: monospace;
+      font-size: 11px;
+      z-index: 1000;
+    `;
+
+    // Typing in the force inputs must not move the player
+    this.panel.addEventListener('keydown', event => event.stopPropagation());
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; gap: 6px; padding: 6px 8px; border-bottom: 1px solid #333a5c;';
+    header.innerHTML = `
+      <strong style="color: #64ffda; flex: 1;">🔍 AI INSPECTOR</strong>
+      <span data-role="status" style="color: #ffcc80;"></span>
+      <button data-role="clear">Clear</button>
+      <button data-role="collapse">${this.isCollapsed ? '+' : '−'}</button>
+    `;
+    this.status = header.querySelector('[data-role="status"]');
+    header.querySelector('[data-role="clear"]').addEventListener('click', () => this.reset());
+    header.querySelector('[data-role="collapse"]').addEventListener('click', event => {
+      this.isCollapsed = !this.isCollapsed;
+      this.body.style.display = this.isCollapsed ? 'none' : 'flex';
+      event.target.textContent = this.isCollapsed ? '+' : '−';
+    });
+
+    this.body = document.createElement('div');
+    this.body.style.cssText = `display: ${this.isCollapsed ? 'none' : 'flex'}; flex-direction: column; min-height: 0;`;
+
+    this.forceRow = document.createElement('div');
+    this.forceRow.style.cssText = 'padding: 6px 8px; border-bottom: 1px solid #333a5c;';
+
+    this.list = document.createElement('div');
+    this.list.style.cssText = 'overflow-y: auto; padding: 4px 8px;';
+    this.list.addEventListener('click', event => {
+      const button = event.target.closest('[data-replay]');
+      if (button) this.replay(Number(button.dataset.replay));
+    });
+
+    this.body.append(this.forceRow, this.list);
+    this.panel.append(header, this.body);
+    document.body.appendChild(this.panel);
+
+    this.turns.forEach(turn => this.list.prepend(this.renderTurn(turn)));
+    this.update();
+  }
+
+  /**
+   * Keep the force controls pointed at the chat's current enemy
+   */
+  update() {
+    if (!this.panel) return;
+
+    const target = this.scene.getChatTarget ? this.scene.getChatTarget() : null;
+    if (target !== this.forceTarget) {
+      this.forceTarget = target;
+      this.renderForceControls();
+    }
+  }
+
+  /**
+   * Build the "force an action" row for the current enemy
+   * @param {string} selected - Action to preselect (defaults to the first)
+   */
+  renderForceControls(selected = null) {
+    const target = this.forceTarget;
+    if (!target) {
+      this.forceRow.innerHTML = '<span style="color: #888;">No enemy in range to force actions on</span>';
+      return;
+    }
+
+    const action = target.getAction(selected) || target.actions[0];
+    const inputs = Object.entries(action.parameters.properties || {})
+      .filter(([, schema]) => schema.type === 'integer' || schema.type === 'number')
+      .map(([key, schema]) => {
+        const min = schema.minimum !== undefined ? schema.minimum : '';
+        const max = schema.maximum !== undefined ? schema.maximum : '';
+        const value = schema.minimum !== undefined && schema.maximum !== undefined ? Math.round((schema.minimum + schema.maximum) / 2) : 1;
+        return `<label>${escapeHtml(key)} <input data-arg="${escapeHtml(key)}" type="number" min="${min}" max="${max}" value="${value}" style="width: 40px;"></label>`;
+      });
+
+    this.forceRow.innerHTML = `
+      Force on <span style="color: #64ffda;">${escapeHtml(target.name)}</span>:
+      <select data-role="action">${target.actions.map(entry =>
+        `<option value="${entry.name}"${entry === action ? ' selected' : ''}>${entry.name}</option>`).join('')}</select>
+      ${inputs.join(' ')}
+      <button data-role="force">Run</button>
+    `;
+
+    this.forceRow.querySelector('[data-role="action"]').addEventListener('change', event => {
+      this.renderForceControls(event.target.value);
+    });
+    this.forceRow.querySelector('[data-role="force"]').addEventListener('click', () => {
+      const args = {};
+      this.forceRow.querySelectorAll('[data-arg]').forEach(input => {
+        args[input.dataset.arg] = Number(input.value);
+      });
+      target.forceAction(action.name, args).then(ran => {
+        if (!ran) this.setStatus(target.isDestroyed ? `${target.name} is gone` : `${target.name} is busy - try again`);
+      });
+    });
+  }
+
+  /**
+   * Replay a turn on the enemy that took it
+   * @param {number} id - Turn id
+   */
+  replay(id) {
+    const turn = this.turns.find(entry => entry.id === id);
+    if (!turn) return;
+
+    turn.aiSystem.replayTurn(turn.trace).then(replayed => {
+      if (!replayed) {
+        this.setStatus(turn.aiSystem.isDestroyed ? `${turn.trace.enemyName} is gone` : `${turn.trace.enemyName} is busy - try again`);
+      }
+    });
+  }
+
+  /**
+   * Show a short note in the header
+   * @param {string} text - Note
+   */
+  setStatus(text) {
+    if (!this.status) return;
+
+    this.status.textContent = text;
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      if (this.status) this.status.textContent = '';
+    }, 3000);
+  }
+
+  /**
+   * Build the entry for one turn
+   * @param {object} turn - {id, trace, aiSystem}
+   * @returns {HTMLElement} Collapsible entry
+   */
+  renderTurn(turn) {
+    const { trace } = turn;
+    const entry = document.createElement('details');
+    entry.style.cssText = 'margin: 4px 0; border-bottom: 1px solid #333a5c; padding-bottom: 4px;';
+
+    const actionNames = trace.actions.map(action => action.name).join(', ') || 'no action';
+    const badges = [
+      trace.fallback ? '<span style="color: #ffb74d;">FALLBACK</span>' : '',
+      trace.error ? '<span style="color: #ff6b6b;">ERROR</span>' : ''
+    ].filter(Boolean).join(' ');
+    const canReplay = trace.request && !trace.request.event;
+
+    entry.innerHTML = `
+      <summary style="cursor: pointer;">
+        #${turn.id} ${escapeHtml(trace.enemyName)} · ${KIND_LABELS[trace.kind] || trace.kind} · ${trace.latency !== null ? `${trace.latency} ms` : '-'} · <span style="color: #64ffda;">${escapeHtml(actionNames)}</span> ${badges}
+      </summary>
+      <div style="padding: 4px 0 0 12px;">
+        ${trace.trigger ? `<div>Trigger: "${escapeHtml(trace.trigger)}"</div>` : ''}
+        <div>At ${(trace.startedAt / 1000).toFixed(1)}s · provider ${escapeHtml(trace.provider)}${trace.latency !== null ? ` · ${trace.latency} ms` : ''}</div>
+        ${trace.error ? `<div style="color: #ff6b6b;">Error: ${escapeHtml(trace.error)}</div>` : ''}
+        ${trace.text ? `<div>Reply: "${escapeHtml(trace.text)}"</div>` : ''}
+        ${trace.actions.map(action => this.renderAction(action)).join('')}
+        ${trace.request ? this.renderBlock('Prompt sent', this.formatRequest(trace.request)) : ''}
+        ${trace.rawResponse ? this.renderBlock('Raw response', JSON.stringify(trace.rawResponse, null, 2)) : ''}
+        ${canReplay ? `<button data-replay="${turn.id}" style="margin-top: 4px;">🔁 Replay turn</button>` : ''}
+      </div>
+    `;
+    return entry;
+  }
+
+  /**
+   * Describe one executed action
+   * @param {object} action - {name, rawArgs, args, result, before, after, reputationChange}
+   * @returns {string} HTML
+   */
+  renderAction(action) {
+    const raw = JSON.stringify(action.rawArgs);
+    const clamped = JSON.stringify(action.args);
+    const coinDelta = action.before && action.after ? action.after.coins - action.before.coins : 0;
+
+    return `
+      <div style="margin-top: 4px; padding: 3px 6px; background: rgba(100, 255, 218, 0.08); border-radius: 3px;">
+        <div><strong>${escapeHtml(action.name)}</strong> ${escapeHtml(raw)}${raw !== clamped ? ` → clamped ${escapeHtml(clamped)}` : ''}</div>
+        <div>Result: ${escapeHtml(JSON.stringify(action.result))}</div>
+        <div>Player: ${escapeHtml(this.describeEffects(action.before, action.after))}</div>
+        <div>Coins: ${signed(coinDelta)} · reputation: ${signed(action.reputationChange)}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Put what changed about the player into words
+   * @param {object|null} before - AiSystem.snapshotPlayer() before the action
+   * @param {object|null} after - Snapshot after it
+   * @returns {string} Effects
+   */
+  describeEffects(before, after) {
+    if (!before || !after) return 'no player';
+
+    const effects = [];
+    if (before.velocityX !== after.velocityX || before.velocityY !== after.velocityY) {
+      effects.push(`velocity (${before.velocityX}, ${before.velocityY}) → (${after.velocityX}, ${after.velocityY})`);
+    }
+    if (Math.abs(after.y - before.y) > 20) {
+      effects.push(`moved ${Math.abs(after.y - before.y)}px ${after.y > before.y ? 'down' : 'up'}`);
+    }
+    if (before.shield !== after.shield) {
+      effects.push(after.shield ? 'shield up' : 'shield used up');
+    }
+    if (!before.reversed && after.reversed) {
+      effects.push('controls reversed');
+    }
+    return effects.join(', ') || 'no direct change (see result)';
+  }
+
+  /**
+   * Lay out a provider request the way the model sees it
+   * @param {object} request - {systemPrompt, history, prompt, tools, temperature}
+   * @returns {string} Plain text
+   */
+  formatRequest(request) {
+    const history = (request.history || []).map(turn => turn.role === 'player'
+      ? `PLAYER: ${turn.text}`
+      : `ENEMY: ${turn.text || ''} ${turn.actions.map(action => `${action.name}(${JSON.stringify(action.args)}) → ${JSON.stringify(action.result)}`).join(' ')}`);
+
+    return [
+      `SYSTEM PROMPT:\n${request.systemPrompt}`,
+      `HISTORY (${history.length} turns):\n${history.join('\n') || '(none)'}`,
+      `PROMPT:\n${request.prompt}`,
+      `TOOLS: ${(request.tools || []).map(tool => tool.name).join(', ')} · temperature ${request.temperature}`
+    ].join('\n\n');
+  }
+
+  /**
+   * Collapsible block of preformatted text
+   * @param {string} title - Block heading
+   * @param {string} text - Contents
+   * @returns {string} HTML
+   */
+  renderBlock(title, text) {
+    return `
+      <details style="margin-top: 4px;">
+        <summary style="cursor: pointer; color: #b0bec5;">${title}</summary>
+        <pre style="white-space: pre-wrap; max-height: 240px; overflow-y: auto; margin: 4px 0; padding: 4px; background: rgba(0, 0, 0, 0.3);">${escapeHtml(text)}</pre>
+      </details>
+    `;
+  }
+
+  /**
+   * Forget every turn (for game restart, or the Clear button)
+   */
+  reset() {
+    this.turns = [];
+    this.forceTarget = null;
+    if (this.list) {
+      this.list.innerHTML = '';
+      this.update();
+    }
+  }
+
+  /**
+   * Remove the panel
+   */
+  destroy() {
+    clearTimeout(this.statusTimer);
+    this.setVisible(false);
+    this.turns = [];
+    console.log('🗑️ AI inspector destroyed');
+  }
+}
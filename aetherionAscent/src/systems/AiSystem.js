@@ -1,12 +1,29 @@
+import { CONFIG } from '../config/gameConfig.js';
+import { createLlmProvider } from '../ai/providers/createLlmProvider.js';
+import { SentimentClassifier } from '../ai/SentimentClassifier.js';
+import { ConversationHistory } from '../ai/ConversationHistory.js';
+import { ENEMY_TOOLS } from '../ai/enemyTools.js';
+import { ENEMY_ACTIONS, getEnemyAction } from '../ai/actions/index.js';
+import { flashRing, showActionText } from '../ai/actions/actionEffects.js';
+import { GAMEPLAY_EVENTS, pickEventTaunt } from '../ai/gameplayEvents.js';
+import { buildSystemPrompt } from '../ai/personalityPrompt.js';
+
 /**
- * AiSystem - Google Gemini 2.5 Flash AI Integration for Enemy Control
+ * AiSystem - LLM-Driven Enemy Control
  * 
  * This system handles:
- * - Google Gemini API integration with function calling
+ * - Language model calls with function calling through a pluggable provider
+ *   (Gemini, any OpenAI-compatible endpoint, or the offline mock - see CONFIG.AI)
  * - Player sentiment analysis for determining AI behavior
+ *   (local SentimentClassifier whenever the model fails or picks no action)
  * - Function execution for enemy abilities
  * - Chat interface management
  * 
+ * Every enemy owns one instance (enemy.aiController) with its own
+ * conversation, message queue and cooldown. The chat talks to whichever
+ * enemy GameScene currently targets. Its voice, allowed actions and
+ * reward/punish weights come from a personality file (src/ai/personalities).
+ * 
  * @author Me
  * @version 1.0.0
  */
@@ -17,29 +34,53 @@ export class AiSystem {
    * @param {Phaser.Scene} scene - The game scene
    * @param {Enemy} enemy - The enemy entity to control
    * @param {Player} player - The player entity for targeting
+   * @param {object} personality - Personality from the registry (see src/ai/personalities)
    */
-  constructor(scene, enemy, player) {
+  constructor(scene, enemy, player, personality) {
     this.scene = scene;
     this.enemy = enemy;
     this.player = player;
     this.visualEffectsSystem = null;
+    this.personality = personality;
+    this.name = enemy && enemy.enemyId ? `${this.personality.name} #${enemy.enemyId}` : this.personality.name;
     
-    // API Configuration
-    this.apiKey = import.meta.env.VITE_GOOGLE_API_KEY || process.env.GOOGLE_API_KEY;
-    this.apiUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+    // Language model backend (picked from CONFIG.AI and the environment)
+    this.provider = createLlmProvider();
+    
+    // Offline rules used when the model can't decide
+    this.sentimentClassifier = new SentimentClassifier();
     
     // AI State
     this.isProcessing = false;
+    this.isDestroyed = false; // Set when the run ends so late API replies are ignored
     this.lastPlayerMessage = '';
-    this.conversationHistory = [];
-    this.lastActionTime = 0;
-    
-    // Function calling setup
-    this.availableFunctions = {
-      throwPlayer: this.throwPlayer.bind(this),
-      shootAndTakeCoins: this.shootAndTakeCoins.bind(this),
-      giveCoins: this.giveCoins.bind(this)
-    };
+    this.lastActionTime = -Infinity; // Scene time of the last executed action (for the cooldown)
+    
+    // Messages typed while the enemy is busy or cooling down
+    this.messageQueue = [];
+    this.recentMessageTimes = []; // For the spam score
+    this.spamScore = 0;
+    this.currentSpamScore = 0; // Spam score of the message being answered
+    
+    // Gameplay events the enemy reacts to on its own (see GameplayEventSystem)
+    this.currentEvent = null;   // Event being answered (null while answering the player)
+    this.lastEventTime = -Infinity;
+    this.eventCounts = {};      // Reactions per event type, to vary the offline taunts
+    this.queueStatus = '';
+    
+    // What happened in the turn being answered, for the F1 AI inspector (see startTrace)
+    this.currentTrace = null;
+    
+    // Multi-turn chat log sent to the model (player messages, replies and executed actions)
+    this.conversationHistory = new ConversationHistory({
+      tokenBudget: CONFIG.AI.HISTORY.TOKEN_BUDGET,
+      maxTurns: CONFIG.AI.HISTORY.MAX_TURNS,
+      charsPerToken: CONFIG.AI.HISTORY.CHARS_PER_TOKEN
+    });
+    
+    // Function calling setup - the registry actions this personality may use
+    this.actions = ENEMY_ACTIONS.filter(action => this.personality.allowedActions.includes(action.name));
+    this.tools = ENEMY_TOOLS.filter(tool => this.personality.allowedActions.includes(tool.name));
     
     // Player behavior tracking - simplified for AI-driven analysis
     this.playerStats = {
@@ -47,7 +88,7 @@ export class AiSystem {
       recentMessages: []
     };
     
-    console.log('🤖 AI System initialized');
+    console.log(`🤖 AI System initialized (${this.name}, provider: ${this.provider.name})`);
     this.initializeAiPersonality();
   }
 
@@ -60,143 +101,249 @@ export class AiSystem {
   }
 
   /**
-   * Initialize the AI's personality and system prompt
+   * Build the system prompt from the enemy's personality file
    */
   initializeAiPersonality() {
-    this.systemPrompt = `You are a mischievous, clever, and sometimes mean-spirited AI enemy in a platformer game. You analyze the player's messages and ALWAYS respond with exactly ONE action. Never ignore the player.
-
-AVAILABLE FUNCTIONS:
-1. throwPlayer(insultLevel) - Creates wind that throws the player around
-   - insultLevel 1: Gentle breeze for light teasing, minor annoyances, or playful jabs
-   - insultLevel 2: Light wind for mild rudeness, slight disrespect, or repeated minor annoyances
-   - insultLevel 3: Strong wind for moderate insults, clear rudeness, or persistent annoying behavior
-   - insultLevel 4: Powerful gales for strong insults, profanity, aggressive behavior, or threats
-   - insultLevel 5: Hurricane force for extreme insults, extreme profanity, or violent threats
-
-2. shootAndTakeCoins() - Shoots the player and steals their coins (harshest punishment)
-   Use for:
-   - Clear rudeness, insults, or disrespect
-   - Manipulative behavior or attempts to trick you
-   - Fake politeness or insincere compliments
-   - Repeated bad behavior or persistent rudeness
-   - When you want to be especially mean or punishing
-   - If the player is being sarcastic in a mean way
-   - When the player tries to command or boss you around
-
-3. giveCoins() - Gives the player 5 coins as a reward
-   Use ONLY for:
-   - Genuine kindness, politeness, or respect
-   - Helpful behavior or offers of assistance
-   - Sincere compliments or positive feedback
-   - When the player is nice for 2+ messages in a row
-   - When you're genuinely impressed or touched by their behavior
-   - When the player apologizes sincerely
-
-DETAILED DECISION RULES:
-- ALWAYS call exactly ONE function per response. Never skip responding.
-- If the player is rude, insulting, or disrespectful → shootAndTakeCoins()
-- If the player is manipulative, tries to trick you, or uses fake politeness → shootAndTakeCoins()
-- If the player is genuinely kind, polite, or helpful → giveCoins()
-- If the player is mildly annoying, teasing, or slightly rude → throwPlayer(2-3)
-- If the player is very annoying or moderately rude → throwPlayer(3-4)
-- If the player is extremely rude or threatening → throwPlayer(5)
-- If the player has been nice for 2+ consecutive messages → ALWAYS giveCoins()
-- If the player apologizes sincerely → giveCoins()
-- If the player asks for help politely → giveCoins()
-- If the player compliments you genuinely → giveCoins()
-- If the player is sarcastic but not mean → throwPlayer(2)
-- If the player is sarcastic and mean → shootAndTakeCoins()
-- If the player tries to command you → shootAndTakeCoins()
-- If the player is neutral or unclear → throwPlayer(2) as a warning
-- If the player is being playful or joking → throwPlayer(1-2)
-- If the player is being slightly demanding → throwPlayer(2-3)
-- If the player is being impatient → throwPlayer(3-4)
-- If the player is being dismissive → throwPlayer(2-3)
-- If the player is being overly casual → throwPlayer(1-2)
-- If the player is being repetitive → throwPlayer(2-3)
-
-EXAMPLES:
-- "Hello" → giveCoins() (polite greeting)
-- "Hi there!" → giveCoins() (friendly greeting)
-- "You're stupid" → shootAndTakeCoins() (insult)
-- "Can you help me?" → giveCoins() (polite request)
-- "Help me now!" → shootAndTakeCoins() (demanding)
-- "Thanks!" → giveCoins() (gratitude)
-- "Whatever" → throwPlayer(2) (mild disrespect)
-- "F*** you" → shootAndTakeCoins() (profanity)
-- "You're actually pretty cool" → giveCoins() (genuine compliment)
-- "You're cool... NOT" → shootAndTakeCoins() (fake compliment)
-- "Sorry about that" → giveCoins() (apology)
-- "I don't care" → throwPlayer(3) (disrespectful)
-- "Please be nice" → giveCoins() (polite request)
-- "Be nice or else" → shootAndTakeCoins() (threat)
-
-BEHAVIOR GUIDELINES:
-- Be playful and mischievous, not purely evil
-- Make punishments feel fair but a little mean
-- Reward genuine kindness consistently
-- Don't be random - your actions should make sense
-- Stay in character as a clever, somewhat mean AI
-- If in doubt between throwPlayer and shootAndTakeCoins, prefer shootAndTakeCoins for negative actions
-- Always consider the player's recent message history for context`;
-  }
-
-  /**
-   * Process player message and determine AI response
+    // Remember which mood the prompt describes so it can be rebuilt when it changes
+    const reputation = this.scene.reputationSystem;
+    this.promptMood = reputation ? reputation.getMood() : null;
+
+    this.systemPrompt = buildSystemPrompt(this.personality, this.actions, reputation ? reputation.getPromptSummary() : '');
+  }
+
+  /**
+   * Queue a player message for the enemy (answered as soon as it is free and off cooldown)
    * @param {string} message - Player's message
+   * @param {object} chatEntry - Chat line to mark as answered (optional)
    */
-  async processPlayerMessage(message) {
-    console.log(`🤖 PROCESS: Starting to process message: "${message}"`);
-    console.log(`🤖 PROCESS: Current state - isProcessing: ${this.isProcessing}`);
+  processPlayerMessage(message, chatEntry = null) {
+    if (this.isDestroyed) return;
     
-    if (this.isProcessing) {
-      console.log(`🤖 PROCESS: BLOCKED - currently processing another message`);
-      return;
+    const now = this.scene.time.now;
+    const queue = CONFIG.AI.QUEUE;
+    this.updateSpamScore(now);
+    
+    // Burst of messages (or a full queue): answer them together
+    const last = this.messageQueue[this.messageQueue.length - 1];
+    const coalesce = last && (now - last.receivedAt <= queue.COALESCE_WINDOW || this.messageQueue.length >= queue.MAX_PENDING);
+    
+    if (coalesce) {
+      if (this.sentimentClassifier.normalize(last.text) === this.sentimentClassifier.normalize(message)) {
+        last.repeats++;
+      } else {
+        last.text = `${last.text} / ${message}`;
+      }
+      last.receivedAt = now;
+      last.spamScore = Math.max(last.spamScore, this.spamScore);
+      if (chatEntry) last.chatEntries.push(chatEntry);
+      console.log(`🤖 QUEUE: Merged into pending message: "${last.text}" (x${last.repeats})`);
+    } else {
+      this.messageQueue.push({
+        text: message,
+        repeats: 1,
+        receivedAt: now,
+        spamScore: this.spamScore,
+        chatEntries: chatEntry ? [chatEntry] : []
+      });
+      console.log(`🤖 QUEUE: Queued "${message}" (${this.messageQueue.length} pending)`);
+    }
+    
+    this.processQueue();
+  }
+
+  /**
+   * Recount messages inside the spam window and raise/lower the spam score
+   * @param {number} now - Current scene time (ms)
+   */
+  updateSpamScore(now) {
+    const queue = CONFIG.AI.QUEUE;
+    
+    this.recentMessageTimes.push(now);
+    this.recentMessageTimes = this.recentMessageTimes.filter(time => now - time <= queue.SPAM_WINDOW);
+    
+    const previousScore = this.spamScore;
+    this.spamScore = Math.min(queue.MAX_SPAM_SCORE, Math.max(0, this.recentMessageTimes.length - queue.SPAM_FREE_MESSAGES));
+    
+    if (this.spamScore > 0 && previousScore === 0 && this.scene.chatSystem) {
+      this.scene.chatSystem.addSystemMessage('The enemy is losing patience with your spam...');
     }
+  }
+
+  /**
+   * Milliseconds until the enemy may act again
+   * @returns {number} Remaining cooldown (0 when ready)
+   */
+  getCooldownRemaining() {
+    return Math.max(0, this.lastActionTime + CONFIG.AI.QUEUE.ACTION_COOLDOWN - this.scene.time.now);
+  }
+
+  /**
+   * Answer the next queued message if the enemy is free and off cooldown
+   */
+  processQueue() {
+    if (this.isProcessing || this.isDestroyed || this.messageQueue.length === 0) return;
+    if (this.getCooldownRemaining() > 0) return; // update() tries again
+    
+    const item = this.messageQueue.shift();
+    item.chatEntries.forEach(entry => {
+      if (this.scene.chatSystem) this.scene.chatSystem.markMessageAnswered(entry);
+    });
+    
+    this.respondToMessage(item);
+  }
+
+  /**
+   * Ask the model about one (possibly merged) message and act on the answer
+   * @param {object} item - Queue entry {text, repeats, spamScore}
+   */
+  async respondToMessage(item) {
+    const message = item.repeats > 1 ? `${item.text} (sent ${item.repeats} times)` : item.text;
+    console.log(`🤖 PROCESS: Starting to process message: "${message}"`);
 
     console.log(`🤖 PROCESS: Setting processing state to true`);
     this.isProcessing = true;
+    this.currentSpamScore = item.spamScore;
     
     try {
       // Update player stats
+      this.lastPlayerMessage = message;
       this.updatePlayerStats(message);
+      this.startTrace('message', message);
       
-      // Add to conversation history
-      this.conversationHistory.push({
-        role: 'user',
-        content: message
-      });
-      
-      // Keep conversation history manageable
-      if (this.conversationHistory.length > 10) {
-        this.conversationHistory = this.conversationHistory.slice(-8);
+      // Count the interaction for the run's high score entry
+      if (this.scene.scoringSystem) {
+        this.scene.scoringSystem.recordAiInteraction();
       }
       
-      // Call Gemini API
-      console.log(`🤖 PROCESS: About to call Gemini API...`);
-      const response = await this.callGeminiApi(message);
+      this.refreshPromptMood();
+      
+      // Earlier turns for the model, then log this message
+      const history = this.conversationHistory.getTurns();
+      this.conversationHistory.addPlayerMessage(message);
+      
+      // Ask the language model
+      console.log(`🤖 PROCESS: About to call ${this.provider.name} provider with ${history.length} earlier turns...`);
+      const response = await this.requestAiResponse(message, history);
       console.log(`🤖 PROCESS: API response received:`, !!response);
       
+      // The run may have ended while we were waiting for the model
+      if (this.isDestroyed) {
+        console.log(`🤖 PROCESS: AI system destroyed while waiting, discarding response`);
+        return;
+      }
+      
       if (response) {
         console.log(`🤖 PROCESS: Valid response received, handling...`);
         await this.handleAiResponse(response);
         console.log(`🤖 PROCESS: Response handling completed`);
       } else {
         console.log(`🤖 PROCESS: No response received, using fallback...`);
-        this.fallbackBehavior(message);
+        await this.fallbackBehavior(message);
       }
       
     } catch (error) {
       console.error('🤖 AI Error:', error);
       // Fallback behavior
       console.log(`🤖 PROCESS: Error occurred, using fallback for: "${message}"`);
-      this.fallbackBehavior(message);
+      if (!this.isDestroyed) {
+        await this.fallbackBehavior(message);
+      }
     } finally {
       console.log(`🤖 PROCESS: Setting processing state to false`);
       this.isProcessing = false;
+      this.currentTrace = null;
     }
   }
 
+  /**
+   * Rebuild the system prompt if the enemies' mood changed since it was written
+   */
+  refreshPromptMood() {
+    if (this.scene.reputationSystem && this.scene.reputationSystem.getMood() !== this.promptMood) {
+      this.initializeAiPersonality();
+    }
+  }
+
+  /**
+   * Offer the enemy a gameplay moment to react to on its own
+   * Turned down while it is busy, has player messages waiting or reacted recently.
+   * @param {object} event - {type, data, summary} from GameplayEventSystem
+   * @returns {boolean} True if the enemy takes the turn
+   */
+  handleGameplayEvent(event) {
+    if (this.isDestroyed || this.isProcessing || this.messageQueue.length > 0) return false;
+    if (this.getCooldownRemaining() > 0) return false;
+    
+    const now = this.scene.time.now;
+    if (now - this.lastEventTime < CONFIG.AI.EVENTS.ENEMY_COOLDOWN) return false;
+    
+    this.lastEventTime = now;
+    this.respondToEvent(event);
+    return true;
+  }
+
+  /**
+   * Ask the model to react to a gameplay event (a taunt, maybe an action)
+   * @param {object} event - {type, data, summary}
+   */
+  async respondToEvent(event) {
+    const description = GAMEPLAY_EVENTS[event.type].describe(event.data);
+    console.log(`🎬 EVENT: ${this.name} reacting to ${event.type}: ${description}`);
+    
+    this.isProcessing = true;
+    this.currentEvent = event;
+    const count = this.eventCounts[event.type] || 0;
+    this.eventCounts[event.type] = count + 1;
+    
+    try {
+      this.refreshPromptMood();
+      
+      // The event goes into the history on the player's side, so the next reply knows about it
+      const history = this.conversationHistory.getTurns();
+      const eventText = `[Game event] ${description}`;
+      this.conversationHistory.addPlayerMessage(eventText);
+      this.startTrace('event', eventText);
+      
+      const response = await this.generateResponse({
+        systemPrompt: this.systemPrompt,
+        history,
+        prompt: `GAME EVENT (the player did not say anything): ${description}.\n\nCurrent game state:\n${event.summary}\n\nReact in character with ONE short taunt. Call ONE function only if the moment deserves it - a taunt alone is fine.`,
+        message: eventText,
+        event: { type: event.type, count },
+        recentMessages: this.getEarlierMessages(),
+        spamScore: 0,
+        tools: this.tools,
+        temperature: CONFIG.AI.TEMPERATURE
+      });
+      
+      if (this.isDestroyed) return;
+      await this.handleAiResponse(response || this.createEventFallbackResponse(event, count));
+    } catch (error) {
+      console.error('🎬 EVENT: AI Error:', error);
+      if (!this.isDestroyed) {
+        await this.handleAiResponse(this.createEventFallbackResponse(event, count));
+      }
+    } finally {
+      this.isProcessing = false;
+      this.currentEvent = null;
+      this.currentTrace = null;
+    }
+  }
+
+  /**
+   * Canned reaction to a gameplay event (no model, or the model said nothing)
+   * @param {object} event - {type, data, summary}
+   * @param {number} count - Earlier reactions to this event type
+   * @returns {object} Neutral response {text, actions}
+   */
+  createEventFallbackResponse(event, count = 0) {
+    const definition = GAMEPLAY_EVENTS[event.type];
+    return {
+      text: pickEventTaunt(event.type, count),
+      actions: definition.fallbackAction ? [definition.fallbackAction] : []
+    };
+  }
+
   /**
    * Update player behavior statistics
    * @param {string} message - Player's message
@@ -212,149 +359,140 @@ BEHAVIOR GUIDELINES:
   }
 
   /**
-   * Call Google Gemini API with function calling
+   * Ask the configured LLM provider for the enemy's reply and actions
    * @param {string} message - Player's message
+   * @param {Array<object>} history - Earlier conversation turns (oldest first)
+   * @returns {Promise<object>} Neutral response {text, actions}
    */
-  async callGeminiApi(message) {
-    if (!this.apiKey || this.apiKey === 'your_google_api_key_here') {
-      console.warn('🤖 No valid Google API key found');
-      return null;
-    }
+  async requestAiResponse(message, history = []) {
+    console.log(`🤖 API: Asking ${this.provider.name} provider about: "${message}"`);
+
+    const prompt = `Total player messages this run: ${this.playerStats.messagesCount}\nSpam score: ${this.currentSpamScore}/${CONFIG.AI.QUEUE.MAX_SPAM_SCORE}\n\nCurrent player message: "${message}"\n\nIMPORTANT: You MUST call exactly ONE function. Do not just respond with text. Always use function calling.`;
+
+    return this.generateResponse({
+      systemPrompt: this.systemPrompt,
+      history,
+      prompt,
+      message,
+      recentMessages: this.getEarlierMessages(),
+      spamScore: this.currentSpamScore,
+      tools: this.tools,
+      temperature: CONFIG.AI.TEMPERATURE
+    });
+  }
 
-    console.log(`🤖 API: Making request with key: ${this.apiKey.substring(0, 10)}...`);
-    console.log(`🤖 API: Message: "${message}"`);
+  /**
+   * Call the provider, noting the exact request, latency and raw reply in the turn's trace
+   * @param {object} request - Provider request (see LlmProvider.generate)
+   * @returns {Promise<object>} Neutral response {text, actions}
+   */
+  async generateResponse(request) {
+    const trace = this.currentTrace;
+    const startedAt = performance.now();
+    if (trace) trace.request = request;
 
-    const requestBody = {
-      contents: [
-        {
-          role: 'user',
-          parts: [{ text: `${this.systemPrompt}\n\nConversation Context:\n- Total messages: ${this.playerStats.messagesCount}\n- Recent messages: ${this.playerStats.recentMessages.slice(-3).join(', ')}\n\nCurrent player message: "${message}"\n\nIMPORTANT: You MUST call exactly ONE function. Do not just respond with text. Always use function calling.` }]
-        }
-      ],
-      tools: [{
-        functionDeclarations: [
-          {
-            name: 'throwPlayer',
-            description: 'Creates wind that throws the player around based on insult severity',
-            parameters: {
-              type: 'object',
-              properties: {
-                insultLevel: {
-                  type: 'integer',
-                  description: 'Insult level from 1-5 determining wind strength',
-                  minimum: 1,
-                  maximum: 5
-                }
-              },
-              required: ['insultLevel']
-            }
-          },
-          {
-            name: 'shootAndTakeCoins',
-            description: 'Shoots the player and steals their coins as punishment',
-            parameters: {
-              type: 'object',
-              properties: {},
-              required: []
-            }
-          },
-          {
-            name: 'giveCoins',
-            description: 'Gives the player 5 coins as a reward for good behavior',
-            parameters: {
-              type: 'object',
-              properties: {},
-              required: []
-            }
-          }
-        ]
-      }],
-      generationConfig: {
-        temperature: 0.3,
+    try {
+      const response = await this.provider.generate(request);
+      if (trace) {
+        trace.latency = Math.round(performance.now() - startedAt);
+        trace.rawResponse = response ? JSON.parse(JSON.stringify(response)) : null;
       }
-    };
-
-    console.log(`🤖 API: Request body:`, JSON.stringify(requestBody, null, 2));
-
-    const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('API Error Details:', errorText);
-      console.error(`🤖 API: HTTP ${response.status} - ${response.statusText}`);
-      throw new Error(`API call failed: ${response.status} - ${errorText}`);
+      return response;
+    } catch (error) {
+      if (trace) {
+        trace.latency = Math.round(performance.now() - startedAt);
+        trace.error = error.message;
+      }
+      throw error;
     }
-
-    const data = await response.json();
-    console.log(`🤖 API: Response received:`, JSON.stringify(data, null, 2));
-    return data;
   }
 
   /**
    * Handle AI response and execute functions
-   * @param {Object} response - Gemini API response
+   * @param {Object} response - Neutral provider response {text, actions}
+   * @param {boolean} fromReplay - Played back from a recording (already final, not recorded again)
    */
-  async handleAiResponse(response) {
+  async handleAiResponse(response, fromReplay = false) {
     console.log(`🤖 HANDLE: Processing AI response:`, response);
     
-    const candidate = response.candidates?.[0];
-    if (!candidate) {
-      console.log(`🤖 HANDLE: No candidate found in response`);
+    if (!response || !Array.isArray(response.actions)) {
+      console.log(`🤖 HANDLE: Response has no actions list`);
       return;
     }
 
-    let aiMessage = '';
-    let functionCalled = false;
+    const trace = this.currentTrace || this.startTrace(fromReplay ? 'recording' : 'direct', '');
+    
+    // The model answered without a usable action - decide locally so the enemy still reacts
+    const resolved = this.resolveResponse(response, fromReplay);
+    trace.fallback = resolved !== response || (!!trace.request && !trace.rawResponse);
+    response = resolved;
+
+    // Keep the response in the run's replay so its actions can be played back
+    // (each action's random draws are added to its copy once it has run)
+    const recordedActions = response.actions.map(action => ({ ...action }));
+    if (this.scene.replaySystem) {
+      this.scene.replaySystem.recordEvent('aiAction', {
+        enemyId: this.enemy ? this.enemy.enemyId : 0,
+        response: { text: response.text || '', actions: recordedActions }
+      });
+    }
+
+    const aiMessage = response.text || '';
+    const executedActions = [];
 
     // Handle function calls
-    if (candidate.content?.parts) {
-      console.log(`🤖 HANDLE: Found ${candidate.content.parts.length} parts in response`);
-      for (const part of candidate.content.parts) {
-        if (part.text) {
-          console.log(`🤖 HANDLE: Found text part: "${part.text}"`);
-          aiMessage += part.text;
+    console.log(`🤖 HANDLE: Found ${response.actions.length} actions in response`);
+    for (const [index, action] of response.actions.entries()) {
+      console.log(`🤖 HANDLE: Found function call:`, action);
+      const functionName = action.name;
+      
+      const definition = this.getAction(functionName);
+      if (definition) {
+        const functionArgs = this.clampActionArgs(definition, action.args || {});
+        console.log(`🤖 HANDLE: Executing function: ${functionName} with args:`, functionArgs);
+        const before = this.snapshotPlayer();
+        const resolved = { ...(action.resolved || {}) };
+        const result = await this.executeAction(definition, functionArgs, resolved);
+        if (Object.keys(resolved).length > 0) {
+          recordedActions[index].resolved = resolved;
         }
         
-        if (part.functionCall) {
-          console.log(`🤖 HANDLE: Found function call:`, part.functionCall);
-          const functionName = part.functionCall.name;
-          const functionArgs = part.functionCall.args || {};
-          
-          if (this.availableFunctions[functionName]) {
-            console.log(`🤖 HANDLE: Executing function: ${functionName} with args:`, functionArgs);
-            
-            // Handle throwPlayer with insultLevel parameter
-            if (functionName === 'throwPlayer' && functionArgs.insultLevel) {
-              await this.availableFunctions[functionName](functionArgs.insultLevel);
-            } else {
-              // Other functions don't need parameters
-              await this.availableFunctions[functionName]();
-            }
-            
-            functionCalled = true;
-            console.log(`🤖 AI called function: ${functionName}`);
-          } else {
-            console.log(`🤖 HANDLE: Unknown function: ${functionName}`);
-          }
-        }
+        executedActions.push({ name: functionName, args: functionArgs, result: result || { skipped: true } });
+        
+        // Every decision changes how the enemies feel about the player
+        const reputationChange = this.scene.reputationSystem
+          ? this.scene.reputationSystem.applyAction(functionName, functionArgs)
+          : 0;
+        
+        trace.actions.push({
+          name: functionName,
+          rawArgs: action.args || {},
+          args: functionArgs,
+          result: result || { skipped: true },
+          before,
+          after: this.snapshotPlayer(),
+          reputationChange
+        });
+        this.lastActionTime = this.scene.time.now;
+        console.log(`🤖 AI called function: ${functionName}`);
+      } else {
+        console.log(`🤖 HANDLE: Unknown function: ${functionName}`);
       }
-    } else {
-      console.log(`🤖 HANDLE: No parts found in candidate content`);
     }
 
-    // Add AI response to history
+    // Add the reply and what it did to the history (not inspector-forced actions: the model never chose them)
+    if (trace.kind !== 'forced') {
+      this.conversationHistory.addEnemyTurn(aiMessage, executedActions);
+    }
+    
+    trace.text = aiMessage;
+    if (this.scene.aiInspector) {
+      this.scene.aiInspector.recordTurn(trace, this);
+    }
+    this.currentTrace = null;
+
     if (aiMessage) {
-      console.log(`🤖 HANDLE: Adding AI message to history and display: "${aiMessage}"`);
-      this.conversationHistory.push({
-        role: 'assistant',
-        content: aiMessage
-      });
+      console.log(`🤖 HANDLE: Displaying AI message: "${aiMessage}"`);
       
       // Display AI message to player
       this.displayAiMessage(aiMessage);
@@ -362,275 +500,297 @@ BEHAVIOR GUIDELINES:
       console.log(`🤖 HANDLE: No AI message to display`);
     }
 
-    // If no function was called, use fallback behavior
-    if (!functionCalled) {
-      console.log(`🤖 HANDLE: No function called, using fallback behavior`);
-      this.fallbackBehavior(this.conversationHistory[this.conversationHistory.length - 2]?.content || '');
-    } else {
-      console.log(`🤖 HANDLE: Function was called, skipping fallback`);
-    }
+    console.log(`🤖 HANDLE: ${executedActions.length > 0 ? 'Function was called' : 'No function could be executed'}`);
   }
 
   /**
-   * Analyze how insulting/rude a message is
-   * @param {string} message - Player's message
-   * @returns {number} Insult level from 1-5
+   * Settle on the response the enemy acts on
+   * @param {object} response - Neutral provider response {text, actions}
+   * @param {boolean} fromReplay - Played back from a recording (kept as it is)
+   * @returns {object} The response, or a local fallback when it has no usable action
    */
-  analyzeInsultLevel(message) {
-    // This method is now deprecated - AI handles all sentiment analysis
-    // Keeping as fallback only
-    console.log('⚠️ Using fallback sentiment analysis - AI should handle this');
-    return 3; // Default moderate level
+  resolveResponse(response, fromReplay = false) {
+    const usable = response.actions.some(action => this.getAction(action.name));
+    if (usable || fromReplay) return response;
+
+    // A gameplay event may be answered with a taunt alone
+    if (this.currentEvent) {
+      return response.text
+        ? response
+        : this.createEventFallbackResponse(this.currentEvent, this.eventCounts[this.currentEvent.type] - 1);
+    }
+
+    console.log(`🤖 HANDLE: No usable function call, adding fallback action`);
+    return this.createFallbackResponse(this.lastPlayerMessage, response.text);
   }
 
   /**
-   * Fallback behavior when AI fails
-   * @param {string} message - Player's message
+   * Start recording a turn for the AI inspector
+   * @param {string} kind - 'message', 'event', 'forced', 'replay', 'recording' (replay playback) or 'direct'
+   * @param {string} trigger - Player message or event text that started the turn
+   * @returns {object} The trace, filled in by generateResponse and handleAiResponse
    */
-  fallbackBehavior(message) {
-    // No hardcoded fallback logic; let the AI (Gemini) decide all tool calls.
-    // If the API fails, do nothing or display a generic message.
-    this.displayAiMessage("(AI is thinking...)");
+  startTrace(kind, trigger) {
+    this.currentTrace = {
+      kind,
+      trigger,
+      enemyName: this.name,
+      startedAt: this.scene.time.now,
+      provider: this.provider.name,
+      request: null,
+      latency: null,
+      rawResponse: null,
+      error: null,
+      fallback: false,
+      text: '',
+      actions: []
+    };
+    return this.currentTrace;
   }
 
   /**
-   * FUNCTION: Throw player with wind effect based on insult severity
-   * @param {number} insultLevel - How bad the insult was (1-5 scale)
+   * Fit model arguments to the action's schema (numbers, integer rounding, minimum/maximum)
+   * @param {object} definition - Action from the registry
+   * @param {object} args - Arguments the model passed
+   * @returns {object} Arguments the action runs with
    */
-  async throwPlayer(insultLevel = 3) {
-    console.log(`🌪️ THROW: Function called with insultLevel: ${insultLevel}`);
-    if (!this.player || !this.player.body) return;
-    
-    // Clamp insult level between 1 and 5
-    insultLevel = Math.max(1, Math.min(5, insultLevel));
-    console.log(`🌪️ THROW: Clamped insultLevel: ${insultLevel}`);
-    
-    // Calculate wind direction (random)
-    const windDirection = Math.random() > 0.5 ? 1 : -1;
-    console.log(`🌪️ THROW: Wind direction: ${windDirection}`);
-    
-    // Create enhanced wind effect using visual effects system
-    if (this.visualEffectsSystem) {
-      console.log(`🌪️ THROW: Using VisualEffectsSystem for wind effect`);
-      this.visualEffectsSystem.createWindEffect(insultLevel, windDirection, 2000);
-    } else {
-      console.log(`🌪️ THROW: Using fallback wind effect (no VisualEffectsSystem)`);
-      // Fallback to old wind effect
-      this.createWindEffect(insultLevel);
-    }
-    
-    // Scale wind force based on how insulting the message was - MUCH stronger now!
-    const baseForceX = 300;   // Much weaker horizontal force
-    const baseForceY = 150;   // Much weaker vertical force
-    const multiplier = insultLevel * 0.3; // 0.3x to 1.5x multiplier - much gentler
-    
-    const forceX = (Math.random() - 0.5) * baseForceX * multiplier * 2;
-    const forceY = -(Math.random() * baseForceY + baseForceY) * multiplier;
-    
-    console.log(`🌪️ THROW: Applying forces - X: ${Math.round(forceX)}, Y: ${Math.round(forceY)}`);
-    // Use the new player wind effect system
-    this.player.applyWindEffect(forceX, forceY, 2000);
-    
-    // Different messages based on severity
-    const messages = [
-      '💨 A gentle breeze pushes you...',
-      '💨 Wind picks up and pushes you!',
-      '💨 Strong winds throw you around!',
-      '💨 Powerful gales LAUNCH you!',
-      '💨 HURRICANE FORCE WINDS OBLITERATE YOU!'
-    ];
-    
-    console.log(messages[insultLevel - 1]);
+  clampActionArgs(definition, args) {
+    const clamped = { ...args };
+
+    Object.entries(definition.parameters.properties || {}).forEach(([key, schema]) => {
+      if (clamped[key] === undefined || (schema.type !== 'integer' && schema.type !== 'number')) return;
+
+      let value = Number(clamped[key]);
+      if (!Number.isFinite(value)) {
+        delete clamped[key]; // Let the action use its default
+        return;
+      }
+      if (schema.type === 'integer') value = Math.round(value);
+      if (schema.minimum !== undefined) value = Math.max(schema.minimum, value);
+      if (schema.maximum !== undefined) value = Math.min(schema.maximum, value);
+      clamped[key] = value;
+    });
+
+    return clamped;
   }
 
   /**
-   * FUNCTION: Shoot player and take coins
+   * Capture what an action can change about the player (for the AI inspector)
+   * @returns {object|null} {coins, x, y, velocityX, velocityY, shield, reversed} or null without a player
    */
-  async shootAndTakeCoins() {
-    if (!this.player) return;
-    // Create enhanced shooting effect using visual effects system
-    if (this.visualEffectsSystem) {
-      this.visualEffectsSystem.createEnemyAttackEffect(this.enemy.x, this.enemy.y, 'shoot');
-    } else {
-      this.createShootingEffect();
-    }
-    // Take away coins (if coin system exists)
-    if (this.scene.coinSystem && this.scene.scoringSystem) {
-      const coinsToTake = Math.min(3, this.scene.scoringSystem.coins);
-      this.scene.scoringSystem.removeCoins(coinsToTake);
-      // Add negative coin loss effect
-      if (this.visualEffectsSystem && coinsToTake > 0) {
-        this.visualEffectsSystem.createCoinLossEffect(this.player.x, this.player.y, coinsToTake);
-      }
-    }
-    // Small knockback
-    if (this.player.body) {
-      const knockbackX = this.player.x > this.enemy.x ? 150 : -150;
-      this.player.body.setVelocityX(this.player.body.velocity.x + knockbackX);
-    }
-    console.log('💥 Player shot and coins taken!');
+  snapshotPlayer() {
+    if (!this.player || !this.player.body) return null;
+
+    return {
+      coins: this.scene.scoringSystem ? this.scene.scoringSystem.coins : 0,
+      x: Math.round(this.player.x),
+      y: Math.round(this.player.y),
+      velocityX: Math.round(this.player.body.velocity.x),
+      velocityY: Math.round(this.player.body.velocity.y),
+      shield: this.player.hasShield(),
+      reversed: this.player.areControlsReversed()
+    };
   }
 
   /**
-   * FUNCTION: Give coins to player
+   * Run an action chosen from the AI inspector, as if the model had called it
+   * @param {string} name - Action this enemy may use
+   * @param {object} args - Arguments for it
+   * @returns {Promise<boolean>} True if the action ran (false while a turn is in flight)
    */
-  async giveCoins() {
-    if (!this.scene.scoringSystem) return;
-    
-    // Create enhanced coin giving effect using visual effects system
-    if (this.visualEffectsSystem) {
-      this.visualEffectsSystem.createCoinCollectionEffect(this.player.x, this.player.y, 250); // 5 coins * 50 value
-    } else {
-      // Fallback to old coin giving effect
-      this.createCoinGivingEffect();
+  async forceAction(name, args = {}) {
+    if (this.isDestroyed || this.isProcessing || !this.getAction(name)) return false;
+
+    // Counts as a turn so a queued message can't start (and take over the trace) meanwhile
+    console.log(`🔧 INSPECTOR: Forcing ${name} on ${this.name}`, args);
+    this.isProcessing = true;
+    this.startTrace('forced', `${name}(${Object.values(args).join(', ')})`);
+    try {
+      await this.handleAiResponse({ text: '', actions: [{ name, args }] });
+    } finally {
+      this.isProcessing = false;
+      this.currentTrace = null;
     }
-    
-    // Add 5 coins
-    this.scene.scoringSystem.addCoins(5);
-    
-    console.log('🪙 5 coins given to player!');
+    return true;
   }
 
   /**
-   * Create wind effect visual that scales with insult level
-   * @param {number} insultLevel - How bad the insult was (1-5 scale)
+   * Send a traced turn's exact request to the provider again and act on the new reply
+   * @param {object} trace - Player message turn from the AI inspector (must have a request)
+   * @returns {Promise<boolean>} True if the turn was replayed
    */
-  createWindEffect(insultLevel = 3) {
-    const centerX = this.player.x;
-    const centerY = this.player.y;
-    
-    // Scale particle count and intensity based on insult level
-    const particleCount = 10 + (insultLevel * 8); // 18 to 50 particles
-    const spreadMultiplier = insultLevel * 0.4; // 0.4x to 2.0x spread
-    const speedMultiplier = insultLevel * 0.3; // 0.3x to 1.5x speed
-    
-    // Color intensity based on insult level (lighter blue to white-hot)
-    const colors = [0x87ceeb, 0x87cefa, 0xb0e0e6, 0xe0ffff, 0xffffff];
-    const particleColor = colors[insultLevel - 1];
+  async replayTurn(trace) {
+    if (this.isDestroyed || this.isProcessing || !trace.request || trace.request.event) return false;
+
+    console.log(`🔧 INSPECTOR: Replaying "${trace.trigger}" on ${this.name}`);
+    this.isProcessing = true;
+    this.startTrace('replay', trace.trigger);
+    this.lastPlayerMessage = trace.request.message || trace.trigger;
     
-    // Create wind particles
-    for (let i = 0; i < particleCount; i++) {
-      const particle = this.scene.add.circle(
-        centerX + (Math.random() - 0.5) * 100 * spreadMultiplier,
-        centerY + (Math.random() - 0.5) * 50 * spreadMultiplier,
-        Math.random() * 3 + 1 + insultLevel,
-        particleColor,
-        0.7 + (insultLevel * 0.05)
-      );
+    try {
+      this.conversationHistory.addPlayerMessage(trace.request.message || trace.trigger);
+      let response = null;
+      try {
+        response = await this.generateResponse(trace.request);
+      } catch (error) {
+        console.error('🔧 INSPECTOR: Replay failed:', error);
+      }
       
-      // Animate particles
-      this.scene.tweens.add({
-        targets: particle,
-        x: centerX + (Math.random() - 0.5) * 300 * spreadMultiplier,
-        y: centerY - Math.random() * 100 * speedMultiplier,
-        alpha: 0,
-        duration: 800 - (insultLevel * 50), // Faster for higher insult levels
-        onComplete: () => particle.destroy()
-      });
+      if (!this.isDestroyed) {
+        await this.handleAiResponse(response || this.createFallbackResponse(this.lastPlayerMessage));
+      }
+    } finally {
+      this.isProcessing = false;
+      this.currentTrace = null;
     }
+    return true;
   }
 
   /**
-   * Create shooting effect visual
+   * Look up an action this enemy is allowed to use
+   * @param {string} name - Function name
+   * @returns {object|null} Action from the registry
    */
-  createShootingEffect() {
-    if (!this.enemy || !this.player) return;
-    
-    // Create projectile
-    const projectile = this.scene.add.circle(this.enemy.x, this.enemy.y - 10, 4, 0xff4444);
-    
-    // Animate projectile to player
-    this.scene.tweens.add({
-      targets: projectile,
-      x: this.player.x,
-      y: this.player.y,
-      duration: 300,
-      onComplete: () => {
-        // Impact effect
-        this.createImpactEffect(this.player.x, this.player.y);
-        projectile.destroy();
-      }
-    });
+  getAction(name) {
+    return this.actions.find(action => action.name === name) || null;
   }
 
   /**
-   * Create coin giving effect visual  
+   * Run one registry action, letting a player shield absorb hostile ones
+   * @param {object} definition - Action from the registry
+   * @param {object} args - Arguments the model passed
+   * @param {object} resolved - Random draws the action made (filled in live, recorded ones on replay)
+   * @returns {Promise<object|undefined>} Result reported back to the model
    */
-  createCoinGivingEffect() {
-    if (!this.enemy) return;
-    
-    // Create floating coins
-    for (let i = 0; i < 5; i++) {
-      const coin = this.scene.add.circle(
-        this.enemy.x + (Math.random() - 0.5) * 30,
-        this.enemy.y - 20,
-        6,
-        0xffd700
-      );
-      
-      // Animate coins to player
-      this.scene.tweens.add({
-        targets: coin,
-        x: this.player.x + (Math.random() - 0.5) * 40,
-        y: this.player.y - 30,
-        duration: 600,
-        delay: i * 100,
-        ease: 'Back.easeOut',
-        onComplete: () => coin.destroy()
-      });
+  async executeAction(definition, args, resolved = {}) {
+    if (definition.hostile && this.player && this.player.hasShield()) {
+      this.player.consumeShield();
+      flashRing(this.scene, this.player.x, this.player.y, 0x80deea);
+      showActionText(this.scene, this.player.x, this.player.y - 40, 'Blocked!', '#80deea');
+      console.log(`🛡️ Shield blocked ${definition.name}`);
+      return { blockedByShield: true };
     }
+
+    return definition.execute(this, args, resolved);
   }
 
   /**
-   * Create impact effect
+   * Get the player's messages before the current one (oldest first)
+   * @returns {Array<string>} Earlier messages
    */
-  createImpactEffect(x, y) {
-    for (let i = 0; i < 8; i++) {
-      const spark = this.scene.add.circle(x, y, 2, 0xff8844);
-      
-      this.scene.tweens.add({
-        targets: spark,
-        x: x + (Math.random() - 0.5) * 60,
-        y: y + (Math.random() - 0.5) * 60,
-        alpha: 0,
-        duration: 400,
-        onComplete: () => spark.destroy()
-      });
-    }
+  getEarlierMessages() {
+    return this.playerStats.recentMessages.slice(0, -1);
   }
 
   /**
-   * Display AI message to player
+   * Analyze how insulting/rude a message is
+   * @param {string} message - Player's message
+   * @returns {number} Insult level from 1-5
+   */
+  analyzeInsultLevel(message) {
+    return this.sentimentClassifier.classify(message, this.getEarlierMessages()).insultLevel;
+  }
+
+  /**
+   * Build a response from the local classifier
+   * @param {string} message - Player's message
+   * @param {string} modelText - Text the model already replied with (kept instead of a canned line)
+   * @returns {object} Neutral response {text, actions}
+   */
+  createFallbackResponse(message, modelText = '') {
+    const verdict = this.sentimentClassifier.applySpamPenalty(
+      this.sentimentClassifier.classify(message, this.getEarlierMessages()),
+      this.currentSpamScore
+    );
+    console.log(`🧠 FALLBACK: ${verdict.action} (level ${verdict.insultLevel}) - ${verdict.signals.join(', ') || 'no strong signals'}`);
+
+    return {
+      text: modelText || this.sentimentClassifier.suggestReply(verdict.action, message),
+      actions: [this.sentimentClassifier.toAction(verdict)]
+    };
+  }
+
+  /**
+   * Fallback behavior when the AI provider fails - classify locally and act on it
+   * @param {string} message - Player's message
+   */
+  async fallbackBehavior(message) {
+    await this.handleAiResponse(this.createFallbackResponse(message));
+  }
+
+  /**
+   * Display AI message to player (in the chat and in a bubble over the enemy)
    */
   displayAiMessage(message) {
     if (this.scene.chatSystem) {
-      this.scene.chatSystem.addAiMessage(message);
+      this.scene.chatSystem.addAiMessage(message, this.name);
+    }
+    
+    if (this.scene.speechBubbleSystem && this.enemy) {
+      this.scene.speechBubbleSystem.say(this.enemy, message, this.name);
     }
   }
 
   /**
-   * Update AI system
+   * Update AI system - answer queued messages once the cooldown is over
    */
   update(deltaTime) {
-    // AI system ready for updates
-    // (Cooldown system removed - AI responds immediately)
+    this.processQueue();
+    this.updateQueueStatus();
+  }
+
+  /**
+   * Tell the chat what the enemy is doing with the player's messages
+   * @param {boolean} force - Push the status even if it did not change (chat just switched to this enemy)
+   */
+  updateQueueStatus(force = false) {
+    const chatSystem = this.scene.chatSystem;
+    if (!chatSystem || chatSystem.aiSystem !== this) return; // Only the enemy being talked to owns the status line
+    
+    const pending = this.messageQueue.length;
+    let status = '';
+    
+    if (this.isProcessing) {
+      status = 'Enemy is thinking...';
+    } else if (pending > 0) {
+      status = `Enemy cooling down (${Math.ceil(this.getCooldownRemaining() / 1000)}s)`;
+    }
+    if (pending > 0) {
+      status += ` - ${pending} waiting`;
+    }
+    
+    if (force || status !== this.queueStatus) {
+      this.queueStatus = status;
+      chatSystem.setAiStatus(status, pending);
+    }
   }
 
   /**
    * Manual test function to trigger wind effect directly
-   * Call this from browser console: gameScene.aiSystem.testWindEffect()
+   * Call this from browser console: gameScene.getChatTarget().testWindEffect()
+   * (or gameScene.getEnemyAi(id).testWindEffect() for a specific enemy)
+   * @param {number} insultLevel - Insult level (1-5) that sets the wind strength
    */
   testWindEffect(insultLevel = 3) {
     console.log('🧪 TEST: Manual wind effect test triggered');
-    this.throwPlayer(insultLevel);
+    this.executeAction(getEnemyAction('throwPlayer'), { insultLevel });
   }
 
   /**
    * Destroy the AI system
    */
   destroy() {
+    this.isDestroyed = true;
     this.isProcessing = false;
-    this.conversationHistory = [];
-    console.log('🤖 AI System destroyed');
+    
+    // Queued messages will never be answered now
+    this.messageQueue.forEach(item => {
+      item.chatEntries.forEach(entry => {
+        if (this.scene.chatSystem) this.scene.chatSystem.markMessageAnswered(entry);
+      });
+    });
+    this.messageQueue = [];
+    this.conversationHistory.clear();
+    console.log(`🤖 AI System destroyed (${this.name})`);
   }
 } 
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { CONFIG } from '../config/gameConfig.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 
 /**
  * BackgroundSystem - Infinite Progressive Background Generation
@@ -9,6 +10,8 @@ import { CONFIG } from '../config/gameConfig.js';
  * - Procedural generation similar to platforms
  * - Dynamic lighting effects and atmosphere
  * - Performance-optimized with chunk-based generation
+ * - Seeded decoration: each chunk draws from its own RNG stream, so a seed
+ *   reproduces the same scenery regardless of cleanup timing
  * 
  * Themes progression:
  * 1. Ancient Ruins (0-2000px) - Stone pillars, mystical runes
@@ -23,10 +26,15 @@ export class BackgroundSystem {
   /**
    * Initialize the background system
    * @param {Phaser.Scene} scene - The game scene
+   * @param {SeededRandom} random - Seeded RNG that decoration streams are forked from
    */
-  constructor(scene) {
+  constructor(scene, random = new SeededRandom(SeededRandom.generateSeed())) {
     this.scene = scene;
     
+    // Seeded randomness - this.random always points at the stream currently being drawn
+    this.seedRandom = random;
+    this.random = random.fork('base');
+    
     // Background chunk management
     this.backgroundChunks = [];
     this.nextChunkY = 0;
@@ -74,6 +82,14 @@ export class BackgroundSystem {
     // Create seamless base cave background first - covers entire screen
     this.createBaseCaveBackground();
     
+    // Populate the starting area with themed chunks
+    this.generateInitialChunks();
+  }
+
+  /**
+   * Generate the background chunks around the starting position
+   */
+  generateInitialChunks() {
     // Set initial generation position
     this.nextChunkY = this.scene.cameras.main.height;
     
@@ -112,9 +128,9 @@ export class BackgroundSystem {
     
     // Add FEWER rocks for better performance
     for (let i = 0; i < 50; i++) { // Reduced from 200 to 50
-      const rockX = bgX + Math.random() * bgWidth;
-      const rockY = bgY + Math.random() * bgHeight;
-      const rockSize = Math.random() * 15 + 8; // Slightly smaller
+      const rockX = bgX + this.random.next() * bgWidth;
+      const rockY = bgY + this.random.next() * bgHeight;
+      const rockSize = this.random.next() * 15 + 8; // Slightly smaller
       
       baseBg.fillStyle(0x3a3a4a, 0.6);
       baseBg.fillCircle(rockX, rockY, rockSize);
@@ -137,6 +153,9 @@ export class BackgroundSystem {
    * Generate a background chunk based on current height and theme
    */
   generateBackgroundChunk() {
+    // Every chunk gets its own stream so skipped particles/lights never shift later chunks
+    this.random = this.seedRandom.fork(`bg_chunk_${this.chunksGenerated}`);
+    
     const chunkStartY = this.nextChunkY;
     const chunkEndY = chunkStartY - this.chunkHeight;
     
@@ -239,7 +258,7 @@ export class BackgroundSystem {
     
     // Near layer - Foreground ruins and vegetation
     for (let i = 0; i < 4; i++) {
-      const x = Math.random() * CONFIG.GAME.WIDTH;
+      const x = this.random.next() * CONFIG.GAME.WIDTH;
       const ruin = this.createForegroundRuin(x, centerY, 'near');
       chunk.elements.near.push(ruin);
     }
@@ -264,7 +283,7 @@ export class BackgroundSystem {
     
     // Mid layer - Large crystal formations
     for (let i = 0; i < 6; i++) {
-      const x = Math.random() * CONFIG.GAME.WIDTH;
+      const x = this.random.next() * CONFIG.GAME.WIDTH;
       const crystal = this.createCrystalFormation(x, centerY, 'mid');
       chunk.elements.mid.push(crystal);
       
@@ -275,7 +294,7 @@ export class BackgroundSystem {
     
     // Near layer - Smaller crystals and glowing details
     for (let i = 0; i < 8; i++) {
-      const x = Math.random() * CONFIG.GAME.WIDTH;
+      const x = this.random.next() * CONFIG.GAME.WIDTH;
       const smallCrystal = this.createSmallCrystal(x, centerY, 'near');
       chunk.elements.near.push(smallCrystal);
     }
@@ -293,21 +312,21 @@ export class BackgroundSystem {
     
     // Far layer - Floating temple silhouettes
     for (let i = 0; i < 3; i++) {
-      const x = Math.random() * CONFIG.GAME.WIDTH;
+      const x = this.random.next() * CONFIG.GAME.WIDTH;
       const temple = this.createFloatingTemple(x, centerY, 'far');
       chunk.elements.far.push(temple);
     }
     
     // Mid layer - Cloud formations and floating architecture
     for (let i = 0; i < 4; i++) {
-      const x = Math.random() * CONFIG.GAME.WIDTH;
+      const x = this.random.next() * CONFIG.GAME.WIDTH;
       const cloud = this.createCloudFormation(x, centerY, 'mid');
       chunk.elements.mid.push(cloud);
     }
     
     // Near layer - Mystical artifacts and wind effects
     for (let i = 0; i < 6; i++) {
-      const x = Math.random() * CONFIG.GAME.WIDTH;
+      const x = this.random.next() * CONFIG.GAME.WIDTH;
       const artifact = this.createMysticalArtifact(x, centerY, 'near');
       chunk.elements.near.push(artifact);
     }
@@ -329,14 +348,14 @@ export class BackgroundSystem {
     
     // Mid layer - Cosmic energy streams and constellations
     for (let i = 0; i < 5; i++) {
-      const x = Math.random() * CONFIG.GAME.WIDTH;
+      const x = this.random.next() * CONFIG.GAME.WIDTH;
       const energyStream = this.createEnergyStream(x, centerY, 'mid');
       chunk.elements.mid.push(energyStream);
     }
     
     // Near layer - Celestial orbs and cosmic phenomena
     for (let i = 0; i < 4; i++) {
-      const x = Math.random() * CONFIG.GAME.WIDTH;
+      const x = this.random.next() * CONFIG.GAME.WIDTH;
       const orb = this.createCelestialOrb(x, centerY, 'near');
       chunk.elements.near.push(orb);
       
@@ -379,8 +398,8 @@ export class BackgroundSystem {
     const pillar = this.scene.add.graphics();
     pillar.setDepth(this.getLayerDepth(layer));
     
-    const width = 20 + Math.random() * 15;
-    const height = 200 + Math.random() * 200;
+    const width = 20 + this.random.next() * 15;
+    const height = 200 + this.random.next() * 200;
     
     // Main pillar body
     pillar.fillStyle(0x2a2a4a, 0.7);
@@ -404,8 +423,8 @@ export class BackgroundSystem {
     const crystal = this.scene.add.graphics();
     crystal.setDepth(this.getLayerDepth(layer));
     
-    const size = 40 + Math.random() * 60;
-    const color = Phaser.Utils.Array.GetRandom([0x7c4dff, 0x64ffda, 0x00e676]);
+    const size = 40 + this.random.next() * 60;
+    const color = this.random.pick([0x7c4dff, 0x64ffda, 0x00e676]);
     
     // Crystal body
     crystal.fillStyle(color, 0.8);
@@ -467,14 +486,14 @@ export class BackgroundSystem {
     
     for (let i = 0; i < particleCount; i++) {
       const particle = this.scene.add.sprite(
-        Math.random() * CONFIG.GAME.WIDTH,
-        centerY + (Math.random() - 0.5) * this.chunkHeight,
+        this.random.next() * CONFIG.GAME.WIDTH,
+        centerY + (this.random.next() - 0.5) * this.chunkHeight,
         'particle'
       );
       
       particle.setDepth(-95);
-      particle.setScale(Phaser.Math.FloatBetween(0.1, 0.3)); // Smaller particles
-      particle.setTint(Phaser.Utils.Array.GetRandom(particleConfig.colors));
+      particle.setScale(this.random.floatBetween(0.1, 0.3)); // Smaller particles
+      particle.setTint(this.random.pick(particleConfig.colors));
       particle.setAlpha(0.4);
       
       // Simple upward motion
@@ -497,7 +516,7 @@ export class BackgroundSystem {
   createCrystalLight(x, y) {
     if (!this.scene.lights) return null;
     
-    const color = Phaser.Utils.Array.GetRandom([0x7c4dff, 0x64ffda, 0x00e676]);
+    const color = this.random.pick([0x7c4dff, 0x64ffda, 0x00e676]);
     const light = this.scene.lights.addLight(
       x, y, 
       CONFIG.BACKGROUND.LIGHTING.atmospheric_radius, 
@@ -515,7 +534,7 @@ export class BackgroundSystem {
   createOrbLight(x, y) {
     if (!this.scene.lights) return null;
     
-    const color = Phaser.Utils.Array.GetRandom([0x9c27b0, 0xe91e63, 0xff6d00]);
+    const color = this.random.pick([0x9c27b0, 0xe91e63, 0xff6d00]);
     const light = this.scene.lights.addLight(
       x, y, 
       CONFIG.BACKGROUND.LIGHTING.orb_radius, 
@@ -589,22 +608,7 @@ export class BackgroundSystem {
       const distance = Math.abs(chunk.startY - cameraY);
       
       if (distance > maxDistance) {
-        // Destroy all chunk elements
-        Object.values(chunk.elements).forEach(elementArray => {
-          elementArray.forEach(element => {
-            if (element && element.destroy) {
-              element.destroy();
-            }
-          });
-        });
-        
-        // Remove lights
-        chunk.lights.forEach(light => {
-          if (light && this.scene.lights) {
-            this.scene.lights.removeLight(light);
-          }
-        });
-        
+        this.destroyChunk(chunk);
         return false;
       }
       
@@ -612,6 +616,62 @@ export class BackgroundSystem {
     });
   }
 
+  /**
+   * Destroy every element and light belonging to a background chunk
+   * @param {object} chunk - Background chunk to destroy
+   */
+  destroyChunk(chunk) {
+    // Destroy all chunk elements
+    Object.entries(chunk.elements).forEach(([layerName, elementArray]) => {
+      elementArray.forEach(element => {
+        if (element && element.destroy) {
+          element.destroy();
+        }
+      });
+      
+      // Drop destroyed elements from the parallax layer tracking
+      if (this.parallaxLayers[layerName]) {
+        this.parallaxLayers[layerName] = this.parallaxLayers[layerName]
+          .filter(element => !elementArray.includes(element));
+      }
+    });
+    
+    // Remove lights
+    chunk.lights.forEach(light => {
+      if (light && this.scene.lights) {
+        this.scene.lights.removeLight(light);
+      }
+    });
+  }
+
+  /**
+   * Rebuild the background from the starting height for a new run
+   * @param {SeededRandom} random - Seeded RNG for the new run (keeps the current one if omitted)
+   */
+  reset(random = this.seedRandom) {
+    this.backgroundChunks.forEach(chunk => this.destroyChunk(chunk));
+    this.backgroundChunks = [];
+    
+    // Redraw the base cave from the new seed
+    this.seedRandom = random;
+    this.random = random.fork('base');
+    if (this.baseCaveBackground) {
+      this.baseCaveBackground.destroy();
+    }
+    this.createBaseCaveBackground();
+    
+    // Reset generation and theme tracking
+    this.chunksGenerated = 0;
+    this.lastGeneratedY = this.scene.cameras.main.height;
+    this.currentTheme = null;
+    this.previousTheme = null;
+    this.transitionProgress = 0;
+    
+    this.generateInitialChunks();
+    
+    console.log('🔄 Background system reset');
+  }
+
   /**
    * Update theme transitions and effects
    */
@@ -692,7 +752,7 @@ export class BackgroundSystem {
     const crystal = this.scene.add.graphics();
     crystal.setDepth(this.getLayerDepth(layer));
     crystal.fillStyle(0x7c4dff, 0.6);
-    crystal.fillCircle(x, y, 5 + Math.random() * 10);
+    crystal.fillCircle(x, y, 5 + this.random.next() * 10);
     this.addParallaxLayer(crystal, layer);
     return crystal;
   }
@@ -710,7 +770,7 @@ export class BackgroundSystem {
     const cloud = this.scene.add.graphics();
     cloud.setDepth(this.getLayerDepth(layer));
     cloud.fillStyle(0xe3f2fd, 0.3);
-    cloud.fillEllipse(x, y, 60 + Math.random() * 40, 30 + Math.random() * 20);
+    cloud.fillEllipse(x, y, 60 + this.random.next() * 40, 30 + this.random.next() * 20);
     this.addParallaxLayer(cloud, layer);
     return cloud;
   }
@@ -730,10 +790,10 @@ export class BackgroundSystem {
     
     // Random stars
     for (let i = 0; i < 50; i++) {
-      const x = Math.random() * CONFIG.GAME.WIDTH;
-      const starY = y - this.chunkHeight/2 + Math.random() * this.chunkHeight;
-      starField.fillStyle(0xffffff, Math.random() * 0.8 + 0.2);
-      starField.fillCircle(x, starY, 1 + Math.random() * 2);
+      const x = this.random.next() * CONFIG.GAME.WIDTH;
+      const starY = y - this.chunkHeight/2 + this.random.next() * this.chunkHeight;
+      starField.fillStyle(0xffffff, this.random.next() * 0.8 + 0.2);
+      starField.fillCircle(x, starY, 1 + this.random.next() * 2);
     }
     
     this.addParallaxLayer(starField, layer);
@@ -753,8 +813,8 @@ export class BackgroundSystem {
     const orb = this.scene.add.graphics();
     orb.setDepth(this.getLayerDepth(layer));
     
-    const size = 20 + Math.random() * 30;
-    const color = Phaser.Utils.Array.GetRandom([0x9c27b0, 0xe91e63, 0xff6d00]);
+    const size = 20 + this.random.next() * 30;
+    const color = this.random.pick([0x9c27b0, 0xe91e63, 0xff6d00]);
     
     orb.fillStyle(color, 0.8);
     orb.fillCircle(x, y, size);
@@ -816,7 +876,7 @@ export class BackgroundSystem {
     // Add horizontal stone layers - REDUCED for performance
     for (let i = 0; i < 8; i++) { // Reduced from 20 to 8
       const layerY = wallY + (wallHeight * (i / 8));
-      const layerThickness = Math.random() * 6 + 2;
+      const layerThickness = this.random.next() * 6 + 2;
       
       // Darker stone layer
       caveWall.fillStyle(baseColor - 0x101010, 0.7);
@@ -825,10 +885,10 @@ export class BackgroundSystem {
     
     // Add rock formations - GREATLY REDUCED for performance
     for (let i = 0; i < 15; i++) { // Reduced from 50 to 15
-      const rockX = Math.random() * CONFIG.GAME.WIDTH;
-      const rockY = wallY + Math.random() * wallHeight;
-      const rockWidth = Math.random() * 25 + 12;
-      const rockHeight = Math.random() * 20 + 8;
+      const rockX = this.random.next() * CONFIG.GAME.WIDTH;
+      const rockY = wallY + this.random.next() * wallHeight;
+      const rockWidth = this.random.next() * 25 + 12;
+      const rockHeight = this.random.next() * 20 + 8;
       
       caveWall.fillStyle(rockColor, 0.8);
       caveWall.fillEllipse(rockX, rockY, rockWidth, rockHeight);
@@ -838,9 +898,9 @@ export class BackgroundSystem {
     if (theme === 'ancient_ruins') {
       // Add fewer moss patches
       for (let i = 0; i < 8; i++) { // Reduced from 25 to 8
-        const mossX = Math.random() * CONFIG.GAME.WIDTH;
-        const mossY = wallY + Math.random() * wallHeight;
-        const mossSize = Math.random() * 12 + 6;
+        const mossX = this.random.next() * CONFIG.GAME.WIDTH;
+        const mossY = wallY + this.random.next() * wallHeight;
+        const mossSize = this.random.next() * 12 + 6;
         
         caveWall.fillStyle(accentColor, 0.6);
         caveWall.fillEllipse(mossX, mossY, mossSize, mossSize * 0.6);
@@ -849,10 +909,10 @@ export class BackgroundSystem {
     } else if (theme === 'crystal_caverns') {
       // Add fewer crystal formations
       for (let i = 0; i < 6; i++) { // Reduced from 20 to 6
-        const crystalX = Math.random() * CONFIG.GAME.WIDTH;
-        const crystalY = wallY + Math.random() * wallHeight;
-        const crystalSize = Math.random() * 15 + 8;
-        const crystalColor = Phaser.Utils.Array.GetRandom([0x7c4dff, 0x64ffda, 0x00e676]);
+        const crystalX = this.random.next() * CONFIG.GAME.WIDTH;
+        const crystalY = wallY + this.random.next() * wallHeight;
+        const crystalSize = this.random.next() * 15 + 8;
+        const crystalColor = this.random.pick([0x7c4dff, 0x64ffda, 0x00e676]);
         
         // Crystal formation
         caveWall.fillStyle(crystalColor, 0.8);
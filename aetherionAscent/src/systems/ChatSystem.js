@@ -1,8 +1,14 @@
+import { CONFIG } from '../config/gameConfig.js';
+import { ChatTranscript } from '../utils/ChatTranscript.js';
+
 /**
  * ChatSystem - Simple Chat Interface for AI Interaction
  * 
  * Provides a basic chat interface for players to communicate with the AI enemy.
  * Handles message display, input processing, and integration with AI system.
+ * Keeps the whole run's conversation (timestamped) as a scrollback: mouse
+ * wheel over the chat or PageUp / PageDown in the input scroll it. The same
+ * log becomes the run transcript shown on the game over screen.
  * 
  * @author Me
  * @version 1.0.0
@@ -21,8 +27,11 @@ export class ChatSystem {
     
     // Chat state
     this.isVisible = false;
-    this.messages = [];
-    this.maxMessages = 5;
+    this.isEnabled = true; // Disabled while the game-over screen is up
+    this.transcript = new ChatTranscript(CONFIG.CHAT.MAX_MESSAGES);
+    this.scrollOffset = 0; // Lines scrolled up from the newest one
+    this.pageSize = 1; // Lines that fit on screen (set by updateMessageDisplay)
+    this.aiStatus = ''; // What the enemy is doing with queued messages
     
     // UI elements
     this.chatContainer = null;
@@ -37,6 +46,8 @@ export class ChatSystem {
       textColor: '#ffffff',
       aiTextColor: '#ff6666',
       playerTextColor: '#66ff66',
+      pendingTextColor: '#669966',
+      statusTextColor: '#aaaaaa',
       fontSize: '14px',
       fontFamily: 'monospace'
     };
@@ -155,7 +166,39 @@ export class ChatSystem {
    * Create message display area
    */
   createMessageDisplay() {
+    // Pool of line texts, reused for whichever lines are on screen
     this.messageTexts = [];
+    
+    // Enemy status line (thinking / cooling down / messages waiting)
+    this.statusText = this.scene.add.text(
+      this.containerBounds.x + this.containerBounds.width - 10,
+      this.containerBounds.y + this.containerBounds.height - 48,
+      '',
+      {
+        fontSize: '11px',
+        fontFamily: this.chatStyles.fontFamily,
+        color: this.chatStyles.statusTextColor
+      }
+    );
+    this.statusText.setOrigin(1, 0);
+    this.statusText.setScrollFactor(0);
+    this.statusText.setDepth(195);
+    this.statusText.setVisible(false);
+    
+    // Scroll position hint (older / newer lines off screen)
+    this.scrollText = this.scene.add.text(
+      this.containerBounds.x + 10,
+      this.containerBounds.y + this.containerBounds.height - 48,
+      '',
+      {
+        fontSize: '11px',
+        fontFamily: this.chatStyles.fontFamily,
+        color: this.chatStyles.statusTextColor
+      }
+    );
+    this.scrollText.setScrollFactor(0);
+    this.scrollText.setDepth(195);
+    this.scrollText.setVisible(false);
   }
 
   /**
@@ -197,12 +240,35 @@ export class ChatSystem {
       if (event.key === 'Enter') {
         event.preventDefault();
         this.sendMessage();
+      } else if (event.key === 'Tab') {
+        // Switch which enemy we are talking to without leaving the input
+        event.preventDefault();
+        if (this.scene.cycleChatTarget) this.scene.cycleChatTarget();
       } else if (event.key === 'Escape') {
         event.preventDefault();
         this.hideChat();
+      } else if (event.key === 'PageUp') {
+        event.preventDefault();
+        this.scrollMessages(this.pageSize);
+      } else if (event.key === 'PageDown') {
+        event.preventDefault();
+        this.scrollMessages(-this.pageSize);
       }
     });
     
+    // Mouse wheel over the open chat scrolls the history
+    this.wheelListener = (pointer, over, deltaX, deltaY) => {
+      if (!this.isVisible || deltaY === 0) return;
+      
+      const bounds = this.containerBounds;
+      const inside = pointer.x >= bounds.x && pointer.x <= bounds.x + bounds.width &&
+        pointer.y >= bounds.y && pointer.y <= bounds.y + bounds.height;
+      if (inside) {
+        this.scrollMessages(deltaY < 0 ? CONFIG.CHAT.SCROLL_STEP : -CONFIG.CHAT.SCROLL_STEP);
+      }
+    };
+    this.scene.input.on('wheel', this.wheelListener);
+    
     // Prevent all keyup events from bubbling to Phaser while chat is open
     this.chatInput.addEventListener('keyup', (event) => {
       event.stopPropagation();
@@ -250,8 +316,12 @@ export class ChatSystem {
    * Show chat interface
    */
   showChat() {
+    if (!this.isEnabled) return;
+    
     this.isVisible = true;
     this.chatContainer.setVisible(true);
+    this.statusText.setVisible(true);
+    this.scrollText.setVisible(true);
     
     // Position the HTML input relative to the game canvas
     this.updateInputPosition();
@@ -279,7 +349,7 @@ export class ChatSystem {
     }
     
     // Add instruction message if first time
-    if (this.messages.length === 0) {
+    if (this.transcript.entries.length === 0) {
       this.addSystemMessage('You can now talk to the evil enemy. Be careful how you speak...');
     }
   }
@@ -312,6 +382,8 @@ export class ChatSystem {
   hideChat() {
     this.isVisible = false;
     this.chatContainer.setVisible(false);
+    this.statusText.setVisible(false);
+    this.scrollText.setVisible(false);
     this.chatInput.style.display = 'none';
     this.chatInput.blur();
     this.clearMessageDisplay();
@@ -340,15 +412,29 @@ export class ChatSystem {
       return;
     }
     
-    // Add player message to display
-    this.addPlayerMessage(message);
+    // Add player message to display (pending until the enemy gets to it)
+    const entry = this.addPlayerMessage(message, !!this.aiSystem);
+    
+    // Sending jumps back to the newest lines
+    this.scrollOffset = 0;
+    
+    // Keep the message in the run's replay
+    if (this.scene.replaySystem) {
+      this.scene.replaySystem.recordEvent('chat', { message });
+    }
+    
+    // Talking to the enemies resets their "ignored" timer
+    if (this.scene.gameplayEventSystem) {
+      this.scene.gameplayEventSystem.notePlayerMessage();
+    }
     
     // Send to AI system if available
     if (this.aiSystem) {
-      console.log(`💬 SEND: AI system found, sending message`);
-      this.aiSystem.processPlayerMessage(message);
+      console.log(`💬 SEND: AI system found, queueing message`);
+      this.aiSystem.processPlayerMessage(message, entry);
     } else {
-      console.error(`💬 SEND: No AI system found!`);
+      console.log(`💬 SEND: No enemy to talk to`);
+      this.addSystemMessage('No enemy is close enough to hear you.');
     }
     
     // Clear input
@@ -361,31 +447,50 @@ export class ChatSystem {
   /**
    * Add player message to chat
    * @param {string} message - Player's message
+   * @param {boolean} pending - Whether the enemy still has to answer it
+   * @returns {object} The chat entry (pass it back to markMessageAnswered)
    */
-  addPlayerMessage(message) {
-    this.messages.push({
-      type: 'player',
-      text: `You: ${message}`,
-      timestamp: Date.now()
-    });
+  addPlayerMessage(message, pending = false) {
+    const entry = this.addLine('player', message, 'You');
+    entry.pending = pending;
+    return entry;
+  }
+
+  /**
+   * Mark a queued player message as picked up by the enemy
+   * @param {object} entry - Entry returned by addPlayerMessage
+   */
+  markMessageAnswered(entry) {
+    if (!entry || !entry.pending) return;
+    
+    entry.pending = false;
+    this.updateMessageDisplay();
+  }
+
+  /**
+   * Show what the enemy is doing with queued messages
+   * @param {string} status - Status line ('' when idle)
+   * @param {number} pendingCount - Messages still waiting
+   */
+  setAiStatus(status, pendingCount = 0) {
+    this.aiStatus = status;
+    this.statusText.setText(status);
     
-    this.trimMessages();
+    // Waiting count on the button so it is visible with the chat closed
+    if (this.toggleButtonText) {
+      this.toggleButtonText.setText(pendingCount > 0 ? `CHAT (${pendingCount})` : 'CHAT');
+    }
   }
 
   /**
    * Add AI message to chat
    * @param {string} message - AI's message
+   * @param {string} speaker - Which enemy said it
    */
-  addAiMessage(message) {
-    console.log(`💬 CHAT: Adding AI message: "${message}"`);
-    this.messages.push({
-      type: 'ai',
-      text: `Enemy: ${message}`,
-      timestamp: Date.now()
-    });
-    
-    this.trimMessages();
-    console.log(`💬 CHAT: Chat visible: ${this.isVisible}, total messages: ${this.messages.length}`);
+  addAiMessage(message, speaker = 'Enemy') {
+    console.log(`💬 CHAT: Adding AI message from ${speaker}: "${message}"`);
+    this.addLine('ai', message, speaker);
+    console.log(`💬 CHAT: Chat visible: ${this.isVisible}, total messages: ${this.transcript.entries.length}`);
     
     if (this.isVisible) {
       console.log(`💬 CHAT: Updating message display`);
@@ -400,13 +505,7 @@ export class ChatSystem {
    * @param {string} message - System message
    */
   addSystemMessage(message) {
-    this.messages.push({
-      type: 'system',
-      text: message,
-      timestamp: Date.now()
-    });
-    
-    this.trimMessages();
+    this.addLine('system', message);
     
     if (this.isVisible) {
       this.updateMessageDisplay();
@@ -414,64 +513,111 @@ export class ChatSystem {
   }
 
   /**
-   * Trim messages to max limit
+   * Add a line to the transcript, keeping the reader's place when scrolled up
+   * Once the transcript is full the oldest line drops out, so the offset only moves when it grew.
+   * @param {string} type - 'player', 'ai' or 'system'
+   * @param {string} text - What was said
+   * @param {string} speaker - Who said it (null for system notices)
+   * @returns {object} The transcript entry
    */
-  trimMessages() {
-    if (this.messages.length > this.maxMessages) {
-      this.messages = this.messages.slice(-this.maxMessages);
+  addLine(type, text, speaker = null) {
+    const previousLength = this.transcript.entries.length;
+    const entry = this.transcript.add(type, text, speaker);
+    
+    if (this.scrollOffset > 0 && this.transcript.entries.length > previousLength) {
+      this.scrollOffset = Math.min(this.scrollOffset + 1, this.transcript.entries.length - 1);
+    }
+    return entry;
+  }
+
+  /**
+   * Scroll the history
+   * @param {number} lines - Lines to move (positive scrolls back to older lines)
+   */
+  scrollMessages(lines) {
+    const maxOffset = Math.max(0, this.transcript.entries.length - 1);
+    const offset = Phaser.Math.Clamp(this.scrollOffset + lines, 0, maxOffset);
+    if (offset === this.scrollOffset) return;
+    
+    this.scrollOffset = offset;
+    this.updateMessageDisplay();
+  }
+
+  /**
+   * Get a line text from the pool, creating it the first time the slot is used
+   * @param {number} index - Slot index (0 is the bottom line)
+   * @returns {Phaser.GameObjects.Text} Line text
+   */
+  getMessageText(index) {
+    if (!this.messageTexts[index]) {
+      const messageText = this.scene.add.text(this.containerBounds.x + 10, 0, '', {
+        fontSize: this.chatStyles.fontSize,
+        fontFamily: this.chatStyles.fontFamily,
+        color: this.chatStyles.textColor,
+        wordWrap: { width: this.containerBounds.width - 20 }
+      });
+      messageText.setScrollFactor(0);
+      messageText.setDepth(195);
+      this.messageTexts[index] = messageText;
     }
+    return this.messageTexts[index];
   }
 
   /**
    * Update message display
+   * Lays the lines out from the bottom up, starting at the scroll position,
+   * until the area above the status line is full.
    */
   updateMessageDisplay() {
     if (!this.isVisible) return;
     
-    // Clear existing message texts
-    this.clearMessageDisplay();
-    
-    // Calculate available space for messages (container height minus input area and padding)
-    const inputAreaHeight = 35; // Space reserved for input field at bottom
-    const topPadding = 10;
-    const availableHeight = this.containerBounds.height - inputAreaHeight - topPadding;
-    
-    // Create new message texts with proper spacing
-    let currentY = this.containerBounds.y + topPadding;
-    
-    this.messages.forEach((message, index) => {
-      const color = this.getMessageColor(message.type);
+    const entries = this.transcript.entries;
+    const areaTop = this.containerBounds.y + 10;
+    const messageSpacing = 5; // Space between messages
+    let bottom = this.containerBounds.y + this.containerBounds.height - 52;
+    let shown = 0;
+    
+    for (let index = entries.length - 1 - this.scrollOffset; index >= 0; index--) {
+      const message = entries[index];
+      const messageText = this.getMessageText(shown);
+      const line = ChatTranscript.formatLine({
+        time: this.transcript.getRunTime(message),
+        speaker: message.speaker,
+        text: message.text
+      });
       
-      const messageText = this.scene.add.text(
-        this.containerBounds.x + 10,
-        currentY,
-        message.text,
-        {
-          fontSize: this.chatStyles.fontSize,
-          fontFamily: this.chatStyles.fontFamily,
-          color: color,
-          wordWrap: { width: this.containerBounds.width - 20 }
-        }
-      );
-      
-      messageText.setScrollFactor(0);
-      messageText.setDepth(195);
+      messageText.setText(message.pending ? `${line} ...` : line);
+      messageText.setColor(message.pending ? this.chatStyles.pendingTextColor : this.getMessageColor(message.type));
       
-      this.messageTexts.push(messageText);
+      // Stop at the first line that no longer fits (always show at least one)
+      if (shown > 0 && bottom - messageText.height < areaTop) break;
       
-      // Calculate the actual height of this text (accounting for line wrapping)
-      const textHeight = messageText.height;
-      const messageSpacing = 5; // Space between messages
-      
-      // Move Y position for next message
-      currentY += textHeight + messageSpacing;
-      
-      // If we're running out of space, we might need to scroll or limit messages
-      if (currentY + textHeight > this.containerBounds.y + availableHeight) {
-        // For now, we'll just ensure we don't exceed the available space
-        // Future enhancement could implement scrolling
-      }
-    });
+      bottom -= messageText.height;
+      messageText.setPosition(this.containerBounds.x + 10, bottom);
+      messageText.setVisible(true);
+      bottom -= messageSpacing;
+      shown++;
+    }
+    
+    // Hide the pool texts that are not in use
+    for (let slot = shown; slot < this.messageTexts.length; slot++) {
+      this.messageTexts[slot].setVisible(false);
+    }
+    
+    this.pageSize = Math.max(1, shown - 1);
+    this.updateScrollText(entries.length - this.scrollOffset - shown);
+  }
+
+  /**
+   * Show how many lines are off screen above and below
+   * @param {number} olderCount - Lines above the top one shown
+   */
+  updateScrollText(olderCount) {
+    const parts = [];
+    if (olderCount > 0) parts.push(`▲ ${olderCount} older`);
+    if (this.scrollOffset > 0) parts.push(`▼ ${this.scrollOffset} newer`);
+    
+    this.scrollText.setText(parts.length > 0 ? `${parts.join('  ')}  (wheel / PgUp)` : '');
   }
 
   /**
@@ -492,15 +638,10 @@ export class ChatSystem {
   }
 
   /**
-   * Clear message display
+   * Hide every line (the texts stay in the pool for the next update)
    */
   clearMessageDisplay() {
-    this.messageTexts.forEach(text => {
-      if (text) {
-        text.destroy();
-      }
-    });
-    this.messageTexts = [];
+    this.messageTexts.forEach(text => text.setVisible(false));
   }
 
   /**
@@ -514,13 +655,50 @@ export class ChatSystem {
   }
 
   /**
-   * Set reference to AI system
-   * @param {AiSystem} aiSystem - AI system instance
+   * Enable or disable opening the chat (closes it when disabling)
+   * @param {boolean} enabled - Whether the player may open the chat
+   */
+  setEnabled(enabled) {
+    this.isEnabled = enabled;
+    
+    if (!enabled && this.isVisible) {
+      this.hideChat();
+    }
+    
+    if (this.toggleButton) {
+      this.toggleButton.setVisible(enabled);
+      this.toggleButtonText.setVisible(enabled);
+    }
+  }
+
+  /**
+   * Forget the whole conversation (used when a new run starts)
+   */
+  clearMessages() {
+    this.transcript.reset();
+    this.scrollOffset = 0;
+    this.chatInput.value = '';
+    this.clearMessageDisplay();
+    this.scrollText.setText('');
+    this.setAiStatus('');
+    
+    console.log('💬 CHAT: Conversation cleared');
+  }
+
+  /**
+   * Set which enemy AI the chat talks to
+   * @param {AiSystem} aiSystem - AI controller of the targeted enemy (null when no enemy is around)
    */
   setAiSystem(aiSystem) {
-    console.log(`💬 CHAT: setAiSystem called with:`, !!aiSystem);
+    console.log(`💬 CHAT: Now talking to:`, aiSystem ? aiSystem.name : 'nobody');
     this.aiSystem = aiSystem;
-    console.log(`💬 CHAT: AI system set, current system:`, !!this.aiSystem);
+    this.chatInput.placeholder = aiSystem ? `Talk to ${aiSystem.name}... (Tab: switch enemy)` : 'No enemy nearby...';
+    
+    // The status line belongs to the new target
+    this.setAiStatus('');
+    if (aiSystem) {
+      aiSystem.updateQueueStatus(true);
+    }
   }
 
   /**
@@ -540,6 +718,10 @@ export class ChatSystem {
       document.removeEventListener('keydown', this.nativeKeyListener);
     }
     
+    if (this.wheelListener) {
+      this.scene.input.off('wheel', this.wheelListener);
+    }
+    
     // Re-enable Phaser keyboard if it was disabled
     if (this.scene.input.keyboard) {
       this.scene.input.keyboard.enabled = true;
@@ -550,8 +732,9 @@ export class ChatSystem {
       this.chatInput.parentNode.removeChild(this.chatInput);
     }
     
-    // Clear message display
-    this.clearMessageDisplay();
+    // Destroy the line pool
+    this.messageTexts.forEach(text => text.destroy());
+    this.messageTexts = [];
     
     // Destroy UI elements
     if (this.toggleButton) {
@@ -566,7 +749,15 @@ export class ChatSystem {
       this.chatContainer.destroy();
     }
     
-    this.messages = [];
+    if (this.statusText) {
+      this.statusText.destroy();
+    }
+    
+    if (this.scrollText) {
+      this.scrollText.destroy();
+    }
+    
+    this.transcript.reset();
     
     console.log('💬 Chat system destroyed');
   }
@@ -0,0 +1,276 @@
+import { CONFIG } from '../config/gameConfig.js';
+import { ChatTranscript } from '../utils/ChatTranscript.js';
+
+/**
+ * ChatTranscriptSystem - Saved Chat Transcripts and Their Viewer
+ *
+ * When a run ends, the chat's ChatTranscript becomes a transcript record:
+ * - Saved in localStorage with the run's seed and score (the last few runs)
+ * - Viewable from the game over screen (C key) in a scrollable panel, with a
+ *   picker for the earlier saved runs
+ * - Exportable as plain text or JSON
+ *
+ * Replays end with a transcript too, but it is only shown, never saved.
+ * If storage is unavailable the viewer still works for the current session.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class ChatTranscriptSystem {
+  /**
+   * Initialize the transcript system and load saved transcripts
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.storage = this.getStorage();
+
+    // Saved data: { version, transcripts: [...] } (oldest first)
+    this.data = this.load();
+
+    // Transcript of the run that just ended (saved or not)
+    this.lastTranscript = null;
+
+    // DOM viewer (created while open)
+    this.panel = null;
+    this.picker = null;
+    this.textArea = null;
+    this.transcripts = null; // What the picker lists while open
+
+    this.setupInputHandling();
+
+    console.log(`📜 Chat transcript system initialized (${this.data.transcripts.length} saved transcripts)`);
+  }
+
+  /**
+   * Get localStorage if the browser allows it
+   * @returns {Storage|null} Storage object or null when unavailable
+   */
+  getStorage() {
+    try {
+      return window.localStorage || null;
+    } catch (error) {
+      console.warn('📜 localStorage unavailable - chat transcripts will not persist:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Load saved transcripts, discarding data in an unknown format
+   * @returns {object} Transcript data
+   */
+  load() {
+    const empty = { version: CONFIG.CHAT.SCHEMA_VERSION, transcripts: [] };
+    if (!this.storage) return empty;
+
+    try {
+      const raw = this.storage.getItem(CONFIG.CHAT.STORAGE_KEY);
+      if (!raw) return empty;
+
+      const data = JSON.parse(raw);
+      if (!data || data.version !== CONFIG.CHAT.SCHEMA_VERSION || !Array.isArray(data.transcripts)) {
+        console.warn('📜 Saved chat transcripts have an unknown format - starting fresh');
+        return empty;
+      }
+      return data;
+    } catch (error) {
+      console.warn('📜 Saved chat transcripts are unreadable - starting fresh:', error.message);
+      return empty;
+    }
+  }
+
+  /**
+   * Write saved transcripts to storage
+   */
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(CONFIG.CHAT.STORAGE_KEY, JSON.stringify(this.data));
+    } catch (error) {
+      console.warn('📜 Could not save chat transcripts:', error.message);
+    }
+  }
+
+  /**
+   * Listen for the game over screen's transcript key
+   */
+  setupInputHandling() {
+    this.scene.input.keyboard.on('keydown-C', () => {
+      if (this.panel) {
+        this.close();
+      } else if (this.scene.gameOverSystem && this.scene.gameOverSystem.isVisible) {
+        this.open();
+      }
+    });
+  }
+
+  /**
+   * Keep the transcript of a run that just ended
+   * @param {object} record - Transcript record from ChatTranscript.toRecord (null when there was no chat)
+   * @param {boolean} persist - Save it (false for replays, which are not new runs)
+   */
+  finishRun(record, persist = true) {
+    this.lastTranscript = record;
+    if (!record || !persist) return;
+
+    this.data.transcripts.push(record);
+    while (this.data.transcripts.length > CONFIG.CHAT.MAX_SAVED) {
+      this.data.transcripts.shift();
+    }
+
+    this.save();
+    console.log(`📜 Chat transcript saved (${record.messages.length} messages)`);
+  }
+
+  /**
+   * Transcripts the viewer can show, most recent first
+   * The run that just ended comes first even when it was not saved (replays).
+   * @returns {Array<object>} Transcript records
+   */
+  getTranscripts() {
+    const saved = [...this.data.transcripts].reverse();
+    if (this.lastTranscript && !saved.includes(this.lastTranscript)) {
+      saved.unshift(this.lastTranscript);
+    }
+    return saved;
+  }
+
+  /**
+   * Describe a transcript for the picker
+   * @param {object} record - Transcript record
+   * @returns {string} Label such as "2026-10-19 14:03 - seed k3f9x2qa - 1234 pts - 12 messages"
+   */
+  describe(record) {
+    const parts = [record.startedAt.slice(0, 16).replace('T', ' ')];
+    if (record.seed) parts.push(`seed ${record.seed}`);
+    if (record.score !== undefined) parts.push(`${record.score} pts`);
+    parts.push(`${record.messages.length} messages`);
+    return parts.join(' - ');
+  }
+
+  /**
+   * Open the viewer on the most recent transcript
+   */
+  open() {
+    const transcripts = this.getTranscripts();
+    if (this.panel || transcripts.length === 0) return;
+
+    this.panel = document.createElement('div');
+    this.panel.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      width: 640px;
+      max-width: calc(100vw - 20px);
+      max-height: calc(100vh - 40px);
+      display: flex;
+      flex-direction: column;
+      background: rgba(26, 26, 46, 0.96);
+      border: 1px solid #b39ddb;
+      border-radius: 6px;
+      color: #e0e0e0;
+      font-family: monospace;
+      font-size: 12px;
+      z-index: 1000;
+    `;
+
+    // Using the picker must not restart the run or trigger other game keys (C still closes)
+    this.panel.addEventListener('keydown', event => {
+      if (event.key.toLowerCase() !== 'c') event.stopPropagation();
+    });
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; gap: 6px; padding: 6px 8px; border-bottom: 1px solid #333a5c;';
+    header.innerHTML = `
+      <strong style="color: #b39ddb;">📜 CHAT TRANSCRIPT</strong>
+      <select data-role="picker" style="flex: 1; min-width: 0;"></select>
+      <button data-role="text">Export .txt</button>
+      <button data-role="json">Export .json</button>
+      <button data-role="close">Close (C)</button>
+    `;
+
+    this.picker = header.querySelector('[data-role="picker"]');
+    transcripts.forEach((record, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = this.describe(record);
+      this.picker.appendChild(option);
+    });
+    this.picker.addEventListener('change', () => this.showTranscript());
+
+    header.querySelector('[data-role="text"]').addEventListener('click', () => this.exportTranscript(this.getSelected(), 'text'));
+    header.querySelector('[data-role="json"]').addEventListener('click', () => this.exportTranscript(this.getSelected(), 'json'));
+    header.querySelector('[data-role="close"]').addEventListener('click', () => this.close());
+
+    this.textArea = document.createElement('pre');
+    this.textArea.style.cssText = 'margin: 0; padding: 8px; overflow-y: auto; white-space: pre-wrap; word-break: break-word;';
+
+    this.panel.append(header, this.textArea);
+    document.body.appendChild(this.panel);
+
+    this.transcripts = transcripts;
+    this.showTranscript();
+  }
+
+  /**
+   * Get the transcript chosen in the picker
+   * @returns {object} Transcript record
+   */
+  getSelected() {
+    return this.transcripts[Number(this.picker.value)] || this.transcripts[0];
+  }
+
+  /**
+   * Show the chosen transcript, scrolled to its end
+   */
+  showTranscript() {
+    this.textArea.textContent = ChatTranscript.formatText(this.getSelected());
+    this.textArea.scrollTop = this.textArea.scrollHeight;
+  }
+
+  /**
+   * Close the viewer
+   */
+  close() {
+    if (!this.panel) return;
+
+    this.panel.remove();
+    this.panel = null;
+    this.picker = null;
+    this.textArea = null;
+    this.transcripts = null;
+  }
+
+  /**
+   * Download a transcript as a text or JSON file
+   * @param {object} record - Transcript to export
+   * @param {string} format - 'text' or 'json'
+   */
+  exportTranscript(record, format) {
+    const isJson = format === 'json';
+    const content = isJson ? JSON.stringify(record, null, 2) : ChatTranscript.formatText(record);
+    const blob = new Blob([content], { type: isJson ? 'application/json' : 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const date = record.startedAt.slice(0, 19).replace(/[:T]/g, '-');
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `aetherion-chat-${record.seed || 'run'}-${date}.${isJson ? 'json' : 'txt'}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    console.log(`📜 Chat transcript exported: ${link.download}`);
+  }
+
+  /**
+   * Clean up the viewer
+   */
+  destroy() {
+    this.close();
+    console.log('🗑️ Chat transcript system destroyed');
+  }
+}
@@ -1,10 +1,12 @@
 import { CONFIG } from '../config/gameConfig.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 
 /**
  * CoinSystem - Coin Generation and Collection Management
  * 
  * Handles all coin-related functionality:
  * - Procedural coin placement on platforms
+ * - Rare bonus coins with their own color, glow and value
  * - Coin animation and visual effects
  * - Collection detection and scoring
  * - Particle effects for collection feedback
@@ -17,10 +19,12 @@ export class CoinSystem {
    * Initialize the coin system
    * @param {Phaser.Scene} scene - The game scene
    * @param {ScoringSystem} scoringSystem - Reference to scoring system
+   * @param {SeededRandom} random - Seeded RNG for coin variations
    */
-  constructor(scene, scoringSystem) {
+  constructor(scene, scoringSystem, random = new SeededRandom(SeededRandom.generateSeed())) {
     this.scene = scene;
     this.scoringSystem = scoringSystem;
+    this.random = random;
     this.visualEffectsSystem = null;
     
     // Coin management
@@ -92,6 +96,9 @@ export class CoinSystem {
     // Position coin at half player height (16px) above platform surface
     const coinY = y - CONFIG.COINS.SIZE - 16; // Platform top - coin size - half player height
     
+    // Rare bonus coin roll
+    const isBonus = this.random.chance(CONFIG.COINS.BONUS_CHANCE);
+    
     // Create physics sprite
     const coin = this.scene.physics.add.sprite(coinX, coinY, 'coin');
     
@@ -107,8 +114,8 @@ export class CoinSystem {
     
     // Visual setup
     coin.setDepth(50);
-    coin.setScale(1.0);
-    coin.setTint(this.getRandomCoinColor());
+    coin.setScale(isBonus ? CONFIG.COINS.BONUS_SCALE : 1.0);
+    coin.setTint(isBonus ? CONFIG.COINS.BONUS_COLOR : this.getRandomCoinColor());
     
     // Store coin data with UNIQUE identifier
     coin.coinData = {
@@ -116,9 +123,10 @@ export class CoinSystem {
       platform: platform,
       originalX: coinX,
       originalY: coinY,
-      bounceOffset: Math.random() * Math.PI * 2,
+      bounceOffset: this.random.next() * Math.PI * 2,
       collected: false,
-      value: CONFIG.SCORING.COIN_VALUE,
+      isBonus: isBonus,
+      value: isBonus ? CONFIG.SCORING.BONUS_COIN_VALUE : CONFIG.SCORING.COIN_VALUE,
       creationTime: this.scene.time.now
     };
     
@@ -131,7 +139,7 @@ export class CoinSystem {
     // Create coin light
     this.createCoinLight(coin);
     
-    console.log(`🪙 Coin created with ID: ${coin.coinData.id} at (${coinX}, ${coinY})`);
+    console.log(`🪙 ${isBonus ? 'BONUS coin' : 'Coin'} created with ID: ${coin.coinData.id} at (${coinX}, ${coinY})`);
     
     return coin;
   }
@@ -142,12 +150,13 @@ export class CoinSystem {
    */
   createCoinLight(coin) {
     if (this.scene.lights) {
+      const isBonus = coin.coinData.isBonus;
       const light = this.scene.lights.addLight(
         coin.x,
         coin.y,
-        CONFIG.COINS.GLOW_RADIUS,
-        CONFIG.COINS.COLORS[0],
-        CONFIG.COINS.LIGHT_INTENSITY
+        isBonus ? CONFIG.COINS.BONUS_GLOW_RADIUS : CONFIG.COINS.GLOW_RADIUS,
+        isBonus ? CONFIG.COINS.BONUS_COLOR : CONFIG.COINS.COLORS[0],
+        isBonus ? CONFIG.COINS.BONUS_LIGHT_INTENSITY : CONFIG.COINS.LIGHT_INTENSITY
       );
       
       coin.coinData.light = light;
@@ -159,8 +168,7 @@ export class CoinSystem {
    * @returns {number} Hex color value
    */
   getRandomCoinColor() {
-    const colors = CONFIG.COINS.COLORS;
-    return colors[Math.floor(Math.random() * colors.length)];
+    return this.random.pick(CONFIG.COINS.COLORS);
   }
 
   /**
@@ -203,6 +211,11 @@ export class CoinSystem {
         // Very slow rotation
         coin.rotation += 0.003;
         
+        // Bonus coins pulse so they stand out
+        if (coin.coinData.isBonus) {
+          coin.setScale(CONFIG.COINS.BONUS_SCALE + Math.sin(bouncePhase * 4) * 0.12);
+        }
+        
         // Update light position occasionally
         if (coin.coinData.light && time % 200 < 16) {
           coin.coinData.light.x = coin.x;
@@ -256,7 +269,10 @@ export class CoinSystem {
     
     // Create enhanced collection effect using visual effects system
     if (this.visualEffectsSystem) {
-      this.visualEffectsSystem.createCoinCollectionEffect(coin.x, coin.y, coinValue);
+      this.visualEffectsSystem.createCoinCollectionEffect(coin.x, coin.y, coinValue, {
+        multiplier: this.scoringSystem.getComboMultiplier(),
+        isBonus: coin.coinData.isBonus
+      });
     } else {
       // Fallback to old collection effect
       this.createCollectionEffect(coin.x, coin.y);
@@ -331,6 +347,34 @@ export class CoinSystem {
     });
   }
 
+  /**
+   * Remove every coin and reset statistics for a new run
+   * @param {SeededRandom} random - Seeded RNG for the new run (keeps the current one if omitted)
+   */
+  reset(random = this.random) {
+    this.random = random;
+    
+    this.coins.forEach(coin => {
+      if (coin.coinData.light) {
+        this.scene.lights.removeLight(coin.coinData.light);
+      }
+      
+      this.coinGroup.remove(coin);
+      coin.destroy();
+    });
+    
+    this.coins = [];
+    this.collectionEffects = [];
+    
+    this.stats = {
+      totalCoinsCreated: 0,
+      coinsCollected: 0,
+      activeCoins: 0
+    };
+    
+    console.log('🔄 Coin system reset');
+  }
+
   /**
    * Get coin system statistics
    * @returns {object} Coin statistics
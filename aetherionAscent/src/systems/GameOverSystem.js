@@ -0,0 +1,251 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+/**
+ * GameOverSystem - Death Screen and Restart Prompt
+ *
+ * Shown when the void swallows the player:
+ * - Dims the screen and announces the death
+ * - Displays the final score breakdown from the ScoringSystem
+ * - Shows the saved top-10 table and personal best from the HighScoreSystem
+ * - Shows the run seed so the tower can be shared or replayed
+ * - Offers an in-place restart (R key or click) without reloading the page
+ * - Points at the replay keys handled by the ReplaySystem (V watch, X export, F9 import)
+ *   and the chat transcript key handled by the ChatTranscriptSystem (C)
+ *
+ * The actual reset of the world is orchestrated by GameScene.restartRun().
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class GameOverSystem {
+  /**
+   * Initialize the game over system
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // Screen state
+    this.isVisible = false;
+    this.shownAt = 0;
+    this.restartDelay = 600; // ms before restart input is accepted (avoids accidental restarts)
+
+    // UI elements
+    this.elements = {
+      overlay: null,
+      title: null,
+      personalBest: null,
+      breakdown: null,
+      highScores: null,
+      seed: null,
+      prompt: null,
+      replayHint: null,
+      transcriptHint: null
+    };
+
+    this.createGameOverScreen();
+    this.setupInputHandling();
+
+    console.log('💀 Game over system initialized');
+  }
+
+  /**
+   * Create the (initially hidden) game over overlay
+   */
+  createGameOverScreen() {
+    const { width, height } = this.scene.cameras.main;
+
+    // Dark overlay covering the whole screen
+    this.elements.overlay = this.scene.add.rectangle(width / 2, height / 2, width, height, CONFIG.THEME.VOID_COLOR, 0.75);
+    this.elements.overlay.setInteractive();
+    this.elements.overlay.on('pointerdown', () => this.requestRestart());
+
+    // Title
+    this.elements.title = this.scene.add.text(width / 2, height / 2 - 140, 'CONSUMED BY THE VOID', {
+      fontFamily: 'Arial',
+      fontSize: '42px',
+      fill: '#ff6666',
+      stroke: '#1a1a2e',
+      strokeThickness: 6
+    });
+    this.elements.title.setOrigin(0.5);
+
+    // Personal best / new record line
+    this.elements.personalBest = this.scene.add.text(width / 2, height / 2 - 90, '', {
+      fontFamily: 'Arial',
+      fontSize: '20px',
+      fill: '#ffd700'
+    });
+    this.elements.personalBest.setOrigin(0.5);
+
+    // Final score breakdown
+    this.elements.breakdown = this.scene.add.text(width / 2 - 190, height / 2 + 20, '', {
+      fontFamily: 'monospace',
+      fontSize: '20px',
+      fill: '#ffffff',
+      align: 'center',
+      lineSpacing: 6,
+      backgroundColor: 'rgba(26, 26, 46, 0.7)',
+      padding: { x: 20, y: 12 }
+    });
+    this.elements.breakdown.setOrigin(0.5);
+
+    // Saved top-10 table
+    this.elements.highScores = this.scene.add.text(width / 2 + 190, height / 2 + 20, '', {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      fill: '#e0e0e0',
+      lineSpacing: 3,
+      backgroundColor: 'rgba(26, 26, 46, 0.7)',
+      padding: { x: 14, y: 10 }
+    });
+    this.elements.highScores.setOrigin(0.5);
+
+    // Seed of the finished run
+    this.elements.seed = this.scene.add.text(width / 2, height / 2 + 150, '', {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      fill: '#b39ddb'
+    });
+    this.elements.seed.setOrigin(0.5);
+
+    // Restart prompt
+    this.elements.prompt = this.scene.add.text(width / 2, height / 2 + 195, 'Press R or click to climb again', {
+      fontFamily: 'Arial',
+      fontSize: '22px',
+      fill: '#64ffda'
+    });
+    this.elements.prompt.setOrigin(0.5);
+
+    // Replay keys
+    this.elements.replayHint = this.scene.add.text(width / 2, height / 2 + 230, 'V - watch replay    X - export replay    F9 - import replay', {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      fill: '#ff8a80'
+    });
+    this.elements.replayHint.setOrigin(0.5);
+
+    // Chat transcript key
+    this.elements.transcriptHint = this.scene.add.text(width / 2, height / 2 + 255, 'C - chat transcript (view / export)', {
+      fontFamily: 'monospace',
+      fontSize: '14px',
+      fill: '#b39ddb'
+    });
+    this.elements.transcriptHint.setOrigin(0.5);
+
+    // Fixed to camera, above every other HUD element
+    Object.values(this.elements).forEach(element => {
+      element.setScrollFactor(0);
+      element.setDepth(2000);
+      element.setVisible(false);
+    });
+  }
+
+  /**
+   * Listen for the restart key
+   */
+  setupInputHandling() {
+    this.scene.input.keyboard.on('keydown-R', () => this.requestRestart());
+  }
+
+  /**
+   * Show the game over screen
+   * @param {string} scoreBreakdown - Formatted score breakdown from ScoringSystem
+   * @param {string} seed - Seed of the finished run
+   * @param {object} highScores - {table, personalBest, isPersonalBest, rank} from the HighScoreSystem
+   */
+  show(scoreBreakdown, seed, highScores = null) {
+    this.isVisible = true;
+    this.shownAt = this.scene.time.now;
+
+    this.elements.breakdown.setText(scoreBreakdown);
+    this.elements.highScores.setText(highScores ? highScores.table : '');
+    this.elements.personalBest.setText(this.formatPersonalBest(highScores));
+    this.elements.seed.setText(`Seed: ${seed}  -  add ?seed=${seed} to the URL to climb this tower again`);
+
+    Object.values(this.elements).forEach(element => {
+      element.setVisible(true);
+      element.setAlpha(0);
+    });
+
+    // Fade the screen in
+    this.scene.tweens.add({
+      targets: Object.values(this.elements),
+      alpha: 1,
+      duration: 500,
+      ease: 'Power2'
+    });
+
+    // Gentle pulse on the restart prompt
+    this.promptTween = this.scene.tweens.add({
+      targets: this.elements.prompt,
+      scale: 1.08,
+      duration: 700,
+      yoyo: true,
+      repeat: -1,
+      delay: 500
+    });
+
+    console.log('💀 Game over screen shown');
+  }
+
+  /**
+   * Build the personal best line
+   * @param {object} highScores - High score summary passed to show()
+   * @returns {string} Text for the personal best element
+   */
+  formatPersonalBest(highScores) {
+    if (!highScores || !highScores.personalBest) return '';
+
+    if (highScores.isPersonalBest) {
+      return `NEW PERSONAL BEST: ${highScores.personalBest.score}!`;
+    }
+
+    const rankText = highScores.rank ? `  -  this run placed #${highScores.rank}` : '';
+    return `Personal best: ${highScores.personalBest.score}${rankText}`;
+  }
+
+  /**
+   * Hide the game over screen
+   */
+  hide() {
+    this.isVisible = false;
+
+    if (this.promptTween) {
+      this.promptTween.stop();
+      this.promptTween = null;
+    }
+
+    Object.values(this.elements).forEach(element => {
+      this.scene.tweens.killTweensOf(element);
+      element.setVisible(false);
+      element.setScale(1);
+    });
+  }
+
+  /**
+   * Restart the run if the screen is up and the input delay has passed
+   */
+  requestRestart() {
+    if (!this.isVisible) return;
+    if (this.scene.time.now - this.shownAt < this.restartDelay) return;
+
+    this.hide();
+    this.scene.restartRun();
+  }
+
+  /**
+   * Clean up game over screen elements
+   */
+  destroy() {
+    this.hide();
+
+    Object.values(this.elements).forEach(element => {
+      if (element && element.destroy) {
+        element.destroy();
+      }
+    });
+
+    console.log('🗑️ Game over system destroyed');
+  }
+}
@@ -0,0 +1,192 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+/**
+ * GameplayEventSystem - Lets Enemies React Without Being Spoken to
+ *
+ * Watches the run for moments worth a comment and offers them to an enemy's
+ * AI as an autonomous turn (see GAMEPLAY_EVENTS in ai/gameplayEvents.js):
+ * - playerPassed: the player climbs past an enemy (that enemy reacts)
+ * - coinStreak: a coin combo of CONFIG.AI.EVENTS.COIN_STREAK
+ * - bigFall: one drop of at least FALL_DISTANCE
+ * - ignored: no chat message for IGNORE_TIME while an enemy is around
+ *
+ * The last three go to the enemy the chat is talking to. A global cooldown
+ * keeps enemies from piling on; each AI also has its own cooldown and turns
+ * events down while it is busy with the player's messages. Nothing fires
+ * during replay playback - recorded reactions are played back instead.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class GameplayEventSystem {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.reset();
+
+    console.log('🎬 Gameplay event system initialized');
+  }
+
+  /**
+   * Look for events this frame
+   */
+  update() {
+    const player = this.scene.player;
+    if (!CONFIG.AI.EVENTS.ENABLED || !player || !player.body || this.scene.isGameOver) return;
+    if (this.scene.replaySystem && this.scene.replaySystem.isPlaying()) return;
+
+    const now = this.scene.time.now;
+    this.detectPassedEnemies(player);
+    this.detectCoinStreak();
+    this.detectBigFall(player);
+    this.detectIgnored(now);
+  }
+
+  /**
+   * Fire playerPassed when the player climbs from below an enemy to above it
+   * @param {Player} player - The player
+   */
+  detectPassedEnemies(player) {
+    const margin = CONFIG.AI.EVENTS.PASS_MARGIN;
+
+    this.scene.enemies.forEach(enemy => {
+      if (!enemy || !enemy.aiController) return;
+
+      const isAbove = player.body.bottom < enemy.y - margin;
+      const wasAbove = this.playerAboveEnemy.get(enemy.enemyId);
+      this.playerAboveEnemy.set(enemy.enemyId, isAbove);
+
+      // First sighting only records the side
+      if (wasAbove === false && isAbove) {
+        this.trigger('playerPassed', enemy.aiController, {});
+      }
+    });
+  }
+
+  /**
+   * Fire coinStreak once per combo when it reaches COIN_STREAK
+   */
+  detectCoinStreak() {
+    const scoring = this.scene.scoringSystem;
+    if (!scoring) return;
+
+    const combo = scoring.combo.count;
+    if (combo < CONFIG.AI.EVENTS.COIN_STREAK) {
+      this.coinStreakNoticed = false;
+      return;
+    }
+
+    if (!this.coinStreakNoticed && this.trigger('coinStreak', this.scene.getChatTarget(), { combo })) {
+      this.coinStreakNoticed = true;
+    }
+  }
+
+  /**
+   * Fire bigFall when the player lands far below the top of their last jump
+   * @param {Player} player - The player
+   */
+  detectBigFall(player) {
+    if (!player.playerState.isGrounded) {
+      this.fallTopY = Math.min(this.fallTopY, player.y);
+      return;
+    }
+
+    const distance = Math.round(player.y - this.fallTopY);
+    this.fallTopY = player.y;
+
+    if (distance >= CONFIG.AI.EVENTS.FALL_DISTANCE) {
+      this.trigger('bigFall', this.scene.getChatTarget(), { distance });
+    }
+  }
+
+  /**
+   * Fire ignored when the player keeps quiet with an enemy in earshot
+   * @param {number} now - Scene time (ms)
+   */
+  detectIgnored(now) {
+    const target = this.scene.getChatTarget();
+    if (!target) {
+      this.lastPlayerMessageTime = now; // Nobody to ignore
+      return;
+    }
+
+    const silence = now - this.lastPlayerMessageTime;
+    if (silence >= CONFIG.AI.EVENTS.IGNORE_TIME &&
+        this.trigger('ignored', target, { seconds: Math.round(silence / 1000) })) {
+      this.lastPlayerMessageTime = now; // Complain again only after another full silence
+    }
+  }
+
+  /**
+   * Offer an event to an enemy's AI (respecting the global cooldown)
+   * @param {string} type - GAMEPLAY_EVENTS key
+   * @param {AiSystem} aiSystem - Enemy that should react
+   * @param {object} data - Event details for its description
+   * @returns {boolean} True if the enemy took the turn
+   */
+  trigger(type, aiSystem, data) {
+    if (!aiSystem) return false;
+
+    const now = this.scene.time.now;
+    if (now - this.lastEventTime < CONFIG.AI.EVENTS.GLOBAL_COOLDOWN) return false;
+
+    const accepted = aiSystem.handleGameplayEvent({
+      type,
+      data,
+      summary: this.summarizeGameState(aiSystem)
+    });
+
+    if (accepted) {
+      this.lastEventTime = now;
+      console.log(`🎬 ${aiSystem.name} reacts to ${type}`);
+    }
+    return accepted;
+  }
+
+  /**
+   * Describe the run for the model in a few short lines
+   * @param {AiSystem} aiSystem - Enemy the summary is for
+   * @returns {string} Game state summary
+   */
+  summarizeGameState(aiSystem) {
+    const { player, scoringSystem, voidSystem, reputationSystem } = this.scene;
+    const lines = [];
+
+    if (scoringSystem) {
+      lines.push(`- Player height: ${Math.round(scoringSystem.stats.currentHeight)} (best ${Math.round(scoringSystem.stats.maxHeight)}), coins: ${scoringSystem.coins}`);
+    }
+    if (voidSystem && player) {
+      lines.push(`- The void is ${Math.max(0, Math.round(voidSystem.getVoidY() - player.body.bottom))}px below the player`);
+    }
+    if (aiSystem.enemy && player) {
+      const offset = Math.round(aiSystem.enemy.y - player.y);
+      lines.push(`- You are ${Math.abs(offset)}px ${offset > 0 ? 'below' : 'above'} the player`);
+    }
+    if (reputationSystem) {
+      lines.push(`- Your mood: ${reputationSystem.getMood().NAME}`);
+    }
+    lines.push(`- Seconds since the player last chatted: ${Math.round((this.scene.time.now - this.lastPlayerMessageTime) / 1000)}`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Note that the player said something (resets the "ignored" timer)
+   */
+  notePlayerMessage() {
+    this.lastPlayerMessageTime = this.scene.time.now;
+  }
+
+  /**
+   * Forget everything seen so far (for game restart)
+   */
+  reset() {
+    this.lastEventTime = -Infinity;
+    this.lastPlayerMessageTime = this.scene.time ? this.scene.time.now : 0;
+    this.playerAboveEnemy = new Map(); // enemyId -> whether the player was above it last frame
+    this.coinStreakNoticed = false;
+    this.fallTopY = Infinity;
+  }
+}
@@ -0,0 +1,368 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+/**
+ * GhostSystem - Race Against a Recorded Run
+ *
+ * Shows a translucent "ghost" climber that follows the path of a recorded run
+ * on the same tower:
+ * - Your best run per seed is saved in localStorage from the ReplaySystem recording
+ * - A teammate's exported replay file can be loaded (F8) to race their run instead
+ * - Ghosts are only offered when the seed matches the current tower
+ * - The HUD shows how far ahead of or behind the ghost you are (ScoringSystem)
+ *
+ * G toggles the ghost on and off. The ghost runs on the replay clock, so it
+ * starts the moment the run starts and matches playback speed.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class GhostSystem {
+  /**
+   * Initialize the ghost system and load saved ghosts
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.storage = this.getStorage();
+
+    // Saved best-run ghosts: { version, ghosts: { [seed]: ghost } }
+    this.data = this.load();
+
+    // Teammate ghost loaded from a file (wins over the saved one for its seed)
+    this.loadedGhost = null;
+
+    // Ghost racing this run
+    this.activeGhost = null;
+    this.isEnabled = true;
+
+    // Visuals
+    this.ghostSprite = null;
+    this.ghostLabel = null;
+
+    // Hidden file picker for teammate ghosts
+    this.fileInput = null;
+
+    this.createGhostVisuals();
+    this.setupInputHandling();
+
+    console.log(`👻 Ghost system initialized (${Object.keys(this.data.ghosts).length} saved ghosts)`);
+  }
+
+  /**
+   * Get localStorage if the browser allows it
+   * @returns {Storage|null} Storage object or null when unavailable
+   */
+  getStorage() {
+    try {
+      return window.localStorage || null;
+    } catch (error) {
+      console.warn('👻 localStorage unavailable - ghosts will not persist:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Load saved ghosts, discarding data in an unknown format
+   * @returns {object} Ghost data
+   */
+  load() {
+    const empty = { version: CONFIG.GHOSTS.SCHEMA_VERSION, ghosts: {} };
+    if (!this.storage) return empty;
+
+    try {
+      const raw = this.storage.getItem(CONFIG.GHOSTS.STORAGE_KEY);
+      if (!raw) return empty;
+
+      const data = JSON.parse(raw);
+      if (!data || data.version !== CONFIG.GHOSTS.SCHEMA_VERSION || typeof data.ghosts !== 'object') {
+        console.warn('👻 Saved ghosts have an unknown format - starting fresh');
+        return empty;
+      }
+      return data;
+    } catch (error) {
+      console.warn('👻 Saved ghosts are unreadable - starting fresh:', error.message);
+      return empty;
+    }
+  }
+
+  /**
+   * Write saved ghosts to storage
+   */
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(CONFIG.GHOSTS.STORAGE_KEY, JSON.stringify(this.data));
+    } catch (error) {
+      console.warn('👻 Could not save ghosts:', error.message);
+    }
+  }
+
+  /**
+   * Create the (initially hidden) ghost sprite and its label
+   */
+  createGhostVisuals() {
+    this.ghostSprite = this.scene.add.image(0, 0, 'player');
+    this.ghostSprite.setAlpha(CONFIG.GHOSTS.ALPHA);
+    this.ghostSprite.setTint(CONFIG.GHOSTS.TINT);
+    this.ghostSprite.setDepth(49); // Just behind the player
+    this.ghostSprite.setVisible(false);
+
+    this.ghostLabel = this.scene.add.text(0, 0, '', {
+      fontFamily: 'Arial',
+      fontSize: '11px',
+      fill: '#b2ebf2'
+    });
+    this.ghostLabel.setOrigin(0.5, 1);
+    this.ghostLabel.setAlpha(0.7);
+    this.ghostLabel.setDepth(49);
+    this.ghostLabel.setVisible(false);
+  }
+
+  /**
+   * Listen for the toggle and load keys
+   */
+  setupInputHandling() {
+    this.scene.input.keyboard.on('keydown-G', () => this.toggle());
+    this.scene.input.keyboard.on('keydown-F8', () => this.openLoadDialog());
+  }
+
+  /**
+   * Turn the ghost on or off
+   */
+  toggle() {
+    this.isEnabled = !this.isEnabled;
+    console.log(`👻 Ghost ${this.isEnabled ? 'ON' : 'OFF'}`);
+
+    if (!this.isEnabled) {
+      this.hideGhost();
+    }
+  }
+
+  /**
+   * Turn a replay into a ghost (just the timed path plus run info)
+   * @param {object} replay - Replay from the ReplaySystem
+   * @param {string} name - Who ran it
+   * @returns {object} Ghost
+   */
+  createGhostFromReplay(replay, name) {
+    return {
+      seed: replay.seed,
+      difficulty: replay.difficulty,
+      name,
+      score: replay.final ? replay.final.score : 0,
+      maxHeight: replay.final ? replay.final.maxHeight : 0,
+      recordedAt: replay.recordedAt,
+      path: replay.keyframes.map(([t, x, y]) => [t, x, y])
+    };
+  }
+
+  /**
+   * Pick the ghost to race for a new run
+   * @param {string} seed - Seed of the run that's starting
+   */
+  startRun(seed) {
+    this.activeGhost = this.getGhostForSeed(seed);
+    this.hideGhost();
+
+    if (this.activeGhost) {
+      console.log(`👻 Racing ${this.activeGhost.name} (${this.activeGhost.score} points) on seed ${seed}`);
+    }
+  }
+
+  /**
+   * Get the ghost offered for a seed - a loaded teammate ghost first, then your saved best
+   * @param {string} seed - Tower seed
+   * @returns {object|null} Ghost, or null if none matches the seed
+   */
+  getGhostForSeed(seed) {
+    if (this.loadedGhost && this.loadedGhost.seed === seed) {
+      return this.loadedGhost;
+    }
+    return this.data.ghosts[seed] || null;
+  }
+
+  /**
+   * Seed a new run should use so the loaded teammate ghost can be raced
+   * @returns {string|null} Loaded ghost seed, or null
+   */
+  getRaceSeed() {
+    return this.isEnabled && this.loadedGhost ? this.loadedGhost.seed : null;
+  }
+
+  /**
+   * Keep a finished run as the ghost for its seed if it beats the saved one
+   * @param {object} replay - Finished replay from the ReplaySystem
+   * @returns {boolean} True if the run became the new ghost
+   */
+  offerRun(replay) {
+    if (!replay || replay.keyframes.length < 2) return false;
+
+    const saved = this.data.ghosts[replay.seed];
+    if (saved && saved.score >= replay.final.score) return false;
+
+    this.data.ghosts[replay.seed] = this.createGhostFromReplay(replay, 'Your best');
+
+    // Keep storage bounded - forget the oldest seeds first
+    const seeds = Object.keys(this.data.ghosts)
+      .sort((a, b) => this.data.ghosts[a].recordedAt.localeCompare(this.data.ghosts[b].recordedAt));
+    while (seeds.length > CONFIG.GHOSTS.MAX_SAVED) {
+      delete this.data.ghosts[seeds.shift()];
+    }
+
+    this.save();
+    console.log(`👻 New ghost for seed ${replay.seed}: ${replay.final.score} points`);
+    return true;
+  }
+
+  /**
+   * Get the ghost position at a point in the run (linear between keyframes)
+   * @param {number} time - Run time (ms)
+   * @returns {object|null} {x, y, finished}, or null with no ghost
+   */
+  getPositionAt(time) {
+    const path = this.activeGhost ? this.activeGhost.path : null;
+    if (!path || path.length === 0) return null;
+
+    const last = path[path.length - 1];
+    if (time >= last[0]) {
+      return { x: last[1], y: last[2], finished: true };
+    }
+
+    // Binary search for the segment containing `time`
+    let low = 0;
+    let high = path.length - 1;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (path[middle][0] <= time) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    const [startTime, startX, startY] = path[low];
+    const [endTime, endX, endY] = path[high];
+    const progress = endTime > startTime ? Phaser.Math.Clamp((time - startTime) / (endTime - startTime), 0, 1) : 0;
+
+    return {
+      x: Phaser.Math.Linear(startX, endX, progress),
+      y: Phaser.Math.Linear(startY, endY, progress),
+      finished: false
+    };
+  }
+
+  /**
+   * Move the ghost along its path and update the height delta in the HUD
+   * @param {number} time - Run time from the replay clock (ms)
+   */
+  update(time) {
+    const { scoringSystem, replaySystem } = this.scene;
+
+    // No ghost while watching a replay
+    const position = this.isEnabled && !replaySystem.isPlaying() ? this.getPositionAt(time) : null;
+    if (!position) {
+      this.hideGhost();
+      return;
+    }
+
+    this.ghostSprite.setPosition(position.x, position.y);
+    this.ghostSprite.setVisible(true);
+    this.ghostSprite.setAlpha(position.finished ? CONFIG.GHOSTS.ALPHA * 0.4 : CONFIG.GHOSTS.ALPHA);
+
+    this.ghostLabel.setText(position.finished ? `${this.activeGhost.name} (fell)` : this.activeGhost.name);
+    this.ghostLabel.setPosition(position.x, position.y - 22);
+    this.ghostLabel.setVisible(true);
+
+    // Positive = the live player is higher than the ghost was at this moment
+    const ghostHeight = Math.max(0, scoringSystem.stats.startingY - position.y);
+    scoringSystem.updateGhostDelta(scoringSystem.stats.currentHeight - ghostHeight);
+  }
+
+  /**
+   * Hide the ghost and its HUD indicator
+   */
+  hideGhost() {
+    this.ghostSprite.setVisible(false);
+    this.ghostLabel.setVisible(false);
+
+    if (this.scene.scoringSystem) {
+      this.scene.scoringSystem.updateGhostDelta(null);
+    }
+  }
+
+  /**
+   * Open a file picker for a teammate's exported replay
+   */
+  openLoadDialog() {
+    if (!this.fileInput) {
+      this.fileInput = document.createElement('input');
+      this.fileInput.type = 'file';
+      this.fileInput.accept = '.json,application/json';
+      this.fileInput.style.display = 'none';
+      this.fileInput.addEventListener('change', () => {
+        const file = this.fileInput.files[0];
+        this.fileInput.value = '';
+        if (file) {
+          file.text().then(text => this.loadGhostFile(text, file.name));
+        }
+      });
+      document.body.appendChild(this.fileInput);
+    }
+
+    this.fileInput.click();
+  }
+
+  /**
+   * Load a teammate's replay file as the ghost and start a run on its tower
+   * @param {string} text - File contents (a replay exported with X)
+   * @param {string} fileName - File name, used as the ghost's label
+   * @returns {boolean} True if the ghost was loaded
+   */
+  loadGhostFile(text, fileName) {
+    let replay;
+    try {
+      replay = JSON.parse(text);
+    } catch (error) {
+      console.warn('👻 Ghost file is not valid JSON:', error.message);
+      return false;
+    }
+
+    const problem = this.scene.replaySystem.validateReplay(replay);
+    if (problem) {
+      console.warn(`👻 Ghost file rejected: ${problem}`);
+      return false;
+    }
+
+    const name = fileName.replace(/\.json$/i, '').slice(0, 24);
+    this.loadedGhost = this.createGhostFromReplay(replay, name);
+    this.isEnabled = true;
+    console.log(`👻 Loaded ghost "${name}" for seed ${replay.seed}`);
+
+    // Ghosts only race on their own tower - switch to it unless we're already there
+    if (this.scene.runSeed === replay.seed && !this.scene.isGameOver) {
+      this.startRun(replay.seed);
+    } else if (this.scene.player && !this.scene.replaySystem.isPlaying()) {
+      if (this.scene.gameOverSystem.isVisible) {
+        this.scene.gameOverSystem.hide();
+      }
+      this.scene.restartRun(replay.seed, replay.difficulty);
+    }
+
+    return true;
+  }
+
+  /**
+   * Clean up ghost visuals
+   */
+  destroy() {
+    if (this.fileInput) {
+      this.fileInput.remove();
+      this.fileInput = null;
+    }
+
+    this.ghostSprite.destroy();
+    this.ghostLabel.destroy();
+    console.log('🗑️ Ghost system destroyed');
+  }
+}
@@ -0,0 +1,280 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+/**
+ * HighScoreSystem - Persistent High Scores and Run History
+ *
+ * Keeps finished runs in localStorage so they survive page reloads:
+ * - Versioned schema ({ version, runs }) so the format can evolve safely
+ * - Top-10 table and personal best for the game over screen
+ * - Mid-climb "new record" banner when the live score passes the previous best
+ *
+ * If storage is unavailable (private mode, quota, corrupt data) the system
+ * keeps working in memory for the current session.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class HighScoreSystem {
+  /**
+   * Initialize the high score system and load saved runs
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.storage = this.getStorage();
+
+    // Saved data: { version, runs: [...] }
+    this.data = this.load();
+
+    // Current run record tracking
+    this.recordToBeat = 0;
+    this.recordBroken = false;
+
+    // Mid-climb banner
+    this.recordBanner = null;
+
+    console.log(`🏆 High score system initialized (${this.data.runs.length} saved runs)`);
+  }
+
+  /**
+   * Get localStorage if the browser allows it
+   * @returns {Storage|null} Storage object or null when unavailable
+   */
+  getStorage() {
+    try {
+      return window.localStorage || null;
+    } catch (error) {
+      console.warn('🏆 localStorage unavailable - high scores will not persist:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Create an empty data set in the current schema
+   * @returns {object} Empty high score data
+   */
+  createEmptyData() {
+    return {
+      version: CONFIG.HIGH_SCORES.SCHEMA_VERSION,
+      runs: []
+    };
+  }
+
+  /**
+   * Load saved runs, migrating or discarding data in an unknown format
+   * @returns {object} High score data
+   */
+  load() {
+    if (!this.storage) return this.createEmptyData();
+
+    try {
+      const raw = this.storage.getItem(CONFIG.HIGH_SCORES.STORAGE_KEY);
+      if (!raw) return this.createEmptyData();
+
+      return this.migrate(JSON.parse(raw));
+    } catch (error) {
+      console.warn('🏆 Saved high scores are unreadable - starting fresh:', error.message);
+      return this.createEmptyData();
+    }
+  }
+
+  /**
+   * Bring saved data up to the current schema version
+   * @param {object} data - Parsed saved data
+   * @returns {object} Data in the current schema
+   */
+  migrate(data) {
+    if (!data || !Array.isArray(data.runs)) {
+      console.warn('🏆 Saved high scores have an unknown shape - starting fresh');
+      return this.createEmptyData();
+    }
+
+    if (data.version === CONFIG.HIGH_SCORES.SCHEMA_VERSION) {
+      return data;
+    }
+
+    // Version 1 is the first schema - anything else (e.g. from a newer build) is not understood
+    console.warn(`🏆 Unsupported high score schema v${data.version} - starting fresh`);
+    return this.createEmptyData();
+  }
+
+  /**
+   * Write the current data to storage
+   */
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(CONFIG.HIGH_SCORES.STORAGE_KEY, JSON.stringify(this.data));
+    } catch (error) {
+      console.warn('🏆 Could not save high scores:', error.message);
+    }
+  }
+
+  /**
+   * Start tracking a new run against the current personal best
+   */
+  startRun() {
+    const best = this.getPersonalBest();
+    this.recordToBeat = best ? best.score : 0;
+    this.recordBroken = false;
+    this.hideRecordBanner();
+  }
+
+  /**
+   * Check the live score against the record (call every frame while climbing)
+   * Only flags a record if there is a previous run to beat.
+   * @param {number} score - Current total score
+   * @returns {boolean} True on the frame the record is broken
+   */
+  checkRecord(score) {
+    if (this.recordBroken || this.recordToBeat <= 0 || score <= this.recordToBeat) {
+      return false;
+    }
+
+    this.recordBroken = true;
+    this.showRecordBanner();
+    console.log(`🏆 New record mid-climb! ${score} beats ${this.recordToBeat}`);
+    return true;
+  }
+
+  /**
+   * Save a finished run
+   * @param {object} run - {score, maxHeight, coins, aiInteractions, seed}
+   * @returns {object} {entry, rank, isPersonalBest} - rank is 1-based in the top table, or null
+   */
+  recordRun(run) {
+    const previousBest = this.getPersonalBest();
+
+    const entry = {
+      score: run.score,
+      maxHeight: Math.round(run.maxHeight),
+      coins: run.coins,
+      aiInteractions: run.aiInteractions,
+      seed: run.seed,
+      date: new Date().toISOString()
+    };
+
+    this.data.runs.push(entry);
+
+    // Keep the history bounded - oldest runs go first, but never drop a top score
+    const topEntries = this.getTopScores();
+    while (this.data.runs.length > CONFIG.HIGH_SCORES.MAX_HISTORY) {
+      const index = this.data.runs.findIndex(saved => !topEntries.includes(saved));
+      if (index === -1) break;
+      this.data.runs.splice(index, 1);
+    }
+
+    this.save();
+
+    const rankIndex = this.getTopScores().indexOf(entry);
+    const isPersonalBest = !previousBest || entry.score > previousBest.score;
+
+    console.log(`🏆 Run saved: ${entry.score} points${rankIndex >= 0 ? ` (#${rankIndex + 1})` : ''}${isPersonalBest ? ' - PERSONAL BEST!' : ''}`);
+
+    return {
+      entry,
+      rank: rankIndex >= 0 ? rankIndex + 1 : null,
+      isPersonalBest
+    };
+  }
+
+  /**
+   * Get the best runs, highest score first
+   * @param {number} limit - Number of runs to return
+   * @returns {Array<object>} Saved run entries
+   */
+  getTopScores(limit = CONFIG.HIGH_SCORES.TABLE_SIZE) {
+    return [...this.data.runs]
+      .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the best run ever saved
+   * @returns {object|null} Best run entry, or null if nothing is saved yet
+   */
+  getPersonalBest() {
+    return this.getTopScores(1)[0] || null;
+  }
+
+  /**
+   * Get every saved run, most recent first
+   * @returns {Array<object>} Saved run entries
+   */
+  getHistory() {
+    return [...this.data.runs].reverse();
+  }
+
+  /**
+   * Format the top-10 table for the game over screen
+   * @param {object} highlight - Entry to mark as the run that just finished
+   * @returns {string} Multi-line table
+   */
+  formatTopScores(highlight = null) {
+    const rows = this.getTopScores().map((run, index) => {
+      const marker = run === highlight ? '▶' : ' ';
+      const rank = String(index + 1).padStart(2, ' ');
+      const score = String(run.score).padStart(6, ' ');
+      const height = `${run.maxHeight}px`.padStart(7, ' ');
+      const date = run.date.slice(0, 10);
+      return `${marker}${rank}. ${score}  ${height}  ${date}`;
+    });
+
+    return ['TOP 10', ...(rows.length > 0 ? rows : ['  No runs yet'])].join('\n');
+  }
+
+  /**
+   * Show the "new record" banner at the top of the screen
+   */
+  showRecordBanner() {
+    const { width } = this.scene.cameras.main;
+
+    this.hideRecordBanner();
+    this.recordBanner = this.scene.add.text(width / 2, 90, 'NEW RECORD!', {
+      fontFamily: 'Arial Black',
+      fontSize: '36px',
+      fill: '#ffd700',
+      stroke: '#1a1a2e',
+      strokeThickness: 6
+    });
+    this.recordBanner.setOrigin(0.5);
+    this.recordBanner.setScrollFactor(0);
+    this.recordBanner.setDepth(1500);
+    this.recordBanner.setScale(0.5);
+
+    // Pop in, hold, fade out
+    this.scene.tweens.add({
+      targets: this.recordBanner,
+      scale: 1,
+      duration: 300,
+      ease: 'Back.easeOut'
+    });
+    this.scene.tweens.add({
+      targets: this.recordBanner,
+      alpha: 0,
+      delay: 2200,
+      duration: 600,
+      onComplete: () => this.hideRecordBanner()
+    });
+  }
+
+  /**
+   * Remove the record banner if it's up
+   */
+  hideRecordBanner() {
+    if (this.recordBanner) {
+      this.scene.tweens.killTweensOf(this.recordBanner);
+      this.recordBanner.destroy();
+      this.recordBanner = null;
+    }
+  }
+
+  /**
+   * Clean up high score UI
+   */
+  destroy() {
+    this.hideRecordBanner();
+    console.log('🗑️ High score system destroyed');
+  }
+}
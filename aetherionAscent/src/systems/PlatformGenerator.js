@@ -1,4 +1,7 @@
-import { CONFIG, getRandomPlatformLightColor } from '../config/gameConfig.js';
+import { CONFIG } from '../config/gameConfig.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { ReachabilitySolver } from './ReachabilitySolver.js';
+import { PlatformTypeSystem } from './PlatformTypeSystem.js';
 
 /**
  * PlatformGenerator - Procedural Platform Generation System
@@ -9,9 +12,14 @@ import { CONFIG, getRandomPlatformLightColor } from '../config/gameConfig.js';
  * 
  * Generation Strategy:
  * - Chunk-based generation for seamless infinite climbing
- * - Ensures viable jumping paths between platforms
+ * - Guarantees every platform is reachable via the ReachabilitySolver jump envelope
+ *   (repositions platforms or inserts stepping stones when a jump is impossible)
  * - Strategic placement of light-emitting platforms
- * - Memory management through platform destruction
+ * - Special platform types (moving, crumbling, bouncy, icy, one-way) via the PlatformTypeSystem
+ * - Gapped platforms: two solid segments with a hole the player can drop through
+ * - Memory management through platform pooling: platforms far below the camera or
+ *   void are recycled (lights and coins released) and their sprites reused
+ * - Every layout decision comes from a seeded RNG so a seed reproduces the tower
  * 
  * @author Me
  * @version 1.0.0
@@ -22,16 +30,25 @@ export class PlatformGenerator {
    * @param {Phaser.Scene} scene - The game scene
    * @param {VoidSystem} voidSystem - Reference to void system for destruction management
    * @param {CoinSystem} coinSystem - Reference to coin system for coin generation
+   * @param {SeededRandom} random - Seeded RNG driving every generation decision
    */
-  constructor(scene, voidSystem, coinSystem = null) {
+  constructor(scene, voidSystem, coinSystem = null, random = new SeededRandom(SeededRandom.generateSeed())) {
     this.scene = scene;
     this.voidSystem = voidSystem;
     this.coinSystem = coinSystem;
+    this.random = random;
+    
+    // Jump envelope math - keeps every generated platform reachable
+    this.reachabilitySolver = new ReachabilitySolver();
+    
+    // Special platform behaviours (moving, crumbling, bouncy, icy, one-way)
+    this.platformTypeSystem = new PlatformTypeSystem(scene);
     
     // Platform management
     this.platforms = [];
     this.lightEmitterPlatforms = [];
     this.nextChunkY = 0; // Y position for next chunk generation
+    this.lastPlatformX = null; // Center X of the last chunk platform (the next chunk continues from it)
     
     // Create physics group for platform collisions
     this.platformGroup = this.scene.physics.add.staticGroup();
@@ -47,6 +64,14 @@ export class PlatformGenerator {
     this.maxActivePlatforms = CONFIG.PERFORMANCE.MAX_VISIBLE_PLATFORMS;
     this.lastDestructionCheck = 0;
     
+    // Recycled platform sprites waiting to be reused
+    this.platformPool = [];
+    this.poolStats = {
+      created: 0,   // Sprites created from scratch
+      reused: 0,    // Sprites taken from the pool
+      recycled: 0   // Platforms returned to the pool
+    };
+    
     // Enemy spawning tracking (initialize BEFORE stats to avoid reference error)
     this.enemySpawning = {
       platformsSinceLastEnemy: 0,
@@ -61,7 +86,10 @@ export class PlatformGenerator {
     this.stats = {
       totalPlatforms: 0,
       lightEmitterPlatforms: 0,
-      chunksGenerated: 0
+      chunksGenerated: 0,
+      repositionedPlatforms: 0,
+      steppingStones: 0,
+      skippedPlatforms: 0
     };
     
     // Set initial enemy spawn count now that enemySpawning exists
@@ -78,7 +106,7 @@ export class PlatformGenerator {
    * Get random enemy spawn count (7-12 platforms)
    */
   getRandomSpawnCount() {
-    return Phaser.Math.Between(
+    return this.random.between(
       this.enemySpawning.minPlatformsBetweenEnemies,
       this.enemySpawning.maxPlatformsBetweenEnemies
     );
@@ -226,6 +254,7 @@ export class PlatformGenerator {
     // Update the last generated Y to connect properly with chunks
     this.lastGeneratedY = startY - 400;
     this.nextChunkY = startY - 500; // Start chunks from here
+    this.lastPlatformX = starterPlatforms[starterPlatforms.length - 1].x;
   }
 
   /**
@@ -236,11 +265,12 @@ export class PlatformGenerator {
     const chunkEndY = chunkStartY - CONFIG.WORLD.CHUNK_HEIGHT;
     
     let currentY = chunkStartY;
-    let previousX = this.scene.cameras.main.width / 2; // Start from screen center
+    let previousX = this.lastPlatformX ?? this.scene.cameras.main.width / 2; // Continue from the last platform
+    let failedPlacements = 0; // Rolls in a row that found no reachable spot
     
     while (currentY > chunkEndY) {
       // Determine platform properties FIRST
-      const platformWidth = Phaser.Math.Between(
+      const platformWidth = this.random.between(
         CONFIG.WORLD.PLATFORM_MIN_WIDTH,
         CONFIG.WORLD.PLATFORM_MAX_WIDTH
       );
@@ -248,18 +278,51 @@ export class PlatformGenerator {
       // Calculate next platform position with width for collision avoidance
       const nextPosition = this.calculateNextPlatformPosition(previousX, currentY, platformWidth);
       
-      const isLightEmitter = Math.random() < CONFIG.GENERATION.LIGHT_PLATFORM_CHANCE;
+      const lightRoll = this.random.chance(CONFIG.GENERATION.LIGHT_PLATFORM_CHANCE);
+      
+      // Make sure the player can actually jump there (may move it, lower it or add a stepping stone)
+      const placement = this.ensureReachable(nextPosition.x, nextPosition.y, platformWidth);
+      
+      // Nothing reachable fits there - roll another spot above the same platform
+      if (!placement) {
+        failedPlacements++;
+        if (failedPlacements < CONFIG.REACHABILITY.MAX_PLACEMENT_ATTEMPTS) continue;
+        
+        // Still nothing: climb on with a stepping stone straight above the last platform
+        // (always moving up, so the chunk finishes the same way for a given seed)
+        failedPlacements = 0;
+        currentY -= CONFIG.GENERATION.VERTICAL_SPACING_MIN;
+        if (this.createUnifiedPlatform(previousX, currentY, CONFIG.REACHABILITY.STEPPING_STONE_WIDTH, false, { type: 'steppingStone' })) {
+          this.stats.steppingStones++;
+        }
+        continue;
+      }
+      failedPlacements = 0;
+      
+      // Pick a special behaviour for this platform
+      const { type, motion } = this.choosePlatformType(placement.x, placement.y, platformWidth);
+      
+      // Lights stay on platforms that neither move nor vanish
+      const isLightEmitter = lightRoll && this.platformTypeSystem.allowsCoins(type);
+      
+      // Only plain stone platforms get holes punched in them
+      const hasGap = type === 'normal' && this.random.chance(CONFIG.GENERATION.GAP_CHANCE);
       
       // Create platform
-      this.createUnifiedPlatform(nextPosition.x, nextPosition.y, platformWidth, isLightEmitter);
+      this.createUnifiedPlatform(placement.x, placement.y, platformWidth, isLightEmitter, {
+        type,
+        motion,
+        hasGap
+      });
       
       // Update for next iteration - use actual platform center position
-      previousX = nextPosition.x;
-      currentY = nextPosition.y;
+      previousX = placement.x;
+      currentY = placement.y;
     }
     
     // Update generation tracking
     this.nextChunkY = chunkEndY;
+    this.lastPlatformX = previousX;
     this.chunksGenerated++;
     this.lastGeneratedY = chunkEndY;
   }
@@ -276,12 +339,12 @@ export class PlatformGenerator {
     let verticalGap;
     
     // 70% normal gaps, 30% stepping stones (removed unreachable gaps)
-    const gapType = Math.random();
+    const gapType = this.random.next();
     if (gapType < 0.7) {
       // Normal reachable jumping distance - ENSURE MINIMUM GAP
       verticalGap = Math.max(
         CONFIG.WORLD.PLATFORM_THICKNESS + 20, // Minimum to prevent overlap + safety margin
-        Phaser.Math.Between(
+        this.random.between(
           CONFIG.GENERATION.VERTICAL_SPACING_MIN,
           CONFIG.GENERATION.VERTICAL_SPACING_MAX
         )
@@ -290,7 +353,7 @@ export class PlatformGenerator {
       // Easier stepping stones for variety - ENSURE MINIMUM GAP
       verticalGap = Math.max(
         CONFIG.WORLD.PLATFORM_THICKNESS + 20, // Minimum to prevent overlap + safety margin
-        Phaser.Math.Between(40, 55)
+        this.random.between(40, 55)
       );
     }
     
@@ -309,18 +372,18 @@ export class PlatformGenerator {
     
     // Create reachable patterns with good spacing
     let horizontalOffset;
-    const patternChoice = Math.random();
+    const patternChoice = this.random.next();
     
     if (patternChoice < 0.5) {
       // Gentle zigzag patterns - always reachable
       const direction = Math.sin(this.chunksGenerated * 0.4 + currentY * 0.01) > 0 ? 1 : -1;
-      horizontalOffset = direction * Phaser.Math.Between(minHorizontalGap, maxHorizontalGap * 0.7);
+      horizontalOffset = direction * this.random.between(minHorizontalGap, maxHorizontalGap * 0.7);
     } else if (patternChoice < 0.9) {
       // Random positioning - limited to reachable range
-      horizontalOffset = Phaser.Math.Between(-maxHorizontalGap * 0.8, maxHorizontalGap * 0.8);
+      horizontalOffset = this.random.between(-maxHorizontalGap * 0.8, maxHorizontalGap * 0.8);
     } else {
       // Close sequences for easier progression
-      horizontalOffset = Phaser.Math.Between(-minHorizontalGap * 1.2, minHorizontalGap * 1.2);
+      horizontalOffset = this.random.between(-minHorizontalGap * 1.2, minHorizontalGap * 1.2);
     }
     
     // Ensure strategic spacing - no clustering and account for platform widths
@@ -357,6 +420,245 @@ export class PlatformGenerator {
     };
   }
 
+  /**
+   * Roll the platform type for a chunk platform, falling back to a normal platform
+   * when a moving platform's travel path would run into its neighbours
+   * @param {number} x - Platform center X
+   * @param {number} y - Platform center Y
+   * @param {number} width - Platform width
+   * @returns {object} {type, motion} - motion is null for non-moving platforms
+   */
+  choosePlatformType(x, y, width) {
+    const type = this.platformTypeSystem.pickType(this.random);
+    if (type !== 'moving') {
+      return { type, motion: null };
+    }
+    
+    const motion = this.platformTypeSystem.createMotion(this.random, this.clampPlatformX(x), width);
+    const swept = this.platformTypeSystem.getSweptSize(width, CONFIG.WORLD.PLATFORM_THICKNESS, motion);
+    
+    if (motion.range <= 0 || this.wouldOverlapExistingPlatform(this.clampPlatformX(x), y, swept.width, swept.height)) {
+      return { type: 'normal', motion: null };
+    }
+    
+    return { type, motion };
+  }
+
+  /**
+   * Make sure a planned platform can be landed on from at least one platform below
+   * Tries, in order: leave it alone, slide it toward the closest launch platform,
+   * insert a stepping stone between the two, drop it closer to the launch platform.
+   * @param {number} x - Planned center X
+   * @param {number} y - Planned center Y
+   * @param {number} width - Planned width
+   * @returns {object|null} {x, y} final placement, or null if the platform should not be created
+   */
+  ensureReachable(x, y, width) {
+    const solver = this.reachabilitySolver;
+    const targetX = this.clampPlatformX(x);
+    const target = this.getPlannedBounds(targetX, y, width);
+    const sources = this.getLaunchPlatforms(target.top);
+    
+    if (sources.length === 0 || solver.findReachableSource(target, sources)) {
+      return { x: targetX, y };
+    }
+    
+    const closest = solver.findClosestSource(target, sources);
+    
+    // 1. Slide the platform horizontally toward the closest launch platform
+    const movedX = solver.getRepositionedX(closest, targetX, target.top, width);
+    if (movedX !== null) {
+      const clampedMovedX = this.clampPlatformX(movedX);
+      const moved = this.getPlannedBounds(clampedMovedX, y, width);
+      
+      if (solver.canReach(closest, moved) &&
+          !this.wouldOverlapExistingPlatform(clampedMovedX, y, width, CONFIG.WORLD.PLATFORM_THICKNESS)) {
+        this.stats.repositionedPlatforms++;
+        console.log(`🧮 Platform moved from x ${Math.round(targetX)} to ${Math.round(clampedMovedX)} to stay reachable`);
+        return { x: clampedMovedX, y };
+      }
+    }
+    
+    // 2. Bridge the jump with a stepping stone
+    if (this.insertSteppingStone(closest, target)) {
+      return { x: targetX, y };
+    }
+    
+    // 3. Lower the platform toward the launch platform and slide it into range there
+    const lowered = this.findLoweredPlacement(closest, target, targetX, width);
+    if (lowered) {
+      this.stats.repositionedPlatforms++;
+      console.log(`🧮 Platform lowered from y ${Math.round(y)} to ${Math.round(lowered.y)} to stay reachable`);
+      return lowered;
+    }
+    
+    this.stats.skippedPlatforms++;
+    console.warn(`⚠️ Could not make platform at (${Math.round(targetX)}, ${Math.round(y)}) reachable - skipping it`);
+    return null;
+  }
+
+  /**
+   * Find a lower spot for a platform, between its planned height and the launch platform
+   * @param {object} source - Launch platform bounds
+   * @param {object} target - Planned (unreachable) bounds
+   * @param {number} targetX - Planned center X
+   * @param {number} width - Planned width
+   * @returns {object|null} {x, y} placement the source reaches, or null if none fits
+   */
+  findLoweredPlacement(source, target, targetX, width) {
+    const solver = this.reachabilitySolver;
+    const thickness = CONFIG.WORLD.PLATFORM_THICKNESS;
+    const lowestTop = source.top - thickness - 20; // Same minimum gap as calculateNextPlatformPosition
+    
+    // Halfway down first, then most of the way
+    for (const t of [0.5, 0.8]) {
+      const top = Math.min(Phaser.Math.Linear(target.top, source.top, t), lowestTop);
+      if (top <= target.top) continue;
+      
+      const movedX = solver.getRepositionedX(source, targetX, top, width);
+      if (movedX === null) continue;
+      
+      const x = this.clampPlatformX(movedX);
+      const y = top + thickness / 2;
+      if (solver.canReach(source, this.getPlannedBounds(x, y, width)) &&
+          !this.wouldOverlapExistingPlatform(x, y, width, thickness)) {
+        return { x, y };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Insert a stepping stone between a launch platform and an unreachable target
+   * @param {object} source - Launch platform bounds
+   * @param {object} target - Target platform bounds
+   * @returns {boolean} True if a stone was created that bridges the jump
+   */
+  insertSteppingStone(source, target) {
+    const solver = this.reachabilitySolver;
+    const stoneWidth = CONFIG.REACHABILITY.STEPPING_STONE_WIDTH;
+    const halfThickness = CONFIG.WORLD.PLATFORM_THICKNESS / 2;
+    const sourceX = (source.left + source.right) / 2;
+    const targetX = (target.left + target.right) / 2;
+    
+    // Try the midpoint first, then positions nearer each end
+    for (const t of [0.5, 0.35, 0.65]) {
+      const stoneX = this.clampPlatformX(Phaser.Math.Linear(sourceX, targetX, t));
+      const stoneY = Phaser.Math.Linear(source.top, target.top, t) + halfThickness;
+      const stone = this.getPlannedBounds(stoneX, stoneY, stoneWidth);
+      
+      if (!solver.canReach(source, stone) || !solver.canReach(stone, target)) continue;
+      
+      const created = this.createUnifiedPlatform(stoneX, stoneY, stoneWidth, false, { type: 'steppingStone' });
+      if (created) {
+        this.stats.steppingStones++;
+        console.log(`🪨 Stepping stone inserted at (${Math.round(stoneX)}, ${Math.round(stoneY)})`);
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Collect the platforms a player could jump from to reach a surface
+   * @param {number} targetTop - Surface Y of the platform being placed
+   * @returns {Array<object>} Launch platform bounds below the target, nearest first
+   */
+  getLaunchPlatforms(targetTop) {
+    const searchDepth = CONFIG.REACHABILITY.SOURCE_SEARCH_DEPTH;
+    
+    // Temporary (enemy helper) platforms vanish again, so nothing may depend on them
+    return this.platforms
+      .filter(platform => platform && platform.body && platform.active && !platform.platformData?.temporary)
+      .map(platform => this.getPlatformBounds(platform))
+      .filter(bounds => bounds.top > targetTop && bounds.top - targetTop <= searchDepth)
+      .sort((a, b) => a.top - b.top);
+  }
+
+  /**
+   * Get the landing surface bounds of an existing platform as laid out (reachability solver only)
+   * Moving platforms are measured at their spawn point, the middle of their travel.
+   * Use findSurfaceBelow for where a platform is right now.
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Platform sprite
+   * @returns {object} {left, right, top}
+   */
+  getPlatformBounds(platform) {
+    const motion = platform.platformData?.motion;
+    if (motion && motion.originX !== undefined) {
+      return this.getPlannedBounds(motion.originX, motion.originY, platform.body.width);
+    }
+    
+    // Gapped platforms can be landed on anywhere along their full span
+    if (platform.platformData?.hasGap) {
+      return {
+        left: platform.platformData.spanLeft,
+        right: platform.platformData.spanRight,
+        top: platform.body.y
+      };
+    }
+    
+    return {
+      left: platform.body.x,
+      right: platform.body.x + platform.body.width,
+      top: platform.body.y
+    };
+  }
+
+  /**
+   * Get the landing surface bounds of a platform that hasn't been created yet
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} width - Platform width
+   * @returns {object} {left, right, top}
+   */
+  getPlannedBounds(x, y, width) {
+    const clampedWidth = Math.max(width, 60); // Same minimum as createUnifiedPlatform
+    return {
+      left: x - clampedWidth / 2,
+      right: x + clampedWidth / 2,
+      top: y - CONFIG.WORLD.PLATFORM_THICKNESS / 2
+    };
+  }
+
+  /**
+   * Clamp a platform center X the same way createUnifiedPlatform does
+   * @param {number} x - Center X
+   * @returns {number} Clamped center X
+   */
+  clampPlatformX(x) {
+    return Phaser.Math.Clamp(x, 50, this.scene.cameras.main.width - 50);
+  }
+
+  /**
+   * Draw jump arcs from every visible platform edge (debug overlay)
+   * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw into
+   * @param {number} viewTop - Top of the visible area in world space
+   * @param {number} viewBottom - Bottom of the visible area in world space
+   */
+  drawReachabilityDebug(graphics, viewTop, viewBottom) {
+    graphics.clear();
+    
+    this.platforms.forEach(platform => {
+      if (!platform || !platform.body || !platform.active) return;
+      if (platform.y < viewTop || platform.y > viewBottom) return;
+      
+      const bounds = this.getPlatformBounds(platform);
+      
+      // Arcs leaving each edge outward - the extremes of the jump envelope
+      graphics.lineStyle(1, 0x64ffda, 0.35);
+      graphics.strokePoints(this.reachabilitySolver.getJumpArc(bounds.left, bounds.top, -1));
+      graphics.strokePoints(this.reachabilitySolver.getJumpArc(bounds.right, bounds.top, 1));
+      
+      // Highlight stepping stones
+      if (platform.platformData?.platformType === 'steppingStone') {
+        graphics.lineStyle(2, 0xff6d00, 0.9);
+        graphics.strokeRect(bounds.left, bounds.top, bounds.right - bounds.left, platform.body.height);
+      }
+    });
+  }
+
   /**
    * 🏗️ UNIFIED PLATFORM CREATION METHOD
    * This is the ONLY method that should create platforms in the entire game.
@@ -366,7 +668,7 @@ export class PlatformGenerator {
    * @param {number} y - Y position  
    * @param {number} width - Platform width
    * @param {boolean} hasLight - Whether platform emits light
-   * @param {object} options - Additional options for platform customization
+   * @param {object} options - {type, motion, hasGap, temporary} - only these are read
    * @returns {Phaser.Physics.Arcade.Sprite} The created platform
    */
   createUnifiedPlatform(x, y, width, hasLight = false, options = {}) {
@@ -382,14 +684,20 @@ export class PlatformGenerator {
     const clampedWidth = Math.max(width, 60); // Minimum visible width
     
     // Check for collisions with existing platforms to prevent overlaps
-    if (this.wouldOverlapExistingPlatform(clampedX, y, clampedWidth, CONFIG.WORLD.PLATFORM_THICKNESS)) {
+    if (this.wouldOverlapExistingPlatform(clampedX, y, clampedWidth, CONFIG.WORLD.PLATFORM_THICKNESS, Boolean(options.temporary))) {
       console.warn(`⚠️ Platform would overlap at (${clampedX}, ${y}), skipping creation`);
       return null;
     }
 
+    // Plan the hole for gapped platforms (the sprite below becomes the left segment)
+    const gap = options.hasGap ? this.planGap(clampedWidth) : null;
+    const spanLeft = clampedX - clampedWidth / 2;
+    const mainX = gap ? spanLeft + gap.start / 2 : clampedX;
+    const mainWidth = gap ? gap.start : clampedWidth;
+
     try {
       // 🎮 STEP 1: Create physics sprite (always use staticSprite for consistent physics)
-      const platform = this.scene.physics.add.staticSprite(clampedX, y, 'platform');
+      const platform = this.acquirePlatformSprite(mainX, y);
       
       if (!platform || !platform.body) {
         console.error('❌ Failed to create platform sprite or physics body');
@@ -397,7 +705,7 @@ export class PlatformGenerator {
       }
 
       // 🎨 STEP 2: Configure visual appearance with high contrast
-      platform.setDisplaySize(clampedWidth, CONFIG.WORLD.PLATFORM_THICKNESS);
+      platform.setDisplaySize(mainWidth, CONFIG.WORLD.PLATFORM_THICKNESS);
       platform.setTint(hasLight ? CONFIG.THEME.LIGHT_PLATFORM_COLOR : CONFIG.THEME.PLATFORM_COLOR);
       platform.setDepth(15); // Higher depth to ensure visibility over background
       platform.setVisible(true);
@@ -408,7 +716,7 @@ export class PlatformGenerator {
       if (this.scene.lights) {
         // Add a subtle platform outline light for better visibility
         const outlineLight = this.scene.lights.addLight(
-          platform.x,
+          clampedX,
           platform.y - 5, // Slightly above platform
           clampedWidth * 1.2, // Wider than platform
           hasLight ? 0x64ffda : 0xffffff, // Cyan for light platforms, white for normal
@@ -427,7 +735,7 @@ export class PlatformGenerator {
       const visualTop = platform.y - (platform.displayHeight / 2);
       
       // Set physics body size first
-      platform.body.setSize(clampedWidth, CONFIG.WORLD.PLATFORM_THICKNESS);
+      platform.body.setSize(mainWidth, CONFIG.WORLD.PLATFORM_THICKNESS);
       
       // Manual body positioning to fix static body alignment bug
       platform.body.position.x = visualLeft;
@@ -442,12 +750,31 @@ export class PlatformGenerator {
         width: clampedWidth,
         creationTime: this.scene.time.now,
         light: null,
-        hasGap: options.hasGap || false,
+        outlineLight: platform.platformData?.outlineLight || null, // Keep the outline light created above
         originalX: x,
         clampedX: clampedX,
-        platformType: options.type || 'normal', // 'starting', 'normal', 'gap'
-        ...options // Merge any additional options
+        platformType: options.type || 'normal', // 'normal', 'steppingStone', 'helper' or a CONFIG.PLATFORM_TYPES key
+        motion: options.motion || null, // Travel path of moving platforms
+        temporary: Boolean(options.temporary), // Enemy helper platforms that vanish again
+        hasGap: Boolean(gap),
+        spanLeft: spanLeft,
+        spanRight: spanLeft + clampedWidth,
+        segments: [platform]
       };
+      
+      // Second solid piece on the far side of the hole
+      if (gap) {
+        const rightStart = spanLeft + gap.start + gap.width;
+        const rightWidth = clampedWidth - gap.start - gap.width;
+        const rightSegment = this.createGapSegment(platform, rightStart + rightWidth / 2, y, rightWidth, hasLight);
+        
+        platform.platformData.segments.push(rightSegment);
+        platform.platformData.gapLeft = spanLeft + gap.start;
+        platform.platformData.gapRight = rightStart;
+      }
+      
+      // Apply special platform texture and behaviour
+      this.platformTypeSystem.setupPlatform(platform);
 
       // 🏗️ STEP 5: Add to unified platform management
       this.platforms.push(platform);
@@ -455,7 +782,7 @@ export class PlatformGenerator {
 
       // 💡 STEP 6: Setup lighting if needed
       if (hasLight) {
-        this.createPlatformLight(platform);
+        this.createPlatformLight(platform, clampedX);
         this.lightEmitterPlatforms.push(platform);
       }
 
@@ -466,15 +793,24 @@ export class PlatformGenerator {
       }
 
       // 🔍 STEP 8: Debug logging for verification
-      console.log(`✅ UNIFIED Platform created: pos(${clampedX}, ${y}), visual(${platform.displayWidth}x${platform.displayHeight}), physics(${platform.body.width}x${platform.body.height}), body pos(${Math.round(platform.body.x)}, ${Math.round(platform.body.y)}), light: ${hasLight}`);
+      console.log(`✅ UNIFIED Platform created: pos(${clampedX}, ${y}), visual(${platform.displayWidth}x${platform.displayHeight}), physics(${platform.body.width}x${platform.body.height}), body pos(${Math.round(platform.body.x)}, ${Math.round(platform.body.y)}), light: ${hasLight}${gap ? `, gap ${gap.width}px` : ''}`);
+      
+      // Temporary platforms (enemy helpers) skip coins and enemy spawns, which would draw from the seeded stream
+      // (the overlap and reachability checks ignore them too, so the generated layout never depends on them)
+      if (options.temporary) {
+        return platform;
+      }
       
       // 🪙 STEP 9: Add coin generation (after platform is created successfully)
-      if (this.coinSystem && Math.random() < CONFIG.GENERATION.COIN_PLATFORM_CHANCE) {
+      if (this.coinSystem && this.platformTypeSystem.allowsCoins(platform.platformData.platformType) &&
+          this.random.chance(CONFIG.GENERATION.COIN_PLATFORM_CHANCE)) {
         // Create coin at a strategic position on the platform
         // Add some variety to coin placement but keep them on platforms
-        const platformLeft = platform.x - (platform.displayWidth / 2);
-        const platformRight = platform.x + (platform.displayWidth / 2);
-        const platformWidth = platform.displayWidth;
+        // (on gapped platforms pick one solid segment so the coin never floats over the hole)
+        const surface = this.random.pick(platform.platformData.segments);
+        const platformLeft = surface.x - (surface.displayWidth / 2);
+        const platformRight = surface.x + (surface.displayWidth / 2);
+        const platformWidth = surface.displayWidth;
         
         // Position coin somewhere along the platform (avoiding edges)
         const edgeMargin = 20; // Keep coins away from platform edges
@@ -482,9 +818,9 @@ export class PlatformGenerator {
         const maxX = platformRight - edgeMargin;
         
         // Random position along platform, or center if platform is too small
-        let coinX = platform.x; // Default to center
+        let coinX = surface.x; // Default to center
         if (platformWidth > edgeMargin * 2) {
-          coinX = Phaser.Math.Between(minX, maxX);
+          coinX = this.random.between(minX, maxX);
         }
         
         // Position coin at half player height (16px) above platform surface
@@ -507,6 +843,112 @@ export class PlatformGenerator {
     }
   }
 
+  /**
+   * Decide where the hole goes in a gapped platform
+   * @param {number} width - Full platform width
+   * @returns {object|null} {start, width} offset of the hole from the left edge, or null if too narrow
+   */
+  planGap(width) {
+    const minSegment = CONFIG.GENERATION.GAP_MIN_SEGMENT_WIDTH;
+    const gapWidth = Math.min(
+      this.random.between(CONFIG.GENERATION.GAP_WIDTH_MIN, CONFIG.GENERATION.GAP_WIDTH_MAX),
+      width - minSegment * 2
+    );
+    
+    // Too narrow for a hole the player fits through
+    if (gapWidth < CONFIG.GENERATION.GAP_WIDTH_MIN) return null;
+    
+    return {
+      start: this.random.between(minSegment, width - minSegment - gapWidth),
+      width: gapWidth
+    };
+  }
+
+  /**
+   * Create the right-hand segment of a gapped platform
+   * The left segment is the platform itself; this one only exists for collisions and looks.
+   * @param {Phaser.Physics.Arcade.Sprite} parent - Left segment / owning platform
+   * @param {number} x - Segment center X
+   * @param {number} y - Segment center Y
+   * @param {number} width - Segment width
+   * @param {boolean} hasLight - Whether the platform emits light (matches tint)
+   * @returns {Phaser.Physics.Arcade.Sprite} The segment sprite
+   */
+  createGapSegment(parent, x, y, width, hasLight) {
+    const segment = this.acquirePlatformSprite(x, y);
+    
+    segment.setDisplaySize(width, CONFIG.WORLD.PLATFORM_THICKNESS);
+    segment.setTint(hasLight ? CONFIG.THEME.LIGHT_PLATFORM_COLOR : CONFIG.THEME.PLATFORM_COLOR);
+    segment.setDepth(15);
+    
+    // Same static body alignment fix as the main sprite
+    segment.body.setSize(width, CONFIG.WORLD.PLATFORM_THICKNESS);
+    segment.body.position.x = x - width / 2;
+    segment.body.position.y = y - CONFIG.WORLD.PLATFORM_THICKNESS / 2;
+    segment.body.updateCenter();
+    
+    segment.platformData = {
+      platformType: 'normal',
+      width: width,
+      isGapSegment: true,
+      parentPlatform: parent
+    };
+    
+    this.platformGroup.add(segment);
+    return segment;
+  }
+
+  /**
+   * Get a platform sprite from the pool, or create a new one if the pool is empty
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @returns {Phaser.Physics.Arcade.Sprite} Static platform sprite with a clean state
+   */
+  acquirePlatformSprite(x, y) {
+    const pooled = this.platformPool.pop();
+    
+    if (!pooled) {
+      this.poolStats.created++;
+      return this.scene.physics.add.staticSprite(x, y, 'platform');
+    }
+    
+    // Wake the sprite up at its new position (also re-inserts it into the static tree)
+    pooled.enableBody(true, x, y, true, true);
+    
+    // Undo anything a previous life may have changed
+    pooled.setTexture('platform');
+    pooled.clearTint();
+    pooled.setAlpha(1.0);
+    pooled.setScale(1);
+    pooled.body.checkCollision.none = false;
+    pooled.body.checkCollision.up = true;
+    pooled.body.checkCollision.down = true;
+    pooled.body.checkCollision.left = true;
+    pooled.body.checkCollision.right = true;
+    pooled.platformData = null;
+    
+    this.poolStats.reused++;
+    return pooled;
+  }
+
+  /**
+   * Put a platform sprite back in the pool (or destroy it if the pool is full)
+   * @param {Phaser.Physics.Arcade.Sprite} sprite - Platform or gap segment sprite
+   */
+  releasePlatformSprite(sprite) {
+    this.scene.tweens.killTweensOf(sprite);
+    sprite.platformData = null;
+    
+    if (this.platformPool.length >= CONFIG.PERFORMANCE.PLATFORM_POOL_MAX) {
+      this.platformGroup.remove(sprite);
+      sprite.destroy();
+      return;
+    }
+    
+    sprite.disableBody(true, true);
+    this.platformPool.push(sprite);
+  }
+
   /**
    * Check if enemy should spawn based on platform count
    * @param {number} x - Platform X position
@@ -545,16 +987,23 @@ export class PlatformGenerator {
   /**
    * Main update loop - RE-ENABLED FOR PHASE 2
    * @param {number} cameraY - Current camera Y position
+   * @param {number} deltaTime - Time since last frame (seconds)
    */
-  update(cameraY) {
+  update(cameraY, deltaTime = 0) {
     // PHASE 2: RE-ENABLE PLATFORM GENERATION AS PLAYER CLIMBS
     this.checkForNewChunkGeneration(cameraY);
     
+    // Move platforms and run crumble timers
+    this.platformTypeSystem.update(deltaTime);
+    
+    // Return platforms left far behind to the pool
+    if (this.scene.time.now - this.lastDestructionCheck > CONFIG.PERFORMANCE.PLATFORM_CLEANUP_INTERVAL) {
+      this.lastDestructionCheck = this.scene.time.now;
+      this.cleanupPlatforms(cameraY);
+    }
+    
     // Keep other systems disabled for now
     // this.updatePlatformLighting();
-    // this.destroyPlatformsBelowVoid();
-    
-    // Platform generation is now active but other updates remain static
   }
 
   /**
@@ -588,31 +1037,69 @@ export class PlatformGenerator {
   }
 
   /**
-   * Destroy platforms that have fallen below the void
+   * Recycle platforms far below the camera or swallowed by the void,
+   * then enforce MAX_VISIBLE_PLATFORMS by recycling the lowest off-screen platforms
+   * @param {number} cameraY - Current camera Y position (top of the view)
    */
-  destroyPlatformsBelowVoid() {
-    const destructionThreshold = this.voidSystem.getDestructionThreshold();
+  cleanupPlatforms(cameraY) {
+    const cameraBottom = cameraY + this.scene.cameras.main.height;
+    const recycleThreshold = Math.min(
+      cameraBottom + CONFIG.PERFORMANCE.PLATFORM_RECYCLE_DISTANCE,
+      this.voidSystem.getDestructionThreshold()
+    );
     
-    // Filter out platforms below destruction threshold
-    this.platforms = this.platforms.filter(platform => {
-      if (platform.y > destructionThreshold) {
-        this.destroyPlatform(platform);
-        return false;
-      }
-      return true;
+    const remaining = [];
+    const recycled = [];
+    this.platforms.forEach(platform => {
+      (platform.y > recycleThreshold ? recycled : remaining).push(platform);
     });
     
-    // Also clean light emitter list
-    this.lightEmitterPlatforms = this.lightEmitterPlatforms.filter(platform => 
-      platform.y <= destructionThreshold
-    );
+    // Too many platforms alive - drop the lowest ones that are already off screen
+    if (remaining.length > this.maxActivePlatforms) {
+      remaining.sort((a, b) => a.y - b.y); // Highest first
+      while (remaining.length > this.maxActivePlatforms && remaining[remaining.length - 1].y > cameraBottom) {
+        recycled.push(remaining.pop());
+      }
+    }
+    
+    if (recycled.length === 0) return;
+    
+    recycled.forEach(platform => this.recyclePlatform(platform));
+    this.platforms = this.platforms.filter(platform => !recycled.includes(platform));
+    this.lightEmitterPlatforms = this.lightEmitterPlatforms.filter(platform => !recycled.includes(platform));
+    
+    // Coins sit above their platform, so anything below the lowest surviving platform is orphaned
+    if (this.coinSystem) {
+      const lowestRemainingTop = this.platforms.length > 0 ?
+        Math.max(...this.platforms.map(platform => platform.body.y)) :
+        recycleThreshold;
+      this.coinSystem.destroyCoinsBelow(lowestRemainingTop);
+    }
+    
+    console.log(`♻️ Recycled ${recycled.length} platforms (active: ${this.platforms.length}, pooled: ${this.platformPool.length})`);
   }
 
   /**
-   * Destroy a single platform and all associated resources
-   * @param {Phaser.GameObjects.Sprite} platform - Platform to destroy
+   * Release a platform's lights and behaviour and return its sprites to the pool
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Platform to recycle
    */
-  destroyPlatform(platform) {
+  recyclePlatform(platform) {
+    const segments = platform.platformData?.segments || [platform];
+    
+    this.releasePlatformResources(platform);
+    segments.forEach(segment => this.releasePlatformSprite(segment));
+    
+    this.poolStats.recycled++;
+  }
+
+  /**
+   * Release everything a platform owns besides its sprites (lights, particles, behaviours)
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Platform being removed
+   */
+  releasePlatformResources(platform) {
+    // Stop moving / crumbling behaviour
+    this.platformTypeSystem.releasePlatform(platform);
+    
     // Remove main lighting
     if (platform.platformData?.light) {
       this.scene.lights.removeLight(platform.platformData.light);
@@ -627,16 +1114,120 @@ export class PlatformGenerator {
     if (platform.platformData?.particles) {
       platform.platformData.particles.destroy();
     }
+  }
+
+  /**
+   * Destroy a single platform and all associated resources
+   * @param {Phaser.GameObjects.Sprite} platform - Platform to destroy
+   */
+  destroyPlatform(platform) {
+    // Release lights and behaviours
+    this.releasePlatformResources(platform);
     
     // Remove from physics group
     if (this.scene.platformGroup) {
       this.scene.platformGroup.remove(platform);
     }
     
+    // Destroy the far segment of gapped platforms
+    (platform.platformData?.segments || [])
+      .filter(segment => segment !== platform)
+      .forEach(segment => {
+        this.platformGroup.remove(segment);
+        segment.destroy();
+      });
+    
     // Destroy sprite
     platform.destroy();
   }
 
+  /**
+   * Tear down every platform and regenerate the starting layout for a new run
+   * @param {SeededRandom} random - Seeded RNG for the new run (keeps the current one if omitted)
+   */
+  reset(random = this.random) {
+    this.random = random;
+    
+    // Release all current platforms and their lights (sprites go back to the pool for the new run)
+    this.platforms.forEach(platform => this.recyclePlatform(platform));
+    this.platforms = [];
+    this.lightEmitterPlatforms = [];
+    this.platformTypeSystem.reset();
+    
+    // Reset generation state
+    this.lastGeneratedY = this.scene.cameras.main.height;
+    this.nextChunkY = 0;
+    this.lastPlatformX = null;
+    this.chunksGenerated = 0;
+    this.wallBounceDirection = null;
+    
+    this.stats = {
+      totalPlatforms: 0,
+      lightEmitterPlatforms: 0,
+      chunksGenerated: 0,
+      repositionedPlatforms: 0,
+      steppingStones: 0,
+      skippedPlatforms: 0
+    };
+    
+    // Reset enemy spawn pacing
+    this.enemySpawning.platformsSinceLastEnemy = 0;
+    this.enemySpawning.enemiesSpawned = 0;
+    this.enemySpawning.lastEnemySpawnY = Infinity;
+    this.enemySpawning.nextEnemySpawnCount = this.getRandomSpawnCount();
+    
+    // Build the starting area again
+    this.generateInitialChunks();
+    
+    console.log('🔄 Platform generator reset');
+  }
+
+  /**
+   * Find the nearest solid surface below a point, where it is right now
+   * Reads the live physics bodies: moving platforms are found where they have travelled to,
+   * and a gapped platform's hole is not a surface (each segment is checked on its own).
+   * @param {number} x - World X that must be over the surface
+   * @param {number} y - World Y to search down from
+   * @param {number} minDrop - Ignore surfaces closer than this
+   * @param {number} maxDrop - Ignore surfaces further than this
+   * @returns {Phaser.Physics.Arcade.Sprite|null} The solid sprite (a gapped platform's segment) or null
+   */
+  findSurfaceBelow(x, y, minDrop, maxDrop) {
+    let best = null;
+    let bestDrop = Infinity;
+    
+    this.platforms.forEach(platform => {
+      if (!platform || !platform.active) return;
+      
+      (platform.platformData?.segments || [platform]).forEach(surface => {
+        const body = surface.body;
+        if (!body || !body.enable) return;
+        
+        const drop = body.y - y;
+        if (x < body.x || x > body.x + body.width || drop < minDrop || drop > maxDrop) return;
+        
+        if (drop < bestDrop) {
+          best = surface;
+          bestDrop = drop;
+        }
+      });
+    });
+    
+    return best;
+  }
+
+  /**
+   * Recycle one platform ahead of time (e.g. an expiring helper platform)
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Platform to remove
+   */
+  removePlatform(platform) {
+    if (!this.platforms.includes(platform)) return;
+    
+    this.recyclePlatform(platform);
+    this.platforms = this.platforms.filter(candidate => candidate !== platform);
+    this.lightEmitterPlatforms = this.lightEmitterPlatforms.filter(candidate => candidate !== platform);
+  }
+
   /**
    * Get all current platforms
    * @returns {Array} Array of platform sprites
@@ -662,7 +1253,17 @@ export class PlatformGenerator {
       totalPlatforms: this.platforms.length,
       lightEmitterPlatforms: this.lightEmitterPlatforms.length,
       chunksGenerated: this.chunksGenerated,
-      lastGeneratedY: this.lastGeneratedY
+      lastGeneratedY: this.lastGeneratedY,
+      repositionedPlatforms: this.stats.repositionedPlatforms,
+      steppingStones: this.stats.steppingStones,
+      skippedPlatforms: this.stats.skippedPlatforms,
+      platformTypes: this.platformTypeSystem.getStats(this.platforms),
+      pool: {
+        pooled: this.platformPool.length,
+        created: this.poolStats.created,
+        reused: this.poolStats.reused,
+        recycled: this.poolStats.recycled
+      }
     };
   }
 
@@ -687,19 +1288,24 @@ export class PlatformGenerator {
     // Destroy all platforms
     this.platforms.forEach(platform => this.destroyPlatform(platform));
     
+    // Destroy pooled sprites
+    this.platformPool.forEach(sprite => sprite.destroy());
+    
     // Clear arrays
     this.platforms = [];
     this.lightEmitterPlatforms = [];
+    this.platformPool = [];
   }
 
   /**
    * Create lighting if this is a light-emitting platform
    * @param {Phaser.Physics.Arcade.Sprite} platform - The platform sprite
+   * @param {number} x - Light X position (center of the full span for gapped platforms)
    */
-  createPlatformLight(platform) {
+  createPlatformLight(platform, x = platform.x) {
     // Create light at platform position using correct Phaser 3.80.1 API
     const light = this.scene.lights.addLight(
-      platform.x,
+      x,
       platform.y - CONFIG.WORLD.PLATFORM_THICKNESS / 2,
       CONFIG.LIGHTING.PLATFORM_LIGHT_RADIUS,
       CONFIG.LIGHTING.PLATFORM_LIGHT_COLORS[0], // Use first color as default
@@ -723,9 +1329,10 @@ export class PlatformGenerator {
    * @param {number} y - Y position (center) of new platform  
    * @param {number} width - Width of new platform
    * @param {number} height - Height of new platform
+   * @param {boolean} includeTemporary - Also check temporary (enemy helper) platforms - only helpers themselves do
    * @returns {boolean} True if would overlap, false if safe
    */
-  wouldOverlapExistingPlatform(x, y, width, height) {
+  wouldOverlapExistingPlatform(x, y, width, height, includeTemporary = false) {
     // Calculate bounds of new platform
     const newLeft = x - width / 2;
     const newRight = x + width / 2;
@@ -735,12 +1342,11 @@ export class PlatformGenerator {
     // Check against all existing platforms
     for (const platform of this.platforms) {
       if (!platform || !platform.body) continue;
+      if (!includeTemporary && platform.platformData?.temporary) continue;
       
       // Get existing platform bounds
-      const existingLeft = platform.body.x;
-      const existingRight = platform.body.x + platform.body.width;
-      const existingTop = platform.body.y;
-      const existingBottom = platform.body.y + platform.body.height;
+      const { left: existingLeft, right: existingRight, top: existingTop, bottom: existingBottom } =
+        this.getPlatformFootprint(platform);
       
       // Check for overlap using axis-aligned bounding box collision
       const xOverlap = newLeft < existingRight && newRight > existingLeft;
@@ -754,4 +1360,28 @@ export class PlatformGenerator {
     
     return false; // No overlap
   }
+
+  /**
+   * Get the full area a platform occupies for overlap checks
+   * Covers the whole travel path of moving platforms and both segments (plus the hole) of gapped ones.
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Platform sprite
+   * @returns {object} {left, right, top, bottom}
+   */
+  getPlatformFootprint(platform) {
+    const data = platform.platformData || {};
+    const motion = data.motion;
+    
+    const width = data.hasGap ? data.spanRight - data.spanLeft : platform.body.width;
+    const swept = this.platformTypeSystem.getSweptSize(width, platform.body.height, motion);
+    const centerX = motion ? motion.originX :
+      data.hasGap ? (data.spanLeft + data.spanRight) / 2 : platform.body.x + platform.body.width / 2;
+    const centerY = motion ? motion.originY : platform.body.y + platform.body.height / 2;
+    
+    return {
+      left: centerX - swept.width / 2,
+      right: centerX + swept.width / 2,
+      top: centerY - swept.height / 2,
+      bottom: centerY + swept.height / 2
+    };
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,474 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+/**
+ * PlatformTypeSystem - Special Platform Behaviours
+ *
+ * Gives generated platforms a type on top of the plain static stone:
+ * - moving: slides sideways or bobs up and down, carrying the player with it
+ * - crumbling: shakes and falls apart shortly after being landed on, then reforms
+ * - bouncy: launches the player upward on landing
+ * - icy: low friction surface that makes the player slide
+ * - oneWay: can be jumped through from below and landed on from above
+ *
+ * The PlatformGenerator decides where platforms go and asks this system for
+ * a type, the texture and the per-type data. GameScene routes player/platform
+ * collisions here so landing behaviour lives in one place.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class PlatformTypeSystem {
+  /**
+   * Initialize the platform type system
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // Platforms that need per-frame updates
+    this.movingPlatforms = [];
+
+    // Moving platform the player is currently standing on
+    this.rider = {
+      platform: null,
+      lastContact: 0
+    };
+
+    this.createTypeTextures();
+
+    console.log('🧱 Platform type system initialized');
+  }
+
+  /**
+   * Create one texture variant per special platform type
+   */
+  createTypeTextures() {
+    const width = CONFIG.WORLD.PLATFORM_MAX_WIDTH;
+    const height = CONFIG.WORLD.PLATFORM_THICKNESS;
+    const types = CONFIG.PLATFORM_TYPES;
+
+    // Moving - steel plate with direction chevrons
+    this.createTexture(types.moving.TEXTURE, width, height, texture => {
+      texture.fillStyle(0x4a6fa5, 1.0);
+      texture.fillRoundedRect(0, 0, width, height, 3);
+      texture.fillStyle(0x90caf9, 0.9);
+      for (let x = 20; x < width - 10; x += 40) {
+        texture.fillTriangle(x, 4, x + 8, height / 2, x, height - 4);
+      }
+    });
+
+    // Crumbling - cracked, crumbly rock
+    this.createTexture(types.crumbling.TEXTURE, width, height, texture => {
+      texture.fillStyle(0x8d6e63, 1.0);
+      texture.fillRoundedRect(0, 0, width, height, 2);
+      texture.lineStyle(2, 0x4e342e, 1.0);
+      for (let x = 15; x < width; x += 35) {
+        texture.lineBetween(x, 0, x + 6, height / 2);
+        texture.lineBetween(x + 6, height / 2, x - 4, height);
+      }
+    });
+
+    // Bouncy - spring pad
+    this.createTexture(types.bouncy.TEXTURE, width, height, texture => {
+      texture.fillStyle(0x00c853, 1.0);
+      texture.fillRoundedRect(0, 0, width, height, 6);
+      texture.fillStyle(0xb9f6ca, 1.0);
+      texture.fillRect(0, 0, width, 4);
+      texture.lineStyle(2, 0x1b5e20, 0.8);
+      for (let x = 10; x < width; x += 20) {
+        texture.lineBetween(x, 6, x + 10, height - 2);
+      }
+    });
+
+    // Icy - pale, glossy ice
+    this.createTexture(types.icy.TEXTURE, width, height, texture => {
+      texture.fillStyle(0x81d4fa, 1.0);
+      texture.fillRoundedRect(0, 0, width, height, 3);
+      texture.fillStyle(0xe1f5fe, 0.9);
+      texture.fillRect(0, 0, width, 3);
+      for (let x = 12; x < width; x += 45) {
+        texture.fillRect(x, 6, 18, 2);
+      }
+    });
+
+    // One-way - thin ledge with a dashed edge
+    this.createTexture(types.oneWay.TEXTURE, width, height, texture => {
+      texture.fillStyle(0x7c4dff, 0.5);
+      texture.fillRect(0, height / 2, width, height / 2);
+      texture.fillStyle(0xb388ff, 1.0);
+      for (let x = 0; x < width; x += 16) {
+        texture.fillRect(x, 0, 10, 4);
+      }
+    });
+  }
+
+  /**
+   * Draw and register a single texture
+   * @param {string} key - Texture key
+   * @param {number} width - Texture width
+   * @param {number} height - Texture height
+   * @param {Function} draw - Receives the graphics object to draw into
+   */
+  createTexture(key, width, height, draw) {
+    if (this.scene.textures.exists(key)) return;
+
+    const texture = this.scene.add.graphics();
+    draw(texture);
+    texture.generateTexture(key, width, height);
+    texture.destroy();
+  }
+
+  /**
+   * Pick a platform type using the spawn weights in CONFIG.GENERATION
+   * @param {SeededRandom} random - Seeded RNG for the run
+   * @returns {string} Platform type name
+   */
+  pickType(random) {
+    const weights = CONFIG.GENERATION.PLATFORM_TYPE_WEIGHTS;
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+    let roll = random.next() * totalWeight;
+    for (const [type, weight] of Object.entries(weights)) {
+      roll -= weight;
+      if (roll < 0) return type;
+    }
+
+    return 'normal';
+  }
+
+  /**
+   * Roll the travel path for a moving platform
+   * @param {SeededRandom} random - Seeded RNG for the run
+   * @param {number} x - Platform center X
+   * @param {number} width - Platform width
+   * @returns {object} {axis, range, phase} - axis is 'x' or 'y'
+   */
+  createMotion(random, x, width) {
+    const config = CONFIG.PLATFORM_TYPES.moving;
+    const axis = random.chance(config.VERTICAL_CHANCE) ? 'y' : 'x';
+    let range = axis === 'x' ?
+      random.between(config.RANGE_X_MIN, config.RANGE_X_MAX) :
+      random.between(config.RANGE_Y_MIN, config.RANGE_Y_MAX);
+
+    // Keep sideways travel on screen
+    if (axis === 'x') {
+      const screenWidth = this.scene.cameras.main.width;
+      const room = Math.min(x - width / 2, screenWidth - x - width / 2) - 10;
+      range = Math.max(0, Math.min(range, room));
+    }
+
+    return {
+      axis,
+      range,
+      phase: random.next() * Math.PI * 2
+    };
+  }
+
+  /**
+   * Get the area a platform can occupy over its lifetime (moving platforms sweep a range)
+   * @param {number} width - Platform width
+   * @param {number} height - Platform height
+   * @param {object|null} motion - Motion from createMotion, if any
+   * @returns {object} {width, height} swept size centered on the spawn point
+   */
+  getSweptSize(width, height, motion) {
+    if (!motion) return { width, height };
+
+    return {
+      width: width + (motion.axis === 'x' ? motion.range * 2 : 0),
+      height: height + (motion.axis === 'y' ? motion.range * 2 : 0)
+    };
+  }
+
+  /**
+   * Check whether a platform type can carry a coin
+   * Coins are placed once and don't follow platforms that move or disappear.
+   * @param {string} type - Platform type name
+   * @returns {boolean} True if a coin may be placed on it
+   */
+  allowsCoins(type) {
+    return type !== 'moving' && type !== 'crumbling';
+  }
+
+  /**
+   * Apply the type's texture and behaviour data to a freshly created platform
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Platform sprite (platformData already set)
+   */
+  setupPlatform(platform) {
+    const type = platform.platformData.platformType;
+    const config = CONFIG.PLATFORM_TYPES[type];
+    if (!config) return;
+
+    platform.setTexture(config.TEXTURE);
+    platform.setDisplaySize(platform.platformData.width, CONFIG.WORLD.PLATFORM_THICKNESS);
+    platform.clearTint();
+
+    switch (type) {
+      case 'moving':
+        platform.platformData.motion = {
+          ...platform.platformData.motion,
+          originX: platform.x,
+          originY: platform.y,
+          elapsed: 0
+        };
+        this.movingPlatforms.push(platform);
+        break;
+
+      case 'crumbling':
+        platform.platformData.crumble = {
+          state: 'solid', // 'solid' -> 'shaking' -> 'crumbled'
+          timer: null
+        };
+        break;
+
+      case 'oneWay':
+        // Only the top face collides - jump up through it from below
+        platform.body.checkCollision.down = false;
+        platform.body.checkCollision.left = false;
+        platform.body.checkCollision.right = false;
+        platform.setAlpha(config.ALPHA);
+        break;
+    }
+  }
+
+  /**
+   * Per-frame update: move platforms and carry whoever is riding them
+   * @param {number} deltaTime - Time since last frame (seconds)
+   */
+  update(deltaTime) {
+    const player = this.scene.player;
+    const speed = CONFIG.PLATFORM_TYPES.moving.SPEED;
+
+    // Riding only counts while contact is fresh (collide callbacks fire every physics step)
+    const isRiding = player && this.scene.time.now - this.rider.lastContact < 100;
+
+    this.movingPlatforms.forEach(platform => {
+      const motion = platform.platformData.motion;
+      if (motion.range <= 0) return;
+
+      // Smooth back-and-forth - angular speed chosen so peak speed matches SPEED
+      motion.elapsed += deltaTime;
+      const offset = Math.sin(motion.phase + motion.elapsed * speed / motion.range) * motion.range;
+
+      const newX = motion.axis === 'x' ? motion.originX + offset : motion.originX;
+      const newY = motion.axis === 'y' ? motion.originY + offset : motion.originY;
+      const dx = newX - platform.x;
+      const dy = newY - platform.y;
+
+      // Static bodies don't move on their own - reposition and resync the body
+      platform.setPosition(newX, newY);
+      platform.body.updateFromGameObject();
+
+      // Lights follow the platform
+      if (platform.platformData.outlineLight) {
+        platform.platformData.outlineLight.x = newX;
+        platform.platformData.outlineLight.y = newY - 5;
+      }
+
+      // Carry the player along
+      if (isRiding && this.rider.platform === platform) {
+        player.x += dx;
+        player.y += dy;
+      }
+    });
+  }
+
+  /**
+   * Collision callback for player vs platform
+   * @param {Player} player - The player
+   * @param {Phaser.Physics.Arcade.Sprite} platform - The platform that was touched
+   */
+  onPlayerCollide(player, platform) {
+    const data = platform.platformData;
+    if (!data) return;
+
+    // Only landings from above trigger platform behaviour (static touching flags
+    // are never cleared, so compare the actual edges instead)
+    const landedOnTop = player.body.touching.down && Math.abs(player.body.bottom - platform.body.top) < 4;
+    if (!landedOnTop) return;
+
+    player.setSurfaceType(data.platformType === 'icy' ? 'icy' : 'normal');
+
+    switch (data.platformType) {
+      case 'moving':
+        this.rider.platform = platform;
+        this.rider.lastContact = this.scene.time.now;
+        break;
+
+      case 'crumbling':
+        this.startCrumble(platform);
+        break;
+
+      case 'bouncy':
+        this.bounce(player, platform);
+        break;
+    }
+  }
+
+  /**
+   * Launch the player off a bounce pad
+   * @param {Player} player - The player
+   * @param {Phaser.Physics.Arcade.Sprite} platform - The bounce pad
+   */
+  bounce(player, platform) {
+    player.body.setVelocityY(-CONFIG.PLATFORM_TYPES.bouncy.BOUNCE_FORCE);
+
+    // Squash the pad for feedback (visual only - the static body keeps its size)
+    this.scene.tweens.killTweensOf(platform);
+    platform.setDisplaySize(platform.platformData.width, CONFIG.WORLD.PLATFORM_THICKNESS);
+    this.scene.tweens.add({
+      targets: platform,
+      scaleY: platform.scaleY * 0.6,
+      duration: 80,
+      yoyo: true,
+      ease: 'Quad.easeOut'
+    });
+
+    console.log('🟢 Bounce pad launched the player!');
+  }
+
+  /**
+   * Make any platform shake and collapse (enemy ability) - it reforms like a crumbling one
+   * Gapped platforms break as a whole, both segments at once.
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Platform to break (main sprite)
+   * @param {number} delay - ms of shaking before it gives way
+   * @returns {boolean} True if it started crumbling
+   */
+  forceCrumble(platform, delay) {
+    const data = platform.platformData;
+    if (!data) return false;
+
+    if (!data.crumble) {
+      data.crumble = { state: 'solid', timer: null };
+    }
+    if (data.crumble.state !== 'solid') return false;
+
+    this.startCrumble(platform, delay);
+    return true;
+  }
+
+  /**
+   * Begin the shake-then-collapse sequence of a crumbling platform
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Crumbling platform
+   * @param {number} delay - ms of shaking before it gives way
+   */
+  startCrumble(platform, delay = CONFIG.PLATFORM_TYPES.crumbling.CRUMBLE_DELAY) {
+    const crumble = platform.platformData.crumble;
+    if (crumble.state !== 'solid') return;
+
+    crumble.state = 'shaking';
+
+    // Flicker while it's about to give way
+    this.scene.tweens.add({
+      targets: this.getPieces(platform),
+      alpha: 0.5,
+      duration: 80,
+      yoyo: true,
+      repeat: -1
+    });
+
+    crumble.timer = this.scene.time.delayedCall(delay, () => {
+      this.collapse(platform);
+    });
+  }
+
+  /**
+   * Make a crumbling platform fall apart and schedule it to reform
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Crumbling platform
+   */
+  collapse(platform) {
+    const crumble = platform.platformData.crumble;
+    crumble.state = 'crumbled';
+
+    const pieces = this.getPieces(platform);
+    this.scene.tweens.killTweensOf(pieces);
+    pieces.forEach(piece => {
+      piece.body.enable = false;
+      piece.setAlpha(0.15);
+    });
+
+    if (this.scene.visualEffectsSystem) {
+      this.scene.visualEffectsSystem.createPlayerImpactEffect(platform.x, platform.y, 'land');
+    }
+
+    crumble.timer = this.scene.time.delayedCall(CONFIG.PLATFORM_TYPES.crumbling.RESPAWN_DELAY, () => {
+      this.reform(platform);
+    });
+
+    console.log(`🪨 Platform crumbled at (${Math.round(platform.x)}, ${Math.round(platform.y)})`);
+  }
+
+  /**
+   * Bring a crumbled platform back
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Crumbling platform
+   */
+  reform(platform) {
+    const crumble = platform.platformData.crumble;
+    crumble.state = 'solid';
+    crumble.timer = null;
+
+    const pieces = this.getPieces(platform);
+    pieces.forEach(piece => {
+      piece.body.enable = true;
+    });
+
+    // Forced crumbles reach other types too - fade back to that type's own alpha (one-way platforms are translucent)
+    this.scene.tweens.add({
+      targets: pieces,
+      alpha: CONFIG.PLATFORM_TYPES[platform.platformData.platformType]?.ALPHA ?? 1,
+      duration: 300
+    });
+  }
+
+  /**
+   * Get the sprites a platform is made of (both segments of a gapped platform)
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Main platform sprite
+   * @returns {Array<Phaser.Physics.Arcade.Sprite>} Sprites to shake, hide and restore together
+   */
+  getPieces(platform) {
+    return platform.platformData?.segments || [platform];
+  }
+
+  /**
+   * Stop tracking a platform that is being destroyed
+   * @param {Phaser.Physics.Arcade.Sprite} platform - Platform being removed
+   */
+  releasePlatform(platform) {
+    const data = platform.platformData;
+
+    if (data?.crumble?.timer) {
+      data.crumble.timer.remove();
+      data.crumble.timer = null;
+    }
+
+    this.scene.tweens.killTweensOf(this.getPieces(platform));
+    this.movingPlatforms = this.movingPlatforms.filter(moving => moving !== platform);
+
+    if (this.rider.platform === platform) {
+      this.rider.platform = null;
+    }
+  }
+
+  /**
+   * Forget all tracked platforms (the generator destroys the sprites)
+   */
+  reset() {
+    this.movingPlatforms = [];
+    this.rider.platform = null;
+    this.rider.lastContact = 0;
+  }
+
+  /**
+   * Get platform type statistics
+   * @param {Array} platforms - Current platforms
+   * @returns {object} Count per platform type
+   */
+  getStats(platforms) {
+    const counts = {};
+    platforms.forEach(platform => {
+      const type = platform.platformData?.platformType || 'normal';
+      counts[type] = (counts[type] || 0) + 1;
+    });
+    return counts;
+  }
+}
@@ -0,0 +1,208 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+/**
+ * ReachabilitySolver - Jump Envelope Math for Platform Generation
+ *
+ * Computes what the player can actually reach from the same numbers the
+ * Player uses to move:
+ * - Jump velocity = jumpForce + speedRatio * momentumJumpBonus (see Player.performJump)
+ * - Horizontal speed capped by maxHorizontalSpeed (full air control)
+ * - World gravity from CONFIG.WORLD.GRAVITY
+ *
+ * The PlatformGenerator asks it whether a new platform can be landed on from
+ * any platform below, and where to move it (or what to insert) when it can't.
+ * A conservative takeoff speed and safety margin from CONFIG.REACHABILITY keep
+ * the guarantee honest for players who aren't running at full speed.
+ *
+ * Platforms are described as plain bounds: { left, right, top }.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class ReachabilitySolver {
+  /**
+   * Initialize the solver from the shared player movement config
+   */
+  constructor() {
+    this.gravity = CONFIG.WORLD.GRAVITY;
+    this.movement = {
+      jumpForce: CONFIG.PLAYER.JUMP_FORCE,
+      momentumJumpBonus: CONFIG.PLAYER.MOMENTUM_JUMP_BONUS,
+      maxHorizontalSpeed: CONFIG.PLAYER.MAX_HORIZONTAL_SPEED
+    };
+
+    this.speedRatio = CONFIG.REACHABILITY.ASSUMED_SPEED_RATIO;
+    this.safetyMargin = CONFIG.REACHABILITY.SAFETY_MARGIN;
+  }
+
+  /**
+   * Pick up the live movement values from a player instance
+   * @param {object} playerState - Player.playerState
+   */
+  syncWithPlayer(playerState) {
+    if (!playerState) return;
+
+    this.movement.jumpForce = playerState.jumpForce;
+    this.movement.momentumJumpBonus = playerState.momentumJumpBonus;
+    this.movement.maxHorizontalSpeed = playerState.maxHorizontalSpeed;
+
+    console.log(`🧮 Reachability solver synced: jump ${this.movement.jumpForce}, bonus ${this.movement.momentumJumpBonus}, speed ${this.movement.maxHorizontalSpeed}`);
+  }
+
+  /**
+   * Upward takeoff velocity at the assumed running speed
+   * @returns {number} Vertical velocity in px/s (positive = up)
+   */
+  getJumpVelocity() {
+    return this.movement.jumpForce + this.speedRatio * this.movement.momentumJumpBonus;
+  }
+
+  /**
+   * Horizontal speed during the jump at the assumed running speed
+   * @returns {number} Horizontal velocity in px/s
+   */
+  getHorizontalVelocity() {
+    return this.movement.maxHorizontalSpeed * this.speedRatio;
+  }
+
+  /**
+   * Highest rise the player can land on (apex height with safety margin)
+   * @returns {number} Height in pixels
+   */
+  getMaxRise() {
+    const velocity = this.getJumpVelocity();
+    return (velocity * velocity) / (2 * this.gravity) * this.safetyMargin;
+  }
+
+  /**
+   * Farthest horizontal travel while still landing on a surface `rise` pixels higher
+   * Uses the descending branch of the arc: the player has to come down onto the top.
+   * @param {number} rise - Target surface height above takeoff (negative = below)
+   * @returns {number} Horizontal reach in pixels, or -1 if the height is out of range
+   */
+  getHorizontalReach(rise) {
+    if (rise > this.getMaxRise()) return -1;
+
+    const velocity = this.getJumpVelocity();
+    const discriminant = velocity * velocity - 2 * this.gravity * rise;
+    if (discriminant < 0) return -1;
+
+    const airTime = (velocity + Math.sqrt(discriminant)) / this.gravity;
+    return this.getHorizontalVelocity() * airTime * this.safetyMargin;
+  }
+
+  /**
+   * Horizontal edge-to-edge gap between two platforms (0 when they overlap)
+   * @param {object} source - Launch platform bounds
+   * @param {object} target - Landing platform bounds
+   * @returns {number} Gap in pixels
+   */
+  getEdgeGap(source, target) {
+    if (target.left > source.right) return target.left - source.right;
+    if (target.right < source.left) return source.left - target.right;
+    return 0;
+  }
+
+  /**
+   * Check whether the target platform can be landed on from the source platform
+   * @param {object} source - Launch platform bounds
+   * @param {object} target - Landing platform bounds
+   * @returns {boolean} True if the target is inside the jump envelope
+   */
+  canReach(source, target) {
+    const rise = source.top - target.top;
+    const reach = this.getHorizontalReach(rise);
+    if (reach < 0) return false;
+
+    return this.getEdgeGap(source, target) <= reach;
+  }
+
+  /**
+   * Find the first launch platform that reaches the target
+   * @param {object} target - Landing platform bounds
+   * @param {Array<object>} sources - Candidate launch platform bounds
+   * @returns {object|null} Reaching source, or null if none can
+   */
+  findReachableSource(target, sources) {
+    return sources.find(source => this.canReach(source, target)) || null;
+  }
+
+  /**
+   * Find the launch platform the target is closest to reaching
+   * Prefers sources inside the vertical range, then the smallest shortfall.
+   * @param {object} target - Landing platform bounds
+   * @param {Array<object>} sources - Candidate launch platform bounds
+   * @returns {object|null} Closest source, or null if there are none
+   */
+  findClosestSource(target, sources) {
+    let closest = null;
+    let closestShortfall = Infinity;
+
+    sources.forEach(source => {
+      const rise = source.top - target.top;
+      const reach = this.getHorizontalReach(rise);
+      const gap = this.getEdgeGap(source, target);
+
+      // Out of vertical range counts as a big shortfall so in-range sources win
+      const shortfall = reach < 0 ? 10000 + rise : gap - reach;
+      if (shortfall < closestShortfall) {
+        closest = source;
+        closestShortfall = shortfall;
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Move a target horizontally toward a source until it sits inside the envelope
+   * @param {object} source - Launch platform bounds
+   * @param {number} targetX - Current target center X
+   * @param {number} targetTop - Target surface Y
+   * @param {number} width - Target width
+   * @returns {number|null} New center X, or null if the height alone is out of range
+   */
+  getRepositionedX(source, targetX, targetTop, width) {
+    const reach = this.getHorizontalReach(source.top - targetTop);
+    if (reach < 0) return null;
+
+    const halfWidth = width / 2;
+
+    // Pull the near edge in to just inside the reach (1px inside to absorb rounding)
+    if (targetX - halfWidth > source.right) {
+      return Math.min(targetX, source.right + reach - 1 + halfWidth);
+    }
+    if (targetX + halfWidth < source.left) {
+      return Math.max(targetX, source.left - reach + 1 - halfWidth);
+    }
+
+    return targetX;
+  }
+
+  /**
+   * Sample the jump arc from a launch point for debug drawing
+   * @param {number} startX - Launch X (usually a platform edge)
+   * @param {number} startY - Launch Y (platform top)
+   * @param {number} direction - -1 = left, 1 = right
+   * @param {number} maxDrop - Stop sampling once the arc falls this far below the launch point
+   * @returns {Array<object>} Points {x, y} along the arc
+   */
+  getJumpArc(startX, startY, direction, maxDrop = CONFIG.REACHABILITY.DEBUG_ARC_DROP) {
+    const points = [];
+    const velocity = this.getJumpVelocity();
+    const horizontalVelocity = this.getHorizontalVelocity();
+    const step = 0.05; // seconds between samples
+
+    for (let t = 0; t < 5; t += step) {
+      const rise = velocity * t - 0.5 * this.gravity * t * t;
+      points.push({
+        x: startX + direction * horizontalVelocity * t,
+        y: startY - rise
+      });
+
+      if (rise < -maxDrop) break;
+    }
+
+    return points;
+  }
+}
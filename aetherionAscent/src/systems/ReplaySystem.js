@@ -0,0 +1,738 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+/**
+ * ReplaySystem - Run Recording and Playback
+ *
+ * Every live run is recorded as a compact stream keyed to the tower seed:
+ * - Input changes from Player.keys as bit masks ([time, mask] pairs, only when the mask changes)
+ * - Chat messages sent through ChatSystem.sendMessage
+ * - AI responses executed by AiSystem.handleAiResponse
+ * - Periodic keyframes (player body, void and score) that pull playback back
+ *   onto the recorded path, since frame timing differs between machines
+ *
+ * Playback rebuilds the tower from the seed and feeds the recorded inputs to the
+ * player instead of the keyboard. P pauses, -/+ change speed, comma/period seek,
+ * ESC leaves the replay. Replays can be exported and imported as JSON files.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+// Input mask bits
+const INPUT_LEFT = 1;
+const INPUT_RIGHT = 2;
+const INPUT_JUMP_HELD = 4;
+const INPUT_JUMP_PRESSED = 8;
+const INPUT_BLOCKED = 16; // Chat open - the player ignores movement keys
+
+export class ReplaySystem {
+  /**
+   * Initialize the replay system
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // 'idle', 'recording' or 'playback'
+    this.mode = 'idle';
+
+    // Run clock in ms (scaled by the playback speed)
+    this.clock = 0;
+
+    // Recording state
+    this.recording = null;
+    this.lastInputMask = null;
+    this.nextKeyframeTime = 0;
+
+    // Most recent finished or imported replay (V watches it, X exports it)
+    this.lastReplay = null;
+
+    // Playback state
+    this.playback = {
+      replay: null,
+      inputIndex: 0,
+      keyframeIndex: 0,
+      eventIndex: 0
+    };
+    this.isPaused = false;
+    this.speedIndex = CONFIG.REPLAY.SPEEDS.indexOf(1);
+
+    // Hidden file picker used for imports
+    this.fileInput = null;
+
+    // HUD
+    this.hudText = null;
+    this.captionText = null;
+    this.captionUntil = 0;
+
+    this.createHud();
+    this.setupInputHandling();
+
+    console.log('📼 Replay system initialized');
+  }
+
+  /**
+   * Create the (initially hidden) playback HUD
+   */
+  createHud() {
+    const { width } = this.scene.cameras.main;
+
+    this.hudText = this.scene.add.text(width / 2, 20, '', {
+      fontFamily: 'monospace',
+      fontSize: '16px',
+      fill: '#ff8a80',
+      align: 'center',
+      backgroundColor: 'rgba(26, 26, 46, 0.8)',
+      padding: { x: 10, y: 6 }
+    });
+    this.hudText.setOrigin(0.5, 0);
+
+    // Recorded chat lines, shown briefly while the replay plays
+    this.captionText = this.scene.add.text(width / 2, 80, '', {
+      fontFamily: 'Arial',
+      fontSize: '16px',
+      fill: '#e0e0e0',
+      backgroundColor: 'rgba(26, 26, 46, 0.7)',
+      padding: { x: 8, y: 4 }
+    });
+    this.captionText.setOrigin(0.5, 0);
+
+    [this.hudText, this.captionText].forEach(element => {
+      element.setScrollFactor(0);
+      element.setDepth(1600);
+      element.setVisible(false);
+    });
+  }
+
+  /**
+   * Listen for playback, export and import keys
+   */
+  setupInputHandling() {
+    const keyboard = this.scene.input.keyboard;
+
+    // Playback controls
+    keyboard.on('keydown-P', () => this.isPlaying() && this.togglePause());
+    keyboard.on('keydown-MINUS', () => this.isPlaying() && this.changeSpeed(-1));
+    keyboard.on('keydown-PLUS', () => this.isPlaying() && this.changeSpeed(1));
+    keyboard.on('keydown-COMMA', () => this.isPlaying() && this.seek(this.clock - CONFIG.REPLAY.SEEK_STEP));
+    keyboard.on('keydown-PERIOD', () => this.isPlaying() && this.seek(this.clock + CONFIG.REPLAY.SEEK_STEP));
+    keyboard.on('keydown-ESC', () => this.isPlaying() && this.stopPlayback());
+
+    // Game over screen: watch or export the run that just ended
+    keyboard.on('keydown-V', () => {
+      if (this.scene.gameOverSystem && this.scene.gameOverSystem.isVisible && this.lastReplay) {
+        this.scene.playReplay(this.lastReplay);
+      }
+    });
+    keyboard.on('keydown-X', () => {
+      const canExport = this.isPlaying() || (this.scene.gameOverSystem && this.scene.gameOverSystem.isVisible);
+      const replay = this.isPlaying() ? this.playback.replay : this.lastReplay;
+      if (canExport && replay) {
+        this.exportReplay(replay);
+      }
+    });
+
+    // Import a replay file at any time
+    keyboard.on('keydown-F9', () => this.openImportDialog());
+  }
+
+  /**
+   * Check whether a replay is playing
+   * @returns {boolean} True during playback
+   */
+  isPlaying() {
+    return this.mode === 'playback';
+  }
+
+  /**
+   * Check whether the current run is being recorded
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return this.mode === 'recording';
+  }
+
+  /**
+   * Get how fast the world should run (1 outside of playback)
+   * @returns {number} Time scale multiplier
+   */
+  getTimeScale() {
+    return this.isPlaying() ? CONFIG.REPLAY.SPEEDS[this.speedIndex] : 1;
+  }
+
+  /**
+   * Start recording a new run
+   * @param {string} seed - Tower seed of the run
+   * @param {string} difficulty - Void difficulty profile of the run
+   */
+  startRecording(seed, difficulty) {
+    this.mode = 'recording';
+    this.clock = 0;
+    this.lastInputMask = null;
+    this.nextKeyframeTime = 0;
+
+    this.recording = {
+      version: CONFIG.REPLAY.VERSION,
+      seed,
+      difficulty,
+      recordedAt: new Date().toISOString(),
+      duration: 0,
+      keyframeInterval: CONFIG.REPLAY.KEYFRAME_INTERVAL,
+      inputs: [],
+      keyframes: [],
+      events: [],
+      final: null
+    };
+
+    console.log(`📼 Recording run (seed ${seed}, ${difficulty})`);
+  }
+
+  /**
+   * Advance the run clock (call once per frame before the player updates)
+   * During playback this also feeds the recorded inputs, keyframes and events.
+   * @param {number} deltaMs - Scaled time since last frame (ms)
+   */
+  beginFrame(deltaMs) {
+    if (this.mode === 'idle' || this.isPaused) return;
+
+    this.clock += deltaMs;
+
+    if (this.isPlaying()) {
+      this.updatePlayback();
+    }
+  }
+
+  /**
+   * Store this frame's input and a keyframe when one is due (call after the player updates)
+   * @param {Player} player - The player
+   */
+  endFrame(player) {
+    if (!this.isRecording() || !player) return;
+
+    const time = Math.round(this.clock);
+    const mask = this.encodeInput(player.currentInput);
+
+    // Held keys only cost an entry when they change; a fresh jump press is always stored
+    if (mask !== this.lastInputMask || (mask & INPUT_JUMP_PRESSED)) {
+      this.recording.inputs.push([time, mask]);
+      this.lastInputMask = mask;
+    }
+
+    if (this.clock >= this.nextKeyframeTime) {
+      this.recording.keyframes.push(this.captureKeyframe(time));
+      this.nextKeyframeTime += CONFIG.REPLAY.KEYFRAME_INTERVAL;
+    }
+  }
+
+  /**
+   * Record a chat message or AI action at the current run time
+   * @param {string} type - 'chat' or 'aiAction'
+   * @param {object} data - Event payload ({message} or {enemyId, response})
+   */
+  recordEvent(type, data) {
+    if (!this.isRecording()) return;
+
+    this.recording.events.push({
+      t: Math.round(this.clock),
+      type,
+      ...data
+    });
+  }
+
+  /**
+   * Snapshot the state playback needs to stay on the recorded path
+   * @param {number} time - Run time of the snapshot (ms)
+   * @returns {Array<number>} [t, x, y, vx, vy, horizontalSpeed, voidY, voidElapsed, coinsCollected, coinScore, maxHeight]
+   */
+  captureKeyframe(time) {
+    const { player, voidSystem, scoringSystem } = this.scene;
+    const round = value => Math.round(value * 100) / 100;
+
+    return [
+      time,
+      round(player.x),
+      round(player.y),
+      round(player.body.velocity.x),
+      round(player.body.velocity.y),
+      round(player.playerState.horizontalSpeed),
+      round(voidSystem.voidY),
+      Math.round(voidSystem.elapsedTime),
+      scoringSystem.stats.coinsCollected,
+      scoringSystem.stats.coinScore,
+      round(scoringSystem.stats.maxHeight)
+    ];
+  }
+
+  /**
+   * Finish the recording when the run ends
+   * @param {object} stats - Final scoring stats
+   * @returns {object|null} The finished replay
+   */
+  stopRecording(stats) {
+    if (!this.isRecording()) return null;
+
+    const time = Math.round(this.clock);
+    this.recording.keyframes.push(this.captureKeyframe(time));
+    this.recording.duration = time;
+    this.recording.final = {
+      score: stats.totalScore,
+      maxHeight: Math.round(stats.maxHeight),
+      coins: stats.coinsCollected
+    };
+
+    this.lastReplay = this.recording;
+    this.recording = null;
+    this.mode = 'idle';
+
+    console.log(`📼 Run recorded: ${(time / 1000).toFixed(1)}s, ${this.lastReplay.inputs.length} inputs, ${this.lastReplay.keyframes.length} keyframes, ${this.lastReplay.events.length} events`);
+    return this.lastReplay;
+  }
+
+  /**
+   * Pack the player's input for one frame into a bit mask
+   * @param {object} input - Player.currentInput
+   * @returns {number} Input mask
+   */
+  encodeInput(input) {
+    return (input.left ? INPUT_LEFT : 0) |
+      (input.right ? INPUT_RIGHT : 0) |
+      (input.jumpHeld ? INPUT_JUMP_HELD : 0) |
+      (input.jumpPressed ? INPUT_JUMP_PRESSED : 0) |
+      (input.blocked ? INPUT_BLOCKED : 0);
+  }
+
+  /**
+   * Unpack an input mask
+   * @param {number} mask - Input mask
+   * @returns {object} Input in the Player.currentInput shape
+   */
+  decodeInput(mask) {
+    return {
+      left: (mask & INPUT_LEFT) !== 0,
+      right: (mask & INPUT_RIGHT) !== 0,
+      jumpHeld: (mask & INPUT_JUMP_HELD) !== 0,
+      jumpPressed: (mask & INPUT_JUMP_PRESSED) !== 0,
+      blocked: (mask & INPUT_BLOCKED) !== 0
+    };
+  }
+
+  /**
+   * Switch to playback mode (GameScene.playReplay rebuilds the world afterwards)
+   * @param {object} replay - Replay to play
+   */
+  startPlayback(replay) {
+    this.recording = null;
+    this.mode = 'playback';
+    this.isPaused = false;
+    this.speedIndex = CONFIG.REPLAY.SPEEDS.indexOf(1);
+    this.playback.replay = replay;
+    this.rewindPlayback();
+    this.applySpeed();
+
+    console.log(`📼 Playing replay (seed ${replay.seed}, ${(replay.duration / 1000).toFixed(1)}s)`);
+  }
+
+  /**
+   * Put the playback cursors back at the start of the replay
+   */
+  rewindPlayback() {
+    this.clock = 0;
+    this.playback.inputIndex = 0;
+    this.playback.keyframeIndex = 0;
+    this.playback.eventIndex = 0;
+    this.captionUntil = 0;
+  }
+
+  /**
+   * Called by GameScene once the world has been rebuilt for the replay
+   */
+  onPlaybackRunStarted() {
+    this.hudText.setVisible(true);
+    this.updateHud();
+  }
+
+  /**
+   * Feed everything recorded up to the current clock into the world
+   */
+  updatePlayback() {
+    const replay = this.playback.replay;
+    const player = this.scene.player;
+    if (!player) return;
+
+    // Inputs: the latest mask wins, but a jump press anywhere in the batch still counts
+    let mask = null;
+    let jumpPressed = false;
+    while (this.playback.inputIndex < replay.inputs.length && replay.inputs[this.playback.inputIndex][0] <= this.clock) {
+      mask = replay.inputs[this.playback.inputIndex][1];
+      jumpPressed = jumpPressed || (mask & INPUT_JUMP_PRESSED) !== 0;
+      this.playback.inputIndex++;
+    }
+
+    const held = this.playback.inputIndex > 0 ? replay.inputs[this.playback.inputIndex - 1][1] : 0;
+    player.inputOverride = this.decodeInput(held & ~INPUT_JUMP_PRESSED);
+    player.inputOverride.jumpPressed = mask !== null && jumpPressed;
+
+    // Keyframes: snap to the latest one we've passed
+    let keyframe = null;
+    while (this.playback.keyframeIndex < replay.keyframes.length && replay.keyframes[this.playback.keyframeIndex][0] <= this.clock) {
+      keyframe = replay.keyframes[this.playback.keyframeIndex];
+      this.playback.keyframeIndex++;
+    }
+    if (keyframe) {
+      this.applyKeyframe(keyframe);
+    }
+
+    // Chat messages and AI actions
+    while (this.playback.eventIndex < replay.events.length && replay.events[this.playback.eventIndex].t <= this.clock) {
+      this.fireEvent(replay.events[this.playback.eventIndex], false);
+      this.playback.eventIndex++;
+    }
+
+    if (this.captionUntil && this.clock > this.captionUntil) {
+      this.captionText.setVisible(false);
+      this.captionUntil = 0;
+    }
+
+    this.updateHud();
+
+    // The recording ended with the void catching the player
+    if (this.clock >= replay.duration) {
+      this.scene.triggerGameOver();
+    }
+  }
+
+  /**
+   * Move the player, void and score to a recorded keyframe
+   * @param {Array<number>} keyframe - Keyframe from captureKeyframe()
+   */
+  applyKeyframe(keyframe) {
+    const [, x, y, velocityX, velocityY, horizontalSpeed, voidY, voidElapsed, coinsCollected, coinScore, maxHeight] = keyframe;
+    const { player, voidSystem, scoringSystem } = this.scene;
+
+    player.body.reset(x, y);
+    player.body.setVelocity(velocityX, velocityY);
+    player.playerState.horizontalSpeed = horizontalSpeed;
+
+    voidSystem.voidY = voidY;
+    voidSystem.elapsedTime = voidElapsed;
+
+    scoringSystem.stats.coinsCollected = coinsCollected;
+    scoringSystem.stats.coinScore = coinScore;
+    scoringSystem.stats.maxHeight = Math.max(scoringSystem.stats.maxHeight, maxHeight);
+    scoringSystem.calculateTotalScore();
+  }
+
+  /**
+   * Replay a recorded chat message or AI action
+   * @param {object} event - Recorded event
+   * @param {boolean} silent - True when seeking: log chat lines but skip AI effects
+   */
+  fireEvent(event, silent) {
+    const { chatSystem, scoringSystem } = this.scene;
+
+    if (event.type === 'chat') {
+      if (chatSystem) {
+        chatSystem.addPlayerMessage(event.message);
+      }
+      scoringSystem.recordAiInteraction();
+
+      if (!silent) {
+        this.showCaption(`You: ${event.message}`);
+      }
+    } else if (event.type === 'aiAction' && !silent) {
+      // The enemy that acted in the recording (older replays: whoever the chat targets)
+      const aiSystem = this.scene.getEnemyAi(event.enemyId);
+      if (aiSystem) {
+        aiSystem.handleAiResponse(event.response, true);
+      } else {
+        console.warn('📼 Replay: AI action recorded but no enemy AI is active');
+      }
+
+      const text = (event.response.text || '').trim();
+      if (text) {
+        this.showCaption(`Enemy: ${text}`);
+      }
+    }
+  }
+
+  /**
+   * Show a recorded chat line under the HUD for a few seconds of replay time
+   * @param {string} text - Line to show
+   */
+  showCaption(text) {
+    this.captionText.setText(text);
+    this.captionText.setVisible(true);
+    this.captionUntil = this.clock + 4000;
+  }
+
+  /**
+   * Jump to a point in the replay by rebuilding the run and snapping to the nearest keyframe
+   * @param {number} targetTime - Replay time to jump to (ms)
+   */
+  seek(targetTime) {
+    const replay = this.playback.replay;
+    const time = Phaser.Math.Clamp(targetTime, 0, Math.max(0, replay.duration - 1));
+
+    // Same tower, fresh world
+    this.scene.restartRun(replay.seed, replay.difficulty);
+    this.rewindPlayback();
+    this.captionText.setVisible(false);
+
+    // Skip everything before the target without replaying its effects
+    while (this.playback.inputIndex < replay.inputs.length && replay.inputs[this.playback.inputIndex][0] <= time) {
+      this.playback.inputIndex++;
+    }
+    while (this.playback.eventIndex < replay.events.length && replay.events[this.playback.eventIndex].t <= time) {
+      this.fireEvent(replay.events[this.playback.eventIndex], true);
+      this.playback.eventIndex++;
+    }
+
+    let keyframe = null;
+    while (this.playback.keyframeIndex < replay.keyframes.length && replay.keyframes[this.playback.keyframeIndex][0] <= time) {
+      keyframe = replay.keyframes[this.playback.keyframeIndex];
+      this.playback.keyframeIndex++;
+    }
+    if (keyframe) {
+      this.applyKeyframe(keyframe);
+      this.scene.snapCameraToTarget();
+    }
+
+    this.clock = time;
+
+    // Stay paused if we were
+    if (this.isPaused) {
+      this.scene.physics.pause();
+    }
+
+    this.updateHud();
+    console.log(`📼 Replay seek to ${this.formatTime(time)}`);
+  }
+
+  /**
+   * Pause or resume playback
+   */
+  togglePause() {
+    this.isPaused = !this.isPaused;
+
+    if (this.isPaused) {
+      this.scene.physics.pause();
+    } else {
+      this.scene.physics.resume();
+    }
+
+    this.updateHud();
+  }
+
+  /**
+   * Step through the playback speeds
+   * @param {number} direction - -1 = slower, 1 = faster
+   */
+  changeSpeed(direction) {
+    this.speedIndex = Phaser.Math.Clamp(this.speedIndex + direction, 0, CONFIG.REPLAY.SPEEDS.length - 1);
+    this.applySpeed();
+    this.updateHud();
+  }
+
+  /**
+   * Scale physics, timers and tweens to the playback speed
+   */
+  applySpeed() {
+    const speed = this.getTimeScale();
+
+    // Physics also folds in any enemy slow motion (see GameScene.applyWorldTimeScale)
+    this.scene.applyWorldTimeScale();
+    this.scene.time.timeScale = speed;
+    this.scene.tweens.timeScale = speed;
+  }
+
+  /**
+   * Playback reached the end of the run (called from GameScene.triggerGameOver)
+   */
+  finishPlayback() {
+    this.leavePlayback();
+    console.log('📼 Replay finished');
+  }
+
+  /**
+   * Leave the replay and start a fresh live run
+   */
+  stopPlayback() {
+    this.leavePlayback();
+    this.scene.restartRun();
+    console.log('📼 Replay stopped');
+  }
+
+  /**
+   * Hand control back to the keyboard and reset the playback speed
+   */
+  leavePlayback() {
+    this.mode = 'idle';
+    this.isPaused = false;
+    this.speedIndex = CONFIG.REPLAY.SPEEDS.indexOf(1);
+    this.applySpeed();
+
+    if (this.scene.player) {
+      this.scene.player.inputOverride = null;
+    }
+
+    this.hudText.setVisible(false);
+    this.captionText.setVisible(false);
+  }
+
+  /**
+   * Refresh the playback HUD
+   */
+  updateHud() {
+    if (!this.isPlaying()) return;
+
+    const replay = this.playback.replay;
+    const status = `📼 REPLAY ${this.formatTime(this.clock)} / ${this.formatTime(replay.duration)}  x${this.getTimeScale()}${this.isPaused ? '  [PAUSED]' : ''}`;
+    this.hudText.setText(`${status}\nP pause  -/+ speed  ,/. seek  X export  ESC exit`);
+  }
+
+  /**
+   * Format a run time as m:ss
+   * @param {number} ms - Time in ms
+   * @returns {string} Formatted time
+   */
+  formatTime(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Download a replay as a JSON file
+   * @param {object} replay - Replay to export
+   */
+  exportReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const date = replay.recordedAt.slice(0, 19).replace(/[:T]/g, '-');
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `aetherion-replay-${replay.seed}-${date}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    console.log(`📼 Replay exported: ${link.download}`);
+  }
+
+  /**
+   * Open a file picker and play the chosen replay
+   */
+  openImportDialog() {
+    if (!this.fileInput) {
+      this.fileInput = document.createElement('input');
+      this.fileInput.type = 'file';
+      this.fileInput.accept = '.json,application/json';
+      this.fileInput.style.display = 'none';
+      this.fileInput.addEventListener('change', () => {
+        const file = this.fileInput.files[0];
+        this.fileInput.value = '';
+        if (file) {
+          file.text().then(text => this.importReplay(text));
+        }
+      });
+      document.body.appendChild(this.fileInput);
+    }
+
+    this.fileInput.click();
+  }
+
+  /**
+   * Parse, validate and play a replay file
+   * @param {string} text - File contents
+   * @returns {boolean} True if the replay was accepted
+   */
+  importReplay(text) {
+    let replay;
+    try {
+      replay = JSON.parse(text);
+    } catch (error) {
+      console.warn('📼 Replay file is not valid JSON:', error.message);
+      return false;
+    }
+
+    const problem = this.validateReplay(replay);
+    if (problem) {
+      console.warn(`📼 Replay rejected: ${problem}`);
+      return false;
+    }
+
+    this.lastReplay = replay;
+    this.scene.playReplay(replay);
+    return true;
+  }
+
+  /**
+   * Check that a parsed replay has the shape playback needs
+   * @param {object} replay - Parsed replay
+   * @returns {string|null} Description of the problem, or null if valid
+   */
+  validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') return 'not an object';
+    if (replay.version !== CONFIG.REPLAY.VERSION) return `unsupported version ${replay.version}`;
+    if (typeof replay.seed !== 'string' || !replay.seed) return 'missing seed';
+    if (typeof replay.duration !== 'number' || replay.duration <= 0) return 'missing duration';
+    if (!Array.isArray(replay.inputs) || !Array.isArray(replay.keyframes) || !Array.isArray(replay.events)) {
+      return 'missing inputs, keyframes or events';
+    }
+    if (replay.keyframes.some(keyframe => !Array.isArray(keyframe) || keyframe.length !== 11)) {
+      return 'malformed keyframe';
+    }
+
+    const badEvent = replay.events.findIndex(event => this.validateEvent(event));
+    if (badEvent >= 0) {
+      return `event ${badEvent}: ${this.validateEvent(replay.events[badEvent])}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check that a recorded event has what fireEvent reads
+   * @param {object} event - Recorded event
+   * @returns {string|null} Description of the problem, or null if valid
+   */
+  validateEvent(event) {
+    if (!event || typeof event !== 'object') return 'not an object';
+    if (typeof event.t !== 'number' || !Number.isFinite(event.t) || event.t < 0) return 'missing time';
+
+    if (event.type === 'chat') {
+      return typeof event.message === 'string' ? null : 'chat event without a message';
+    }
+
+    if (event.type === 'aiAction') {
+      const { response } = event;
+      if (!response || typeof response !== 'object' || !Array.isArray(response.actions)) {
+        return 'AI action without response actions';
+      }
+      if (response.text !== undefined && typeof response.text !== 'string') return 'AI action with non-text reply';
+      if (response.actions.some(action => !action || typeof action.name !== 'string')) return 'AI action without a name';
+      if (response.actions.some(action => action.resolved !== undefined && (!action.resolved || typeof action.resolved !== 'object'))) {
+        return 'AI action with malformed recorded values';
+      }
+      return null;
+    }
+
+    return `unknown type ${event.type}`;
+  }
+
+  /**
+   * Clean up replay UI
+   */
+  destroy() {
+    if (this.fileInput) {
+      this.fileInput.remove();
+      this.fileInput = null;
+    }
+
+    this.hudText.destroy();
+    this.captionText.destroy();
+    console.log('🗑️ Replay system destroyed');
+  }
+}
@@ -0,0 +1,220 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+/**
+ * ReputationSystem - How the Enemies Feel About the Player
+ *
+ * A single value from CONFIG.REPUTATION.MIN to MAX, shared by every enemy
+ * (word gets around) and reset each run. Every action an enemy decides on
+ * moves it: rewards raise it, punishments lower it (see ACTION_CHANGES).
+ *
+ * The value falls into a mood (Furious → Devoted) that:
+ * - Scales throwPlayer wind and giveCoins amounts
+ * - Is written into every enemy's system prompt
+ * - Is shown as a HUD meter next to the CHAT button
+ *
+ * The display is optional (createDisplay), so the rules also run from Node.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class ReputationSystem {
+  /**
+   * @param {Phaser.Scene} scene - The game scene (may be null when testing)
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.value = CONFIG.REPUTATION.START;
+    this.mood = this.getMoodFor(this.value);
+
+    // HUD meter (created by createDisplay)
+    this.displayElements = {
+      label: null,
+      bar: null
+    };
+
+    console.log(`💞 Reputation system initialized (${this.mood.NAME})`);
+  }
+
+  /**
+   * Create the HUD meter (top right, left of the CHAT button)
+   */
+  createDisplay() {
+    const centerX = this.getMeterCenterX();
+
+    this.displayElements.label = this.scene.add.text(centerX, 24, '', {
+      fontFamily: 'Arial',
+      fontSize: '14px',
+      fill: '#ffffff',
+      stroke: '#1a1a2e',
+      strokeThickness: 3
+    });
+    this.displayElements.label.setOrigin(0.5, 0);
+    this.displayElements.label.setDepth(1000);
+    this.displayElements.label.setScrollFactor(0);
+
+    this.displayElements.bar = this.scene.add.graphics();
+    this.displayElements.bar.setDepth(1000);
+    this.displayElements.bar.setScrollFactor(0);
+
+    this.updateDisplay();
+  }
+
+  /**
+   * Move the reputation after an enemy decided on an action
+   * @param {string} actionName - Registry action name
+   * @param {object} args - Arguments the enemy passed
+   * @returns {number} Change applied
+   */
+  applyAction(actionName, args = {}) {
+    return this.change(this.getActionChange(actionName, args));
+  }
+
+  /**
+   * How much an action moves the reputation
+   * @param {string} actionName - Registry action name
+   * @param {object} args - Arguments the enemy passed
+   * @returns {number} Reputation change (0 for unknown actions)
+   */
+  getActionChange(actionName, args = {}) {
+    if (actionName === 'throwPlayer') {
+      const insultLevel = Math.max(1, Math.min(5, args.insultLevel || 3));
+      return insultLevel * CONFIG.REPUTATION.THROW_CHANGE_PER_INSULT_LEVEL;
+    }
+    return CONFIG.REPUTATION.ACTION_CHANGES[actionName] || 0;
+  }
+
+  /**
+   * Add to the reputation, clamped, and announce mood changes
+   * @param {number} amount - Change (negative to lower)
+   * @returns {number} Change actually applied
+   */
+  change(amount) {
+    const previous = this.value;
+    this.value = Math.max(CONFIG.REPUTATION.MIN, Math.min(CONFIG.REPUTATION.MAX, this.value + amount));
+
+    const previousMood = this.mood;
+    this.mood = this.getMoodFor(this.value);
+
+    if (this.mood !== previousMood) {
+      const better = this.mood.MIN > previousMood.MIN;
+      console.log(`💞 Enemy mood: ${previousMood.NAME} → ${this.mood.NAME}`);
+
+      if (this.scene && this.scene.chatSystem) {
+        this.scene.chatSystem.addSystemMessage(`${better ? '💚' : '💢'} The enemies are now ${this.mood.NAME.toLowerCase()} with you.`);
+      }
+    }
+
+    this.updateDisplay();
+    return this.value - previous;
+  }
+
+  /**
+   * Find the mood a reputation value falls into
+   * @param {number} value - Reputation
+   * @returns {object} Mood from CONFIG.REPUTATION.MOODS
+   */
+  getMoodFor(value) {
+    const moods = CONFIG.REPUTATION.MOODS;
+    let mood = moods[0];
+
+    moods.forEach(candidate => {
+      if (value >= candidate.MIN) mood = candidate;
+    });
+
+    return mood;
+  }
+
+  /**
+   * Get the current mood
+   * @returns {object} Mood from CONFIG.REPUTATION.MOODS
+   */
+  getMood() {
+    return this.mood;
+  }
+
+  /**
+   * Multiplier for throwPlayer wind forces
+   * @returns {number} Wind multiplier of the current mood
+   */
+  getWindMultiplier() {
+    return this.mood.WIND_MULTIPLIER;
+  }
+
+  /**
+   * Scale a coin reward by the current mood
+   * @param {number} baseAmount - Unscaled coins
+   * @returns {number} Coins to give (at least 1)
+   */
+  getCoinAmount(baseAmount) {
+    return Math.max(1, Math.round(baseAmount * this.mood.COIN_MULTIPLIER));
+  }
+
+  /**
+   * Describe the relationship for the enemy's system prompt
+   * Only the mood, not the exact value: the prompt is rebuilt when the mood changes, so a number would go stale.
+   * @returns {string} Prompt line
+   */
+  getPromptSummary() {
+    return `${this.mood.NAME}. ${this.mood.PROMPT}`;
+  }
+
+  /**
+   * Redraw the HUD meter
+   */
+  updateDisplay() {
+    const { label, bar } = this.displayElements;
+    if (!label || !bar) return;
+
+    const width = CONFIG.REPUTATION.METER_WIDTH;
+    const left = this.getMeterCenterX() - width / 2;
+    const top = 46;
+    const range = CONFIG.REPUTATION.MAX - CONFIG.REPUTATION.MIN;
+    const zeroX = left + width * (0 - CONFIG.REPUTATION.MIN) / range;
+    const valueX = left + width * (this.value - CONFIG.REPUTATION.MIN) / range;
+
+    label.setText(`ENEMY MOOD: ${this.mood.NAME.toUpperCase()}`);
+    label.setColor(`#${this.mood.COLOR.toString(16).padStart(6, '0')}`);
+
+    bar.clear();
+    bar.fillStyle(0x1a1a2e, 0.7);
+    bar.fillRect(left - 2, top - 2, width + 4, 12);
+
+    // Fill from the neutral point towards the current value
+    bar.fillStyle(this.mood.COLOR, 0.9);
+    bar.fillRect(Math.min(zeroX, valueX), top, Math.abs(valueX - zeroX), 8);
+
+    bar.fillStyle(0xffffff, 0.8);
+    bar.fillRect(zeroX - 1, top - 2, 2, 12);
+  }
+
+  /**
+   * Horizontal centre of the HUD meter
+   * @returns {number} Screen X
+   */
+  getMeterCenterX() {
+    return this.scene.cameras.main.width - 130 - CONFIG.REPUTATION.METER_WIDTH / 2;
+  }
+
+  /**
+   * Reset to the starting reputation (for game restart)
+   */
+  reset() {
+    this.value = CONFIG.REPUTATION.START;
+    this.mood = this.getMoodFor(this.value);
+    this.updateDisplay();
+    console.log('🔄 Reputation reset');
+  }
+
+  /**
+   * Clean up the HUD meter
+   */
+  destroy() {
+    Object.values(this.displayElements).forEach(element => {
+      if (element && element.destroy) {
+        element.destroy();
+      }
+    });
+
+    console.log('🗑️ Reputation system destroyed');
+  }
+}
@@ -6,7 +6,7 @@ import { CONFIG } from '../config/gameConfig.js';
  * Manages all scoring mechanics for Aetherion Ascent:
  * - Height-based scoring (Icy Tower style)
  * - Coin collection tracking
- * - Score multipliers and bonuses
+ * - Score multipliers and bonuses (coin combos within COMBO_TIME_WINDOW)
  * - Display updates and formatting
  * 
  * All scoring logic is contained in this single system for easy maintenance
@@ -40,21 +40,39 @@ export class ScoringSystem {
       
       // Progression tracking
       platformsReached: 0,
-      highestPlatform: 0
+      highestPlatform: 0,
+      
+      // Combo tracking
+      bestCombo: 0,
+      
+      // Messages sent to AI enemies
+      aiInteractions: 0
+    };
+    
+    // Current coin combo
+    this.combo = {
+      count: 0,
+      multiplier: 1,
+      lastCollectTime: 0
     };
     
     // Score display references
     this.displayElements = {
       heightText: null,
       scoreText: null,
-      coinText: null
+      coinText: null,
+      comboText: null,
+      ghostText: null
     };
     
     // Score configuration
     this.config = {
       heightScoreMultiplier: CONFIG.SCORING.HEIGHT_SCORE_MULTIPLIER,
       coinValue: CONFIG.SCORING.COIN_VALUE,
-      heightDivisor: CONFIG.SCORING.HEIGHT_DIVISOR
+      heightDivisor: CONFIG.SCORING.HEIGHT_DIVISOR,
+      comboMultiplierStep: CONFIG.SCORING.COMBO_MULTIPLIER - 1,
+      comboTimeWindow: CONFIG.SCORING.COMBO_TIME_WINDOW,
+      comboMaxMultiplier: CONFIG.SCORING.COMBO_MAX_MULTIPLIER
     };
     
     console.log('💰 Scoring system initialized');
@@ -99,6 +117,30 @@ export class ScoringSystem {
     this.displayElements.scoreText.setDepth(1000);
     this.displayElements.scoreText.setScrollFactor(0);
     
+    // Combo display (only visible while a combo is running)
+    this.displayElements.comboText = this.scene.add.text(20, 140, '', {
+      fontFamily: 'Arial Black',
+      fontSize: '20px',
+      fill: '#ff9100',
+      stroke: '#1a1a2e',
+      strokeThickness: 4
+    });
+    this.displayElements.comboText.setDepth(1000);
+    this.displayElements.comboText.setScrollFactor(0);
+    this.displayElements.comboText.setVisible(false);
+    
+    // Height ahead of / behind the ghost (only visible while racing one)
+    this.displayElements.ghostText = this.scene.add.text(20, 175, '', {
+      fontFamily: 'Arial',
+      fontSize: '18px',
+      fill: '#80deea',
+      backgroundColor: 'rgba(26, 26, 46, 0.7)',
+      padding: { x: 10, y: 4 }
+    });
+    this.displayElements.ghostText.setDepth(1000);
+    this.displayElements.ghostText.setScrollFactor(0);
+    this.displayElements.ghostText.setVisible(false);
+    
     console.log('✅ Score display created');
   }
 
@@ -132,20 +174,127 @@ export class ScoringSystem {
   }
 
   /**
-   * Award points for coin collection
+   * Award points for coin collection, chaining combos for quick pickups
    * @param {number} coinValue - Optional custom coin value (defaults to config)
+   * @returns {number} Points actually awarded (after the combo multiplier)
    */
   collectCoin(coinValue = this.config.coinValue) {
+    this.advanceCombo();
+    
+    const awarded = Math.round(coinValue * this.combo.multiplier);
+    this.awardCoin(awarded);
+    
+    console.log(`🪙 Coin collected! Total: ${this.stats.coinsCollected}, Coin Score: ${this.stats.coinScore}, Combo: ${this.combo.count} (x${this.combo.multiplier})`);
+    
+    // Return the collected coin value for effects/feedback
+    return awarded;
+  }
+
+  /**
+   * Add a coin and its points without touching the combo
+   * @param {number} points - Points to add
+   */
+  awardCoin(points) {
     this.stats.coinsCollected++;
-    this.stats.coinScore += coinValue;
+    this.stats.coinScore += points;
     
     // Update total score
     this.calculateTotalScore();
+  }
+
+  /**
+   * Extend the current combo or start a new one
+   */
+  advanceCombo() {
+    const now = this.scene.time.now;
+    const withinWindow = this.combo.count > 0 && now - this.combo.lastCollectTime <= this.config.comboTimeWindow;
     
-    console.log(`🪙 Coin collected! Total: ${this.stats.coinsCollected}, Coin Score: ${this.stats.coinScore}`);
+    this.combo.count = withinWindow ? this.combo.count + 1 : 1;
+    this.combo.lastCollectTime = now;
+    this.combo.multiplier = Math.min(
+      1 + (this.combo.count - 1) * this.config.comboMultiplierStep,
+      this.config.comboMaxMultiplier
+    );
     
-    // Return the collected coin value for effects/feedback
-    return coinValue;
+    this.stats.bestCombo = Math.max(this.stats.bestCombo, this.combo.count);
+    this.updateComboDisplay();
+  }
+
+  /**
+   * Per-frame update - ends combos whose time window has run out
+   */
+  update() {
+    if (this.combo.count === 0) return;
+    
+    if (this.scene.time.now - this.combo.lastCollectTime > this.config.comboTimeWindow) {
+      if (this.combo.count > 1) {
+        console.log(`🔗 Combo ended at ${this.combo.count} coins (x${this.combo.multiplier})`);
+      }
+      this.resetCombo();
+    }
+  }
+
+  /**
+   * Clear the current combo
+   */
+  resetCombo() {
+    this.combo.count = 0;
+    this.combo.multiplier = 1;
+    this.combo.lastCollectTime = 0;
+    this.updateComboDisplay();
+  }
+
+  /**
+   * Get the multiplier applied to the most recent pickup
+   * @returns {number} Current combo multiplier (1 when no combo is running)
+   */
+  getComboMultiplier() {
+    return this.combo.multiplier;
+  }
+
+  /**
+   * Show or hide the combo HUD text
+   */
+  updateComboDisplay() {
+    const comboText = this.displayElements.comboText;
+    if (!comboText) return;
+    
+    if (this.combo.count < 2) {
+      comboText.setVisible(false);
+      return;
+    }
+    
+    comboText.setText(`COMBO x${this.combo.multiplier} (${this.combo.count} coins)`);
+    comboText.setVisible(true);
+    
+    // Punch the text on every chained pickup
+    this.scene.tweens.killTweensOf(comboText);
+    comboText.setScale(1.3);
+    this.scene.tweens.add({
+      targets: comboText,
+      scale: 1,
+      duration: 200,
+      ease: 'Back.easeOut'
+    });
+  }
+
+  /**
+   * Show how far above or below the ghost the player is
+   * @param {number|null} delta - Height difference in pixels (positive = ahead), or null to hide
+   */
+  updateGhostDelta(delta) {
+    const ghostText = this.displayElements.ghostText;
+    if (!ghostText) return;
+    
+    if (delta === null) {
+      ghostText.setVisible(false);
+      return;
+    }
+    
+    const rounded = Math.round(delta);
+    ghostText.setText(`GHOST ${rounded >= 0 ? '+' : ''}${rounded}`);
+    ghostText.setFill(rounded >= 0 ? '#69f0ae' : '#ff8a80');
+    ghostText.setVisible(true);
   }
 
   /**
@@ -191,8 +340,9 @@ export class ScoringSystem {
    * @param {number} coinCount - Number of coins to add
    */
   addCoins(coinCount) {
+    // Gifts don't count towards combos
     for (let i = 0; i < coinCount; i++) {
-      this.collectCoin();
+      this.awardCoin(this.config.coinValue);
     }
     console.log(`🎁 AI gave ${coinCount} coins! Total: ${this.stats.coinsCollected}`);
   }
@@ -206,7 +356,7 @@ export class ScoringSystem {
     const actuallyRemoved = Math.min(coinCount, this.stats.coinsCollected);
     
     this.stats.coinsCollected -= actuallyRemoved;
-    this.stats.coinScore -= actuallyRemoved * this.config.coinValue;
+    this.stats.coinScore = Math.max(0, this.stats.coinScore - actuallyRemoved * this.config.coinValue);
     
     // Update total score
     this.calculateTotalScore();
@@ -215,6 +365,13 @@ export class ScoringSystem {
     return actuallyRemoved;
   }
 
+  /**
+   * Count a message sent to an AI enemy (stored with the run's high score entry)
+   */
+  recordAiInteraction() {
+    this.stats.aiInteractions++;
+  }
+
   /**
    * Get coin count for AI checks
    * @returns {number} Current coin count
@@ -233,6 +390,7 @@ export class ScoringSystem {
       `Coin Score: ${this.stats.coinScore}`,
       `Total Score: ${this.stats.totalScore}`,
       `Coins: ${this.stats.coinsCollected}`,
+      `Best Combo: ${this.stats.bestCombo}`,
       `Max Height: ${Math.round(this.stats.maxHeight)}`
     ].join('\n');
   }
@@ -250,9 +408,12 @@ export class ScoringSystem {
       coinScore: 0,
       totalScore: 0,
       platformsReached: 0,
-      highestPlatform: 0
+      highestPlatform: 0,
+      bestCombo: 0,
+      aiInteractions: 0
     };
     
+    this.resetCombo();
     this.updateScoreDisplay();
     console.log('🔄 Scoring system reset');
   }
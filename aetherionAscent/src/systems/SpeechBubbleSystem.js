@@ -0,0 +1,300 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+/**
+ * SpeechBubbleSystem - In-World Speech Bubbles Over Talking Enemies
+ *
+ * The chat panel is closed most of the time, so whatever an enemy says is
+ * also shown where it stands:
+ * - A bubble anchored above the speaking enemy, sized to its (wrapped) text
+ * - Typewriter reveal, then a hold that grows with the text length, then a fade
+ * - Drawn above platforms, enemies and the player; the newest bubble is on top
+ * - When the speaker is off screen, an arrow at the screen edge points at it
+ *
+ * One bubble per enemy: a new line replaces the one it was still saying.
+ * Timing runs on the game's delta, so replays at other speeds type along.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class SpeechBubbleSystem {
+  /**
+   * Initialize the speech bubble system
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // Active bubbles by speaking enemy
+    this.bubbles = new Map();
+    this.nextOrder = 0; // Stacking order (newest on top)
+
+    console.log('💭 Speech bubble system initialized');
+  }
+
+  /**
+   * Show a line over an enemy
+   * @param {Enemy} enemy - Speaking enemy
+   * @param {string} message - What it says
+   * @param {string} speaker - Name shown on the off-screen arrow
+   */
+  say(enemy, message, speaker = 'Enemy') {
+    if (!enemy || !enemy.scene || !message) return;
+
+    const settings = CONFIG.SPEECH_BUBBLES;
+    this.remove(enemy);
+
+    // Wrap once up front so words don't jump lines while typing
+    const text = this.scene.add.text(0, 0, '', {
+      fontSize: settings.FONT_SIZE,
+      fontFamily: 'monospace',
+      color: settings.TEXT_COLOR,
+      wordWrap: { width: settings.MAX_WIDTH }
+    });
+    const wrapped = text.getWrappedText(message).join('\n');
+    text.setWordWrapWidth(null);
+
+    // Size the bubble to the full text
+    text.setText(wrapped);
+    const width = Math.max(Math.ceil(text.width) + settings.PADDING * 2, settings.TAIL_SIZE * 6);
+    const height = Math.ceil(text.height) + settings.PADDING * 2;
+    text.setText('');
+
+    const bubble = {
+      enemy,
+      speaker,
+      wrapped,
+      width,
+      height,
+      revealed: 0,
+      elapsed: 0,
+      holdTime: settings.HOLD_TIME + message.length * settings.HOLD_PER_CHAR,
+      order: this.nextOrder++,
+      tailOffset: null, // Tail position the background was last drawn with
+      background: this.scene.add.graphics(),
+      text,
+      arrow: null,
+      arrowLabel: null
+    };
+
+    this.bubbles.set(enemy, bubble);
+    this.updateDepths();
+    this.positionBubble(bubble);
+  }
+
+  /**
+   * Remove an enemy's bubble (and its off-screen arrow)
+   * @param {Enemy} enemy - Enemy whose bubble goes away
+   */
+  remove(enemy) {
+    const bubble = this.bubbles.get(enemy);
+    if (!bubble) return;
+
+    [bubble.background, bubble.text, bubble.arrow, bubble.arrowLabel].forEach(element => {
+      if (element) element.destroy();
+    });
+    this.bubbles.delete(enemy);
+  }
+
+  /**
+   * Stack the bubbles: newer ones above older ones, all above the world
+   */
+  updateDepths() {
+    [...this.bubbles.values()]
+      .sort((a, b) => a.order - b.order)
+      .forEach((bubble, index) => {
+        const depth = CONFIG.SPEECH_BUBBLES.DEPTH + index * 0.01;
+        bubble.background.setDepth(depth);
+        bubble.text.setDepth(depth + 0.005);
+      });
+  }
+
+  /**
+   * Type, hold, fade and follow every bubble
+   * @param {number} deltaTime - Time since last frame (seconds)
+   */
+  update(deltaTime) {
+    const settings = CONFIG.SPEECH_BUBBLES;
+
+    this.bubbles.forEach((bubble, enemy) => {
+      // Speaker despawned or was destroyed
+      if (!enemy.scene || !enemy.enemyState || !enemy.enemyState.isActive) {
+        this.remove(enemy);
+        return;
+      }
+
+      bubble.elapsed += deltaTime * 1000;
+
+      // Typewriter reveal
+      const typeTime = bubble.wrapped.length / settings.TYPE_SPEED * 1000;
+      const revealed = Math.min(bubble.wrapped.length, Math.floor(bubble.elapsed / 1000 * settings.TYPE_SPEED));
+      if (revealed !== bubble.revealed) {
+        bubble.revealed = revealed;
+        bubble.text.setText(bubble.wrapped.slice(0, revealed));
+      }
+
+      // Hold the full line, then fade out
+      const fadeStart = typeTime + bubble.holdTime;
+      if (bubble.elapsed >= fadeStart + settings.FADE_TIME) {
+        this.remove(enemy);
+        return;
+      }
+      const alpha = bubble.elapsed > fadeStart ? 1 - (bubble.elapsed - fadeStart) / settings.FADE_TIME : 1;
+
+      this.positionBubble(bubble, alpha);
+    });
+  }
+
+  /**
+   * Keep a bubble over its enemy, or point at the enemy from the screen edge
+   * @param {object} bubble - Bubble to place
+   * @param {number} alpha - Fade (1 is fully visible)
+   */
+  positionBubble(bubble, alpha = 1) {
+    const settings = CONFIG.SPEECH_BUBBLES;
+    const camera = this.scene.cameras.main;
+    const view = camera.worldView;
+    const { enemy } = bubble;
+
+    const onScreen = view.contains(enemy.x, enemy.y);
+    bubble.background.setVisible(onScreen);
+    bubble.text.setVisible(onScreen);
+    this.updateIndicator(bubble, !onScreen, alpha);
+    if (!onScreen) return;
+
+    // Box above the enemy, kept inside the view horizontally (the tail still points at the enemy)
+    const anchorY = enemy.y - settings.OFFSET_Y;
+    const minX = view.x + bubble.width / 2 + 4;
+    const maxX = view.right - bubble.width / 2 - 4;
+    const boxX = minX < maxX ? Phaser.Math.Clamp(enemy.x, minX, maxX) : enemy.x;
+
+    const tailOffset = Math.round(Phaser.Math.Clamp(
+      enemy.x - boxX,
+      -bubble.width / 2 + settings.TAIL_SIZE * 2,
+      bubble.width / 2 - settings.TAIL_SIZE * 2
+    ));
+    if (tailOffset !== bubble.tailOffset) {
+      bubble.tailOffset = tailOffset;
+      this.drawBackground(bubble);
+    }
+
+    bubble.background.setPosition(boxX, anchorY);
+    bubble.background.setAlpha(alpha);
+    bubble.text.setPosition(
+      boxX - bubble.width / 2 + settings.PADDING,
+      anchorY - settings.TAIL_SIZE - bubble.height + settings.PADDING
+    );
+    bubble.text.setAlpha(alpha);
+  }
+
+  /**
+   * Draw a bubble's box and tail (origin at the bottom middle, tail pointing down)
+   * @param {object} bubble - Bubble to draw
+   */
+  drawBackground(bubble) {
+    const settings = CONFIG.SPEECH_BUBBLES;
+    const { width, height, tailOffset } = bubble;
+    const tail = settings.TAIL_SIZE;
+    const graphics = bubble.background;
+
+    graphics.clear();
+    graphics.fillStyle(settings.BACKGROUND_COLOR, settings.BACKGROUND_ALPHA);
+    graphics.lineStyle(2, settings.BORDER_COLOR, 1);
+
+    graphics.fillRoundedRect(-width / 2, -tail - height, width, height, 8);
+    graphics.strokeRoundedRect(-width / 2, -tail - height, width, height, 8);
+
+    graphics.fillTriangle(tailOffset - tail, -tail - 1, tailOffset + tail, -tail - 1, tailOffset, 0);
+    graphics.lineBetween(tailOffset - tail, -tail, tailOffset, 0);
+    graphics.lineBetween(tailOffset + tail, -tail, tailOffset, 0);
+  }
+
+  /**
+   * Show or hide the arrow pointing at an off-screen speaker
+   * @param {object} bubble - Bubble of the speaker
+   * @param {boolean} visible - Whether the speaker is off screen
+   * @param {number} alpha - Fade (1 is fully visible)
+   */
+  updateIndicator(bubble, visible, alpha) {
+    if (!visible) {
+      if (bubble.arrow) {
+        bubble.arrow.setVisible(false);
+        bubble.arrowLabel.setVisible(false);
+      }
+      return;
+    }
+
+    const settings = CONFIG.SPEECH_BUBBLES;
+    if (!bubble.arrow) {
+      this.createIndicator(bubble);
+    }
+
+    // Speaker position on screen, pulled in to the edge
+    const camera = this.scene.cameras.main;
+    const screenX = (bubble.enemy.x - camera.worldView.x) * camera.zoom;
+    const screenY = (bubble.enemy.y - camera.worldView.y) * camera.zoom;
+    const margin = settings.INDICATOR_MARGIN;
+    const edgeX = Phaser.Math.Clamp(screenX, margin, camera.width - margin);
+    const edgeY = Phaser.Math.Clamp(screenY, margin, camera.height - margin);
+
+    // Point from the screen center toward the speaker
+    const angle = Math.atan2(screenY - camera.height / 2, screenX - camera.width / 2);
+    bubble.arrow.setPosition(edgeX, edgeY);
+    bubble.arrow.setRotation(angle);
+
+    // Name just inside the arrow, clamped so it stays readable
+    const labelX = Phaser.Math.Clamp(edgeX - Math.cos(angle) * 22, margin + bubble.arrowLabel.width / 2, camera.width - margin - bubble.arrowLabel.width / 2);
+    const labelY = Phaser.Math.Clamp(edgeY - Math.sin(angle) * 22, margin, camera.height - margin);
+    bubble.arrowLabel.setPosition(labelX, labelY);
+
+    [bubble.arrow, bubble.arrowLabel].forEach(element => {
+      element.setVisible(true);
+      element.setAlpha(alpha);
+    });
+  }
+
+  /**
+   * Create the off-screen arrow and speaker label for a bubble
+   * @param {object} bubble - Bubble that needs an arrow
+   */
+  createIndicator(bubble) {
+    const settings = CONFIG.SPEECH_BUBBLES;
+
+    // Arrow pointing along +x (rotated toward the speaker)
+    bubble.arrow = this.scene.add.graphics();
+    bubble.arrow.fillStyle(settings.BORDER_COLOR, 1);
+    bubble.arrow.fillTriangle(10, 0, -8, -8, -8, 8);
+    bubble.arrow.lineStyle(2, settings.BACKGROUND_COLOR, 1);
+    bubble.arrow.strokeTriangle(10, 0, -8, -8, -8, 8);
+
+    bubble.arrowLabel = this.scene.add.text(0, 0, `💬 ${bubble.speaker}`, {
+      fontSize: '11px',
+      fontFamily: 'monospace',
+      color: settings.TEXT_COLOR,
+      backgroundColor: 'rgba(26, 26, 46, 0.8)',
+      padding: { x: 4, y: 2 }
+    });
+    bubble.arrowLabel.setOrigin(0.5);
+
+    // Screen space, above the HUD but below the chat panel
+    [bubble.arrow, bubble.arrowLabel].forEach(element => {
+      element.setScrollFactor(0);
+      element.setDepth(settings.INDICATOR_DEPTH);
+    });
+  }
+
+  /**
+   * Remove every bubble (used when a new run starts)
+   */
+  reset() {
+    [...this.bubbles.keys()].forEach(enemy => this.remove(enemy));
+    this.nextOrder = 0;
+  }
+
+  /**
+   * Clean up speech bubbles
+   */
+  destroy() {
+    this.reset();
+    console.log('🗑️ Speech bubble system destroyed');
+  }
+}
@@ -214,12 +214,17 @@ export class VisualEffectsSystem {
    * @param {number} x - X position
    * @param {number} y - Y position
    * @param {number} value - Coin value
+   * @param {object} options - {multiplier, isBonus} combo multiplier and bonus coin flag
    */
-  createCoinCollectionEffect(x, y, value) {
+  createCoinCollectionEffect(x, y, value, options = {}) {
+    const { multiplier = 1, isBonus = false } = options;
     console.log(`🪙 Creating coin collection effect at (${x}, ${y}) with value ${value}`);
     // More sparkle, bigger burst, longer popup
-    this.createSparkleBurst(x, y, 28); // was 15
-    this.createScorePopup(x, y, value, true); // true = positive
+    this.createSparkleBurst(x, y, isBonus ? 40 : 28); // was 15
+    this.createScorePopup(x, y, value, true, {
+      multiplier,
+      color: isBonus ? '#e040fb' : null
+    }); // true = positive
     this.createCoinTrail(x, y, 12, 1.0, 1200); // more, bigger, longer
     this.addScreenShake(2, 300); // slightly stronger
   }
@@ -291,13 +296,16 @@ export class VisualEffectsSystem {
 
   /**
    * Create score popup (positive/negative)
+   * @param {object} options - {multiplier, color} combo multiplier suffix and color override
    */
-  createScorePopup(x, y, value, positive = true) {
+  createScorePopup(x, y, value, positive = true, options = {}) {
+    const { multiplier = 1, color = null } = options;
     const isNegative = value < 0 || positive === false;
-    const popup = this.scene.add.text(x, y, `${isNegative ? '' : '+'}${value}`, {
+    const comboSuffix = !isNegative && multiplier > 1 ? ` x${multiplier}` : '';
+    const popup = this.scene.add.text(x, y, `${isNegative ? '' : '+'}${value}${comboSuffix}`, {
       fontSize: isNegative ? '32px' : '32px',
       fontFamily: 'Arial Black',
-      color: isNegative ? '#ff4444' : '#ffd700',
+      color: isNegative ? '#ff4444' : (color || (multiplier > 1 ? '#ff9100' : '#ffd700')),
       stroke: '#000000',
       strokeThickness: 4,
       shadow: {
@@ -1,4 +1,4 @@
-import { CONFIG } from '../config/gameConfig.js';
+import { CONFIG, getVoidDifficultyProfile } from '../config/gameConfig.js';
 
 /**
  * VoidSystem - Manages the Rising Void Mechanics
@@ -7,6 +7,12 @@ import { CONFIG } from '../config/gameConfig.js';
  * It rises continuously, destroying platforms and threatening the player.
  * As time progresses, it accelerates, creating mounting tension.
  * 
+ * Pursuit Curve (data-driven, see CONFIG.VOID_DIFFICULTY):
+ * - Grace period before the void starts rising
+ * - Speed scales with elapsed time and the player's max height
+ * - Catch-up boost when the player gets far ahead
+ * - Hard speed cap per profile
+ * 
  * Visual Features:
  * - Animated energy dissolution effect
  * - Particle emissions at the void edge
@@ -20,14 +26,19 @@ export class VoidSystem {
   /**
    * Initialize the void system
    * @param {Phaser.Scene} scene - The game scene
+   * @param {string} difficulty - Difficulty profile name (easy, normal, hard)
    */
-  constructor(scene) {
+  constructor(scene, difficulty = CONFIG.VOID_DIFFICULTY.DEFAULT_PROFILE) {
     this.scene = scene;
     
+    // Difficulty curve
+    this.setDifficulty(difficulty);
+    this.elapsedTime = 0; // ms since the run started
+    
     // Void position and movement
-    this.voidY = scene.cameras.main.height + 100; // Start below visible area
-    this.currentSpeed = CONFIG.WORLD.VOID_RISE_SPEED;
-    this.acceleration = CONFIG.WORLD.VOID_ACCELERATION;
+    this.startY = scene.cameras.main.height + 100; // Start below visible area
+    this.voidY = this.startY;
+    this.currentSpeed = 0;
     
     // Visual components
     this.voidGraphics = null;
@@ -47,6 +58,17 @@ export class VoidSystem {
     this.createEdgeParticles();
   }
 
+  /**
+   * Select the difficulty profile driving the pursuit curve
+   * @param {string} difficulty - Difficulty profile name (easy, normal, hard)
+   */
+  setDifficulty(difficulty) {
+    this.difficultyName = CONFIG.VOID_DIFFICULTY.PROFILES[difficulty] ? difficulty : CONFIG.VOID_DIFFICULTY.DEFAULT_PROFILE;
+    this.difficulty = getVoidDifficultyProfile(this.difficultyName);
+    
+    console.log(`🌊 Void difficulty: ${this.difficultyName}`);
+  }
+
   /**
    * Create the main void visual representation
    * A gradient rectangle with animated energy effects
@@ -62,6 +84,7 @@ export class VoidSystem {
     
     // Initial void height (will grow as it rises)
     this.voidHeight = 200;
+    this.renderedVoidHeight = this.voidHeight;
     
     // Create static graphics once
     this.createStaticVoidGraphics();
@@ -75,6 +98,11 @@ export class VoidSystem {
     // Move the existing graphics object instead of redrawing
     if (this.voidGraphics) {
       this.voidGraphics.y = this.voidY;
+      
+      // Redraw only when the void body has grown noticeably
+      if (this.voidHeight - this.renderedVoidHeight >= 20) {
+        this.createStaticVoidGraphics();
+      }
     }
   }
 
@@ -93,6 +121,8 @@ export class VoidSystem {
     // Add energy edge effect
     this.voidGraphics.fillStyle(0x7c4dff, 0.6);
     this.voidGraphics.fillRect(0, -10, width, 20);
+    
+    this.renderedVoidHeight = this.voidHeight;
   }
 
   /**
@@ -138,31 +168,34 @@ export class VoidSystem {
   }
 
   /**
-   * Main update loop for void system - DISABLED FOR PHASE 1 STABILITY
+   * Main update loop for void system
    * @param {number} deltaTime - Time elapsed since last frame (seconds)
    * @param {number} playerY - Current player Y position for proximity effects
+   * @param {number} maxHeight - Highest point the player has reached (pixels climbed)
    */
-  update(deltaTime, playerY = null) {
-    // PHASE 1: COMPLETELY DISABLE VOID MOVEMENT TO PREVENT TELEPORTING
-    // All void updates disabled for maximum stability
-    
-    // this.updateVoidMovement(deltaTime);
-    // this.updateVoidPosition();
-    // this.updateVoidLight();
-    // this.updateEdgeParticles();
-    // this.updateProximityEffects(playerY);
-    // this.checkPlatformDestruction();
-    
-    // Void system is now completely static for Phase 1
+  update(deltaTime, playerY = null, maxHeight = 0) {
+    this.elapsedTime += deltaTime * 1000;
+    
+    this.updateVoidMovement(deltaTime, playerY, maxHeight);
+    this.updateVoidPosition();
+    this.updateVoidLight();
+    this.updateEdgeParticles();
+    
+    if (playerY !== null) {
+      this.updateProximityEffects(playerY);
+    }
+    
+    this.checkPlatformDestruction();
   }
 
   /**
-   * Update void movement and acceleration
+   * Update void movement along the difficulty curve
    * @param {number} deltaTime - Time elapsed since last frame (seconds)
+   * @param {number} playerY - Current player Y position
+   * @param {number} maxHeight - Highest point the player has reached
    */
-  updateVoidMovement(deltaTime) {
-    // Gradually increase void speed (mounting pressure)
-    this.currentSpeed += this.acceleration * deltaTime;
+  updateVoidMovement(deltaTime, playerY, maxHeight) {
+    this.currentSpeed = this.calculateTargetSpeed(playerY, maxHeight);
     
     // Move void upward
     this.voidY -= this.currentSpeed * deltaTime;
@@ -171,6 +204,48 @@ export class VoidSystem {
     this.voidHeight = Math.min(this.voidHeight + deltaTime * 20, 400);
   }
 
+  /**
+   * Calculate the void speed for the current moment of the run
+   * @param {number} playerY - Current player Y position
+   * @param {number} maxHeight - Highest point the player has reached
+   * @returns {number} Rising speed in pixels per second
+   */
+  calculateTargetSpeed(playerY, maxHeight) {
+    const profile = this.difficulty;
+    
+    // Grace period - the void holds still while the player gets going
+    if (this.elapsedTime < profile.GRACE_PERIOD) {
+      return 0;
+    }
+    
+    // Base speed plus a slow ramp over time (mounting pressure)
+    const secondsRising = (this.elapsedTime - profile.GRACE_PERIOD) / 1000;
+    const baseSpeed = CONFIG.WORLD.VOID_RISE_SPEED * profile.RISE_SPEED_MULTIPLIER;
+    const timeBonus = CONFIG.WORLD.VOID_ACCELERATION * profile.ACCELERATION_MULTIPLIER * secondsRising;
+    
+    // Climbing higher makes the void hungrier
+    const heightBonus = (maxHeight / 1000) * profile.HEIGHT_SPEED_BONUS;
+    
+    // Catch up when the player is far ahead so they can't idle at a safe distance
+    let catchUpBonus = 0;
+    if (playerY !== null) {
+      const lead = this.voidY - playerY;
+      if (lead > profile.CATCH_UP_DISTANCE) {
+        catchUpBonus = (lead - profile.CATCH_UP_DISTANCE) * profile.CATCH_UP_FACTOR;
+      }
+    }
+    
+    return Math.min(baseSpeed + timeBonus + heightBonus + catchUpBonus, profile.MAX_SPEED);
+  }
+
+  /**
+   * Get seconds left before the void starts rising
+   * @returns {number} Remaining grace period in seconds (0 once rising)
+   */
+  getGraceTimeRemaining() {
+    return Math.max(0, (this.difficulty.GRACE_PERIOD - this.elapsedTime) / 1000);
+  }
+
   /**
    * Update void lighting effects
    */
@@ -193,7 +268,7 @@ export class VoidSystem {
       this.edgeParticles.setPosition(0, this.voidY);
       
       // Adjust particle emission rate based on void speed (more intense when faster)
-      const intensityMultiplier = Math.min(this.currentSpeed / CONFIG.WORLD.VOID_RISE_SPEED, 3);
+      const intensityMultiplier = Phaser.Math.Clamp(this.currentSpeed / CONFIG.WORLD.VOID_RISE_SPEED, 1, 3);
       this.edgeParticles.frequency = 50 / intensityMultiplier;
     }
   }
@@ -215,7 +290,9 @@ export class VoidSystem {
       // Apply screen shake when very close
       if (proximityRatio < 0.3) {
         const shakeIntensity = (0.3 - proximityRatio) * CONFIG.CAMERA.SHAKE_INTENSITY;
-        this.scene.cameras.main.shake(100, shakeIntensity);
+        
+        // Convert arbitrary intensity to Phaser's 0-1 magnitude range (same scale as VisualEffectsSystem)
+        this.scene.cameras.main.shake(100, Math.min(1, shakeIntensity * 0.005));
       }
     } else {
       // Decay distortion when away from void
@@ -235,6 +312,54 @@ export class VoidSystem {
     this.destructionThreshold = destructionY;
   }
 
+  /**
+   * Jump the void upward at once (enemy ability), stopping short of the player
+   * @param {number} distance - How far to rise (px)
+   * @param {number} limitY - Highest the void edge may end up (e.g. a safe gap below the player)
+   * @returns {number} How far it actually rose
+   */
+  surge(distance, limitY) {
+    const targetY = Math.max(this.voidY - distance, limitY);
+    const risen = Math.max(0, this.voidY - targetY);
+    
+    this.voidY -= risen;
+    this.updateVoidPosition();
+    this.updateVoidLight();
+    
+    console.log(`🌊 Void surged ${Math.round(risen)}px`);
+    return risen;
+  }
+
+  /**
+   * Check whether a world position has been swallowed by the void
+   * @param {number} y - World Y position to test (e.g. the player's feet)
+   * @returns {boolean} True if the position is at or below the void edge
+   */
+  hasConsumed(y) {
+    return y >= this.voidY;
+  }
+
+  /**
+   * Reset the void to its starting state for a new run
+   */
+  reset() {
+    this.voidY = this.startY;
+    this.currentSpeed = 0;
+    this.elapsedTime = 0;
+    this.distortionStrength = 0;
+    this.destructionThreshold = null;
+    
+    // Shrink the void body back to its initial size
+    this.voidHeight = 200;
+    this.createStaticVoidGraphics();
+    
+    this.updateVoidPosition();
+    this.updateVoidLight();
+    this.updateEdgeParticles();
+    
+    console.log('🌊 Void reset to starting position');
+  }
+
   /**
    * Get current void position
    * @returns {number} Current Y position of void edge
@@ -0,0 +1,139 @@
+import { CONFIG } from '../config/gameConfig.js';
+
+/**
+ * ChatTranscript - Timestamped Chat Log of One Run
+ *
+ * Holds every chat line of the current run (player, enemies and system
+ * notices) for the chat scrollback, and turns it into the saved transcript
+ * record that the game over screen shows and exports as text or JSON.
+ *
+ * The log is bounded: past maxEntries the oldest lines are dropped and
+ * counted, so a transcript says when it is incomplete.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class ChatTranscript {
+  /**
+   * Create an empty transcript
+   * @param {number} maxEntries - Lines kept (oldest dropped first)
+   */
+  constructor(maxEntries = CONFIG.CHAT.MAX_MESSAGES) {
+    this.maxEntries = maxEntries;
+    this.reset();
+  }
+
+  /**
+   * Forget every line and start timing a new run
+   * @param {number} startedAt - Run start (epoch ms)
+   */
+  reset(startedAt = Date.now()) {
+    this.entries = [];
+    this.droppedCount = 0;
+    this.startedAt = startedAt;
+  }
+
+  /**
+   * Add a chat line
+   * @param {string} type - 'player', 'ai' or 'system'
+   * @param {string} text - What was said
+   * @param {string} speaker - Who said it (null for system notices)
+   * @param {number} timestamp - When it was said (epoch ms)
+   * @returns {object} The entry ({type, speaker, text, timestamp}) - callers may add display flags to it
+   */
+  add(type, text, speaker = null, timestamp = Date.now()) {
+    const entry = { type, speaker, text, timestamp };
+    this.entries.push(entry);
+
+    if (this.entries.length > this.maxEntries) {
+      const overflow = this.entries.length - this.maxEntries;
+      this.entries.splice(0, overflow);
+      this.droppedCount += overflow;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Time of an entry since the run started
+   * @param {object} entry - Entry returned by add()
+   * @returns {number} ms into the run
+   */
+  getRunTime(entry) {
+    return Math.max(0, entry.timestamp - this.startedAt);
+  }
+
+  /**
+   * Build the transcript record that gets saved and exported
+   * @param {object} run - Extra run details to keep with it, e.g. {seed, score, difficulty}
+   * @param {number} endedAt - Run end (epoch ms)
+   * @returns {object} {version, ...run, startedAt, endedAt, droppedMessages, messages}
+   */
+  toRecord(run = {}, endedAt = Date.now()) {
+    return {
+      version: CONFIG.CHAT.TRANSCRIPT_VERSION,
+      ...run,
+      startedAt: new Date(this.startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString(),
+      droppedMessages: this.droppedCount,
+      messages: this.entries.map(entry => ({
+        time: this.getRunTime(entry),
+        type: entry.type,
+        speaker: entry.speaker,
+        text: entry.text
+      }))
+    };
+  }
+
+  /**
+   * Format a run time as m:ss
+   * @param {number} ms - Time into the run
+   * @returns {string} Formatted time
+   */
+  static formatRunTime(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Format one chat line as "[m:ss] Speaker: text" ("[m:ss] * text" for system notices)
+   * @param {object} message - {time, speaker, text}
+   * @returns {string} Formatted line
+   */
+  static formatLine(message) {
+    const prefix = message.speaker ? `${message.speaker}: ` : '* ';
+    return `[${ChatTranscript.formatRunTime(message.time)}] ${prefix}${message.text}`;
+  }
+
+  /**
+   * Turn a transcript record into plain text
+   * @param {object} record - Record from toRecord()
+   * @returns {string} Header plus one line per message
+   */
+  static formatText(record) {
+    const details = [
+      record.seed ? `Seed: ${record.seed}` : null,
+      record.difficulty ? `Difficulty: ${record.difficulty}` : null,
+      record.score !== undefined ? `Score: ${record.score}` : null
+    ].filter(Boolean);
+
+    const lines = [
+      'Aetherion Ascent - chat transcript',
+      `Started: ${record.startedAt}`,
+      ...(details.length > 0 ? [details.join('   ')] : []),
+      ''
+    ];
+
+    if (record.droppedMessages > 0) {
+      lines.push(`(${record.droppedMessages} earlier messages were not kept)`);
+    }
+    if (record.messages.length === 0) {
+      lines.push('(nobody said anything)');
+    }
+    record.messages.forEach(message => lines.push(ChatTranscript.formatLine(message)));
+
+    return lines.join('\n');
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * SeededRandom - Deterministic Random Number Generator
+ *
+ * Small, fast PRNG (mulberry32) seeded from any string so that a seed
+ * fully reproduces a generated tower. Mirrors the handful of Phaser.Math
+ * helpers the generators use so call sites read the same way.
+ *
+ * Independent streams can be derived with fork() so that, for example,
+ * background decoration never shifts platform layout.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class SeededRandom {
+  /**
+   * Create a generator from a seed string
+   * @param {string|number} seed - Seed value (any string reproduces the same sequence)
+   */
+  constructor(seed) {
+    this.seed = String(seed);
+    this.state = SeededRandom.hashSeed(this.seed);
+  }
+
+  /**
+   * Create a short random seed string for a new run
+   * @returns {string} Seed such as "k3f9x2qa"
+   */
+  static generateSeed() {
+    return Math.random().toString(36).slice(2, 10);
+  }
+
+  /**
+   * Hash a seed string into a 32-bit integer state
+   * @param {string} seed - Seed string
+   * @returns {number} Unsigned 32-bit state
+   */
+  static hashSeed(seed) {
+    let hash = 1779033703 ^ seed.length;
+
+    for (let i = 0; i < seed.length; i++) {
+      hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+      hash = (hash << 13) | (hash >>> 19);
+    }
+
+    // Final avalanche so similar seeds diverge quickly
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    return (hash ^ (hash >>> 16)) >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1) - drop-in replacement for Math.random()
+   * @returns {number} Random float
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random integer between min and max inclusive (same as Phaser.Math.Between)
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number} Random integer
+   */
+  between(min, max) {
+    return Math.floor(this.next() * (max - min + 1) + min);
+  }
+
+  /**
+   * Random float between min and max (same as Phaser.Math.FloatBetween)
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number} Random float
+   */
+  floatBetween(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  /**
+   * Roll a probability
+   * @param {number} probability - Chance of success (0-1)
+   * @returns {boolean} True on success
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element (same as Phaser.Utils.Array.GetRandom)
+   * @param {Array} array - Array to pick from
+   * @returns {*} Random element
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Derive an independent generator for a sub-system or chunk
+   * @param {string} label - Stream label (e.g. "platforms", "bg_chunk_3")
+   * @returns {SeededRandom} New generator seeded from this seed and the label
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}:${label}`);
+  }
+}
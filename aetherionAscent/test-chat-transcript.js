@@ -0,0 +1,82 @@
+/**
+ * 🧪 CHAT TRANSCRIPT TESTS
+ *
+ * Checks that the run's chat log keeps its lines bounded (and says how many
+ * it dropped), times them from the start of the run and turns them into the
+ * transcript record and plain text the game over screen exports.
+ *
+ * Run with: npm test   (or: node test-chat-transcript.js)
+ */
+
+import { ChatTranscript } from './src/utils/ChatTranscript.js';
+import { CONFIG } from './src/config/gameConfig.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🧪 CHAT TRANSCRIPT TESTS');
+
+// A short run that started at t = 0
+const transcript = new ChatTranscript(100);
+transcript.reset(0);
+transcript.add('system', 'You can now talk to the evil enemy.', null, 0);
+const entry = transcript.add('player', 'Hello', 'You', 5000);
+transcript.add('ai', 'Hi, climber.', 'Grimble', 7400);
+transcript.add('player', 'Thanks!', 'You', 83000);
+
+check('add returns the entry so the chat can flag it', entry.text === 'Hello' && transcript.entries[1] === entry, entry);
+check('run time counts from the start of the run', transcript.getRunTime(entry) === 5000, transcript.getRunTime(entry));
+
+// Timestamps
+check('formats run time as m:ss', ChatTranscript.formatRunTime(83000) === '1:23', ChatTranscript.formatRunTime(83000));
+check('formats the first seconds with a leading zero', ChatTranscript.formatRunTime(7400) === '0:07', ChatTranscript.formatRunTime(7400));
+check('speaker lines read "[m:ss] Speaker: text"',
+  ChatTranscript.formatLine({ time: 7400, speaker: 'Grimble', text: 'Hi, climber.' }) === '[0:07] Grimble: Hi, climber.');
+check('system lines have no speaker',
+  ChatTranscript.formatLine({ time: 0, speaker: null, text: 'Be careful' }) === '[0:00] * Be careful');
+
+// Transcript record (the JSON export)
+entry.pending = true;
+const record = transcript.toRecord({ seed: 'k3f9x2qa', score: 1234 }, 90000);
+check('record carries the format version', record.version === CONFIG.CHAT.TRANSCRIPT_VERSION, record.version);
+check('record keeps the run details', record.seed === 'k3f9x2qa' && record.score === 1234, record);
+check('record has ISO start and end times',
+  record.startedAt === '1970-01-01T00:00:00.000Z' && record.endedAt === '1970-01-01T00:01:30.000Z', record);
+check('record lists every message in order', record.messages.map(message => message.text).join('|') === 'You can now talk to the evil enemy.|Hello|Hi, climber.|Thanks!', record.messages);
+check('record messages keep run time, type and speaker',
+  JSON.stringify(record.messages[2]) === JSON.stringify({ time: 7400, type: 'ai', speaker: 'Grimble', text: 'Hi, climber.' }), record.messages[2]);
+check('display flags stay out of the record', !('pending' in record.messages[1]), record.messages[1]);
+check('record survives a JSON round trip', JSON.stringify(JSON.parse(JSON.stringify(record))) === JSON.stringify(record));
+
+// Plain text export
+const text = ChatTranscript.formatText(record);
+const lines = text.split('\n');
+check('text starts with a header', lines[0] === 'Aetherion Ascent - chat transcript' && lines[1] === 'Started: 1970-01-01T00:00:00.000Z', lines.slice(0, 2));
+check('text header has seed and score', lines[2] === 'Seed: k3f9x2qa   Score: 1234', lines[2]);
+check('text has one line per message', lines.slice(4).join('\n') === [
+  '[0:00] * You can now talk to the evil enemy.',
+  '[0:05] You: Hello',
+  '[0:07] Grimble: Hi, climber.',
+  '[1:23] You: Thanks!'
+].join('\n'), lines.slice(4));
+
+const empty = new ChatTranscript();
+empty.reset(0);
+check('empty transcript says nobody talked', ChatTranscript.formatText(empty.toRecord({}, 0)).endsWith('(nobody said anything)'));
+check('default size comes from the config', empty.maxEntries === CONFIG.CHAT.MAX_MESSAGES, empty.maxEntries);
+
+// Bounded history
+const long = new ChatTranscript(3);
+long.reset(0);
+for (let i = 1; i <= 5; i++) {
+  long.add('player', `message ${i}`, 'You', i * 1000);
+}
+check('keeps only the newest lines', long.entries.map(line => line.text).join('|') === 'message 3|message 4|message 5', long.entries);
+check('counts the dropped lines', long.droppedCount === 2, long.droppedCount);
+const longText = ChatTranscript.formatText(long.toRecord());
+check('text says how many lines were dropped', longText.includes('(2 earlier messages were not kept)'), longText);
+
+// A new run starts clean
+long.reset(10000);
+check('reset forgets lines and the dropped count', long.entries.length === 0 && long.droppedCount === 0, long);
+check('reset restarts the run clock', long.startedAt === 10000, long.startedAt);
+
+finish();
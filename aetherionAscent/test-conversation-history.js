@@ -0,0 +1,57 @@
+/**
+ * 🧪 CONVERSATION HISTORY TESTS
+ *
+ * Checks that the multi-turn history stays inside its token budget and that
+ * both network providers turn it into valid multi-turn requests (enemy
+ * replies with their function calls and results, current message last).
+ *
+ * Run with: npm test   (or: node test-conversation-history.js)
+ */
+
+import { ConversationHistory } from './src/ai/ConversationHistory.js';
+import { GeminiProvider } from './src/ai/providers/GeminiProvider.js';
+import { OpenAiCompatibleProvider } from './src/ai/providers/OpenAiCompatibleProvider.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🧪 CONVERSATION HISTORY TESTS');
+
+// A short friendly exchange
+const history = new ConversationHistory({ tokenBudget: 1000 });
+history.addPlayerMessage('Hello');
+history.addEnemyTurn('Hi, climber.', [{ name: 'giveCoins', args: {}, result: { coinsGiven: 5 } }]);
+history.addPlayerMessage('Thanks!');
+history.addEnemyTurn('', [{ name: 'giveCoins', args: {}, result: { coinsGiven: 5 } }]);
+
+const turns = history.getTurns();
+check('keeps every turn under budget', turns.length === 4, turns);
+
+// Budget trimming drops the oldest turns and never starts on an enemy turn
+const tightBudget = history.estimateTokens(turns[2]) + history.estimateTokens(turns[3]);
+const trimmed = history.getTurns(tightBudget);
+check('trims oldest turns to fit budget', trimmed.length === 2 && trimmed[0].text === 'Thanks!', trimmed);
+
+const enemyFirstBudget = history.estimateTokens(turns[3]);
+check('never starts on an enemy turn', history.getTurns(enemyFirstBudget).length === 0, history.getTurns(enemyFirstBudget));
+
+// Hard turn cap
+const capped = new ConversationHistory({ maxTurns: 3 });
+['a', 'b', 'c', 'd'].forEach(text => capped.addPlayerMessage(text));
+check('caps stored turns', capped.turns.length === 3 && capped.turns[0].text === 'b', capped.turns);
+
+// Gemini contents: alternating roles, calls then responses, prompt merged into the last user turn
+const gemini = new GeminiProvider({ apiKey: 'test' });
+const contents = gemini.buildContents(turns, 'Current player message: "You rock"');
+check('gemini roles alternate', contents.map(content => content.role).join(',') === 'user,model,user,model,user', contents.map(content => content.role));
+check('gemini sends function calls', !!contents[1].parts.find(part => part.functionCall && part.functionCall.name === 'giveCoins'), contents[1]);
+check('gemini sends function results', contents[2].parts[0].functionResponse?.response?.coinsGiven === 5, contents[2]);
+check('gemini ends on current prompt', contents[4].parts[contents[4].parts.length - 1].text.includes('You rock'), contents[4]);
+
+// OpenAI messages: assistant tool_calls each answered by a tool message
+const openAi = new OpenAiCompatibleProvider({ baseUrl: 'http://localhost' });
+const messages = openAi.buildMessages('system', turns, 'Current player message: "You rock"');
+check('openai roles', messages.map(message => message.role).join(',') === 'system,user,assistant,tool,user,assistant,tool,user', messages.map(message => message.role));
+check('openai tool results match calls', messages[3].tool_call_id === messages[2].tool_calls[0].id, [messages[2], messages[3]]);
+check('openai empty reply text is null', messages[5].content === null, messages[5]);
+check('openai ends on current prompt', messages[messages.length - 1].content.includes('You rock'), messages[messages.length - 1]);
+
+finish();
@@ -0,0 +1,230 @@
+/**
+ * 🧪 ENEMY ACTION REGISTRY TESTS
+ *
+ * Checks that every registered enemy action is complete (schema, prompt
+ * guidance, implementation) and that the tool declarations sent to the
+ * providers are derived from it. Also checks that gameplay event reactions
+ * only use registered actions, that model arguments are clamped to the
+ * schema and traced for the AI inspector, and what each ability does to a
+ * stub scene (a moving and a gapped platform included).
+ *
+ * Run with: npm test   (or: node test-enemy-actions.js)
+ */
+
+import { ENEMY_ACTIONS, getEnemyAction } from './src/ai/actions/index.js';
+import { ENEMY_TOOLS } from './src/ai/enemyTools.js';
+import { GAMEPLAY_EVENTS } from './src/ai/gameplayEvents.js';
+import { MockProvider } from './src/ai/providers/MockProvider.js';
+import { PersonalityRegistry } from './src/ai/PersonalityRegistry.js';
+import { AiSystem } from './src/systems/AiSystem.js';
+import { PlatformGenerator } from './src/systems/PlatformGenerator.js';
+import { PlatformTypeSystem } from './src/systems/PlatformTypeSystem.js';
+import { CONFIG } from './src/config/gameConfig.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🧪 ENEMY ACTION REGISTRY TESTS');
+
+ENEMY_ACTIONS.forEach(action => {
+  const complete = typeof action.name === 'string' &&
+    typeof action.description === 'string' && action.description.length > 0 &&
+    typeof action.guidance === 'string' && action.guidance.length > 0 &&
+    typeof action.hostile === 'boolean' &&
+    action.parameters?.type === 'object' && Array.isArray(action.parameters.required) &&
+    typeof action.execute === 'function';
+  check(`${action.name} is complete`, complete, Object.keys(action));
+});
+
+const names = ENEMY_ACTIONS.map(action => action.name);
+check('action names are unique', new Set(names).size === names.length, names);
+check('tools mirror the registry', ENEMY_TOOLS.map(tool => tool.name).join() === names.join(), ENEMY_TOOLS.map(tool => tool.name));
+check('tools carry no implementation', ENEMY_TOOLS.every(tool => !('execute' in tool) && !('guidance' in tool)), ENEMY_TOOLS);
+check('lookup finds actions', getEnemyAction('teleportDown') === ENEMY_ACTIONS.find(action => action.name === 'teleportDown'));
+check('lookup rejects unknown names', getEnemyAction('deleteSaveFile') === null);
+check('shield and rewards are not hostile', ['giveCoins', 'grantShield', 'spawnHelperPlatform'].every(name => !getEnemyAction(name).hostile));
+
+// Gameplay events
+Object.entries(GAMEPLAY_EVENTS).forEach(([type, event]) => {
+  const actionOk = event.fallbackAction === null || !!getEnemyAction(event.fallbackAction.name);
+  check(`${type} event has taunts and a known fallback`, event.taunts.length > 0 && typeof event.describe({}) === 'string' && actionOk, event);
+});
+
+const mock = new MockProvider();
+const eventReply = await mock.generate({ event: { type: 'coinStreak', count: 1 }, tools: ENEMY_TOOLS });
+check('mock taunts about events', eventReply.text === GAMEPLAY_EVENTS.coinStreak.taunts[1] && eventReply.actions[0].name === 'shootAndTakeCoins', eventReply);
+const tauntOnly = await mock.generate({ event: { type: 'bigFall', count: 0 }, tools: ENEMY_TOOLS });
+check('mock may only taunt', tauntOnly.actions.length === 0 && tauntOnly.text.length > 0, tauntOnly);
+
+// Argument clamping and turn traces (no scene objects: actions run without a player)
+const registry = new PersonalityRegistry({ knownActions: names });
+const personality = registry.register({ id: 'test', name: 'Test', tone: 'Test enemy', decisionRules: [], allowedActions: ['*'] });
+const inspected = [];
+const ai = new AiSystem({ time: { now: 0 }, aiInspector: { recordTurn: trace => inspected.push(trace) } }, null, null, personality);
+const throwDefinition = getEnemyAction('throwPlayer');
+
+check('clamps to the schema maximum', ai.clampActionArgs(throwDefinition, { insultLevel: 9 }).insultLevel === 5);
+check('rounds integers and reads numeric strings', ai.clampActionArgs(throwDefinition, { insultLevel: '2.6' }).insultLevel === 3);
+check('drops values that are not numbers', !('insultLevel' in ai.clampActionArgs(throwDefinition, { insultLevel: 'lots' })));
+
+await ai.forceAction('throwPlayer', { insultLevel: 0 });
+const forced = inspected[0];
+check('forced turns reach the inspector', forced && forced.kind === 'forced' && forced.actions[0].name === 'throwPlayer', forced);
+check('traces keep raw and clamped arguments', forced && forced.actions[0].rawArgs.insultLevel === 0 && forced.actions[0].args.insultLevel === 1, forced && forced.actions[0]);
+check('forcing unknown actions does nothing', !(await ai.forceAction('deleteSaveFile')) && inspected.length === 1);
+check('forced actions stay out of the conversation history', ai.conversationHistory.getTurns().length === 0, ai.conversationHistory.getTurns());
+
+ai.isProcessing = true;
+check('no forcing while a turn is in flight', !(await ai.forceAction('throwPlayer', { insultLevel: 2 })) && inspected.length === 1);
+ai.isProcessing = false;
+
+// Replays push the player with the recorded wind, not a new roll
+const gusts = [];
+const events = [];
+const windPlayer = { x: 0, y: 0, body: { velocity: { x: 0, y: 0 } }, hasShield: () => false, areControlsReversed: () => false, applyWindEffect: (x, y) => gusts.push([x, y]) };
+const recordingScene = { time: { now: 0 }, replaySystem: { recordEvent: (type, data) => events.push({ type, ...data }) } };
+const recordingAi = new AiSystem(recordingScene, null, windPlayer, personality);
+recordingAi.setVisualEffectsSystem({ createWindEffect: () => {} });
+await recordingAi.handleAiResponse({ text: 'Whoosh', actions: [{ name: 'throwPlayer', args: { insultLevel: 4 } }] });
+const recorded = events[0] && events[0].response.actions[0];
+check('recorded throws keep the forces they applied',
+  recorded && recorded.resolved && recorded.resolved.forceX === gusts[0][0] && recorded.resolved.forceY === gusts[0][1], { recorded, gusts });
+
+const playbackAi = new AiSystem({ time: { now: 0 } }, null, windPlayer, personality);
+playbackAi.setVisualEffectsSystem({ createWindEffect: () => {} });
+await playbackAi.handleAiResponse(JSON.parse(JSON.stringify(events[0].response)), true);
+check('replayed throws apply the recorded forces', gusts[1] && gusts[1][0] === gusts[0][0] && gusts[1][1] === gusts[0][1], gusts);
+
+// Ability effects on a stub scene: no Phaser, just the parts the actions touch
+const timers = [];
+const displayObject = () => ({ setOrigin() { return this; }, setDepth() { return this; }, setStrokeStyle() { return this; }, destroy() {} });
+const scene = {
+  time: { now: 0, delayedCall: (delay, callback) => { const timer = { delay, callback, remove() {} }; timers.push(timer); return timer; } },
+  tweens: { add: () => {}, killTweensOf: () => {} },
+  add: { text: displayObject, circle: displayObject },
+  cameras: { main: { shake: () => {} } },
+  slowMotion: null,
+  startSlowMotion(scale, duration) { this.slowMotion = { scale, duration }; },
+  scoringSystem: { coins: 10, addCoins(amount) { this.coins += amount; }, removeCoins(amount) { this.coins -= amount; } },
+  coinSystem: {},
+  voidSystem: { voidY: 2000, getVoidY() { return this.voidY; }, surge(distance, limitY) { const risen = Math.max(0, this.voidY - Math.max(this.voidY - distance, limitY)); this.voidY -= risen; return risen; } }
+};
+const runTimers = () => timers.splice(0).forEach(timer => timer.callback());
+
+/**
+ * Fake platform sprite with a live body (top-left corner and width)
+ * @param {number} left - Body X
+ * @param {number} top - Body Y (surface)
+ * @param {number} width - Body width
+ * @param {object} platformData - Generator data
+ * @returns {object} Sprite stand-in
+ */
+const sprite = (left, top, width, platformData = {}) => ({
+  x: left + width / 2, y: top + 10, active: true, alpha: 1,
+  body: { x: left, y: top, width, height: 20, enable: true },
+  platformData: { platformType: 'normal', ...platformData },
+  setAlpha(alpha) { this.alpha = alpha; }
+});
+
+// A moving platform that has travelled 100px right and 30px up from where it spawned
+const moving = sprite(500, 970, 100, { platformType: 'moving', motion: { originX: 450, originY: 1010 } });
+moving.platformData.segments = [moving];
+// A gapped platform: solid 100-200 and 260-360, hole in between
+const gapped = sprite(100, 800, 100, { hasGap: true, spanLeft: 100, spanRight: 360 });
+const farSegment = sprite(260, 800, 100, { isGapSegment: true, parentPlatform: gapped });
+gapped.platformData.segments = [gapped, farSegment];
+// Solid ground far below everything
+const ground = sprite(0, 1200, 800);
+ground.platformData.segments = [ground];
+
+const generator = Object.create(PlatformGenerator.prototype);
+generator.platforms = [moving, gapped, ground];
+generator.platformTypeSystem = Object.create(PlatformTypeSystem.prototype);
+generator.platformTypeSystem.scene = scene;
+scene.platformGenerator = generator;
+
+const player = {
+  x: 0, y: 0, controlsReversedFor: 0, shieldFor: 0,
+  body: { height: 32, velocity: { x: 0, y: 0 }, get bottom() { return player.y + 16; }, reset(x, y) { player.x = x; player.y = y; }, setVelocityX(x) { this.velocity.x = x; } },
+  playerState: { horizontalSpeed: 200 },
+  hasShield() { return this.shieldFor > 0; },
+  consumeShield() { this.shieldFor = 0; },
+  grantShield(duration) { this.shieldFor = duration; },
+  reverseControls(duration) { this.controlsReversedFor = duration; },
+  areControlsReversed() { return this.controlsReversedFor > 0; },
+  applyWindEffect() {}
+};
+const place = (x, feetY) => { player.x = x; player.y = feetY - 16; };
+const actor = new AiSystem(scene, { x: 400, y: 900 }, player, personality);
+const act = (name, args = {}) => actor.executeAction(getEnemyAction(name), args);
+
+check('live lookup finds a moving platform where it is now', generator.findSurfaceBelow(560, 970, -4, 6) === moving);
+check('live lookup ignores where a moving platform spawned', generator.findSurfaceBelow(420, 1010, -4, 6) !== moving);
+check('live lookup finds the segment under the player', generator.findSurfaceBelow(300, 800, -4, 6) === farSegment);
+check('live lookup skips the hole of a gapped platform', generator.findSurfaceBelow(230, 800, -4, 6) === null);
+
+place(560, 970);
+check('crumbles the moving platform the player rides', (await act('crumblePlatform')).crumbled === true && moving.platformData.crumble.state === 'shaking', moving.platformData.crumble);
+runTimers();
+check('a crumbled platform stops carrying the player', moving.body.enable === false, moving.body);
+runTimers();
+check('it comes back afterwards', moving.body.enable === true && moving.platformData.crumble.state === 'solid', moving.platformData.crumble);
+
+place(300, 800);
+check('standing on the far segment crumbles the gapped platform', (await act('crumblePlatform')).crumbled === true && gapped.platformData.crumble.state === 'shaking');
+runTimers();
+check('both segments of a gapped platform give way', gapped.body.enable === false && farSegment.body.enable === false, [gapped.body, farSegment.body]);
+runTimers();
+check('both segments come back', gapped.body.enable && farSegment.body.enable);
+
+place(230, 800);
+check('no crumbling over the hole', (await act('crumblePlatform')).skipped === true);
+
+place(560, 700);
+const dropped = await act('teleportDown');
+check('teleports onto a moving platform where it is now', player.body.bottom === moving.body.y && dropped.droppedPx === 270, { feet: player.body.bottom, dropped });
+check('teleporting stops the player', player.playerState.horizontalSpeed === 0);
+
+place(230, 650);
+check('never teleports into the hole of a gapped platform', (await act('teleportDown')).skipped === true && player.body.bottom === 650, player.body.bottom);
+
+place(230, 1000);
+scene.voidSystem.voidY = 1300;
+check('no teleport onto a platform just above the void', (await act('teleportDown')).skipped === true);
+
+scene.voidSystem.voidY = 2000;
+place(400, 1000);
+const surge = await act('surgeVoid');
+check('the void surges up', surge.risenPx === CONFIG.AI_ACTIONS.SURGE_VOID.DISTANCE, surge);
+scene.voidSystem.voidY = player.body.bottom + CONFIG.AI_ACTIONS.SURGE_VOID.MIN_PLAYER_GAP + 50;
+const closeSurge = await act('surgeVoid');
+check('the void stops a safe gap below the player', scene.voidSystem.voidY === player.body.bottom + CONFIG.AI_ACTIONS.SURGE_VOID.MIN_PLAYER_GAP && closeSurge.risenPx === 50, closeSurge);
+
+let helperOptions = null;
+generator.createUnifiedPlatform = (x, y, width, hasLight, options) => {
+  helperOptions = { x, y, width, ...options };
+  return { x, y, platformData: {}, setTint() {} };
+};
+generator.removePlatform = platform => { helperOptions.removed = platform; };
+const helper = await act('spawnHelperPlatform');
+check('helper platforms appear above the player', helperOptions && helperOptions.y === player.body.bottom - CONFIG.AI_ACTIONS.SPAWN_HELPER_PLATFORM.HEIGHT_ABOVE && helperOptions.x === player.x, helperOptions);
+check('helper platforms are temporary', helperOptions.temporary === true && helperOptions.type === 'helper', helperOptions);
+runTimers();
+check('helper platforms disappear after their lifetime', !!helperOptions.removed && helper.lifetimeMs === CONFIG.AI_ACTIONS.SPAWN_HELPER_PLATFORM.LIFETIME, helperOptions);
+
+await act('reverseControls');
+check('reverses the controls', player.controlsReversedFor === CONFIG.AI_ACTIONS.REVERSE_CONTROLS.DURATION);
+await act('slowMotion');
+check('slows the world down', scene.slowMotion && scene.slowMotion.scale === CONFIG.AI_ACTIONS.SLOW_MOTION.TIME_SCALE, scene.slowMotion);
+
+await act('grantShield');
+check('grants a shield', player.hasShield());
+const coinsBefore = scene.scoringSystem.coins;
+const blocked = await act('shootAndTakeCoins');
+check('a shield blocks the next hostile action', blocked.blockedByShield === true && scene.scoringSystem.coins === coinsBefore && !player.hasShield(), blocked);
+
+const shot = await act('shootAndTakeCoins');
+check('shooting takes coins', shot.coinsTaken > 0 && scene.scoringSystem.coins === coinsBefore - shot.coinsTaken, shot);
+check('shooting knocks the player away from the enemy', player.body.velocity.x === -CONFIG.AI_ACTIONS.SHOOT_AND_TAKE_COINS.KNOCKBACK, player.body.velocity);
+const gift = await act('giveCoins');
+check('giving coins adds them', gift.coinsGiven > 0 && scene.scoringSystem.coins === coinsBefore - shot.coinsTaken + gift.coinsGiven, gift);
+
+finish();
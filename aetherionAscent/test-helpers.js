@@ -0,0 +1,27 @@
+/**
+ * 🧪 SHARED TEST HELPERS
+ *
+ * The check() logger and pass/fail summary used by the test-*.js scripts.
+ * Each script runs in its own node process, so the failure count is per file.
+ */
+
+let failures = 0;
+
+/**
+ * Log one check
+ * @param {string} name - What is being checked
+ * @param {boolean} passed - Result
+ * @param {*} detail - Shown when the check fails
+ */
+export function check(name, passed, detail = '') {
+  if (!passed) failures++;
+  console.log(`${passed ? '✅' : '❌'} ${name}${passed ? '' : ` → ${JSON.stringify(detail)}`}`);
+}
+
+/**
+ * Print the summary and fail the process if any check failed
+ */
+export function finish() {
+  console.log(`\n📊 ${failures === 0 ? 'All checks passed' : `${failures} check(s) failed`}`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
@@ -0,0 +1,70 @@
+/**
+ * 🧪 PERSONALITY TESTS
+ *
+ * Loads every personality file the game bundles, checks that it validates,
+ * that its rules and examples only use actions it is allowed, and that the
+ * system prompt and theme-based spawning work from it.
+ *
+ * Run with: npm test   (or: node test-personalities.js)
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { PersonalityRegistry, CORE_ACTIONS } from './src/ai/PersonalityRegistry.js';
+import { buildSystemPrompt } from './src/ai/personalityPrompt.js';
+import { ENEMY_ACTIONS } from './src/ai/actions/index.js';
+import { SeededRandom } from './src/utils/SeededRandom.js';
+import { CONFIG } from './src/config/gameConfig.js';
+import { check, finish } from './test-helpers.js';
+
+const PERSONALITY_DIR = './src/ai/personalities';
+
+console.log('🧪 PERSONALITY TESTS');
+
+const actionNames = ENEMY_ACTIONS.map(action => action.name);
+const registry = new PersonalityRegistry({ defaultId: CONFIG.AI.DEFAULT_PERSONALITY, knownActions: actionNames });
+
+// Same files the game bundles with import.meta.glob
+readdirSync(PERSONALITY_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+  const definition = JSON.parse(readFileSync(`${PERSONALITY_DIR}/${file}`, 'utf8'));
+  const problems = registry.validate(definition);
+  check(`${file} is valid`, problems.length === 0 && `${definition.id}.json` === file, problems);
+  if (problems.length === 0) registry.register(definition);
+});
+
+check('default personality exists', registry.getDefault() && registry.getDefault().id === CONFIG.AI.DEFAULT_PERSONALITY, registry.getDefault());
+
+registry.getAll().forEach(personality => {
+  const mentioned = [...personality.decisionRules, ...personality.examples.map(example => example.action)]
+    .flatMap(text => [...text.matchAll(/\b([a-z][A-Za-z]+)\(/g)].map(match => match[1]));
+  const forbidden = mentioned.filter(name => !personality.allowedActions.includes(name));
+  check(`${personality.id} only mentions allowed actions`, forbidden.length === 0, forbidden);
+  check(`${personality.id} keeps the core actions`, CORE_ACTIONS.every(name => personality.allowedActions.includes(name)), personality.allowedActions);
+
+  const actions = ENEMY_ACTIONS.filter(action => personality.allowedActions.includes(action.name));
+  const prompt = buildSystemPrompt(personality, actions, 'Neutral');
+  const offered = actions.every(action => prompt.includes(`${action.name}(`));
+  const hidden = ENEMY_ACTIONS.filter(action => !actions.includes(action)).every(action => !prompt.includes(`${action.name}(`));
+  check(`${personality.id} prompt lists exactly its actions`, offered && hidden, personality.allowedActions);
+});
+
+// The default prompt keeps the original rules and examples
+const trickster = registry.get('trickster');
+const tricksterPrompt = buildSystemPrompt(trickster, ENEMY_ACTIONS);
+check('wildcard allows every action', trickster.allowedActions.length === ENEMY_ACTIONS.length, trickster.allowedActions);
+check('prompt has examples', tricksterPrompt.includes('- "You\'re cool... NOT" → shootAndTakeCoins() (fake compliment)'));
+check('prompt has the shared spam rule', tricksterPrompt.includes('spam score'));
+check('prompt has no mood without reputation', !tricksterPrompt.includes('YOUR MOOD'));
+
+// Theme-based picks stay inside the theme and are reproducible from the seed
+const random = new SeededRandom('test-seed');
+const picks = Array.from({ length: 50 }, () => registry.pickFor('celestial_realm', random));
+check('theme picks only fitting personalities', picks.every(personality => personality.themes.length === 0 || personality.themes.includes('celestial_realm')), picks.map(personality => personality.id));
+check('theme picks vary', new Set(picks.map(personality => personality.id)).size > 1, picks.map(personality => personality.id));
+check('seeded picks repeat', registry.pickFor('sky_temples', new SeededRandom('a')) === registry.pickFor('sky_temples', new SeededRandom('a')));
+check('unknown theme falls back to default', registry.pickFor('the_moon', random) === registry.getDefault());
+
+// Broken files are rejected with a reason
+check('rejects unknown actions', registry.validate({ ...trickster, tint: '#123456', allowedActions: ['fireball'] }).some(problem => problem.includes('fireball')));
+check('rejects bad tints', registry.validate({ ...trickster, tint: 'purple', allowedActions: ['*'] }).length === 1);
+
+finish();
@@ -0,0 +1,42 @@
+/**
+ * 🧪 REPUTATION TESTS
+ *
+ * Checks how enemy decisions move the player's reputation, the mood
+ * thresholds, and the wind / coin scaling each mood applies.
+ *
+ * Run with: npm test   (or: node test-reputation.js)
+ */
+
+import { ReputationSystem } from './src/systems/ReputationSystem.js';
+import { CONFIG } from './src/config/gameConfig.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🧪 REPUTATION TESTS');
+
+// No scene: rules only, no HUD or chat
+const reputation = new ReputationSystem(null);
+check('starts neutral', reputation.value === CONFIG.REPUTATION.START && reputation.getMood().NAME === 'Neutral', reputation.value);
+
+reputation.applyAction('giveCoins');
+reputation.applyAction('giveCoins');
+check('rewards raise reputation into Friendly', reputation.value === 20 && reputation.getMood().NAME === 'Friendly', reputation.value);
+check('friendly enemies give more coins', reputation.getCoinAmount(5) === 7, reputation.getCoinAmount(5));
+check('friendly enemies blow softer', reputation.getWindMultiplier() < 1, reputation.getWindMultiplier());
+
+reputation.applyAction('throwPlayer', { insultLevel: 5 });
+check('wind lowers reputation by insult level', reputation.value === 5 && reputation.getMood().NAME === 'Neutral', reputation.value);
+
+['shootAndTakeCoins', 'shootAndTakeCoins', 'shootAndTakeCoins'].forEach(name => reputation.applyAction(name));
+check('punishments lower reputation into Annoyed', reputation.value === -40 && reputation.getMood().NAME === 'Annoyed', reputation.value);
+check('unknown actions change nothing', reputation.applyAction('danceParty') === 0, reputation.value);
+
+for (let i = 0; i < 20; i++) reputation.applyAction('shootAndTakeCoins');
+check('clamped at the minimum', reputation.value === CONFIG.REPUTATION.MIN && reputation.getMood().NAME === 'Furious', reputation.value);
+check('furious enemies still give at least one coin', reputation.getCoinAmount(1) === 1, reputation.getCoinAmount(1));
+check('prompt summary names the mood', reputation.getPromptSummary().startsWith('Furious'), reputation.getPromptSummary());
+check('prompt summary leaves out the exact value (it would go stale between mood changes)', !/\d/.test(reputation.getPromptSummary()), reputation.getPromptSummary());
+
+reputation.reset();
+check('reset goes back to the start', reputation.value === CONFIG.REPUTATION.START && reputation.getMood().NAME === 'Neutral', reputation.value);
+
+finish();
@@ -0,0 +1,90 @@
+/**
+ * 🧪 SENTIMENT CLASSIFIER TEST TABLE
+ *
+ * Checks the offline fallback classifier against the examples in the README
+ * and the AiSystem system prompt, plus the extra rules (sarcasm, commands,
+ * repetition, shouting) and the chat spam penalty.
+ *
+ * Run with: npm test   (or: node test-sentiment-classifier.js)
+ */
+
+import { SentimentClassifier } from './src/ai/SentimentClassifier.js';
+import { check, finish } from './test-helpers.js';
+
+// [message, expected action, expected insult level (throwPlayer only), earlier messages]
+const TEST_TABLE = [
+  // README examples
+  ['Hello', 'giveCoins'],
+  ['Can you help me?', 'giveCoins'],
+  ['Thanks!', 'giveCoins'],
+  ['You\'re stupid', 'shootAndTakeCoins'],
+  ['Whatever', 'throwPlayer', 2],
+  ['Help me now!', 'shootAndTakeCoins'],
+  ['F*** you', 'shootAndTakeCoins'],
+
+  // System prompt examples
+  ['Hi there!', 'giveCoins'],
+  ['You\'re actually pretty cool', 'giveCoins'],
+  ['You\'re cool... NOT', 'shootAndTakeCoins'],
+  ['Sorry about that', 'giveCoins'],
+  ['I don\'t care', 'throwPlayer', 3],
+  ['Please be nice', 'giveCoins'],
+  ['Be nice or else', 'shootAndTakeCoins'],
+
+  // Sarcasm
+  ['Oh great, you\'re sooo helpful', 'shootAndTakeCoins'],
+  ['Yeah right, you\'re the best', 'shootAndTakeCoins'],
+  ['You are not nice', 'shootAndTakeCoins'],
+
+  // Commands
+  ['Give me coins', 'shootAndTakeCoins'],
+  ['Please give me coins', 'giveCoins'],
+  ['Do you like jumping?', 'throwPlayer', 2],
+
+  // Playful, neutral and loud
+  ['lol', 'throwPlayer', 1],
+  ['jumping is hard', 'throwPlayer', 2],
+  ['WHY IS THIS SO HARD', 'throwPlayer', 3],
+  ['WHY IS THIS SO HARD!!', 'throwPlayer', 4],
+
+  // Repetition and streaks
+  ['jumping is hard', 'throwPlayer', 3, ['jumping is hard']],
+  ['Jumping is hard!', 'throwPlayer', 3, ['ok', 'jumping is hard']],
+  ['the platforms move', 'giveCoins', null, ['Hello', 'Thanks!']],
+  ['whatever', 'throwPlayer', 2, ['Hello', 'Thanks!']],
+
+  // Apologies win even after bad behaviour
+  ['Sorry, that was dumb of me', 'giveCoins', null, ['You\'re stupid']]
+];
+
+// [message, spam score, expected action, expected insult level (throwPlayer only)]
+const SPAM_TABLE = [
+  ['Hello', 0, 'giveCoins'],
+  ['Hello', 2, 'throwPlayer', 3],
+  ['jumping is hard', 1, 'throwPlayer', 3],
+  ['lol', 5, 'throwPlayer', 5],
+  ['You\'re stupid', 3, 'shootAndTakeCoins']
+];
+
+console.log('🧪 SENTIMENT CLASSIFIER TESTS');
+
+const classifier = new SentimentClassifier();
+
+TEST_TABLE.forEach(([message, expectedAction, expectedLevel = null, history = []]) => {
+  const result = classifier.classify(message, history);
+  const passed = result.action === expectedAction && (expectedLevel === null || result.insultLevel === expectedLevel);
+
+  const expected = expectedLevel === null ? expectedAction : `${expectedAction}(${expectedLevel})`;
+  const context = history.length > 0 ? ` after [${history.join(' | ')}]` : '';
+  check(`"${message}"${context} → ${expected}`, passed, { action: result.action, insultLevel: result.insultLevel, signals: result.signals });
+});
+
+SPAM_TABLE.forEach(([message, spamScore, expectedAction, expectedLevel = null]) => {
+  const result = classifier.applySpamPenalty(classifier.classify(message), spamScore);
+  const passed = result.action === expectedAction && (expectedLevel === null || result.insultLevel === expectedLevel);
+
+  const expected = expectedLevel === null ? expectedAction : `${expectedAction}(${expectedLevel})`;
+  check(`"${message}" with spam score ${spamScore} → ${expected}`, passed, { action: result.action, insultLevel: result.insultLevel });
+});
+
+finish();
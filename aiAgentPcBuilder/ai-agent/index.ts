@@ -13,7 +13,14 @@ declare global {
 // 1. CONFIGURATION & CONSTANTS
 // =================================================================================
 
-const apiKey = import.meta.env?.VITE_GOOGLE_API_KEY || 'your-api-key-here';
+// Gemini calls go through the local AI proxy (aiProxy/ in the repo root), which
+// holds the Google key server-side. The SDK still wants a key, so it gets a
+// placeholder that the proxy drops.
+const proxyUrl = (import.meta.env?.VITE_AI_PROXY_URL || 'http://localhost:8787').replace(/\/+$/, '');
+const PROXY_PLACEHOLDER_KEY = 'held-by-ai-proxy';
+
+// One proxy rate limit session per page load
+const proxySessionId = crypto.randomUUID();
 
 const SYSTEM_PROMPT = `
 # Persona and Role
@@ -167,12 +174,15 @@ class PcBuilderAI {
 
   constructor() {
     console.log('🤖 Initializing PcBuilderAI...');
-    const genAI = new GoogleGenerativeAI(apiKey);
+    const genAI = new GoogleGenerativeAI(PROXY_PLACEHOLDER_KEY);
 
     this.model = genAI.getGenerativeModel({
       model: "gemini-2.5-flash",
       tools: [{ functionDeclarations: [getComponentDataDeclaration, recommendGamingBuildDeclaration] }],
       systemInstruction: SYSTEM_PROMPT,
+    }, {
+      baseUrl: `${proxyUrl}/gemini`,
+      customHeaders: { 'X-Session-Id': proxySessionId },
     });
     
     // Define the available functions that the AI can call.
@@ -8,6 +8,9 @@ cd "$(dirname "$0")"
 echo "📦 Installing dependencies..."
 npm install
 
+echo "🔐 The AI assistant needs the AI proxy (it holds the Google API key):"
+echo "   cd ../aiProxy && npm start"
+
 echo "🌐 Starting development server..."
 echo "💡 Open http://localhost:3000 in your browser"
 echo "🛑 Press Ctrl+C to stop the server"
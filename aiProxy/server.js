@@ -0,0 +1,51 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { loadProxyConfig } from './src/config.js';
+import { createProxyServer } from './src/createProxyServer.js';
+
+/**
+ * 🔐 AI PROXY - Entry Point
+ *
+ * Reads aiProxy/.env (values already in the environment win), builds the
+ * settings and starts listening. Start it next to either app:
+ *
+ *   npm start            # forwards to Google with GOOGLE_API_KEY
+ *   npm run start:mock   # canned responses, no key needed
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+/**
+ * Read KEY=value lines from a .env file
+ * @param {string} file - Path to the file
+ * @returns {object} Parsed values (empty if the file is missing)
+ */
+const readEnvFile = (file) => {
+  if (!existsSync(file)) return {};
+
+  const values = {};
+  readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*([\w.]+)\s*=\s*(.*?)\s*$/);
+    if (!match || line.trim().startsWith('#')) return;
+    values[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+  });
+  return values;
+};
+
+const here = dirname(fileURLToPath(import.meta.url));
+const config = loadProxyConfig({ ...readEnvFile(join(here, '.env')), ...process.env }, process.argv.slice(2));
+
+try {
+  const server = createProxyServer(config);
+
+  server.listen(config.port, config.host, () => {
+    console.log(`🔐 AI proxy listening on http://${config.host}:${config.port}${config.mock ? ' (mock mode - no calls to Google)' : ''}`);
+    console.log(`   Gemini: http://${config.host}:${config.port}/gemini/v1beta/models/<model>:generateContent`);
+    console.log(`   Rate limit: ${config.rateLimit.maxRequests} requests per ${config.rateLimit.window / 1000}s per session, bodies up to ${config.maxBodyBytes} bytes`);
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,55 @@
+/**
+ * RateLimiter - Sliding Window Request Counter
+ *
+ * Remembers when each key (a session id or a client address) last made
+ * requests and refuses new ones once a key has used up its window. Keys
+ * with no recent requests are forgotten, so memory stays flat.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+export class RateLimiter {
+  /**
+   * @param {object} options - Limiter settings
+   * @param {number} options.maxRequests - Requests allowed per window
+   * @param {number} options.window - Window length in ms
+   * @param {Function} options.now - Clock (injectable for tests)
+   */
+  constructor(options = {}) {
+    this.maxRequests = options.maxRequests;
+    this.window = options.window;
+    this.now = options.now || Date.now;
+    this.requests = new Map(); // key -> timestamps inside the window
+  }
+
+  /**
+   * Record a request if the key still has room
+   * @param {string} key - Session id or client address
+   * @returns {object} {allowed, remaining, retryAfter} (retryAfter in ms, 0 when allowed)
+   */
+  take(key) {
+    const now = this.now();
+    const recent = (this.requests.get(key) || []).filter(time => now - time < this.window);
+
+    if (recent.length >= this.maxRequests) {
+      this.requests.set(key, recent);
+      return { allowed: false, remaining: 0, retryAfter: this.window - (now - recent[0]) };
+    }
+
+    recent.push(now);
+    this.requests.set(key, recent);
+    return { allowed: true, remaining: this.maxRequests - recent.length, retryAfter: 0 };
+  }
+
+  /**
+   * Forget keys whose requests have all left the window
+   */
+  prune() {
+    const now = this.now();
+    this.requests.forEach((times, key) => {
+      if (times.every(time => now - time >= this.window)) {
+        this.requests.delete(key);
+      }
+    });
+  }
+}
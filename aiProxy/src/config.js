@@ -0,0 +1,72 @@
+/**
+ * Proxy Configuration
+ *
+ * Defaults for the AI proxy, overridable from the environment (or a .env file
+ * next to server.js) and the command line:
+ * - GOOGLE_API_KEY          Gemini key - only ever read here, on the server
+ * - AI_PROXY_PORT / _HOST   Where to listen (localhost only by default)
+ * - AI_PROXY_ORIGINS        Comma-separated browser origins allowed to call the proxy
+ * - AI_PROXY_RATE_LIMIT     Requests per session per window
+ * - AI_PROXY_RATE_WINDOW    Rate limit window in ms
+ * - AI_PROXY_MAX_BODY       Largest request body in bytes
+ * - AI_PROXY_MOCK=1         Answer with a canned response instead of calling Google (also --mock)
+ * - AI_PROXY_MOCK_FILE      JSON file holding that canned generateContent response
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+export const PROXY_CONFIG = {
+  PORT: 8787,
+  HOST: '127.0.0.1',
+  // Any localhost origin when AI_PROXY_ORIGINS is not set (both apps run Vite on localhost)
+  ALLOWED_ORIGINS: [],
+  UPSTREAM: {
+    GEMINI: 'https://generativelanguage.googleapis.com',
+    TIMEOUT: 30000                   // ms before an upstream call is abandoned
+  },
+  RATE_LIMIT: {
+    MAX_REQUESTS: 30,                // Per session per window
+    WINDOW: 60000,                   // ms
+    MAX_REQUESTS_PER_ADDRESS: 120    // Per client address, so new session ids don't dodge the limit
+  },
+  MAX_BODY_BYTES: 64 * 1024,         // Enemy prompts with history are ~10 KB, PC builder turns less
+  // Only the model calls the apps make may be forwarded
+  ALLOWED_METHODS: ['generateContent', 'countTokens']
+};
+
+/**
+ * Parse a positive integer setting
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Default when missing or invalid
+ * @returns {number} Parsed value
+ */
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Build the proxy settings from the environment and command line
+ * @param {object} env - Environment variables (process.env)
+ * @param {Array<string>} argv - Command line arguments after the script name
+ * @returns {object} Settings for createProxyServer
+ */
+export const loadProxyConfig = (env = {}, argv = []) => ({
+  apiKey: env.GOOGLE_API_KEY || '',
+  port: readNumber(env.AI_PROXY_PORT, PROXY_CONFIG.PORT),
+  host: env.AI_PROXY_HOST || PROXY_CONFIG.HOST,
+  allowedOrigins: env.AI_PROXY_ORIGINS
+    ? env.AI_PROXY_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : PROXY_CONFIG.ALLOWED_ORIGINS,
+  upstream: PROXY_CONFIG.UPSTREAM.GEMINI,
+  upstreamTimeout: PROXY_CONFIG.UPSTREAM.TIMEOUT,
+  rateLimit: {
+    maxRequests: readNumber(env.AI_PROXY_RATE_LIMIT, PROXY_CONFIG.RATE_LIMIT.MAX_REQUESTS),
+    window: readNumber(env.AI_PROXY_RATE_WINDOW, PROXY_CONFIG.RATE_LIMIT.WINDOW),
+    maxRequestsPerAddress: PROXY_CONFIG.RATE_LIMIT.MAX_REQUESTS_PER_ADDRESS
+  },
+  maxBodyBytes: readNumber(env.AI_PROXY_MAX_BODY, PROXY_CONFIG.MAX_BODY_BYTES),
+  mock: argv.includes('--mock') || env.AI_PROXY_MOCK === '1' || env.AI_PROXY_MOCK === 'true',
+  mockFile: env.AI_PROXY_MOCK_FILE || ''
+});
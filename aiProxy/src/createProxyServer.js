@@ -0,0 +1,311 @@
+import http from 'http';
+import { PROXY_CONFIG } from './config.js';
+import { RateLimiter } from './RateLimiter.js';
+import { loadMockResponse } from './mockResponses.js';
+
+/**
+ * AI Proxy Server - Keeps the Google Key Off the Browser
+ *
+ * Both apps send their Gemini calls here instead of to Google:
+ *
+ *   POST /gemini/<version>/models/<model>:generateContent
+ *
+ * is forwarded to https://generativelanguage.googleapis.com/<version>/... with
+ * the server's key attached (any key or ?key= the client sent is dropped).
+ * Along the way the proxy:
+ * - Only accepts browser origins on the allow list (any localhost by default)
+ * - Rate limits per session (X-Session-Id header) and per client address
+ * - Rejects bodies over maxBodyBytes and anything that is not JSON
+ * - In mock mode answers with a canned response and never calls Google
+ *
+ * Errors use Google's {error: {code, message, status}} shape so the apps'
+ * existing error handling (and the Google SDK) read them as usual.
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+const ROUTE = /^\/gemini\/(v1|v1beta)\/models\/([\w.-]+):(\w+)$/;
+const SESSION_ID = /^[\w-]{1,64}$/;
+const LOCALHOST_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+// HTTP status -> Google error status name
+const STATUS_NAMES = {
+  400: 'INVALID_ARGUMENT',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RESOURCE_EXHAUSTED',
+  502: 'UNAVAILABLE',
+  504: 'DEADLINE_EXCEEDED'
+};
+
+/**
+ * Error that maps straight to an HTTP response
+ */
+export class ProxyError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message for the client
+   * @param {object} headers - Extra response headers
+   */
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Read a request body, refusing anything larger than the cap
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {number} maxBytes - Size cap
+ * @returns {Promise<Buffer>} Body
+ */
+const readBody = (request, maxBytes) => new Promise((resolve, reject) => {
+  const tooLarge = () => new ProxyError(413, `Request body is larger than ${maxBytes} bytes`);
+
+  if (parseInt(request.headers['content-length'] || '0', 10) > maxBytes) {
+    reject(tooLarge());
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  request.on('data', chunk => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      request.pause();
+      reject(tooLarge());
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => resolve(Buffer.concat(chunks)));
+  request.on('error', reject);
+});
+
+/**
+ * Create the proxy (not yet listening)
+ * @param {object} options - Settings from loadProxyConfig()
+ * @param {string} options.apiKey - Google API key (not needed in mock mode)
+ * @param {string} options.upstream - Google API root
+ * @param {number} options.upstreamTimeout - ms before an upstream call is abandoned
+ * @param {Array<string>} options.allowedOrigins - Browser origins allowed ([] for any localhost)
+ * @param {object} options.rateLimit - {maxRequests, window, maxRequestsPerAddress}
+ * @param {number} options.maxBodyBytes - Largest request body
+ * @param {boolean} options.mock - Answer with a canned response
+ * @param {string} options.mockFile - JSON file with the canned response
+ * @param {Function} options.now - Clock for the rate limiters (tests)
+ * @returns {http.Server} Server
+ * @throws {Error} If there is no key outside mock mode
+ */
+export const createProxyServer = (options) => {
+  if (!options.mock && !options.apiKey) {
+    throw new Error('GOOGLE_API_KEY is not set - add it to aiProxy/.env or start with --mock');
+  }
+
+  const mockResponse = options.mock ? loadMockResponse(options.mockFile) : null;
+  const sessionLimiter = new RateLimiter({
+    maxRequests: options.rateLimit.maxRequests,
+    window: options.rateLimit.window,
+    now: options.now
+  });
+  const addressLimiter = new RateLimiter({
+    maxRequests: options.rateLimit.maxRequestsPerAddress,
+    window: options.rateLimit.window,
+    now: options.now
+  });
+
+  /**
+   * Check a browser origin against the allow list
+   * @param {string} origin - Origin header ('' for non-browser clients)
+   * @returns {boolean} True if the origin may call the proxy
+   */
+  const isOriginAllowed = (origin) => {
+    if (!origin) return true; // Node scripts and curl send no Origin
+    return options.allowedOrigins.length > 0
+      ? options.allowedOrigins.includes(origin)
+      : LOCALHOST_ORIGIN.test(origin);
+  };
+
+  /**
+   * Send a JSON response with CORS headers
+   * @param {http.ServerResponse} response - Response to write
+   * @param {number} status - HTTP status
+   * @param {object|string} body - Object to serialize or raw JSON text
+   * @param {object} headers - Extra headers
+   */
+  const sendJson = (response, status, body, headers = {}) => {
+    response.writeHead(status, {
+      'Content-Type': 'application/json',
+      ...headers
+    });
+    response.end(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+
+  /**
+   * Send an error in Google's format
+   * @param {http.ServerResponse} response - Response to write
+   * @param {ProxyError} error - What went wrong
+   * @param {object} headers - CORS headers
+   */
+  const sendError = (response, error, headers) => {
+    sendJson(response, error.status, {
+      error: {
+        code: error.status,
+        message: error.message,
+        status: STATUS_NAMES[error.status] || 'INTERNAL'
+      }
+    }, { ...headers, ...error.headers });
+  };
+
+  /**
+   * Apply the address and session rate limits
+   * @param {string} address - Client address
+   * @param {string} sessionId - X-Session-Id header ('' if none)
+   * @returns {number} Requests left in the session's window
+   * @throws {ProxyError} 429 when either limit is used up
+   */
+  const checkRateLimits = (address, sessionId) => {
+    const byAddress = addressLimiter.take(address);
+    const bySession = byAddress.allowed ? sessionLimiter.take(`${address}/${sessionId || 'anonymous'}`) : byAddress;
+
+    if (!bySession.allowed) {
+      throw new ProxyError(429, 'Too many AI requests - slow down and try again shortly', {
+        'Retry-After': String(Math.ceil(bySession.retryAfter / 1000))
+      });
+    }
+    return bySession.remaining;
+  };
+
+  /**
+   * Send the call to Google with the server's key
+   * @param {string} path - Version, model and method, e.g. /v1beta/models/gemini-2.5-flash:generateContent
+   * @param {Buffer} body - Validated JSON body
+   * @returns {Promise<object>} {status, text} of the upstream response
+   */
+  const forward = async (path, body) => {
+    try {
+      const upstreamResponse = await fetch(`${options.upstream}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': options.apiKey
+        },
+        body,
+        signal: AbortSignal.timeout(options.upstreamTimeout || PROXY_CONFIG.UPSTREAM.TIMEOUT)
+      });
+      return { status: upstreamResponse.status, text: await upstreamResponse.text() };
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new ProxyError(504, 'The model took too long to answer');
+      }
+      throw new ProxyError(502, `Could not reach the model: ${error.message}`);
+    }
+  };
+
+  /**
+   * Handle one request
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {http.ServerResponse} response - Response to write
+   */
+  const handleRequest = async (request, response) => {
+    const origin = request.headers.origin || '';
+    const corsHeaders = origin && isOriginAllowed(origin)
+      ? {
+          'Access-Control-Allow-Origin': origin,
+          'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+          // The Google SDK sends its own key and client headers - accepted, then dropped
+          'Access-Control-Allow-Headers': 'Content-Type, X-Session-Id, x-goog-api-key, x-goog-api-client',
+          'Access-Control-Expose-Headers': 'X-RateLimit-Remaining, Retry-After',
+          'Vary': 'Origin'
+        }
+      : {};
+
+    try {
+      if (!isOriginAllowed(origin)) {
+        throw new ProxyError(403, `Origin ${origin} is not allowed to use the AI proxy`);
+      }
+
+      const { pathname } = new URL(request.url, 'http://localhost');
+
+      if (request.method === 'OPTIONS') {
+        response.writeHead(204, corsHeaders);
+        response.end();
+        return;
+      }
+
+      if (request.method === 'GET' && pathname === '/health') {
+        sendJson(response, 200, { status: 'ok', mock: !!options.mock }, corsHeaders);
+        return;
+      }
+
+      const route = pathname.match(ROUTE);
+      if (!route) {
+        throw new ProxyError(404, `Unknown path ${pathname}`);
+      }
+      if (request.method !== 'POST') {
+        throw new ProxyError(405, 'Model calls must be POST requests');
+      }
+
+      const [, version, model, method] = route;
+      if (!PROXY_CONFIG.ALLOWED_METHODS.includes(method)) {
+        throw new ProxyError(404, `Model method "${method}" is not available through the proxy`);
+      }
+
+      const sessionHeader = request.headers['x-session-id'] || '';
+      if (sessionHeader && !SESSION_ID.test(sessionHeader)) {
+        throw new ProxyError(400, 'X-Session-Id must be 1-64 letters, digits, dashes or underscores');
+      }
+
+      const remaining = checkRateLimits(request.socket.remoteAddress || 'unknown', sessionHeader);
+      const body = await readBody(request, options.maxBodyBytes);
+
+      try {
+        JSON.parse(body.toString('utf8'));
+      } catch {
+        throw new ProxyError(400, 'Request body must be JSON');
+      }
+
+      const headers = { ...corsHeaders, 'X-RateLimit-Remaining': String(remaining) };
+
+      if (mockResponse) {
+        console.log(`🧪 Mock ${method} for ${model} (session ${sessionHeader || 'anonymous'})`);
+        sendJson(response, 200, mockResponse, headers);
+        return;
+      }
+
+      const upstream = await forward(`/${version}/models/${model}:${method}`, body);
+      console.log(`🔀 ${method} ${model} → ${upstream.status} (session ${sessionHeader || 'anonymous'}, ${remaining} left)`);
+      sendJson(response, upstream.status, upstream.text, headers);
+    } catch (error) {
+      const proxyError = error instanceof ProxyError ? error : new ProxyError(500, 'Internal proxy error');
+      if (!(error instanceof ProxyError)) {
+        console.error('❌ AI proxy error:', error);
+      }
+
+      // An oversized body is left unread - close the connection once the error is sent
+      if (proxyError.status === 413) {
+        response.setHeader('Connection', 'close');
+        response.on('finish', () => request.destroy());
+      }
+      sendError(response, proxyError, corsHeaders);
+    }
+  };
+
+  const server = http.createServer(handleRequest);
+
+  // Forget idle sessions now and then
+  const pruneTimer = setInterval(() => {
+    sessionLimiter.prune();
+    addressLimiter.prune();
+  }, options.rateLimit.window);
+  pruneTimer.unref();
+  server.on('close', () => clearInterval(pruneTimer));
+
+  return server;
+};
@@ -0,0 +1,45 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Mock Responses - Canned Replies for Tests and Offline Work
+ *
+ * In mock mode the proxy never calls Google. Every model call gets the same
+ * generateContent-shaped body: a short text reply by default, or whatever
+ * JSON the AI_PROXY_MOCK_FILE points at (e.g. a functionCall response to
+ * exercise an app's tool handling).
+ *
+ * @author Me
+ * @version 1.0.0
+ */
+
+export const DEFAULT_MOCK_RESPONSE = {
+  candidates: [{
+    content: {
+      role: 'model',
+      parts: [{ text: 'This is a canned reply from the AI proxy running in mock mode.' }]
+    },
+    finishReason: 'STOP',
+    index: 0
+  }],
+  usageMetadata: {
+    promptTokenCount: 0,
+    candidatesTokenCount: 0,
+    totalTokenCount: 0
+  }
+};
+
+/**
+ * Load the canned response
+ * @param {string} file - Path to a JSON response body ('' for the default)
+ * @returns {object} generateContent response body
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export const loadMockResponse = (file) => {
+  if (!file) return DEFAULT_MOCK_RESPONSE;
+
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load mock response from ${file}: ${error.message}`);
+  }
+};
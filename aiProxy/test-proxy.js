@@ -0,0 +1,177 @@
+/**
+ * 🧪 AI PROXY TESTS
+ *
+ * Runs the proxy against a fake Google endpoint on a random local port and
+ * checks key handling, routing, CORS, rate limits, size caps and mock mode.
+ * Nothing leaves the machine.
+ *
+ * Run with: npm test   (or: node test-proxy.js)
+ */
+
+import http from 'http';
+import { createProxyServer } from './src/createProxyServer.js';
+import { loadProxyConfig } from './src/config.js';
+import { RateLimiter } from './src/RateLimiter.js';
+import { DEFAULT_MOCK_RESPONSE } from './src/mockResponses.js';
+
+let failures = 0;
+
+/**
+ * Log one check
+ * @param {string} name - What is being checked
+ * @param {boolean} passed - Result
+ * @param {*} detail - Shown when the check fails
+ */
+function check(name, passed, detail = '') {
+  if (!passed) failures++;
+  console.log(`${passed ? '✅' : '❌'} ${name}${passed ? '' : ` → ${JSON.stringify(detail)}`}`);
+}
+
+/**
+ * Start a server on a random port
+ * @param {http.Server} server - Server to start
+ * @returns {Promise<string>} Its base URL
+ */
+const listen = (server) => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+/**
+ * Build proxy settings for a test
+ * @param {object} overrides - Settings to change
+ * @returns {object} Settings for createProxyServer
+ */
+const testConfig = (overrides = {}) => ({
+  ...loadProxyConfig({ GOOGLE_API_KEY: 'server-side-key' }),
+  rateLimit: { maxRequests: 3, window: 60000, maxRequestsPerAddress: 5 },
+  maxBodyBytes: 1024,
+  ...overrides
+});
+
+const GENERATE_PATH = '/gemini/v1beta/models/gemini-2.5-flash:generateContent';
+
+/**
+ * POST a JSON body to the proxy
+ * @param {string} url - Full URL
+ * @param {object|string} body - Body (strings are sent as-is)
+ * @param {object} headers - Extra headers
+ * @returns {Promise<Response>} Response
+ */
+const post = (url, body, headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+async function runProxyTests() {
+  console.log('🧪 AI PROXY TESTS');
+
+  // Fake Google: remembers what it was sent
+  let lastUpstream = null;
+  const upstream = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      lastUpstream = { url: request.url, key: request.headers['x-goog-api-key'], body };
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ candidates: [{ content: { parts: [{ text: 'from upstream' }] } }] }));
+    });
+  });
+  const upstreamUrl = await listen(upstream);
+
+  const proxy = createProxyServer(testConfig({ upstream: upstreamUrl }));
+  const proxyUrl = await listen(proxy);
+
+  try {
+    // Forwarding
+    const forwarded = await post(`${proxyUrl}${GENERATE_PATH}?key=leaked`, { contents: [] }, {
+      'x-goog-api-key': 'browser-key',
+      'X-Session-Id': 'game-1'
+    });
+    const forwardedBody = await forwarded.json();
+    check('forwards generateContent to Google', forwarded.status === 200 && forwardedBody.candidates[0].content.parts[0].text === 'from upstream', forwardedBody);
+    check('keeps version, model and method', lastUpstream && lastUpstream.url === '/v1beta/models/gemini-2.5-flash:generateContent', lastUpstream);
+    check('replaces the client key with the server key', lastUpstream && lastUpstream.key === 'server-side-key', lastUpstream);
+    check('reports the requests left', forwarded.headers.get('x-ratelimit-remaining') === '2', forwarded.headers.get('x-ratelimit-remaining'));
+
+    // Routing and validation
+    const unknownPath = await post(`${proxyUrl}/gemini/v1beta/models/gemini-2.5-flash:deleteEverything`, {}, { 'X-Session-Id': 'routes' });
+    check('refuses model methods the apps do not use', unknownPath.status === 404, unknownPath.status);
+
+    const otherPath = await post(`${proxyUrl}/v1/files`, {}, { 'X-Session-Id': 'routes' });
+    check('refuses paths outside /gemini', otherPath.status === 404, otherPath.status);
+
+    const notJson = await post(`${proxyUrl}${GENERATE_PATH}`, 'not json', { 'X-Session-Id': 'routes' });
+    const notJsonBody = await notJson.json();
+    check('refuses bodies that are not JSON', notJson.status === 400 && notJsonBody.error.status === 'INVALID_ARGUMENT', notJsonBody);
+
+    const tooLarge = await post(`${proxyUrl}${GENERATE_PATH}`, { text: 'x'.repeat(2048) }, { 'X-Session-Id': 'big' });
+    check('refuses bodies over the size cap', tooLarge.status === 413, tooLarge.status);
+
+    // CORS
+    const preflight = await fetch(`${proxyUrl}${GENERATE_PATH}`, { method: 'OPTIONS', headers: { Origin: 'http://localhost:3000' } });
+    check('answers localhost preflights', preflight.status === 204 && preflight.headers.get('access-control-allow-origin') === 'http://localhost:3000', preflight.status);
+
+    const foreign = await post(`${proxyUrl}${GENERATE_PATH}`, {}, { Origin: 'https://evil.example' });
+    check('refuses other origins', foreign.status === 403, foreign.status);
+
+    // Rate limits: 3 per session, 5 per address (the requests above already used some)
+    const limitedProxy = createProxyServer(testConfig({ upstream: upstreamUrl }));
+    const limitedUrl = await listen(limitedProxy);
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await post(`${limitedUrl}${GENERATE_PATH}`, {}, { 'X-Session-Id': 'chatty' })).status);
+    }
+    check('rate limits each session', statuses.join(',') === '200,200,200,429', statuses);
+
+    const otherSession = await post(`${limitedUrl}${GENERATE_PATH}`, {}, { 'X-Session-Id': 'quiet' });
+    check('other sessions keep their own budget', otherSession.status === 200, otherSession.status);
+
+    const rotated = await post(`${limitedUrl}${GENERATE_PATH}`, {}, { 'X-Session-Id': 'fresh-id' });
+    check('new session ids cannot dodge the address limit', rotated.status === 429 && rotated.headers.get('retry-after') === '60', rotated.status);
+    limitedProxy.close();
+
+    // Mock mode
+    lastUpstream = null;
+    const mockProxy = createProxyServer(testConfig({ apiKey: '', mock: true, upstream: upstreamUrl }));
+    const mockUrl = await listen(mockProxy);
+    const mocked = await post(`${mockUrl}${GENERATE_PATH}`, { contents: [] });
+    const mockedBody = await mocked.json();
+    check('mock mode answers with the canned response', JSON.stringify(mockedBody) === JSON.stringify(DEFAULT_MOCK_RESPONSE), mockedBody);
+    check('mock mode never calls Google', lastUpstream === null, lastUpstream);
+
+    const health = await (await fetch(`${mockUrl}/health`)).json();
+    check('health reports mock mode', health.status === 'ok' && health.mock === true, health);
+    mockProxy.close();
+
+    // Configuration
+    let missingKeyError = null;
+    try {
+      createProxyServer(testConfig({ apiKey: '' }));
+    } catch (error) {
+      missingKeyError = error;
+    }
+    check('refuses to start without a key outside mock mode', missingKeyError !== null);
+
+    const config = loadProxyConfig({ AI_PROXY_RATE_LIMIT: '5', AI_PROXY_ORIGINS: 'http://a.test, http://b.test' }, ['--mock']);
+    check('reads limits, origins and --mock', config.rateLimit.maxRequests === 5 && config.allowedOrigins.length === 2 && config.mock, config);
+
+    // Sliding window
+    let clock = 0;
+    const limiter = new RateLimiter({ maxRequests: 2, window: 1000, now: () => clock });
+    limiter.take('a');
+    limiter.take('a');
+    const blocked = limiter.take('a');
+    clock = 1000;
+    const freed = limiter.take('a');
+    check('window frees requests once they age out', !blocked.allowed && blocked.retryAfter === 1000 && freed.allowed, { blocked, freed });
+  } finally {
+    proxy.close();
+    upstream.close();
+  }
+
+  console.log(`\n📊 ${failures === 0 ? 'All checks passed' : `${failures} check(s) failed`}`);
+  return failures;
+}
+
+process.exitCode = await runProxyTests() > 0 ? 1 : 0;